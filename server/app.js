@@ -0,0 +1,132 @@
+/**
+ * REST API of the sync server.
+ * - GET    /api/health
+ * - GET    /api/seasons                         [{ id, name, version, updatedAt }]
+ * - GET    /api/seasons/:id                     { season, data, version, updatedAt }
+ * - PUT    /api/seasons/:id                     body { season, data }
+ * - DELETE /api/seasons/:id
+ * - GET    /api/seasons/:id/:collection         { items, version } for teams, drivers, events, results, laps, players, predictions
+ * - PUT    /api/seasons/:id/:collection         body { items }
+ * Versions travel as ETags. Writes send If-Match with the version they started from (If-None-Match: *
+ * to create); a mismatch answers 412 with the server's copy so the client can merge. Seasons with
+ * validation errors are refused with 422. With a token set, every request needs "Authorization: Bearer <token>".
+ */
+import { COLLECTIONS, validateSeason } from "../src/archive.js";
+import { ConflictError } from "./store.js";
+
+const MAX_BODY = 20 * 1024 * 1024;
+
+class HttpError extends Error {
+  // `extra` is added to the JSON error response
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+const etag = (version) => `"${version}"`;
+// undefined: no precondition · null: must not exist yet · n: must be at version n
+function expectedVersion(req) {
+  if (req.headers["if-none-match"] === "*") return null;
+  const match = req.headers["if-match"];
+  if (match == null) return undefined;
+  const version = Number(String(match).replace(/^W\//, "").replace(/"/g, ""));
+  if (!Number.isInteger(version)) throw new HttpError(400, `Unreadable If-Match "${match}"`);
+  return version;
+}
+
+async function readBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) throw new HttpError(413, "Request body too large");
+    chunks.push(chunk);
+  }
+  try { return JSON.parse(Buffer.concat(chunks).toString("utf8") || "null"); }
+  catch { throw new HttpError(400, "Request body is not valid JSON"); }
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { ...(body === undefined ? {} : { "Content-Type": "application/json" }), ...headers });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function checkSeason(season, data) {
+  if (!season || typeof season !== "object" || !season.name) throw new HttpError(400, "Missing season name");
+  if (!data || typeof data !== "object") throw new HttpError(400, "Missing season data");
+  const report = validateSeason(data);
+  if (report.errors.length) throw new HttpError(422, "Season has errors", { report });
+}
+
+/**
+ * Returns a (req, res) handler for node:http. `store` is an openStore() database; `origin` is sent as
+ * Access-Control-Allow-Origin so the app can run on another host or port.
+ */
+export function createHandler(store, { token = "", origin = "*" } = {}) {
+  const cors = {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type, If-Match, If-None-Match",
+    "Access-Control-Expose-Headers": "ETag",
+  };
+
+  async function route(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    let parts;
+    try { parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent); }
+    catch { throw new HttpError(400, "Malformed URL"); }
+    if (parts[0] !== "api") throw new HttpError(404, "Not found");
+    if (parts[1] === "health" && parts.length === 2) return send(res, 200, { ok: true, seasons: store.listSeasons().length }, cors);
+    if (parts[1] !== "seasons" || parts.length > 4) throw new HttpError(404, "Not found");
+
+    const [, , id, kind] = parts;
+    if (!id) {
+      if (req.method !== "GET") throw new HttpError(405, "Method not allowed");
+      return send(res, 200, store.listSeasons(), cors);
+    }
+    if (kind && !COLLECTIONS.includes(kind)) throw new HttpError(404, `Unknown collection "${kind}"`);
+    const current = store.getSeason(id);
+
+    if (req.method === "GET") {
+      if (!current) throw new HttpError(404, `No season "${id}"`);
+      const body = kind ? { items: current.data[kind], version: current.version } : current;
+      return send(res, 200, body, { ...cors, ETag: etag(current.version) });
+    }
+    if (req.method === "PUT") {
+      const ifVersion = expectedVersion(req);
+      const body = await readBody(req);
+      let saved;
+      if (kind) {
+        if (!current) throw new HttpError(404, `No season "${id}"`);
+        if (!Array.isArray(body?.items)) throw new HttpError(400, "Missing items");
+        checkSeason(current.season, { ...current.data, [kind]: body.items });
+        saved = await store.putCollection(id, kind, body.items, ifVersion);
+      } else {
+        checkSeason(body?.season, body?.data);
+        saved = await store.putSeason(id, body, ifVersion);
+      }
+      return send(res, saved.created ? 201 : 200, { version: saved.version, updatedAt: saved.updatedAt }, { ...cors, ETag: etag(saved.version) });
+    }
+    if (req.method === "DELETE" && !kind) {
+      if (!current) throw new HttpError(404, `No season "${id}"`);
+      await store.deleteSeason(id, expectedVersion(req));
+      return send(res, 204, undefined, cors);
+    }
+    throw new HttpError(405, "Method not allowed");
+  }
+
+  return async (req, res) => {
+    if (req.method === "OPTIONS") return send(res, 204, undefined, cors);
+    if (token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { error: "Missing or wrong token" }, cors);
+    try {
+      await route(req, res);
+    } catch (e) {
+      const error = e instanceof ConflictError ? new HttpError(412, e.message, { current: e.current }) : e;
+      if (!(error instanceof HttpError)) console.error(e);
+      const status = error.status || 500;
+      send(res, status, { error: status === 500 ? "Server error" : error.message, ...error.extra }, cors);
+    }
+  };
+}
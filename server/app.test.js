@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { createServer } from "node:http";
+import { mkdtemp, mkdir, rm, readFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { openStore } from "./store.js";
+import { createHandler } from "./app.js";
+import { syncClient } from "../src/sync.js";
+
+const data = {
+  teams: [{ id: "t1", name: "Ferrari" }],
+  drivers: [{ id: "d1", name: "Leclerc", stints: [{ teamId: "t1", fromRound: 1, toRound: null }] }],
+  events: [{ id: "e1", round: 1, name: "Australia", type: "GP", date: "2025-03-16" }],
+  results: [{ eventId: "e1", driverId: "d1", position: 1, status: "FIN" }],
+  players: [], predictions: [],
+};
+
+let dir, server, base;
+const start = async (options) => {
+  server = createServer(createHandler(await openStore(join(dir, "seasons.json")), options));
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+};
+beforeEach(async () => { dir = await mkdtemp(join(tmpdir(), "f1-sync-")); });
+afterEach(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  server = null;
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe("sync server", () => {
+  it("creates, reads and lists seasons, and keeps them on disk", async () => {
+    await start();
+    const client = syncClient({ url: base });
+    expect(await client.getSeason("s1")).toBeNull();
+    expect(await client.putSeason("s1", { season: { id: "s1", name: "2025" }, data }, null)).toMatchObject({ version: 1 });
+    expect(await client.listSeasons()).toEqual([expect.objectContaining({ id: "s1", name: "2025", version: 1 })]);
+    expect((await client.getSeason("s1")).data.results).toEqual(data.results);
+
+    const res = await fetch(`${base}/api/seasons/s1/drivers`);
+    expect(res.headers.get("etag")).toBe('"1"');
+    expect((await res.json()).items).toEqual(data.drivers);
+    expect(JSON.parse(await readFile(join(dir, "seasons.json"), "utf8")).seasons.s1.version).toBe(1);
+
+    expect((await fetch(`${base}/api/seasons/s1`, { method: "PUT", body: JSON.stringify({ season: { name: "2025" }, data }) })).status).toBe(200);
+    expect((await fetch(`${base}/api/seasons/%E0%A4%A`)).status).toBe(400);
+  });
+
+  it("refuses writes based on an old version, and seasons with errors", async () => {
+    await start();
+    const client = syncClient({ url: base });
+    await client.putSeason("s1", { season: { id: "s1", name: "2025" }, data }, null);
+    await client.putSeason("s1", { season: { id: "s1", name: "2025" }, data: { ...data, teams: [] } }, 1);
+
+    await expect(client.putSeason("s1", { season: { id: "s1", name: "2025" }, data }, 1)).rejects.toMatchObject({ status: 412, body: { current: { version: 2 } } });
+    await expect(client.putSeason("s1", { season: { id: "s1", name: "2025" }, data }, null)).rejects.toMatchObject({ status: 412 });
+
+    const broken = { ...data, results: [{ eventId: "nope", driverId: "d1", position: 1 }] };
+    await expect(client.putSeason("s1", { season: { id: "s1", name: "2025" }, data: broken }, 2)).rejects.toMatchObject({ status: 422 });
+
+    const res = await fetch(`${base}/api/seasons/s1/teams`, { method: "PUT", headers: { "If-Match": '"2"' }, body: JSON.stringify({ items: data.teams }) });
+    expect(res.status).toBe(200);
+    expect(res.headers.get("etag")).toBe('"3"');
+  });
+
+  it("keeps serving what's on disk after a failed write, and writes again afterwards", async () => {
+    const file = join(dir, "seasons.json");
+    const store = await openStore(file);
+    await store.putSeason("s1", { season: { name: "2025" }, data }, null);
+    // a directory where the temporary file goes makes the next write fail
+    await mkdir(`${file}.tmp`);
+    await expect(store.putSeason("s1", { season: { name: "2026" }, data }, 1)).rejects.toThrow();
+    expect(store.getSeason("s1")).toMatchObject({ season: { name: "2025" }, version: 1 });
+
+    await rm(`${file}.tmp`, { recursive: true });
+    expect(await store.putSeason("s1", { season: { name: "2026" }, data }, 1)).toMatchObject({ version: 2, created: false });
+    expect(JSON.parse(await readFile(file, "utf8")).seasons.s1).toMatchObject({ season: { name: "2026" }, version: 2 });
+  });
+
+  it("needs the token when one is set", async () => {
+    await start({ token: "secret" });
+    await expect(syncClient({ url: base }).listSeasons()).rejects.toMatchObject({ status: 401 });
+    expect(await syncClient({ url: `${base}/`, token: "secret" }).listSeasons()).toEqual([]);
+  });
+});
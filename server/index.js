@@ -0,0 +1,19 @@
+/**
+ * Sync server entry point: `npm run server`.
+ * - PORT (default 8787) and HOST (default 127.0.0.1, use 0.0.0.0 to share on a network)
+ * - DATA_FILE: the season database (default server/data/seasons.json)
+ * - SYNC_TOKEN: when set, clients must send it (Data tab → Sync server → Token)
+ * - ALLOWED_ORIGIN: the app's origin for CORS (default any)
+ */
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+import { openStore } from "./store.js";
+import { createHandler } from "./app.js";
+
+const port = Number(process.env.PORT) || 8787;
+const host = process.env.HOST || "127.0.0.1";
+const file = process.env.DATA_FILE || fileURLToPath(new URL("./data/seasons.json", import.meta.url));
+
+const store = await openStore(file);
+const server = createServer(createHandler(store, { token: process.env.SYNC_TOKEN || "", origin: process.env.ALLOWED_ORIGIN || "*" }));
+server.listen(port, host, () => console.log(`F1 Season Tracker sync server on http://${host}:${port} (data: ${file})`));
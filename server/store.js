@@ -0,0 +1,86 @@
+/**
+ * Season database for the sync server — one JSON file, kept in memory and rewritten on every change.
+ * - Each season is { season: { id, name, rules? }, data: { teams, drivers, … }, version, updatedAt }
+ * - `version` goes up by one with every write; writers pass the version they started from and
+ *   get a ConflictError when someone else wrote in between
+ * - Writes go to a temporary file that then replaces the database, so a crash never leaves half a file
+ */
+import { readFile, writeFile, rename, mkdir } from "node:fs/promises";
+import { dirname } from "node:path";
+import { COLLECTIONS } from "../src/archive.js";
+
+export class ConflictError extends Error {
+  constructor(current) {
+    super(current ? `Season changed on the server (now version ${current.version})` : "Season no longer exists on the server");
+    this.current = current;
+  }
+}
+
+const pickData = (data) => Object.fromEntries(COLLECTIONS.map(k => [k, data?.[k] || []]));
+const summary = ({ season, version, updatedAt }) => ({ id: season.id, name: season.name, version, updatedAt });
+
+// `ifVersion`: undefined skips the check, null requires the season not to exist yet.
+const checkVersion = (current, ifVersion) => {
+  if (ifVersion === undefined) return;
+  if ((current?.version ?? null) !== ifVersion) throw new ConflictError(current);
+};
+
+const record = (id, season, data, current) => ({
+  season: { ...season, id },
+  data: pickData(data),
+  version: (current?.version ?? 0) + 1,
+  updatedAt: new Date().toISOString(),
+});
+
+export async function openStore(file) {
+  let db = { seasons: {} };
+  try { db = JSON.parse(await readFile(file, "utf8")); }
+  catch (e) { if (e.code !== "ENOENT") throw e; }
+
+  // Writes run one at a time: `change(seasons)` checks versions against the latest state and returns
+  // { seasons, result }; memory only takes the new seasons once the file has them. A failed write
+  // leaves both as they were, and the next write still runs.
+  let queue = Promise.resolve();
+  const write = (change) => {
+    const run = queue.catch(() => {}).then(async () => {
+      const { seasons, result } = change(db.seasons);
+      const next = { ...db, seasons };
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, JSON.stringify(next));
+      await rename(`${file}.tmp`, file);
+      db = next;
+      return result;
+    });
+    queue = run;
+    return run;
+  };
+
+  return {
+    listSeasons: () => Object.values(db.seasons).map(summary).sort((a, b) => a.name.localeCompare(b.name)),
+    getSeason: (id) => db.seasons[id] || null,
+
+    // Resolves to the saved season, with `created` set when it didn't exist before.
+    putSeason: (id, { season, data }, ifVersion) => write(seasons => {
+      const current = seasons[id];
+      checkVersion(current, ifVersion);
+      const saved = record(id, season, data, current);
+      return { seasons: { ...seasons, [id]: saved }, result: { ...saved, created: !current } };
+    }),
+
+    // Replaces one collection; the season's version still goes up.
+    putCollection: (id, kind, items, ifVersion) => write(seasons => {
+      const current = seasons[id];
+      if (!current) throw new ConflictError(null);
+      checkVersion(current, ifVersion);
+      const saved = record(id, current.season, { ...current.data, [kind]: items }, current);
+      return { seasons: { ...seasons, [id]: saved }, result: saved };
+    }),
+
+    deleteSeason: (id, ifVersion) => write(seasons => {
+      checkVersion(seasons[id], ifVersion);
+      const rest = { ...seasons };
+      delete rest[id];
+      return { seasons: rest };
+    }),
+  };
+}
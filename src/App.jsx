@@ -1,156 +1,527 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  POINTS_PRESETS, presetRules, rulesFor, describeRules, EVENT_TYPES, QUALI_FOR, isRace, RESULT_STATUSES,
+  classifyEvent, driverStints, currentTeamId, teamIdAt, sortEventsByRound, scoreSeason, buildGridStats, buildScenario,
+  groupResultsByEvent, isPractice,
+} from "./scoring.js";
+import { parseResultsText, matchRow, toCSV, driverCode } from "./csv.js";
+import { moveRow, searchDrivers, gridIssues, sameEntries } from "./entry.js";
+import { COLLECTIONS, seasonFile, archiveFile, readFile, validateSeason, mergeSeason } from "./archive.js";
+import { emptyHistory, record, undo, redo, restoreTo } from "./history.js";
+import { getItem, setItem, removeItem, subscribe, onStorageError } from "./storage.js";
+import { driverProfile } from "./profile.js";
+import { RESULT_KINDS, buildResultsMatrix, buildPositionMatrix } from "./matrix.js";
+import { PALETTE, niceTicks, seriesStyles, labelStep, eventAxisLabel, eventTitle } from "./charts.js";
+import { afterRoundLabel, standingsGraphic, framedChart } from "./graphic.js";
+import { PREDICTION_POINTS, predictionLock, isLocked, raceOutcome, predictionLeague } from "./predictions.js";
+import { emptyRoster, ROSTER_KINDS, identityByName, linkByName, careerStats } from "./alltime.js";
+import { EVENT_STATUSES, sessionSpan, isValidTimeZone, sortEventsByTime, eventStatuses, nextSession, formatCountdown, monthWeeks, toICS } from "./calendar.js";
+import { CALENDAR_TEMPLATES, GRID_TEMPLATES, calendarEvents, gridEntries, cloneSeason, templateCircuits } from "./templates.js";
+import { parseLapsText, formatLapTime, lapChart, gapsToLeader, fastestLap, lapStats, applyFastestLap } from "./laps.js";
+import { COUNTRY_CODES, countryCode, countryName, flagOf, suggestCode, driverIssues, driverEditIssues, teamIssues, teamShortName } from "./entrants.js";
+import { weekendsOf, raceDistance, circuitHistory, mostWins } from "./circuits.js";
+import { TABS, parseRoute, routePath, hrefFor, navigate, usePath, blockNavigation } from "./routes.js";
+import { SYNC_STATUSES, syncClient, syncSeason, sameSnapshot, resolveConflicts } from "./sync.js";
 
 /**
- * F1 Season Tracker — Multi-Season + Analytics (localStorage)
- * - Seasons: create/rename/delete/switch
- * - Teams/Drivers/Events/Results per season
- * - Analytics: averages, podiums, DNFs, team totals, cumulative trends (inline SVG)
+ * F1 Season Tracker — Multi-Season + Analytics (IndexedDB, synced between tabs)
+ * - Seasons: create (empty, cloned or from a bundled template)/rename/delete/switch, versioned export/import with merge, full backup/restore
+ * - Routes for every tab, event and driver (/season/:id/…), with back/forward navigation
+ * - Teams/Drivers/Events/Results per season; drivers with car numbers, three-letter codes and ISO countries (flags), teams with full and short names, engine and base
+ * - Events as a table, month calendar, timeline or race weekends, with status, countdown and .ics export
+ * - Circuits shared by all seasons, with a page of winners and pole-sitters at each venue
+ * - Points rules per season (presets or custom tables)
+ * - Undo/redo (Ctrl+Z / Ctrl+Shift+Z) and a per-season change log with restore points
+ * - Scenarios: maximum achievable points, elimination, clinch conditions, what-if results
+ * - Results matrix (drivers × races) and championship position after every round
+ * - Lap times per race from CSV: lap chart, gaps to the leader, pit stops and race pace; they set the fastest lap
+ * - PNG/SVG graphics of standings and charts, and a printable season report
+ * - All-time roster linking drivers/teams across seasons, with career statistics
+ * - Prediction league: players predict each race before it locks and are scored on the results
+ * - Optional sync server (server/): shared seasons, offline edits pushed later, conflicting edits reviewed item by item
+ * - Analytics: averages, podiums, DNFs, team totals, cumulative trends and a bump chart (inline SVG,
+ *   team colours, tooltips, legend toggles, driver/team picker)
  */
 
 const uid = () => Math.random().toString(36).slice(2, 9) + Date.now().toString(36).slice(-3);
 const toISODate = (d) => new Date(d).toISOString().slice(0, 10);
 
-const RACE_POINTS = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
-const SPRINT_POINTS = [8, 7, 6, 5, 4, 3, 2, 1];
-
-const computePointsFor = (position, type) =>
-  type === "Sprint"
-    ? position >= 1 && position <= SPRINT_POINTS.length ? SPRINT_POINTS[position - 1] : 0
-    : position >= 1 && position <= RACE_POINTS.length ? RACE_POINTS[position - 1] : 0;
-
+// ---------- display helpers ----------
 const classNames = (...xs) => xs.filter(Boolean).join(" ");
+const formatStint = (s, teamById) =>
+  `${teamById[s.teamId]?.name || "—"} R${s.fromRound ?? 1}${s.toRound == null ? "–" : s.toRound === s.fromRound ? "" : `–R${s.toRound}`}`;
+
+// In-app link: a real href (new tab, copy link) that navigates without reloading on a plain click.
+function Link({ to, children, ...props }) {
+  const onClick = (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+  return <a href={hrefFor(to)} onClick={onClick} {...props}>{children}</a>;
+}
 
 // ---------- storage helpers ----------
+// State persisted under `key` (see storage.js). Nothing is written until the stored value has been
+// read, and writes from other tabs replace the local state. The third value is false while loading.
 function useStoredState(key, initial) {
-  const [state, setState] = useState(() => {
-    try { const raw = localStorage.getItem(key); return raw ? JSON.parse(raw) : initial; }
-    catch { return initial; }
-  });
-  useEffect(() => { try { localStorage.setItem(key, JSON.stringify(state)); } catch {} }, [key, state]);
-  return [state, setState];
-}
-function useSeasonedState(seasonId, baseKey, initial) {
-  const key = `${baseKey}_${seasonId || "no-season"}`;
   const [state, setState] = useState(initial);
+  const [loadedKey, setLoadedKey] = useState(null);
+  const synced = useRef(undefined); // the value storage holds, to avoid writing it back
   useEffect(() => {
-    try { const raw = localStorage.getItem(key); setState(raw ? JSON.parse(raw) : initial); }
-    catch { setState(initial); }
+    let live = true;
+    getItem(key).then(value => {
+      if (!live) return;
+      synced.current = value ?? initial;
+      setState(synced.current);
+      setLoadedKey(key);
+    });
+    const unsubscribe = subscribe(key, value => { synced.current = value ?? initial; setState(synced.current); });
+    return () => { live = false; unsubscribe(); };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [key]);
-  useEffect(() => { try { localStorage.setItem(key, JSON.stringify(state)); } catch {} }, [key, state]);
-  return [state, setState];
+  useEffect(() => {
+    if (loadedKey !== key || state === synced.current) return;
+    synced.current = state;
+    setItem(key, state);
+  }, [key, loadedKey, state]);
+  return [state, setState, loadedKey === key];
 }
+const useSeasonedState = (seasonId, baseKey, initial) => useStoredState(`${baseKey}_${seasonId || "no-season"}`, initial);
 
-// ---------- scoring helpers for Analytics ----------
-function sortEventsByRound(events) {
-  return [...events].sort((a,b) => (a.round ?? 0) - (b.round ?? 0));
-}
-function groupResultsByEvent(results) {
-  const m = new Map();
-  for (const r of results) {
-    if (!m.has(r.eventId)) m.set(r.eventId, []);
-    m.get(r.eventId).push(r);
-  }
-  return m;
-}
-function scoreEventEntries(event, entries) {
-  return entries
-    .slice()
-    .sort((a,b)=>a.position-b.position)
-    .map(r => {
-      const base = r.status === 'FIN' ? computePointsFor(r.position, event.type) : 0;
-      const fl = (event.type === 'GP' && r.fastestLap && r.position <= 10) ? 1 : 0;
-      return { driverId: r.driverId, pts: base + fl, pos: r.position, status: r.status, fastestLapApplied: !!fl };
-    });
-}
+// Direct access to a season's stored collections, for seasons other than the active one.
+const readSeasonData = async (seasonId) => Object.fromEntries(await Promise.all(
+  COLLECTIONS.map(async kind => [kind, (await getItem(`f1_${kind}_${seasonId}`)) || []])
+));
+const writeSeasonData = (seasonId, data) =>
+  Promise.all(COLLECTIONS.map(kind => setItem(`f1_${kind}_${seasonId}`, data[kind] || [])));
+const removeSeasonData = (seasonId) =>
+  Promise.all([...COLLECTIONS, "history", "sync"].map(kind => removeItem(`f1_${kind}_${seasonId}`)));
 
 // ---------- App ----------
 export default function App() {
   // seasons meta
-  const [meta, setMeta] = useStoredState("f1_seasons_meta", { seasons: [], activeId: "" });
+  const [meta, setMeta, metaLoaded] = useStoredState("f1_seasons_meta", { seasons: [], activeId: "" });
 
-  // migrate legacy single-season keys on first run
+  // First run, or the last season was deleted: start "Season 1", adopting any data saved under the
+  // single-season keys of older versions.
+  const creatingSeason = useRef(false);
   useEffect(() => {
-    if (meta.seasons && meta.seasons.length) return;
-    const legacyKeys = ["f1_teams","f1_drivers","f1_events","f1_results"];
-    const legacy = legacyKeys.map(k => { try { return JSON.parse(localStorage.getItem(k)||"null"); } catch { return null; }});
+    if (!metaLoaded || meta.seasons?.length || creatingSeason.current) return;
+    creatingSeason.current = true;
     const id = uid();
-    setMeta({ seasons: [{ id, name: "Season 1" }], activeId: id });
-    ["teams","drivers","events","results"].forEach((name,i)=>{
-      const data = legacy[i]; if (data) localStorage.setItem(`f1_${name}_${id}`, JSON.stringify(data));
+    Promise.all(COLLECTIONS.map(async kind => {
+      const legacy = await getItem(`f1_${kind}`);
+      if (legacy) { await setItem(`f1_${kind}_${id}`, legacy); await removeItem(`f1_${kind}`); }
+    })).then(() => {
+      creatingSeason.current = false;
+      setMeta({ seasons: [{ id, name: "Season 1" }], activeId: id });
     });
-    legacyKeys.forEach(k => localStorage.removeItem(k));
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [metaLoaded, meta.seasons?.length]);
+  const [roster, setRoster] = useStoredState("f1_roster", emptyRoster());
+  const [circuits, setCircuits] = useStoredState("f1_circuits", []);
+  const [storageError, setStorageError] = useState(null);
+  useEffect(() => onStorageError(setStorageError), []);
+
+  // the season in the URL, else the last one opened
+  const route = parseRoute(usePath());
+  const activeSeason = meta.seasons.find(s => s.id === route.seasonId)
+    || meta.seasons.find(s => s.id === meta.activeId) || meta.seasons[0];
   useEffect(() => {
-    if (!meta.seasons?.length) {
-      const id = uid();
-      setMeta({ seasons: [{ id, name: "Season 1" }], activeId: id });
-    }
-  }, [meta.seasons?.length]);
-
-  const activeSeason = meta.seasons.find(s => s.id === meta.activeId) || meta.seasons[0];
+    if (!metaLoaded || !activeSeason) return;
+    if (route.seasonId !== activeSeason.id) navigate(routePath({ ...route, seasonId: activeSeason.id }), { replace: true });
+    if (meta.activeId !== activeSeason.id) setMeta(m => ({ ...m, activeId: activeSeason.id }));
+  });
+  const rules = useMemo(() => rulesFor(activeSeason), [activeSeason]);
 
   // season-scoped data
-  const [teams, setTeams] = useSeasonedState(activeSeason?.id, "f1_teams", []);
-  const [drivers, setDrivers] = useSeasonedState(activeSeason?.id, "f1_drivers", []);
-  const [events, setEvents] = useSeasonedState(activeSeason?.id, "f1_events", []);
-  const [results, setResults] = useSeasonedState(activeSeason?.id, "f1_results", []);
-  const [tab, setTab] = useStoredState("f1_tab", "Standings");
+  const [teams, setTeams, teamsLoaded] = useSeasonedState(activeSeason?.id, "f1_teams", []);
+  const [drivers, setDrivers, driversLoaded] = useSeasonedState(activeSeason?.id, "f1_drivers", []);
+  const [events, setEvents, eventsLoaded] = useSeasonedState(activeSeason?.id, "f1_events", []);
+  const [results, setResults, resultsLoaded] = useSeasonedState(activeSeason?.id, "f1_results", []);
+  const [laps, setLaps, lapsLoaded] = useSeasonedState(activeSeason?.id, "f1_laps", []);
+  const [players, setPlayers, playersLoaded] = useSeasonedState(activeSeason?.id, "f1_players", []);
+  const [predictions, setPredictions, predictionsLoaded] = useSeasonedState(activeSeason?.id, "f1_predictions", []);
+  const [history, setHistory] = useSeasonedState(activeSeason?.id, "f1_history", emptyHistory());
+  const showTab = (tab, seasonId = activeSeason?.id) => navigate(routePath({ seasonId, tab }));
+  const [pendingImport, setPendingImport] = useState(null);
+  const [newSeason, setNewSeason] = useState(false);
+  const [printing, setPrinting] = useState(false);
+  const endPrint = useCallback(() => setPrinting(false), []);
 
   const teamById = useMemo(() => Object.fromEntries(teams.map(t => [t.id, t])), [teams]);
-  const driverById = useMemo(() => Object.fromEntries(drivers.map(d => [d.id, d])), [drivers]);
-
-  const standings = useMemo(
-    () => buildStandings({ drivers, teams, events, results, driverById }),
-    [drivers, teams, events, results, driverById]
+  // practice sessions are on the calendar but take no results
+  const scoredEvents = useMemo(() => events.filter(e => !isPractice(e)), [events]);
+
+  // first round without any results: where a transfer made today takes effect
+  const nextRound = useMemo(() => {
+    const scored = new Set(results.map(r => r.eventId));
+    return Math.max(0, ...events.filter(e => scored.has(e.id)).map(e => e.round ?? 0)) + 1;
+  }, [events, results]);
+
+  // one scoring pass shared by Standings and Analytics
+  const season = useMemo(
+    () => scoreSeason({ drivers, teams, events, results, rules }),
+    [drivers, teams, events, results, rules]
   );
 
-  // CRUD
-  const addTeam = (team) => setTeams(prev => [...prev, { id: uid(), color: "", ...team }]);
-  const updateTeam = (id, patch) => setTeams(prev => prev.map(t => t.id === id ? { ...t, ...patch } : t));
-  const deleteTeam = (id) => { setTeams(prev => prev.filter(t => t.id !== id)); setDrivers(prev => prev.map(d => d.teamId === id ? { ...d, teamId: "" } : d)); };
+  // Every season edit goes through change(): `fn` gets the current collections and returns the ones it
+  // replaces. The previous values are recorded for undo and the change log. Besides the collections,
+  // `season` (its name and rules) and the shared `circuits` can be changed this way.
+  const data = { teams, drivers, events, results, laps, players, predictions };
+  const editable = { ...data, season: activeSeason, circuits };
+  const setData = (next) => {
+    if (next.season && next.season !== activeSeason) setMeta(m => ({ ...m, seasons: m.seasons.map(s => s.id === next.season.id ? next.season : s) }));
+    if (next.circuits && next.circuits !== circuits) setCircuits(next.circuits);
+    if (next.teams !== teams) setTeams(next.teams);
+    if (next.drivers !== drivers) setDrivers(next.drivers);
+    if (next.events !== events) setEvents(next.events);
+    if (next.results !== results) setResults(next.results);
+    if (next.laps !== laps) setLaps(next.laps || []);
+    if (next.players !== players) setPlayers(next.players || []);
+    if (next.predictions !== predictions) setPredictions(next.predictions || []);
+  };
+  const change = (label, fn, coalesce) => {
+    const next = { ...editable, ...fn(editable) };
+    setData(next);
+    setHistory(h => record(h, { label, coalesce }, editable, next));
+  };
+  const applyHistory = (step) => {
+    if (!step) return;
+    setData(step.data);
+    setHistory(step.history);
+  };
+  const undoChange = () => applyHistory(undo(history, editable));
+  const redoChange = () => applyHistory(redo(history, editable));
+  const restoreChange = (index) => applyHistory(restoreTo(history, index, editable));
 
-  const addDriver = (driver) => setDrivers(prev => [...prev, { id: uid(), country: "", teamId: "", ...driver }]);
-  const updateDriver = (id, patch) => setDrivers(prev => prev.map(d => d.id === id ? { ...d, ...patch } : d));
-  const deleteDriver = (id) => setDrivers(prev => prev.filter(d => d.id !== id));
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y); form fields keep their own text undo
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) { e.preventDefault(); undoChange(); }
+      else if ((key === "z" && e.shiftKey) || key === "y") { e.preventDefault(); redoChange(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
 
-  const addEvent = (evt) => setEvents(prev => {
-    const round = evt.round ?? (prev.length + 1);
-    return [...prev, { id: uid(), date: toISODate(new Date()), type: "GP", ...evt, round }].sort((a,b)=>a.round-b.round);
+  const teamLabel = (id) => teamById[id]?.name || "no team";
+  const driverLabel = (id) => drivers.find(d => d.id === id)?.name || "driver";
+  const eventLabel = (id) => { const e = events.find(x => x.id === id); return e ? `R${e.round} ${e.name}` : "event"; };
+  const playerLabel = (id) => players.find(p => p.id === id)?.name || "player";
+
+  // CRUD
+  // new entries join the all-time identity of the same name, if there is one
+  const addTeam = (team) => change(`Team ${team.name} added`, ({ teams }) => ({
+    teams: [...teams, { id: uid(), color: "", rosterId: identityByName(roster.teams, team.name)?.id, ...team }],
+  }));
+  const updateTeam = (id, patch) => change(`Team ${teamLabel(id)} edited`,
+    ({ teams }) => ({ teams: teams.map(t => t.id === id ? { ...t, ...patch } : t) }), `team:${id}:${Object.keys(patch)}`);
+  const deleteTeam = (id) => change(`Team ${teamLabel(id)} deleted`, ({ teams, drivers }) => ({
+    teams: teams.filter(t => t.id !== id),
+    drivers: drivers.map(d => {
+      const stints = driverStints(d).filter(s => s.teamId !== id);
+      return { ...d, stints, teamId: currentTeamId(stints) };
+    }),
+  }));
+
+  const addDriver = (driver) => change(`Driver ${driver.name} added`, ({ drivers }) => {
+    const stints = driver.stints || (driver.teamId ? [{ teamId: driver.teamId, fromRound: 1, toRound: null }] : []);
+    const rosterId = identityByName(roster.drivers, driver.name)?.id;
+    return { drivers: [...drivers, { id: uid(), country: "", rosterId, ...driver, stints, teamId: currentTeamId(stints) }] };
   });
-  const updateEvent = (id, patch) => setEvents(prev => prev.map(e => e.id === id ? { ...e, ...patch } : e));
-  const deleteEvent = (id) => { setEvents(prev => prev.filter(e => e.id !== id)); setResults(prev => prev.filter(r => r.eventId !== id)); };
+  // Edits that would leave a clashing car number or code (see entrants.js) aren't saved.
+  const updateDriver = (id, patch) => {
+    const driver = drivers.find(d => d.id === id);
+    if (driver && Object.keys(driverEditIssues(driver, patch, drivers)).length) return;
+    change(patch.stints ? `Stints of ${driverLabel(id)} edited` : `Driver ${driverLabel(id)} edited`,
+      ({ drivers }) => ({ drivers: drivers.map(d => {
+        if (d.id !== id) return d;
+        return patch.stints ? { ...d, ...patch, teamId: currentTeamId(patch.stints) } : { ...d, ...patch };
+      }) }), `driver:${id}:${Object.keys(patch)}`);
+  };
+  // Move a driver to another team from `fromRound` on; earlier rounds keep counting for the old team.
+  const transferDriver = (id, teamId, fromRound) => change(`Driver ${driverLabel(id)} moved to ${teamLabel(teamId)} from R${fromRound}`,
+    ({ drivers }) => ({ drivers: drivers.map(d => {
+      if (d.id !== id) return d;
+      const stints = driverStints(d)
+        .filter(s => (s.fromRound ?? 1) < fromRound)
+        .map(s => (s.toRound == null || s.toRound >= fromRound) ? { ...s, toRound: fromRound - 1 } : s);
+      if (teamId) stints.push({ teamId, fromRound, toRound: null });
+      return { ...d, stints, teamId: currentTeamId(stints) };
+    }) }));
+  const deleteDriver = (id) => change(`Driver ${driverLabel(id)} deleted`, ({ drivers }) => ({ drivers: drivers.filter(d => d.id !== id) }));
+
+  const addEvent = (evt) => change(`Event ${evt.name} added`, ({ events }) => {
+    const race = evt.raceId && events.find(e => e.id === evt.raceId);
+    const round = evt.round ?? race?.round ?? (events.length + 1);
+    // a new session joins its weekend's circuit
+    const circuitId = evt.circuitId || events.find(e => e.round === round && e.circuitId)?.circuitId;
+    return { events: [...events, { id: uid(), date: toISODate(new Date()), type: "GP", ...(circuitId ? { circuitId } : {}), ...evt, round }].sort((a,b)=>a.round-b.round) };
+  });
+  const updateEvent = (id, patch) => change(`Event ${eventLabel(id)} edited`,
+    ({ events }) => ({ events: events.map(e => e.id === id ? { ...e, ...patch } : e) }), `event:${id}:${Object.keys(patch)}`);
+  const deleteEvent = (id) => change(`Event ${eventLabel(id)} deleted`, ({ events, results, laps, predictions }) => ({
+    events: events.filter(e => e.id !== id).map(e => e.raceId === id ? { ...e, raceId: "" } : e),
+    results: results.filter(r => r.eventId !== id),
+    laps: laps.filter(l => l.eventId !== id),
+    predictions: predictions.filter(p => p.eventId !== id),
+  }));
+
+  const setWeekendCircuit = (round, circuitId) => change(`Round ${round} moved to ${circuits.find(c => c.id === circuitId)?.name || "no circuit"}`,
+    ({ events }) => ({ events: events.map(e => e.round === round ? { ...e, circuitId } : e) }));
+
+  // Circuits are shared by every season; their edits are recorded in the active season's history.
+  // Deleting one unlinks it from all their events, which undo restores for the active season only.
+  const circuitLabel = (id) => circuits.find(c => c.id === id)?.name || "circuit";
+  const addCircuit = (circuit) => change(`Circuit ${circuit.name} added`, ({ circuits }) => ({
+    circuits: [...circuits, { id: uid(), country: "", length: null, laps: null, lapRecord: null, ...circuit }],
+  }));
+  const updateCircuit = (id, patch) => change(`Circuit ${circuitLabel(id)} edited`,
+    ({ circuits }) => ({ circuits: circuits.map(c => c.id === id ? { ...c, ...patch } : c) }), `circuit:${id}:${Object.keys(patch)}`);
+  const deleteCircuit = async (id) => {
+    if (!confirm(`Delete ${circuitLabel(id)}? Events at it in every season lose their circuit.`)) return;
+    for (const s of meta.seasons.filter(s => s.id !== activeSeason.id)) {
+      const stored = (await getItem(`f1_events_${s.id}`)) || [];
+      if (stored.some(e => e.circuitId === id)) await setItem(`f1_events_${s.id}`, stored.map(e => e.circuitId === id ? { ...e, circuitId: "" } : e));
+    }
+    change(`Circuit ${circuitLabel(id)} deleted`, ({ events, circuits }) => ({
+      circuits: circuits.filter(c => c.id !== id),
+      ...(events.some(e => e.circuitId === id) ? { events: events.map(e => e.circuitId === id ? { ...e, circuitId: "" } : e) } : {}),
+    }));
+  };
 
-  const bulkReplaceEventResults = (eventId, entries) =>
-    setResults(prev => normalizeResults([...prev.filter(r => r.eventId !== eventId), ...entries]));
+  // with lap times, the fastest lap always comes from them
+  const bulkReplaceEventResults = (eventId, entries) => change(`Results for ${eventLabel(eventId)} replaced`,
+    ({ results, laps }) => ({ results: applyFastestLap(normalizeResults([...results.filter(r => r.eventId !== eventId), ...entries]), eventId, laps.filter(l => l.eventId === eventId)) }));
+  const replaceEventLaps = (eventId, entries) => change(`Lap times for ${eventLabel(eventId)} ${entries.length ? "imported" : "removed"}`,
+    ({ results, laps }) => ({
+      laps: [...laps.filter(l => l.eventId !== eventId), ...entries],
+      results: applyFastestLap(results, eventId, entries),
+    }));
+
+  // prediction league
+  const addPlayer = (name) => change(`Player ${name} added`, ({ players }) => ({ players: [...players, { id: uid(), name }] }));
+  const renamePlayer = (id, name) => change(`Player ${playerLabel(id)} renamed`,
+    ({ players }) => ({ players: players.map(p => p.id === id ? { ...p, name } : p) }), `player:${id}`);
+  const deletePlayer = (id) => change(`Player ${playerLabel(id)} deleted`, ({ players, predictions }) => ({
+    players: players.filter(p => p.id !== id),
+    predictions: predictions.filter(p => p.playerId !== id),
+  }));
+  // Refused once the race is locked; the form is disabled by then, this guards a stale page.
+  const savePrediction = (eventId, playerId, patch) => {
+    const race = events.find(e => e.id === eventId);
+    if (!race || isLocked(race, events, Date.now())) { alert("Predictions for this race are locked."); return; }
+    change(`Prediction of ${playerLabel(playerId)} for ${eventLabel(eventId)}`, ({ predictions }) => {
+      const current = predictions.find(p => p.eventId === eventId && p.playerId === playerId);
+      const next = { ...(current || { id: uid(), eventId, playerId, podium: ["", "", ""], pole: "", fastestLap: "", dnfs: [] }), ...patch, submittedAt: new Date().toISOString() };
+      return { predictions: current ? predictions.map(p => p === current ? next : p) : [...predictions, next] };
+    }, `prediction:${eventId}:${playerId}`);
+  };
 
   const clearSeason = () => {
     if (!confirm(`Erase ALL data for "${activeSeason?.name}"?`)) return;
-    setTeams([]); setDrivers([]); setEvents([]); setResults([]); setTab("Standings");
+    change("Season reset", () => ({ teams: [], drivers: [], events: [], results: [], laps: [], players: [], predictions: [] }));
+    showTab("standings");
   };
 
   // seasons actions
-  const createSeason = () => {
-    const base = `Season ${meta.seasons.length + 1}`;
-    const name = prompt("New season name:", base) || base;
+  // source: { kind: "empty" } · { kind: "clone", seasonId, pick, years, clearResults } · { kind: "template", gridId, calendarId, qualifying, practice }
+  const createSeason = async ({ name, source }) => {
     const id = uid();
-    setMeta({ seasons: [...meta.seasons, { id, name }], activeId: id });
+    let seasonData = { teams: [], drivers: [], events: [], results: [] };
+    let rules;
+    if (source.kind === "clone") {
+      const from = meta.seasons.find(s => s.id === source.seasonId);
+      const fromData = from.id === activeSeason.id ? data : await readSeasonData(from.id);
+      seasonData = cloneSeason(fromData, source, uid);
+      rules = from.rules;
+    } else if (source.kind === "template") {
+      const grid = GRID_TEMPLATES.find(t => t.id === source.gridId);
+      const calendar = CALENDAR_TEMPLATES.find(t => t.id === source.calendarId);
+      const entries = grid ? gridEntries(grid, uid) : { teams: [], drivers: [] };
+      const venues = calendar ? templateCircuits(calendar, circuits, uid) : null;
+      if (venues) setCircuits(venues.circuits);
+      seasonData = {
+        teams: entries.teams.map(t => ({ ...t, rosterId: identityByName(roster.teams, t.name)?.id })),
+        drivers: entries.drivers.map(d => ({ ...d, rosterId: identityByName(roster.drivers, d.name)?.id })),
+        events: calendar ? calendarEvents(calendar, { ...source, circuitIds: venues.ids }, uid) : [],
+        results: [],
+      };
+    }
+    await writeSeasonData(id, seasonData);
+    setMeta({ seasons: [...meta.seasons, { id, name, ...(rules ? { rules } : {}) }], activeId: id });
+    setNewSeason(false);
+    showTab(seasonData.teams.length ? "standings" : "teams", id);
   };
   const renameSeason = () => {
     if (!activeSeason) return;
     const name = prompt("Rename season:", activeSeason.name);
     if (!name) return;
-    setMeta({ ...meta, seasons: meta.seasons.map(s => s.id === activeSeason.id ? { ...s, name } : s) });
+    change(`Season renamed to ${name}`, ({ season }) => ({ season: { ...season, name } }));
   };
-  const deleteSeason = () => {
+  const deleteSeason = async () => {
     if (!activeSeason) return;
     if (!confirm(`Delete "${activeSeason.name}" and all its data?`)) return;
-    ["teams","drivers","events","results"].forEach(kind => localStorage.removeItem(`f1_${kind}_${activeSeason.id}`));
+    await removeSeasonData(activeSeason.id);
     const seasons = meta.seasons.filter(s => s.id !== activeSeason.id);
     setMeta({ seasons, activeId: seasons[0]?.id || "" });
+    if (seasons[0]) showTab(route.tab, seasons[0].id);
+  };
+  const switchSeason = (id) => showTab(route.tab, id);
+  const updateRules = (patch) => {
+    if (!activeSeason) return;
+    change("Scoring rules edited", ({ season }) => ({ season: { ...season, rules: { ...rulesFor(season), ...patch } } }), `rules:${Object.keys(patch)}`);
+  };
+
+  // import / export
+  const openImport = async (fileInput) => {
+    const file = fileInput.files?.[0];
+    fileInput.value = "";
+    if (!file) return;
+    try { setPendingImport({ name: file.name, file: readFile(await file.text()) }); }
+    catch (e) { alert("Import failed: " + e.message); }
+  };
+  // mode: "replace" the active season, "merge" into it, or add the file as a "new" season
+  const applySeasonImport = async (file, mode) => {
+    const incoming = Object.fromEntries(COLLECTIONS.map(k => [k, file[k]]));
+    if (file.circuits) setCircuits(cs => [...cs, ...file.circuits.filter(c => !cs.some(x => x.id === c.id))]);
+    let seasonId = activeSeason.id;
+    if (mode === "merge") {
+      const { data: merged, added, warnings } = mergeSeason(data, incoming);
+      change(`Merged ${pendingImport.name}`, () => ({ ...merged, results: normalizeResults(merged.results) }));
+      alert(`Merged into "${activeSeason?.name}": ${COLLECTIONS.map(k => `${added[k]} ${k}`).join(", ")} added${warnings.map(w => `\n${w}`).join("")}`);
+    } else if (mode === "new") {
+      seasonId = uid();
+      await writeSeasonData(seasonId, { ...incoming, results: normalizeResults(incoming.results) });
+      const name = file.season?.name || `Season ${meta.seasons.length + 1}`;
+      setMeta({ seasons: [...meta.seasons, { id: seasonId, name, ...(file.season?.rules ? { rules: file.season.rules } : {}) }], activeId: seasonId });
+    } else {
+      change(`Replaced by ${pendingImport.name}`, ({ season }) => ({
+        ...incoming, results: normalizeResults(incoming.results),
+        ...(file.season?.rules ? { season: { ...season, rules: { ...rulesFor(season), ...file.season.rules } } } : {}),
+      }));
+    }
+    setPendingImport(null);
+    showTab("standings", seasonId);
+  };
+  // Replaces every stored season with the archive's.
+  const restoreArchive = async (file) => {
+    await Promise.all(meta.seasons.map(s => removeSeasonData(s.id)));
+    await Promise.all(file.seasons.map(s => writeSeasonData(s.season.id, { ...s, results: normalizeResults(s.results) })));
+    const seasons = file.seasons.map(s => s.season);
+    if (file.roster) setRoster(file.roster);
+    if (file.circuits) setCircuits(file.circuits);
+    const activeId = seasons.some(s => s.id === file.activeId) ? file.activeId : seasons[0]?.id || "";
+    const active = file.seasons.find(s => s.season.id === activeId);
+    if (active) setData({ ...active, results: normalizeResults(active.results) });
+    setHistory(emptyHistory());
+    setMeta({ seasons, activeId });
+    setPendingImport(null);
+    showTab("standings", activeId);
+  };
+  // all-time roster: `updates` are [{ id: seasonId, drivers?, teams? }] with new rosterId links
+  const applyRosterLinks = async (nextRoster, updates) => {
+    setRoster(nextRoster);
+    for (const u of updates) {
+      const patch = Object.fromEntries(ROSTER_KINDS.filter(k => u[k]).map(k => [k, u[k]]));
+      if (u.id === activeSeason.id) change("All-time roster links updated", () => patch);
+      else await Promise.all(Object.entries(patch).map(([kind, list]) => setItem(`f1_${kind}_${u.id}`, list)));
+    }
+  };
+
+  const backupAll = async () => {
+    const stored = Object.fromEntries(await Promise.all(meta.seasons.map(async s => [s.id, await readSeasonData(s.id)])));
+    // the active season's latest edits may still be on their way to storage
+    const file = archiveFile(meta, id => (id === activeSeason?.id ? data : stored[id]), roster, circuits);
+    downloadFile(`f1_backup_${toISODate(new Date())}.json`, JSON.stringify(file, null, 2), "application/json");
+  };
+
+  // sync server: the server settings are shared by all seasons; a season syncs once it has a sync
+  // state (see sync.js). Only the active season syncs, after edits, every 30 s and when back online.
+  const [syncConfig, setSyncConfig] = useStoredState("f1_sync", { url: "", token: "" });
+  const [syncState, setSyncState, syncLoaded] = useSeasonedState(activeSeason?.id, "f1_sync", null);
+  const [lastSync, setLastSync] = useState(null); // { seasonId, status, at?, error?, conflicts?, merged?, remote? }
+  const syncStatus = lastSync?.seasonId === activeSeason?.id ? lastSync : null;
+  const seasonLoaded = teamsLoaded && driversLoaded && eventsLoaded && resultsLoaded && lapsLoaded && playersLoaded && predictionsLoaded && syncLoaded;
+  const syncing = useRef(false);
+  const latest = useRef(null); // what the last render showed, to notice edits made while a sync was out
+  latest.current = { seasonId: activeSeason?.id, data };
+  const syncPending = useMemo(
+    () => !!syncState && !sameSnapshot({ season: activeSeason, data: { teams, drivers, events, results, laps, players, predictions } }, syncState.base),
+    [syncState, activeSeason, teams, drivers, events, results, laps, players, predictions]
+  );
+
+  const runSync = async () => {
+    if (!syncConfig.url || !syncState || !seasonLoaded || syncing.current || syncStatus?.status === "conflict") return;
+    syncing.current = true;
+    const id = activeSeason.id, started = data;
+    setLastSync(s => ({ ...(s?.seasonId === id ? s : {}), seasonId: id, status: "syncing" }));
+    const result = await syncSeason(syncClient(syncConfig), id, { season: activeSeason, data }, syncState);
+    syncing.current = false;
+    // Switched season or edited meanwhile: a finished push is recorded, a pull or conflict is redone
+    // next round from the newer state.
+    const switched = latest.current.seasonId !== id;
+    if (switched || COLLECTIONS.some(k => latest.current.data[k] !== started[k])) {
+      if (result.status === "synced" && !result.local) {
+        if (switched) setItem(`f1_sync_${id}`, result.state);
+        else setSyncState(result.state);
+      }
+      setLastSync(null);
+      return;
+    }
+    if (result.local) {
+      change("Changes from the sync server", () => ({ ...result.local.data, results: normalizeResults(result.local.data.results) }));
+      setMeta(m => ({ ...m, seasons: m.seasons.map(s => s.id === id ? { ...s, ...result.local.season } : s) }));
+    }
+    setSyncState(result.state);
+    setLastSync({ ...result, seasonId: id, at: Date.now() });
+  };
+  const runSyncRef = useRef(runSync);
+  runSyncRef.current = runSync;
+  useEffect(() => {
+    if (!syncConfig.url || !syncState) return;
+    const id = setTimeout(() => runSyncRef.current(), 1500);
+    return () => clearTimeout(id);
+  }, [syncConfig, syncState, seasonLoaded, syncPending, activeSeason?.id]);
+  useEffect(() => {
+    if (!syncConfig.url) return;
+    const sync = () => runSyncRef.current();
+    const id = setInterval(sync, 30000);
+    window.addEventListener("online", sync);
+    return () => { clearInterval(id); window.removeEventListener("online", sync); };
+  }, [syncConfig.url]);
+
+  const shareSeason = () => { setLastSync(null); setSyncState({ version: null, base: null }); };
+  const stopSharing = () => {
+    if (!confirm(`Stop syncing "${activeSeason.name}"? It stays on this device and on the server.`)) return;
+    setSyncState(null);
+    setLastSync(null);
+  };
+  // Both sides' edits are kept except where they clash, where `choices` picks mine or theirs.
+  const resolveSync = (choices) => {
+    const { conflicts, merged, remote } = syncStatus;
+    const resolved = resolveConflicts(merged, conflicts, choices);
+    change("Sync conflicts resolved", () => ({ ...resolved.data, results: normalizeResults(resolved.data.results) }));
+    setMeta(m => ({ ...m, seasons: m.seasons.map(s => s.id === activeSeason.id ? { ...s, ...resolved.season } : s) }));
+    setSyncState({ version: remote.version, base: { season: remote.season, data: remote.data } });
+    setLastSync(null);
+  };
+  // Adds a season from the server to this device, already synced.
+  const openServerSeason = async (id) => {
+    const remote = await syncClient(syncConfig).getSeason(id);
+    if (!remote) { alert("That season is no longer on the server."); return; }
+    await writeSeasonData(id, { ...remote.data, results: normalizeResults(remote.data.results) });
+    await setItem(`f1_sync_${id}`, { version: remote.version, base: { season: remote.season, data: remote.data } });
+    setMeta({ seasons: [...meta.seasons, { ...remote.season, id }], activeId: id });
+    showTab("standings", id);
   };
-  const switchSeason = (id) => setMeta({ ...meta, activeId: id });
+
+  if (!metaLoaded || !activeSeason) return <div className="p-6 text-neutral-500">Loading…</div>;
+  if (printing) return <SeasonReport seasonName={activeSeason.name} season={season} data={data} teamById={teamById} onDone={endPrint} />;
 
   return (
     <div className="min-h-screen bg-neutral-50 text-neutral-900">
@@ -163,46 +534,97 @@ export default function App() {
             <select className="border rounded-xl px-3 py-1.5" value={activeSeason?.id || ""} onChange={(e)=>switchSeason(e.target.value)}>
               {meta.seasons.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
             </select>
-            <button className="btn" onClick={createSeason}>+ New</button>
+            <button className="btn" onClick={() => setNewSeason(true)}>+ New</button>
             <button className="btn" onClick={renameSeason}>Rename</button>
             <button className="btn btn-danger" onClick={deleteSeason}>Delete</button>
+            {syncConfig.url && syncState && <SyncBadge status={syncStatus} pending={syncPending} seasonId={activeSeason.id} />}
           </div>
 
           <div className="ml-auto flex gap-2">
-            <button onClick={() => exportJSON(activeSeason, { teams, drivers, events, results })} className="btn">Export</button>
+            <button onClick={undoChange} disabled={!history.past.length} className="btn"
+                    title={history.past.length ? `Undo: ${history.past.at(-1).label}` : "Nothing to undo"}>Undo</button>
+            <button onClick={redoChange} disabled={!history.future.length} className="btn"
+                    title={history.future.length ? `Redo: ${history.future.at(-1).label}` : "Nothing to redo"}>Redo</button>
+            <button onClick={() => exportJSON(activeSeason, data, circuits)} className="btn">Export</button>
             <label className="btn cursor-pointer">
               Import
-              <input type="file" accept="application/json" className="hidden"
-                     onChange={e => e.target.files?.[0] &&
-                       importJSON(e.target.files[0], activeSeason, { setTeams, setDrivers, setEvents, setResults, setTab })}/>
+              <input type="file" accept="application/json,.json" className="hidden" onChange={e => openImport(e.target)}/>
             </label>
+            <button onClick={backupAll} className="btn" title="Download every season in one file">Backup all</button>
             <button onClick={clearSeason} className="btn btn-danger">Reset Season</button>
           </div>
         </div>
 
         <nav className="max-w-7xl mx-auto px-4 pb-2 flex gap-1 flex-wrap">
-          {['Standings','Events','Enter Results','Drivers','Teams','Analytics','Data'].map(t => (
-            <button key={t} onClick={()=>setTab(t)}
+          {TABS.map(t => (
+            <Link key={t.slug} to={routePath({ seasonId: activeSeason.id, tab: t.slug })}
               className={classNames("px-3 py-1.5 rounded-xl text-sm",
-                tab===t ? "bg-black text-white" : "hover:bg-neutral-100 border border-neutral-200")}>
-              {t}
-            </button>
+                route.tab===t.slug ? "bg-black text-white" : "hover:bg-neutral-100 border border-neutral-200")}>
+              {t.label}
+            </Link>
           ))}
         </nav>
       </header>
 
       <main className="max-w-7xl mx-auto px-4 py-6">
-        {tab === 'Teams' && <TeamsPanel teams={teams} addTeam={addTeam} updateTeam={updateTeam} deleteTeam={deleteTeam} />}
-        {tab === 'Drivers' && <DriversPanel drivers={drivers} teams={teams} addDriver={addDriver} updateDriver={updateDriver} deleteDriver={deleteDriver} />}
-        {tab === 'Events' && <EventsPanel events={events} updateEvent={updateEvent} deleteEvent={deleteEvent} addEvent={addEvent} />}
-        {tab === 'Enter Results' && <EnterResultsPanel events={events} drivers={drivers} results={results} bulkReplace={bulkReplaceEventResults} />}
-        {tab === 'Standings' && <StandingsPanel standings={standings} teamById={teamById} />}
-        {tab === 'Analytics' && <AnalyticsPanel drivers={drivers} teams={teams} events={events} results={results} />}
-        {tab === 'Data' && <DataPeek teams={teams} drivers={drivers} events={events} results={results} />}
+        {storageError && (
+          <div role="alert" className="mb-6 border border-red-200 bg-red-50 text-red-800 rounded-2xl px-4 py-3 flex items-center gap-3">
+            <span>
+              {storageError.action === "migrate" ? (
+                <><strong>Some saved data couldn't be read.</strong> {storageError.key} was left in localStorage as it was ({storageError.message}).</>
+              ) : (
+                <><strong>Changes are not being saved.</strong> {storageError.message} ({storageError.action} of {storageError.key}).
+                {" "}Export a backup, then free space by deleting old seasons.</>
+              )}
+            </span>
+            <button className="ml-auto btn" onClick={() => setStorageError(null)}>Dismiss</button>
+          </div>
+        )}
+        {newSeason && (
+          <NewSeasonDialog seasons={meta.seasons} activeSeason={activeSeason} onCreate={createSeason} onCancel={() => setNewSeason(false)} />
+        )}
+        {syncStatus?.status === "conflict" && <SyncConflicts key={syncStatus.at} status={syncStatus} onResolve={resolveSync} />}
+        {pendingImport && (
+          <ImportReview key={pendingImport.file.exportedAt + pendingImport.name} pending={pendingImport} activeSeason={activeSeason} seasons={meta.seasons}
+            current={data} circuits={circuits}
+            onSeasonImport={applySeasonImport} onRestore={restoreArchive} onCancel={() => setPendingImport(null)} />
+        )}
+        {route.tab === 'teams' && <TeamsPanel teams={teams} addTeam={addTeam} updateTeam={updateTeam} deleteTeam={deleteTeam} />}
+        {route.tab === 'drivers' && (route.driverId
+          ? <DriverPage driverId={route.driverId} seasonId={activeSeason.id} drivers={drivers} events={events} results={results} season={season} teamById={teamById} />
+          : <DriversPanel drivers={drivers} teams={teams} events={events} nextRound={nextRound} addDriver={addDriver} updateDriver={updateDriver} transferDriver={transferDriver} deleteDriver={deleteDriver} seasonId={activeSeason.id} />)}
+        {route.tab === 'events' && (route.eventId
+          ? <EventPage eventId={route.eventId} seasonId={activeSeason.id} seasonName={activeSeason.name} events={events} drivers={drivers} results={results} laps={laps} season={season} teamById={teamById} circuits={circuits} replaceLaps={replaceEventLaps} />
+          : <EventsPanel events={events} results={results} circuits={circuits} seasonName={activeSeason.name} updateEvent={updateEvent} deleteEvent={deleteEvent} addEvent={addEvent} setWeekendCircuit={setWeekendCircuit} seasonId={activeSeason.id} />)}
+        {route.tab === 'results' && (
+          <EnterResultsPanel events={scoredEvents} drivers={drivers} teams={teams} results={results} season={season} seasonName={activeSeason?.name} bulkReplace={bulkReplaceEventResults}
+            eventId={scoredEvents.some(e => e.id === route.eventId) ? route.eventId : scoredEvents[0]?.id || ""}
+            selectEvent={(eventId) => navigate(routePath({ seasonId: activeSeason.id, tab: "results", eventId }), { replace: true })} />
+        )}
+        {route.tab === 'standings' && <StandingsPanel standings={season} teamById={teamById} seasonId={activeSeason.id} seasonName={activeSeason.name} onPrint={() => setPrinting(true)} />}
+        {route.tab === 'matrix' && <MatrixPanel season={season} events={events} results={results} teamById={teamById} seasonId={activeSeason.id} />}
+        {route.tab === 'analytics' && <AnalyticsPanel drivers={drivers} teams={teams} events={events} results={results} season={season} seasonName={activeSeason.name} />}
+        {route.tab === 'scenarios' && <ScenariosPanel drivers={drivers} teams={teams} events={events} results={results} rules={rules} />}
+        {route.tab === 'predictions' && (
+          <PredictionsPanel players={players} predictions={predictions} events={events} results={results} drivers={drivers} seasonName={activeSeason.name}
+            addPlayer={addPlayer} renamePlayer={renamePlayer} deletePlayer={deletePlayer} savePrediction={savePrediction}
+            eventId={route.eventId} selectEvent={(eventId) => navigate(routePath({ seasonId: activeSeason.id, tab: "predictions", eventId }), { replace: true })} />
+        )}
+        {route.tab === 'circuits' && (route.circuitId
+          ? <CircuitPage circuitId={route.circuitId} circuits={circuits} seasons={meta.seasons} activeSeason={activeSeason} activeData={data} updateCircuit={updateCircuit} />
+          : <CircuitsPanel circuits={circuits} events={events} seasonId={activeSeason.id} addCircuit={addCircuit} updateCircuit={updateCircuit} deleteCircuit={deleteCircuit} />)}
+        {route.tab === 'alltime' && <AllTimePanel seasons={meta.seasons} activeSeason={activeSeason} activeData={data} roster={roster} setRoster={setRoster} applyLinks={applyRosterLinks} />}
+        {route.tab === 'rules' && <RulesPanel rules={rules} updateRules={updateRules} />}
+        {route.tab === 'data' && (
+          <DataPeek teams={teams} drivers={drivers} events={events} results={results} season={season} seasonName={activeSeason?.name} history={history} restoreChange={restoreChange}>
+            <SyncPanel config={syncConfig} setConfig={setSyncConfig} seasons={meta.seasons} activeSeason={activeSeason} syncState={syncState}
+              status={syncStatus} pending={syncPending} onShare={shareSeason} onStop={stopSharing} onSync={runSync} onOpen={openServerSeason} />
+          </DataPeek>
+        )}
 
         <footer className="mt-16 text-sm text-neutral-500">
           <p>Season: <span className="font-medium">{activeSeason?.name || "—"}</span></p>
-          <p>Points rules: GP [25,18,15,12,10,8,6,4,2,1], Sprint [8..1]. Fastest Lap +1 (GP, top-10 only).</p>
+          <p>Points rules ({POINTS_PRESETS[rules.preset]?.label || "Custom"}): {describeRules(rules)}</p>
         </footer>
       </main>
     </div>
@@ -213,6 +635,17 @@ export default function App() {
 function TeamsPanel({ teams, addTeam, updateTeam, deleteTeam }) {
   const [name, setName] = useState("");
   const [color, setColor] = useState("#111827");
+  const [details, setDetails] = useState({ shortName: "", fullName: "", engine: "", base: "" });
+  const draft = { name: name.trim(), ...Object.fromEntries(Object.entries(details).map(([k, v]) => [k, v.trim()])) };
+  const issues = name.trim() ? teamIssues(draft, teams) : {};
+  const detail = (key, placeholder) => (
+    <input className="px-3 py-2" placeholder={placeholder} value={details[key]} onChange={e=>setDetails({ ...details, [key]: e.target.value })} />
+  );
+  const submit = () => {
+    if (!draft.name || Object.keys(issues).length) return;
+    addTeam({ ...draft, color });
+    setName(""); setDetails({ shortName: "", fullName: "", engine: "", base: "" });
+  };
   return (
     <section className="space-y-6">
       <h2 className="text-lg font-semibold">Teams</h2>
@@ -221,25 +654,47 @@ function TeamsPanel({ teams, addTeam, updateTeam, deleteTeam }) {
           <h3 className="font-medium mb-3">Add Team</h3>
           <div className="flex flex-col gap-3">
             <input className="px-3 py-2" placeholder="Team name" value={name} onChange={e=>setName(e.target.value)} />
+            <div className="grid grid-cols-2 gap-2">
+              {detail("shortName", "Short name (e.g., Red Bull)")}
+              {detail("fullName", "Full name (optional)")}
+              {detail("engine", "Engine supplier")}
+              {detail("base", "Base (e.g., Woking)")}
+            </div>
             <div className="flex items-center gap-3">
               <input type="color" value={color} onChange={e=>setColor(e.target.value)} />
               <span className="text-sm text-neutral-600">Team color</span>
             </div>
-            <button onClick={()=>{ if(!name.trim()) return; addTeam({ name: name.trim(), color }); setName(""); }} className="btn btn-primary">Add Team</button>
+            <IssueList issues={issues} />
+            <button onClick={submit} disabled={Object.keys(issues).length > 0} className="btn btn-primary">Add Team</button>
           </div>
         </div>
 
         <div className="border rounded-2xl p-4 bg-white">
           <h3 className="font-medium mb-3">Current Teams</h3>
           <ul className="space-y-2">
-            {teams.map(t => (
-              <li key={t.id} className="flex items-center gap-3 p-2 rounded-xl border">
-                <span className="w-3 h-3 rounded" style={{background:t.color}} />
-                <input className="flex-1 bg-transparent" value={t.name} onChange={e=>updateTeam(t.id,{name:e.target.value})} />
-                <input type="color" value={t.color||"#111827"} onChange={e=>updateTeam(t.id,{color:e.target.value})} />
-                <button onClick={()=>deleteTeam(t.id)} className="btn btn-danger">Delete</button>
-              </li>
-            ))}
+            {teams.map(t => {
+              const problems = teamIssues(t, teams);
+              const field = (key, placeholder, width) => (
+                <input className={classNames(width, "bg-transparent", problems[key] && "border-red-400")} title={problems[key]} placeholder={placeholder}
+                  value={t[key] || ""} onChange={e=>updateTeam(t.id,{[key]:e.target.value})} />
+              );
+              return (
+                <li key={t.id} className="p-2 rounded-xl border space-y-1.5">
+                  <div className="flex items-center gap-3">
+                    <span className="w-3 h-3 rounded" style={{background:t.color}} />
+                    {field("name", "Team name", "flex-1")}
+                    {field("shortName", "Short name", "w-28")}
+                    <input type="color" value={t.color||"#111827"} onChange={e=>updateTeam(t.id,{color:e.target.value})} />
+                    <button onClick={()=>deleteTeam(t.id)} className="btn btn-danger">Delete</button>
+                  </div>
+                  <div className="flex flex-wrap gap-2 pl-6 text-xs">
+                    {field("fullName", "Full name", "flex-1 min-w-[10rem]")}
+                    {field("engine", "Engine", "w-28")}
+                    {field("base", "Base", "w-40")}
+                  </div>
+                </li>
+              );
+            })}
           </ul>
         </div>
       </div>
@@ -247,11 +702,67 @@ function TeamsPanel({ teams, addTeam, updateTeam, deleteTeam }) {
   );
 }
 
-function DriversPanel({ drivers, teams, addDriver, updateDriver, deleteDriver }) {
+// A driver's number or code, saved as typed while valid. An invalid draft stays on screen in red with
+// the reason and isn't saved; leaving the field puts the saved value back.
+function DriverField({ driver, drivers, field, parse, updateDriver, className, ...props }) {
+  const [draft, setDraft] = useState(null);
+  const value = draft ?? driver[field] ?? "";
+  const issue = driverEditIssues(driver, { [field]: parse(String(value)) }, drivers)[field];
+  const onChange = (e) => {
+    const next = parse(e.target.value);
+    setDraft(next ?? "");
+    if (!driverEditIssues(driver, { [field]: next }, drivers)[field]) updateDriver(driver.id, { [field]: next });
+  };
+  return <input {...props} className={classNames(className, issue && "border-red-400")} title={issue} value={value} onChange={onChange} onBlur={() => setDraft(null)} />;
+}
+
+// Validation messages of a form ({ field: message }), under its inputs.
+function IssueList({ issues }) {
+  const messages = Object.values(issues);
+  if (!messages.length) return null;
+  return <ul className="text-sm text-red-700 space-y-0.5">{messages.map(m => <li key={m}>{m}</li>)}</ul>;
+}
+
+const COUNTRY_OPTIONS = COUNTRY_CODES.map(c => [c, countryName(c)]).sort((a, b) => a[1].localeCompare(b[1]));
+
+// ISO country picker with flags. A country typed as text before codes shows as its code when it can be read.
+function CountrySelect({ value, onChange, className }) {
+  const code = countryCode(value);
+  return (
+    <select className={className} value={code || value || ""} onChange={e => onChange(e.target.value)}>
+      <option value="">— Country —</option>
+      {value && !code && <option value={value}>{value} (not a country code)</option>}
+      {COUNTRY_OPTIONS.map(([c, name]) => <option key={c} value={c}>{flagOf(c)} {name}</option>)}
+    </select>
+  );
+}
+
+function DriversPanel({ drivers, teams, events, nextRound, addDriver, updateDriver, transferDriver, deleteDriver, seasonId }) {
   const [name, setName] = useState("");
   const [country, setCountry] = useState("");
+  const [number, setNumber] = useState("");
+  const [code, setCode] = useState("");
   const [teamId, setTeamId] = useState(teams[0]?.id || "");
+  const [reserve, setReserve] = useState(false);
+  const [reserveEventId, setReserveEventId] = useState("");
   useEffect(()=>{ if (!teams.find(t=>t.id===teamId) && teams[0]) setTeamId(teams[0].id); }, [teams]);
+  const teamById = useMemo(() => Object.fromEntries(teams.map(t => [t.id, t])), [teams]);
+  const reserveRound = events.find(e => e.id === reserveEventId)?.round;
+  const suggested = suggestCode(name, drivers);
+  const entrant = { name: name.trim(), country, number: numberOrNull(number), code: code || suggested };
+  const issues = name.trim() ? driverIssues(entrant, drivers) : {};
+
+  const submit = () => {
+    if (!name.trim() || Object.keys(issues).length) return;
+    if (reserve) {
+      if (reserveRound == null) { alert("Pick the event the substitute drives in."); return; }
+      addDriver({ ...entrant, reserve: true, stints: teamId ? [{ teamId, fromRound: reserveRound, toRound: reserveRound }] : [] });
+    } else {
+      addDriver({ ...entrant, teamId });
+    }
+    setName(""); setCountry(""); setNumber(""); setCode("");
+  };
+  const codeInput = (v) => v.toUpperCase().replace(/[^A-Z]/g, "").slice(0, 3);
 
   return (
     <section className="space-y-6">
@@ -262,41 +773,80 @@ function DriversPanel({ drivers, teams, addDriver, updateDriver, deleteDriver })
           <h3 className="font-medium mb-3">Add Driver</h3>
           <div className="flex flex-col gap-3">
             <input className="px-3 py-2" placeholder="Driver name" value={name} onChange={e=>setName(e.target.value)} />
-            <input className="px-3 py-2" placeholder="Country (optional)" value={country} onChange={e=>setCountry(e.target.value)} />
+            <div className="flex flex-wrap gap-2">
+              <input type="number" min="0" max="99" className="px-3 py-2 w-24" placeholder="No." value={number} onChange={e=>setNumber(e.target.value)} title="Permanent car number, 0–99" />
+              <input className="px-3 py-2 w-24 font-mono uppercase" placeholder={suggested || "Code"} value={code} onChange={e=>setCode(codeInput(e.target.value))}
+                title={suggested ? `Three-letter code; ${suggested} if left empty` : "Three-letter code"} />
+              <CountrySelect className="px-3 py-2 flex-1" value={country} onChange={setCountry} />
+            </div>
             <select className="px-3 py-2" value={teamId} onChange={e=>setTeamId(e.target.value)}>
               <option value="">— No Team —</option>
               {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
             </select>
-            <button onClick={()=>{ if(!name.trim()) return; addDriver({ name: name.trim(), country: country.trim(), teamId }); setName(""); setCountry(""); }} className="btn btn-primary self-start">Add Driver</button>
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={reserve} onChange={e=>setReserve(e.target.checked)} />
+              Reserve / substitute for a single event
+            </label>
+            {reserve && (
+              <select className="px-3 py-2" value={reserveEventId} onChange={e=>setReserveEventId(e.target.value)}>
+                <option value="">— Event —</option>
+                {events.map(e => <option key={e.id} value={e.id}>{`R${e.round ?? '?'} — ${e.name} (${e.type})`}</option>)}
+              </select>
+            )}
+            <IssueList issues={issues} />
+            <button onClick={submit} disabled={Object.keys(issues).length > 0} className="btn btn-primary self-start">Add Driver</button>
           </div>
         </div>
 
         {/* Current Drivers */}
         <div className="border rounded-2xl p-4 bg-white">
           <h3 className="font-medium mb-3">Current Drivers</h3>
+          <p className="text-xs text-neutral-500 mb-2">Changing a team transfers the driver from round {nextRound} on; earlier points stay with the old team.</p>
           <table className="table-auto w-full text-sm">
             <thead>
               <tr className="text-left border-b">
                 <th>Driver</th>
+                <th title="Car number">No.</th>
+                <th>Code</th>
                 <th>Country</th>
                 <th>Team</th>
                 <th className="text-right">Actions</th>
               </tr>
             </thead>
             <tbody>
-              {drivers.map(d => (
-                <tr key={d.id}>
-                  <td className="min-w-[10rem]"><input className="w-full px-2 py-1" value={d.name} onChange={e=>updateDriver(d.id,{name:e.target.value})} /></td>
-                  <td className="min-w-[8rem]"><input className="w-full px-2 py-1" value={d.country||""} onChange={e=>updateDriver(d.id,{country:e.target.value})} /></td>
-                  <td className="min-w-[10rem]">
-                    <select className="w-full px-2 py-1" value={d.teamId||""} onChange={e=>updateDriver(d.id,{teamId:e.target.value})}>
-                      <option value="">— No Team —</option>
-                      {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
-                    </select>
-                  </td>
-                  <td className="text-right w-[5rem]"><button onClick={()=>deleteDriver(d.id)} className="btn btn-danger">Delete</button></td>
-                </tr>
-              ))}
+              {drivers.map(d => {
+                const problems = driverIssues(d, drivers);
+                return (
+                <React.Fragment key={d.id}>
+                  <tr>
+                    <td className="min-w-[10rem]"><input className="w-full px-2 py-1" value={d.name} onChange={e=>updateDriver(d.id,{name:e.target.value})} /></td>
+                    <td><DriverField type="number" min="0" max="99" className="w-16 px-2 py-1" driver={d} drivers={drivers} field="number"
+                      parse={numberOrNull} updateDriver={updateDriver} /></td>
+                    <td><DriverField className="w-16 px-2 py-1 font-mono uppercase" placeholder={driverCode(d)} driver={d} drivers={drivers} field="code"
+                      parse={codeInput} updateDriver={updateDriver} /></td>
+                    <td className="min-w-[8rem]">
+                      <CountrySelect className={classNames("w-full px-2 py-1", problems.country && "border-red-400")} value={d.country || ""} onChange={country=>updateDriver(d.id,{country})} />
+                    </td>
+                    <td className="min-w-[10rem]">
+                      <select className="w-full px-2 py-1" value={d.teamId||""} onChange={e=>transferDriver(d.id, e.target.value, nextRound)}>
+                        <option value="">— No Team —</option>
+                        {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                      </select>
+                    </td>
+                    <td className="text-right whitespace-nowrap">
+                      <Link to={routePath({ seasonId, tab: "drivers", driverId: d.id })} className="btn mr-2">Open</Link>
+                      <button onClick={()=>deleteDriver(d.id)} className="btn btn-danger">Delete</button>
+                    </td>
+                  </tr>
+                  <tr className="border-b last:border-0">
+                    <td colSpan={6} className="pb-2">
+                      <StintHistory driver={d} teams={teams} teamById={teamById} updateDriver={updateDriver} />
+                      {Object.keys(problems).length > 0 && <div className="text-xs text-red-700">{Object.values(problems).join(" · ")}</div>}
+                    </td>
+                  </tr>
+                </React.Fragment>
+                );
+              })}
             </tbody>
           </table>
         </div>
@@ -306,31 +856,147 @@ function DriversPanel({ drivers, teams, addDriver, updateDriver, deleteDriver })
   );
 }
 
-function EventsPanel({ events, addEvent, updateEvent, deleteEvent }) {
+function StintHistory({ driver, teams, teamById, updateDriver }) {
+  const [editing, setEditing] = useState(false);
+  const stints = driverStints(driver);
+  const setStints = (next) => updateDriver(driver.id, { stints: next });
+  const patchStint = (i, patch) => setStints(stints.map((s, j) => j === i ? { ...s, ...patch } : s));
+  const roundInput = (v) => v === "" ? null : Math.max(1, Number(v) || 1);
+
+  return (
+    <div className="text-xs text-neutral-600">
+      <div className="flex flex-wrap items-center gap-2">
+        {driver.reserve && <span className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-800">Reserve</span>}
+        <span>{stints.length ? stints.map(s => formatStint(s, teamById)).join(" · ") : "No team history"}</span>
+        <button className="underline" onClick={()=>setEditing(v=>!v)}>{editing ? "Done" : "Edit stints"}</button>
+      </div>
+      {editing && (
+        <div className="mt-2 flex flex-col gap-1">
+          {stints.map((s, i) => (
+            <div key={i} className="flex items-center gap-2">
+              <select className="px-2 py-1" value={s.teamId} onChange={e=>patchStint(i, { teamId: e.target.value })}>
+                {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+              </select>
+              <span>from R</span>
+              <input type="number" min="1" className="w-16 px-2 py-1" value={s.fromRound ?? 1} onChange={e=>patchStint(i, { fromRound: roundInput(e.target.value) ?? 1 })} />
+              <span>to R</span>
+              <input type="number" min="1" className="w-16 px-2 py-1" placeholder="open" value={s.toRound ?? ""} onChange={e=>patchStint(i, { toRound: roundInput(e.target.value) })} />
+              <button className="btn btn-danger" onClick={()=>setStints(stints.filter((_, j) => j !== i))}>Remove</button>
+            </div>
+          ))}
+          {teams.length > 0 && (
+            <button className="btn self-start" onClick={()=>setStints([...stints, { teamId: teams[0].id, fromRound: 1, toRound: null }])}>+ Stint</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const STATUS_STYLES = {
+  completed: "bg-emerald-100 text-emerald-800",
+  due: "bg-amber-100 text-amber-800",
+  next: "bg-black text-white",
+  upcoming: "bg-neutral-100 text-neutral-700",
+};
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const TIME_ZONES = Intl.supportedValuesOf?.("timeZone") || [];
+
+// Session start in a zone (the circuit's by default), e.g. "Sun 16 Mar, 15:00 GMT+11"; all-day events show the date only.
+function formatSession(event, timeZone = event.timeZone) {
+  const span = sessionSpan(event);
+  if (!span) return "No date";
+  if (span.allDay) return new Date(span.start).toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short", timeZone: "UTC" });
+  return new Date(span.start).toLocaleString(undefined, {
+    weekday: "short", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit", timeZoneName: "short",
+    timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : "UTC",
+  });
+}
+
+// Current time, refreshed every `interval` ms.
+function useNow(interval = 30000) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(id);
+  }, [interval]);
+  return now;
+}
+
+const StatusBadge = ({ status }) => (
+  <span className={classNames("px-2 py-0.5 rounded-full text-xs whitespace-nowrap", STATUS_STYLES[status])}>{EVENT_STATUSES[status]}</span>
+);
+
+function EventsPanel({ events, results, circuits, addEvent, updateEvent, deleteEvent, setWeekendCircuit, seasonId, seasonName }) {
   const [name, setName] = useState("");
   const [type, setType] = useState("GP");
   const [date, setDate] = useState(toISODate(new Date()));
+  const [time, setTime] = useState("");
+  const [timeZone, setTimeZone] = useState(LOCAL_TIME_ZONE);
+  const [raceId, setRaceId] = useState("");
+  const [circuitId, setCircuitId] = useState("");
+  const [view, setView] = useState("table");
+  const racesFor = (sessionType) => events.filter(e => e.type === QUALI_FOR[sessionType]);
+  const now = useNow();
+  const statuses = useMemo(() => eventStatuses(events, results, now), [events, results, now]);
+  const upcoming = nextSession(events, now);
 
   return (
     <section className="space-y-6">
-      <h2 className="text-lg font-semibold">Events (Grand Prix & Sprints)</h2>
+      <div className="flex flex-wrap items-center gap-3">
+        <h2 className="text-lg font-semibold">Events (Grand Prix, Sprints, Qualifying & Practice)</h2>
+        <div className="ml-auto flex gap-1">
+          {[["table", "Table"], ["weekends", "Weekends"], ["calendar", "Calendar"], ["timeline", "Timeline"]].map(([value, label]) => (
+            <button key={value} onClick={() => setView(value)} className={classNames("btn", view === value && "bg-black text-white")}>{label}</button>
+          ))}
+        </div>
+        <button className="btn" onClick={() => exportICS(seasonName, events)} title="Download the calendar as an .ics file for Google Calendar, Outlook or Apple Calendar">Export .ics</button>
+      </div>
+      {upcoming && (
+        <div className="border rounded-2xl p-4 bg-white flex flex-wrap items-baseline gap-x-3">
+          <span className="text-sm text-neutral-500">Next session</span>
+          <Link to={routePath({ seasonId, tab: "events", eventId: upcoming.id })} className="font-semibold hover:underline">R{upcoming.round ?? "?"} {upcoming.name} — {upcoming.type}</Link>
+          <span className="text-2xl font-bold tabular-nums">{formatCountdown(sessionSpan(upcoming).start - now)}</span>
+          <span className="text-sm text-neutral-600">
+            {formatSession(upcoming)}
+            {upcoming.time && upcoming.timeZone !== LOCAL_TIME_ZONE && ` · ${formatSession(upcoming, LOCAL_TIME_ZONE)} your time`}
+          </span>
+        </div>
+      )}
+      <datalist id="time-zones">{TIME_ZONES.map(z => <option key={z} value={z} />)}</datalist>
+
+      {view === "calendar" && <EventCalendar events={events} statuses={statuses} seasonId={seasonId} initial={upcoming?.date || events[0]?.date} />}
+      {view === "timeline" && <EventTimeline events={events} statuses={statuses} seasonId={seasonId} now={now} />}
+      {view === "weekends" && <EventWeekends events={events} circuits={circuits} statuses={statuses} seasonId={seasonId} setWeekendCircuit={setWeekendCircuit} />}
+      {view === "table" && (
       <div className="grid md:grid-cols-2 gap-4">
         <div className="border rounded-2xl p-4 bg-white">
           <h3 className="font-medium mb-3">Add Event</h3>
           <div className="flex flex-col gap-3">
             <input className="px-3 py-2" placeholder="Event name (e.g., Australian GP)" value={name} onChange={e=>setName(e.target.value)} />
-            <div className="flex gap-2">
-              <select className="px-3 py-2" value={type} onChange={e=>setType(e.target.value)}>
-                <option>GP</option>
-                <option>Sprint</option>
+            <div className="flex flex-wrap gap-2">
+              <select className="px-3 py-2" value={type} onChange={e=>{ setType(e.target.value); setRaceId(""); }}>
+                {EVENT_TYPES.map(t => <option key={t}>{t}</option>)}
               </select>
               <input type="date" className="px-3 py-2" value={date} onChange={e=>setDate(e.target.value)} />
+              <input type="time" className="px-3 py-2" value={time} onChange={e=>setTime(e.target.value)} title="Local start time at the circuit (leave empty for an all-day event)" />
+              <input className="px-3 py-2" list="time-zones" value={timeZone} onChange={e=>setTimeZone(e.target.value)} placeholder="Time zone" title="Circuit time zone, e.g. Australia/Melbourne" />
             </div>
-            <button onClick={()=>{ if(!name.trim()) return; addEvent({ name: name.trim(), type, date }); setName(""); }} className="btn btn-primary self-start">Add Event</button>
+            {QUALI_FOR[type] && (
+              <select className="px-3 py-2" value={raceId} onChange={e=>setRaceId(e.target.value)}>
+                <option value="">— Sets the grid for… —</option>
+                {racesFor(type).map(r => <option key={r.id} value={r.id}>{`R${r.round ?? '?'} — ${r.name}`}</option>)}
+              </select>
+            )}
+            <select className="px-3 py-2" value={circuitId} onChange={e=>setCircuitId(e.target.value)} title="Left empty, a session joins its weekend's circuit">
+              <option value="">— Circuit —</option>
+              {circuits.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            <button onClick={()=>{ if(!name.trim()) return; addEvent({ name: name.trim(), type, date, ...(time ? { time, timeZone } : {}), ...(QUALI_FOR[type] ? { raceId } : {}), ...(circuitId ? { circuitId } : {}) }); setName(""); }} className="btn btn-primary self-start">Add Event</button>
           </div>
         </div>
 
-        <div className="border rounded-2xl p-4 bg-white">
+        <div className="border rounded-2xl p-4 bg-white md:col-span-2">
           <h3 className="font-medium mb-3">Season Events</h3>
           <div className="overflow-x-auto">
             <table className="w-full text-sm">
@@ -338,8 +1004,13 @@ function EventsPanel({ events, addEvent, updateEvent, deleteEvent }) {
                 <tr className="text-left border-b">
                   <th className="py-2 pr-2">Round</th>
                   <th className="py-2 pr-2">Date</th>
+                  <th className="py-2 pr-2" title="Local start time at the circuit">Start</th>
+                  <th className="py-2 pr-2">Time zone</th>
                   <th className="py-2 pr-2">Name</th>
                   <th className="py-2 pr-2">Type</th>
+                  <th className="py-2 pr-2" title="Shortened race (half points if the season's rules allow it)">Shortened</th>
+                  <th className="py-2 pr-2">Race</th>
+                  <th className="py-2 pr-2">Status</th>
                   <th className="py-2" />
                 </tr>
               </thead>
@@ -348,14 +1019,34 @@ function EventsPanel({ events, addEvent, updateEvent, deleteEvent }) {
                   <tr key={e.id} className="border-b last:border-0">
                     <td className="py-2 pr-2"><input type="number" className="w-20" value={e.round} onChange={ev=>updateEvent(e.id,{round:Number(ev.target.value)})} /></td>
                     <td className="py-2 pr-2"><input type="date" value={toISODate(e.date)} onChange={ev=>updateEvent(e.id,{date:ev.target.value})} /></td>
+                    <td className="py-2 pr-2"><input type="time" value={e.time || ""} onChange={ev=>updateEvent(e.id,{time:ev.target.value, timeZone: e.timeZone || LOCAL_TIME_ZONE})} /></td>
+                    <td className="py-2 pr-2">
+                      <input list="time-zones" className={classNames("w-44", e.timeZone && !isValidTimeZone(e.timeZone) && "border-red-400")} value={e.timeZone || ""}
+                        onChange={ev=>updateEvent(e.id,{timeZone:ev.target.value})} placeholder={e.time ? "UTC" : ""} />
+                    </td>
                     <td className="py-2 pr-2"><input className="w-full" value={e.name} onChange={ev=>updateEvent(e.id,{name:ev.target.value})} /></td>
                     <td className="py-2 pr-2">
-                      <select value={e.type} onChange={ev=>updateEvent(e.id,{type:ev.target.value})}>
-                        <option>GP</option>
-                        <option>Sprint</option>
+                      <select value={e.type} onChange={ev=>updateEvent(e.id,{type:ev.target.value, raceId:""})}>
+                        {EVENT_TYPES.map(t => <option key={t}>{t}</option>)}
                       </select>
                     </td>
-                    <td className="py-2 text-right">
+                    <td className="py-2 pr-2">
+                      {e.type === 'GP' && <input type="checkbox" checked={!!e.shortened} onChange={ev=>updateEvent(e.id,{shortened:ev.target.checked})} />}
+                    </td>
+                    <td className="py-2 pr-2">
+                      {QUALI_FOR[e.type] && (
+                        <select value={e.raceId || ""} onChange={ev=>{
+                          const race = events.find(r => r.id === ev.target.value);
+                          updateEvent(e.id, race ? { raceId: race.id, round: race.round } : { raceId: "" });
+                        }}>
+                          <option value="">—</option>
+                          {racesFor(e.type).map(r => <option key={r.id} value={r.id}>{`R${r.round ?? '?'} ${r.name}`}</option>)}
+                        </select>
+                      )}
+                    </td>
+                    <td className="py-2 pr-2"><StatusBadge status={statuses.get(e.id)} /></td>
+                    <td className="py-2 text-right whitespace-nowrap">
+                      <Link to={routePath({ seasonId, tab: "events", eventId: e.id })} className="btn mr-2">Open</Link>
                       <button onClick={()=>deleteEvent(e.id)} className="btn btn-danger">Delete</button>
                     </td>
                   </tr>
@@ -365,93 +1056,304 @@ function EventsPanel({ events, addEvent, updateEvent, deleteEvent }) {
           </div>
         </div>
       </div>
+      )}
     </section>
   );
 }
 
-function EnterResultsPanel({ events, drivers, results, bulkReplace }) {
-  const [eventId, setEventId] = useState(events[0]?.id || "");
-  const [fastestLapDriverId, setFastestLapDriverId] = useState("");
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+function EventCalendar({ events, statuses, seasonId, initial }) {
+  const start = initial && !Number.isNaN(Date.parse(initial)) ? new Date(initial) : new Date();
+  const [month, setMonth] = useState({ year: start.getUTCFullYear(), month: start.getUTCMonth() });
+  const weeks = monthWeeks(month.year, month.month);
+  const byDate = new Map();
+  for (const e of sortEventsByTime(events)) {
+    if (!sessionSpan(e)) continue;
+    const day = toISODate(e.date);
+    byDate.set(day, [...(byDate.get(day) || []), e]);
+  }
+  const step = (n) => setMonth(({ year, month }) => ({ year: year + Math.floor((month + n) / 12), month: (month + n + 12) % 12 }));
+  const title = new Date(Date.UTC(month.year, month.month, 1)).toLocaleDateString(undefined, { month: "long", year: "numeric", timeZone: "UTC" });
+
+  return (
+    <div className="border rounded-2xl p-4 bg-white">
+      <div className="flex items-center gap-2 mb-3">
+        <button className="btn" onClick={() => step(-1)} aria-label="Previous month">←</button>
+        <h3 className="font-medium w-44 text-center">{title}</h3>
+        <button className="btn" onClick={() => step(1)} aria-label="Next month">→</button>
+      </div>
+      <div className="grid grid-cols-7 gap-px bg-neutral-200 border rounded-xl overflow-hidden text-sm">
+        {WEEKDAYS.map(d => <div key={d} className="bg-neutral-50 px-2 py-1 text-xs text-neutral-500">{d}</div>)}
+        {weeks.flat().map(day => (
+          <div key={day.date} className={classNames("min-h-24 p-1.5 space-y-1", day.inMonth ? "bg-white" : "bg-neutral-50 text-neutral-400")}>
+            <div className="text-xs">{Number(day.date.slice(8))}</div>
+            {(byDate.get(day.date) || []).map(e => (
+              <Link key={e.id} to={routePath({ seasonId, tab: "events", eventId: e.id })}
+                className={classNames("block rounded-md px-1.5 py-0.5 text-xs truncate", STATUS_STYLES[statuses.get(e.id)])}
+                title={`R${e.round ?? "?"} ${e.name} — ${e.type} · ${formatSession(e)} · ${EVENT_STATUSES[statuses.get(e.id)]}`}>
+                {e.time && `${e.time} `}{e.name} {e.type === "GP" ? "GP" : e.type}
+              </Link>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function EventTimeline({ events, statuses, seasonId, now }) {
+  const dated = sortEventsByTime(events).filter(e => sessionSpan(e));
+  const monthOf = (e) => new Date(sessionSpan(e).start).toLocaleDateString(undefined, { month: "long", year: "numeric", timeZone: "UTC" });
+  return (
+    <ol className="border rounded-2xl p-4 bg-white space-y-1">
+      {!dated.length && <li className="text-neutral-600">No dated events yet.</li>}
+      {dated.map((e, i) => (
+        <React.Fragment key={e.id}>
+          {(i === 0 || monthOf(e) !== monthOf(dated[i - 1])) && <li className="pt-3 first:pt-0 font-medium text-neutral-500">{monthOf(e)}</li>}
+          <li className={classNames("flex flex-wrap items-center gap-3 border-l-4 pl-3 py-1", statuses.get(e.id) === "next" ? "border-black" : "border-neutral-200")}>
+            <span className="w-52 text-sm tabular-nums">{formatSession(e)}</span>
+            <Link to={routePath({ seasonId, tab: "events", eventId: e.id })} className="hover:underline">R{e.round ?? "?"} {e.name} <span className="text-neutral-500">— {e.type}</span></Link>
+            <StatusBadge status={statuses.get(e.id)} />
+            {statuses.get(e.id) === "next" && sessionSpan(e).start > now && <span className="text-sm text-neutral-600">in {formatCountdown(sessionSpan(e).start - now)}</span>}
+            {e.time && e.timeZone !== LOCAL_TIME_ZONE && <span className="ml-auto text-xs text-neutral-500">{formatSession(e, LOCAL_TIME_ZONE)} your time</span>}
+          </li>
+        </React.Fragment>
+      ))}
+    </ol>
+  );
+}
+
+// One card per round: its circuit and sessions in running order.
+function EventWeekends({ events, circuits, statuses, seasonId, setWeekendCircuit }) {
+  const weekends = weekendsOf(events);
+  const day = (ms) => new Date(ms).toLocaleDateString(undefined, { day: "numeric", month: "short", timeZone: "UTC" });
+  return (
+    <div className="grid md:grid-cols-2 gap-4">
+      {!weekends.length && <p className="text-neutral-600">No events yet.</p>}
+      {weekends.map(w => {
+        const circuit = circuits.find(c => c.id === w.circuitId);
+        return (
+          <div key={w.round ?? "none"} className="border rounded-2xl p-4 bg-white">
+            <div className="flex flex-wrap items-baseline gap-2 mb-1">
+              <h3 className="font-medium">R{w.round ?? "?"} {w.name}</h3>
+              {w.sprint && <span className="px-2 py-0.5 rounded-full bg-neutral-100 text-xs">Sprint weekend</span>}
+              {w.start != null && <span className="ml-auto text-sm text-neutral-500">{day(w.start)}{day(w.end) !== day(w.start) && ` – ${day(w.end)}`}</span>}
+            </div>
+            <div className="flex items-center gap-2 mb-3 text-sm">
+              <select value={w.circuitId} onChange={e => setWeekendCircuit(w.round, e.target.value)} disabled={w.round == null}>
+                <option value="">— Circuit —</option>
+                {circuits.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+              {circuit && <Link to={routePath({ seasonId, tab: "circuits", circuitId: circuit.id })} className="text-neutral-600 hover:underline">{circuit.country || "Circuit page"}</Link>}
+            </div>
+            <ul className="space-y-1 text-sm">
+              {w.sessions.map(e => (
+                <li key={e.id} className="flex items-center gap-3">
+                  <Link to={routePath({ seasonId, tab: "events", eventId: e.id })} className="w-36 hover:underline">{e.type}</Link>
+                  <span className="tabular-nums text-neutral-600">{formatSession(e)}</span>
+                  <span className="ml-auto"><StatusBadge status={statuses.get(e.id)} /></span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+const blankResultRow = (i) => ({ driverId: "", position: i+1, status: "FIN", reason: "", fastestLap: false, grid: null, pitLane: false, gridPenalty: 0, laps: null, time: null, timePenalty: 0 });
+const resultToRow = (r) => ({
+  driverId: r.driverId, position: r.position, status: r.status||"FIN", reason: r.reason || "", fastestLap: !!r.fastestLap,
+  grid: r.grid ?? null, pitLane: !!r.pitLane, gridPenalty: r.gridPenalty || 0,
+  laps: r.laps ?? null, time: r.time ?? null, timePenalty: r.timePenalty || 0,
+});
+const numberOrNull = (v) => v === "" || !Number.isFinite(Number(v)) ? null : Number(v);
 
-  useEffect(()=>{ if (!events.find(e=>e.id===eventId) && events[0]) setEventId(events[0].id); }, [events]);
+const ENTRY_FIELDS = Object.keys(blankResultRow(0));
+
+function EnterResultsPanel({ events, drivers, teams, results, season, seasonName, bulkReplace, eventId, selectEvent }) {
+  const [importing, setImporting] = useState(false);
+  const [dragging, setDragging] = useState(null); // { from, over } row indexes
+  const pickers = useRef([]);
 
   const currentEvent = events.find(e=>e.id===eventId);
   const existing = useMemo(()=>results.filter(r=>r.eventId===eventId).sort((a,b)=>a.position-b.position), [results, eventId]);
+  const stored = useMemo(() => existing.map(resultToRow), [existing]);
+  const gridFor = (rows) => rows.length ? rows : Array.from({length: Math.max(20, drivers.length)}, (_,i)=>blankResultRow(i));
+
+  const [grid, setGrid] = useState(() => gridFor(stored));
+  const isRaceEvent = currentEvent ? isRace(currentEvent) : false;
+  const qualifying = events.find(e => QUALI_FOR[e.type] && e.raceId === eventId);
+  const setRow = (idx, patch) => setGrid(g=>g.map((r,i)=>i===idx?{...r, ...patch}:r));
+  // preview of the final classification (penalties, DSQ) keyed by the row's driver
+  const finalByDriver = useMemo(
+    () => new Map(classifyEvent(grid.filter(g=>g.driverId)).map(r => [r.driverId, r])),
+    [grid]
+  );
+  const issues = useMemo(() => gridIssues(grid, drivers, currentEvent?.round), [grid, drivers, currentEvent?.round]);
+  const dirty = !sameEntries(grid, stored, ENTRY_FIELDS);
 
-  const [grid, setGrid] = useState(() => {
-    if (existing.length) return existing.map(r=>({ driverId: r.driverId, position: r.position, status: r.status||"FIN", fastestLap: !!r.fastestLap }));
-    return Array.from({length: Math.max(20, drivers.length)}, (_,i)=>({ driverId: "", position: i+1, status: "FIN", fastestLap: false }));
-  });
-
+  // `loaded`: the stored rows the grid was last filled from. When stored results change (undo, an
+  // import, another tab, a sync pull) a grid nobody has touched since follows them; edits are kept.
+  // Another event, or a save or import from here, always reloads.
+  const loaded = useRef({ eventId, rows: stored, saving: false });
   useEffect(()=>{
-    const ex = results.filter(r=>r.eventId===eventId).sort((a,b)=>a.position-b.position);
-    if (ex.length) setGrid(ex.map(r=>({ driverId: r.driverId, position: r.position, status: r.status||"FIN", fastestLap: !!r.fastestLap })));
-    else setGrid(Array.from({length: Math.max(20, drivers.length)}, (_,i)=>({ driverId: "", position: i+1, status: "FIN", fastestLap: false })));
-    setFastestLapDriverId("");
-  }, [eventId, results, drivers.length]);
+    const { eventId: shown, rows, saving } = loaded.current;
+    loaded.current = { eventId, rows: stored, saving: false };
+    setGrid(g => shown === eventId && !saving && !sameEntries(g, rows, ENTRY_FIELDS) ? g : gridFor(stored));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [eventId, stored, drivers.length]);
+
+  const eventName = currentEvent?.name;
+  useEffect(() => {
+    if (!dirty) return;
+    const warn = (e) => { e.preventDefault(); e.returnValue = ""; };
+    window.addEventListener("beforeunload", warn);
+    const unblock = blockNavigation(() => confirm(`Discard unsaved results for ${eventName || "this event"}?`));
+    return () => { window.removeEventListener("beforeunload", warn); unblock(); };
+  }, [dirty, eventName]);
 
   if (!events.length) return <p className="text-neutral-600">Add events first.</p>;
   if (!drivers.length) return <p className="text-neutral-600">Add drivers first.</p>;
 
   const saveAll = () => {
     if (!currentEvent) return;
-    const filled = grid.filter(g=>g.driverId);
-    const seen = new Set();
-    for (const g of filled) { if (seen.has(g.driverId)) { alert("Duplicate driver in grid: fix before saving."); return; } seen.add(g.driverId); }
-    const entries = filled.map(g => ({ eventId: currentEvent.id, driverId: g.driverId, position: g.position, status: g.status, fastestLap: g.fastestLap || false }));
-    if (currentEvent.type === 'GP' && fastestLapDriverId) {
-      const idx = entries.findIndex(e=>e.driverId===fastestLapDriverId);
-      if (idx >= 0) entries[idx].fastestLap = true;
-    }
+    if (issues.duplicates.size) { alert("Duplicate driver in grid: fix before saving."); return; }
+    const entries = grid.filter(g=>g.driverId).map(g => ({
+      eventId: currentEvent.id, driverId: g.driverId, position: g.position, status: g.status, fastestLap: g.fastestLap || false,
+      ...(g.status !== "FIN" && g.reason ? { reason: g.reason } : {}),
+      ...(isRaceEvent ? { grid: g.grid, pitLane: g.pitLane, gridPenalty: g.gridPenalty, laps: g.laps, time: g.time, timePenalty: g.timePenalty } : {}),
+    }));
+    loaded.current.saving = true;
     bulkReplace(currentEvent.id, entries);
     alert("Results saved!");
   };
+  // Copy qualifying order into the grid column; penalties and pit-lane starts are then adjusted by hand.
+  const gridFromQualifying = () => {
+    const qPos = new Map(results.filter(r => r.eventId === qualifying?.id).map(r => [r.driverId, r.position]));
+    setGrid(g => g.map(r => qPos.has(r.driverId) ? { ...r, grid: qPos.get(r.driverId) } : r));
+  };
+  const focusRow = (idx) => setTimeout(() => pickers.current[idx]?.focus());
+  const move = (from, to) => {
+    setGrid(g => moveRow(g, from, to));
+    focusRow(to);
+  };
+  const setFastestLap = (idx) => setGrid(g => g.map((r, i) => ({ ...r, fastestLap: i === idx ? !r.fastestLap : false })));
+  const fillFirstEmpty = (driverId) => {
+    const idx = grid.findIndex(r => !r.driverId);
+    if (idx >= 0) setRow(idx, { driverId });
+    else setGrid(g => [...g, { ...blankResultRow(g.length), driverId }]);
+  };
+  const drop = (to) => {
+    if (dragging) move(dragging.from, to);
+    setDragging(null);
+  };
 
   return (
     <section className="space-y-4">
       <h2 className="text-lg font-semibold">Enter Results</h2>
       <div className="flex flex-wrap items-center gap-3">
-        <select className="border rounded-xl px-3 py-2" value={eventId} onChange={e=>setEventId(e.target.value)}>
+        <select className="border rounded-xl px-3 py-2" value={eventId} onChange={e=>selectEvent(e.target.value)}>
           {events.map(e => <option key={e.id} value={e.id}>{`R${e.round ?? '?'} — ${e.name} (${e.type})`}</option>)}
         </select>
-        {currentEvent?.type === 'GP' && (
-          <div className="flex items-center gap-2">
-            <label className="text-sm">Fastest Lap:</label>
-            <select className="border rounded-xl px-3 py-2" value={fastestLapDriverId} onChange={e=>setFastestLapDriverId(e.target.value)}>
-              <option value="">— None —</option>
-              {drivers.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
-            </select>
-          </div>
-        )}
-        <button className="ml-auto btn btn-primary" onClick={saveAll}>Save Results</button>
+        <span className="text-sm text-neutral-500">Type a number, code or name · Enter for the next row · Alt+↑/↓ or drag ⠿ to reorder</span>
+        <button className="ml-auto btn" onClick={()=>setImporting(v=>!v)}>{importing ? "Close import" : "Import CSV / paste…"}</button>
+        <button className="btn" onClick={()=>exportResultsCSV(`${seasonName || "Season"}_R${currentEvent?.round ?? ""}_${currentEvent?.name || "event"}`, [currentEvent], { drivers, teams, results, season })}>Export CSV</button>
+        {dirty && <span className="text-sm text-amber-700">Unsaved changes</span>}
+        <button className="btn btn-primary" disabled={issues.duplicates.size > 0} title={issues.duplicates.size ? "A driver appears more than once" : undefined} onClick={saveAll}>Save Results</button>
       </div>
 
+      {importing && currentEvent && (
+        <ResultsImport event={currentEvent} drivers={drivers}
+          onCommit={(entries) => { loaded.current.saving = true; bulkReplace(currentEvent.id, entries); setImporting(false); }} />
+      )}
+
+      {issues.missing.length > 0 && issues.missing.length < drivers.length && (
+        <div className="border border-amber-200 bg-amber-50 text-amber-900 rounded-2xl px-4 py-2 text-sm flex flex-wrap items-center gap-2">
+          <span>No result yet for:</span>
+          {issues.missing.map(d => (
+            <button key={d.id} className="px-2 py-0.5 rounded-lg border border-amber-300 hover:bg-amber-100" title="Add to the first empty row" onClick={() => fillFirstEmpty(d.id)}>{d.name}</button>
+          ))}
+        </div>
+      )}
+
       <div className="overflow-x-auto border rounded-2xl bg-white">
         <table className="w-full text-sm">
           <thead>
             <tr className="text-left border-b">
-              <th className="py-2 pl-3">Pos</th>
+              <th className="py-2 pl-3" />
+              <th className="py-2">Pos</th>
               <th className="py-2">Driver</th>
               <th className="py-2">Status</th>
+              {currentEvent?.type === 'GP' && <th className="py-2" title="Fastest lap">FL</th>}
+              {isRaceEvent && <>
+                <th className="py-2" title="Starting position after penalties">Grid</th>
+                <th className="py-2">Pit lane</th>
+                <th className="py-2" title="Grid penalty (places)">Pen.</th>
+                <th className="py-2">Laps</th>
+                <th className="py-2" title="Race time or gap to the winner, in seconds (needed for time penalties to reorder)">Time (s)</th>
+                <th className="py-2" title="Post-race time penalty, in seconds">+Pen (s)</th>
+                <th className="py-2 pr-3">Final</th>
+              </>}
             </tr>
           </thead>
           <tbody>
             {grid.map((row, idx) => (
-              <tr key={idx} className="border-b last:border-0">
-                <td className="py-2 pl-3 w-16">{row.position}</td>
-                <td className="py-2">
-                  <select className="border rounded-lg px-2 py-1 w-full" value={row.driverId} onChange={e=>setGrid(g=>g.map((r,i)=>i===idx?{...r, driverId:e.target.value}:r))}>
-                    <option value="">— Empty —</option>
-                    {drivers.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
-                  </select>
+              <tr key={idx}
+                className={classNames("border-b last:border-0", issues.duplicates.has(idx) && "bg-red-50", dragging?.over === idx && dragging.from !== idx && "outline outline-2 outline-black")}
+                onDragOver={e => { if (!dragging) return; e.preventDefault(); if (dragging.over !== idx) setDragging({ ...dragging, over: idx }); }}
+                onDrop={e => { e.preventDefault(); drop(idx); }}>
+                <td className="py-2 pl-3 w-6 cursor-grab text-neutral-400 select-none" draggable title="Drag to reorder"
+                  onDragStart={e => { e.dataTransfer.effectAllowed = "move"; setDragging({ from: idx, over: idx }); }}
+                  onDragEnd={() => setDragging(null)}>⠿</td>
+                <td className="py-2 w-12">{row.position}</td>
+                <td className="py-2 min-w-[14rem]">
+                  <DriverPicker drivers={drivers} value={row.driverId} onChange={driverId => setRow(idx, { driverId })}
+                    inputRef={el => { pickers.current[idx] = el; }}
+                    onNext={() => focusRow(idx + 1)} onMove={dir => move(idx, idx + dir)} />
+                  {issues.duplicates.has(idx) && (
+                    <div className="text-xs text-red-700 mt-0.5">Also in row {issues.duplicates.get(idx).map(i => i + 1).join(", ")}</div>
+                  )}
                 </td>
                 <td className="py-2">
-                  <select className="border rounded-lg px-2 py-1" value={row.status} onChange={e=>setGrid(g=>g.map((r,i)=>i===idx?{...r, status:e.target.value}:r))}>
-                    <option value="FIN">Finished</option>
-                    <option value="DNF">DNF</option>
-                    <option value="DNS">DNS</option>
+                  <select className="border rounded-lg px-2 py-1" value={row.status} onChange={e=>setRow(idx, { status: e.target.value })}>
+                    {Object.entries(RESULT_STATUSES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
                   </select>
+                  {row.status !== "FIN" && (
+                    <input className="ml-2 w-28 px-2 py-1" placeholder="Reason" value={row.reason} onChange={e=>setRow(idx, { reason: e.target.value })} />
+                  )}
                 </td>
+                {currentEvent?.type === 'GP' && (
+                  <td className="py-2">
+                    <button aria-pressed={row.fastestLap} title={row.fastestLap ? "Fastest lap (click to clear)" : "Set fastest lap"} onClick={() => setFastestLap(idx)}
+                      className={classNames("px-1.5 rounded-md text-xs font-semibold", row.fastestLap ? "bg-purple-600 text-white" : "text-neutral-300 hover:text-neutral-600")}>FL</button>
+                  </td>
+                )}
+                {isRaceEvent && <>
+                  <td className="py-2">
+                    <input type="number" min="1" className="w-16 px-2 py-1" disabled={row.pitLane} value={row.grid ?? ""} onChange={e=>setRow(idx, { grid: e.target.value === "" ? null : Math.max(1, Number(e.target.value) || 1) })} />
+                  </td>
+                  <td className="py-2">
+                    <input type="checkbox" checked={row.pitLane} onChange={e=>setRow(idx, { pitLane: e.target.checked })} />
+                  </td>
+                  <td className="py-2">
+                    <input type="number" min="0" className="w-16 px-2 py-1" value={row.gridPenalty || ""} onChange={e=>setRow(idx, { gridPenalty: Math.max(0, Number(e.target.value) || 0) })} />
+                  </td>
+                  <td className="py-2">
+                    <input type="number" min="0" className="w-16 px-2 py-1" value={row.laps ?? ""} onChange={e=>setRow(idx, { laps: numberOrNull(e.target.value) })} />
+                  </td>
+                  <td className="py-2">
+                    <input type="number" step="0.001" className="w-24 px-2 py-1" value={row.time ?? ""} onChange={e=>setRow(idx, { time: numberOrNull(e.target.value) })} />
+                  </td>
+                  <td className="py-2">
+                    <input type="number" min="0" className="w-16 px-2 py-1" value={row.timePenalty || ""} onChange={e=>setRow(idx, { timePenalty: Math.max(0, Number(e.target.value) || 0) })} />
+                  </td>
+                  <td className="py-2 pr-3 text-neutral-600">
+                    <FinalClassification row={finalByDriver.get(row.driverId)} />
+                  </td>
+                </>}
               </tr>
             ))}
           </tbody>
@@ -459,22 +1361,213 @@ function EnterResultsPanel({ events, drivers, results, bulkReplace }) {
       </div>
 
       <div className="flex gap-2">
-        <button className="btn" onClick={()=>setGrid(Array.from({length: Math.max(20, drivers.length)}, (_,i)=>({ driverId: "", position: i+1, status: "FIN", fastestLap: false })))}>Clear Grid</button>
+        <button className="btn" onClick={()=>setGrid(Array.from({length: Math.max(20, drivers.length)}, (_,i)=>blankResultRow(i)))}>Clear Grid</button>
         <button className="btn" onClick={()=>setGrid(g=>g.map((r,i)=>({ ...r, position: i+1 })))}>Normalize Positions</button>
+        {isRaceEvent && qualifying && <button className="btn" onClick={gridFromQualifying}>Grid from {qualifying.name}</button>}
       </div>
     </section>
   );
 }
 
-function StandingsPanel({ standings, teamById }) {
+// Type-ahead driver field: shows "CODE · Name", filters by number, code or name while typing.
+// Enter picks the highlighted driver (an empty field clears the row) and moves on; Alt+↑/↓ moves the row.
+function DriverPicker({ drivers, value, onChange, onNext, onMove, inputRef }) {
+  const [query, setQuery] = useState(null); // null while not typing
+  const [active, setActive] = useState(0);
+  const selected = drivers.find(d => d.id === value);
+  const matches = query == null ? [] : searchDrivers(query, drivers).slice(0, 8);
+  const pick = (driver) => { onChange(driver?.id || ""); setQuery(null); };
+
+  const onKeyDown = (e) => {
+    if (e.altKey && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+      e.preventDefault();
+      onMove(e.key === "ArrowUp" ? -1 : 1);
+    } else if (query != null && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+      e.preventDefault();
+      setActive(a => Math.max(0, Math.min(matches.length - 1, a + (e.key === "ArrowUp" ? -1 : 1))));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (query != null) {
+        if (!query.trim()) pick(null);
+        else if (matches[active]) pick(matches[active]);
+        else return;
+      }
+      onNext();
+    } else if (e.key === "Escape") {
+      setQuery(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input ref={inputRef} className="border rounded-lg px-2 py-1 w-full" placeholder="— Empty —"
+        value={query ?? (selected ? `${selected.number != null ? `${selected.number} ` : ""}${driverCode(selected)} · ${selected.name}` : "")}
+        onFocus={e => e.target.select()} onBlur={() => setQuery(null)} onKeyDown={onKeyDown}
+        onChange={e => { setQuery(e.target.value); setActive(0); }} />
+      {query != null && query.trim() && (
+        <ul className="absolute z-10 left-0 right-0 mt-1 border rounded-lg bg-white shadow-lg max-h-64 overflow-auto">
+          {!matches.length && <li className="px-2 py-1 text-neutral-500">No driver matches</li>}
+          {matches.map((d, i) => (
+            <li key={d.id} className={classNames("px-2 py-1 cursor-pointer flex gap-2", i === active && "bg-neutral-100")}
+              onMouseDown={e => { e.preventDefault(); pick(d); }} onMouseEnter={() => setActive(i)}>
+              <span className="w-8 text-neutral-500 tabular-nums">{d.number ?? ""}</span>
+              <span className="w-10 font-mono">{driverCode(d)}</span>
+              <span>{d.name}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const MATCH_STYLES = { exact: "", fuzzy: "bg-sky-50", ambiguous: "bg-amber-50", none: "bg-red-50" };
+const MATCH_NOTES = { fuzzy: "closest match", ambiguous: "ambiguous", none: "no match" };
+
+/**
+ * Review of how imported drivers were matched, shared by the results and lap imports. `matches`:
+ * [{ key, driverId, match, candidates }] (see matchRow), one per imported line or name; drivers picked
+ * by hand override them by key until reset().
+ */
+function useDriverMatches(matches) {
+  const [overrides, setOverrides] = useState({});
+  const chosen = (m) => overrides[m.key] ?? m.driverId;
+  const counts = matches.reduce((acc, m) => (chosen(m) ? acc.set(chosen(m), (acc.get(chosen(m)) || 0) + 1) : acc), new Map());
+  const stateOf = (m) => overrides[m.key] != null ? (chosen(m) ? "exact" : "none") : m.match;
+  const isDuplicate = (m) => counts.get(chosen(m)) > 1;
+  const unresolved = matches.filter(m => !chosen(m)).length;
+  return {
+    chosen, stateOf, isDuplicate, unresolved,
+    choose: (m, driverId) => setOverrides(o => ({ ...o, [m.key]: driverId })),
+    reset: () => setOverrides({}),
+    rowClass: (m) => classNames("border-b last:border-0", MATCH_STYLES[stateOf(m)], isDuplicate(m) && "bg-red-50"),
+    // Refuses duplicates and asks before skipping unmatched items; true when the import can go ahead.
+    ready: (duplicated, skipped) => {
+      if ([...counts.values()].some(n => n > 1)) { alert(`The same driver is matched ${duplicated}: fix before saving.`); return false; }
+      return !unresolved || confirm(`${unresolved} ${skipped}. Continue?`);
+    },
+  };
+}
+
+function DriverMatchCell({ m, drivers, matching }) {
+  const id = matching.chosen(m);
+  const state = matching.stateOf(m);
+  return (
+    <td className="py-1">
+      <select className="px-2 py-1" value={id} onChange={e=>matching.choose(m, e.target.value)}>
+        <option value="">— Skip —</option>
+        {(state === "ambiguous" ? drivers.filter(d => m.candidates.includes(d.id)) : []).map(d => <option key={`c-${d.id}`} value={d.id}>{`${d.name} (suggested)`}</option>)}
+        {drivers.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+      </select>
+      {state !== "exact" && <span className="ml-2 text-xs text-neutral-500">{MATCH_NOTES[state]}</span>}
+      {matching.isDuplicate(m) && <span className="ml-2 text-xs text-red-700">duplicate</span>}
+    </td>
+  );
+}
+
+// Paste or upload results, review how each line was matched to a driver, then replace the event's results.
+function ResultsImport({ event, drivers, onCommit }) {
+  const [text, setText] = useState("");
+  const rows = useMemo(() => parseResultsText(text).map((r, i) => ({ ...r, ...matchRow(r, drivers), key: i })), [text, drivers]);
+  const matching = useDriverMatches(rows);
+  const changeText = (value) => { setText(value); matching.reset(); };
+
+  const loadFile = async (file) => changeText(await file.text());
+  const commit = () => {
+    if (!matching.ready("on more than one line", "line(s) have no driver and will be skipped")) return;
+    const entries = rows.map(r => ({
+      eventId: event.id, driverId: matching.chosen(r), position: r.position, status: r.status, fastestLap: r.fastestLap,
+      ...(r.reason ? { reason: r.reason } : {}),
+      ...(isRace(event) ? { grid: r.pitLane ? null : r.grid, pitLane: r.pitLane } : {}),
+    })).filter(e => e.driverId);
+    onCommit(entries);
+  };
+
+  return (
+    <div className="border rounded-2xl p-4 bg-white space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <h3 className="font-medium">Import into {event.name}</h3>
+        <label className="btn cursor-pointer">
+          Upload CSV/TSV
+          <input type="file" accept=".csv,.tsv,.txt,text/csv,text/plain" className="hidden" onChange={e => e.target.files?.[0] && loadFile(e.target.files[0])} />
+        </label>
+        <span className="text-xs text-neutral-500">Columns: position, driver (name, code or number), status, fastest lap, grid — or one driver per line in finishing order.</span>
+      </div>
+      <textarea className="w-full h-32 border rounded-xl p-2 font-mono text-xs" placeholder={"Pos,Driver,Status,FL,Grid\n1,Verstappen,,yes,1\n2,NOR,+3.2s,,3"}
+                value={text} onChange={e=>changeText(e.target.value)} />
+      {rows.length > 0 && (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2 pl-2">Line</th>
+                  <th className="py-2">Pos</th>
+                  <th className="py-2">Imported</th>
+                  <th className="py-2">Driver</th>
+                  <th className="py-2">Status</th>
+                  <th className="py-2">FL</th>
+                  <th className="py-2">Grid</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(r => (
+                  <tr key={r.key} className={matching.rowClass(r)}>
+                    <td className="py-1 pl-2 text-neutral-500">{r.line}</td>
+                    <td className="py-1">{r.position}</td>
+                    <td className="py-1">{r.driver || '—'}</td>
+                    <DriverMatchCell m={r} drivers={drivers} matching={matching} />
+                    <td className="py-1">{r.status}{r.reason ? ` — ${r.reason}` : ""}</td>
+                    <td className="py-1">{r.fastestLap ? "✓" : ""}</td>
+                    <td className="py-1">{r.pitLane ? "Pit lane" : r.grid ?? ""}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex items-center gap-3">
+            <span className="text-sm text-neutral-600">{rows.length} line(s), {matching.unresolved} unmatched</span>
+            <button className="ml-auto btn btn-primary" onClick={commit}>Replace results for {event.name}</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function FinalClassification({ row }) {
+  if (!row) return '—';
+  if (row.status === 'DSQ' || row.status === 'DNS') return row.status;
+  const moved = row.position !== row.entered;
+  return (
+    <span className={moved ? "font-medium text-amber-700" : undefined}>
+      {row.classified ? `P${row.position}` : `${row.status} (P${row.position})`}
+    </span>
+  );
+}
+
+function StandingsPanel({ standings, teamById, seasonId, seasonName, onPrint }) {
+  const subtitle = [seasonName, afterRoundLabel(standings)].filter(Boolean).join(" · ");
+  const exportDrivers = (format) => exportGraphic(`${seasonName}_drivers_standings`, format, standingsGraphic({
+    title: "Drivers' Championship", subtitle,
+    rows: standings.drivers.map((row, i) => ({ position: i + 1, name: row.driver.name, detail: teamById[row.driver.teamId]?.name, color: teamById[row.driver.teamId]?.color, points: row.points })),
+  }));
+  const exportTeams = (format) => exportGraphic(`${seasonName}_constructors_standings`, format, standingsGraphic({
+    title: "Constructors' Championship", subtitle,
+    rows: standings.teams.map((row, i) => ({ position: i + 1, name: row.team.name, color: row.team.color, points: row.points })),
+  }));
   return (
     <section className="space-y-8">
+      <div className="flex justify-end">
+        <button className="btn" onClick={onPrint} title="Standings, results matrix and key stats on printable pages (print or save as PDF)">Print report</button>
+      </div>
       <div className="grid md:grid-cols-2 gap-6">
         <div className="border rounded-2xl overflow-hidden bg-white">
           <div className="p-4 border-b flex items-center gap-2">
             <div className="w-2 h-5 rounded bg-black"/>
             <h3 className="font-semibold">Drivers' Championship</h3>
-            <span className="ml-auto text-xs text-neutral-500">sorted by points, wins, podiums, best finish</span>
+            <span className="ml-auto text-xs text-neutral-500">sorted by points, then countback (P1s, P2s, …)</span>
+            <ExportButtons onExport={exportDrivers} />
           </div>
           <div className="overflow-x-auto">
             <table className="w-full text-sm">
@@ -490,9 +1583,12 @@ function StandingsPanel({ standings, teamById }) {
                 {standings.drivers.map((row, i) => (
                   <tr key={row.driver.id} className="border-b last:border-0">
                     <td className="py-2 pl-3">{i+1}</td>
-                    <td className="py-2">{row.driver.name}</td>
-                    <td className="py-2">{teamById[row.driver.teamId]?.name || '—'}</td>
-                    <td className="py-2 pr-3 text-right font-semibold">{row.points}</td>
+                    <td className="py-2">
+                      <DriverName driver={row.driver} to={routePath({ seasonId, tab: "drivers", driverId: row.driver.id })} />
+                      <TiebreakNote row={row} />
+                    </td>
+                    <td className="py-2" title={teamById[row.driver.teamId]?.fullName}>{teamShortName(teamById[row.driver.teamId]) || '—'}</td>
+                    <td className="py-2 pr-3 text-right font-semibold"><PointsCell row={row} /></td>
                   </tr>
                 ))}
               </tbody>
@@ -504,6 +1600,8 @@ function StandingsPanel({ standings, teamById }) {
           <div className="p-4 border-b flex items-center gap-2">
             <div className="w-2 h-5 rounded bg-black"/>
             <h3 className="font-semibold">Constructors' Championship</h3>
+            <span className="ml-auto text-xs text-neutral-500">sorted by points, then countback</span>
+            <ExportButtons onExport={exportTeams} />
           </div>
           <div className="overflow-x-auto">
             <table className="w-full text-sm">
@@ -518,11 +1616,15 @@ function StandingsPanel({ standings, teamById }) {
                 {standings.teams.map((row, i) => (
                   <tr key={row.team.id} className="border-b last:border-0">
                     <td className="py-2 pl-3">{i+1}</td>
-                    <td className="py-2 flex items-center gap-2">
-                      <span className="w-3 h-3 rounded" style={{background: row.team.color || '#111827'}}/>
-                      {row.team.name}
+                    <td className="py-2">
+                      <div className="flex items-center gap-2">
+                        <span className="w-3 h-3 rounded" style={{background: row.team.color || '#111827'}}/>
+                        <span title={row.team.fullName}>{row.team.name}</span>
+                        {row.team.engine && <span className="text-xs text-neutral-500">{row.team.engine}</span>}
+                      </div>
+                      <TiebreakNote row={row} />
                     </td>
-                    <td className="py-2 pr-3 text-right font-semibold">{row.points}</td>
+                    <td className="py-2 pr-3 text-right font-semibold"><PointsCell row={row} /></td>
                   </tr>
                 ))}
               </tbody>
@@ -550,109 +1652,565 @@ function StandingsPanel({ standings, teamById }) {
   );
 }
 
-function AnalyticsPanel({ drivers, teams, events, results }) {
-  const eventsSorted = useMemo(() => sortEventsByRound(events), [events]);
-  const resultsByEvent = useMemo(() => groupResultsByEvent(results), [results]);
+// Flag, car number and code in front of the name: "🇳🇱 1 VER Max Verstappen".
+function DriverName({ driver, to }) {
+  const country = countryCode(driver.country);
+  return (
+    <span className="inline-flex items-baseline gap-1.5">
+      {country && <span title={countryName(country)}>{flagOf(country)}</span>}
+      <span className="w-6 text-right text-xs text-neutral-500 tabular-nums">{driver.number ?? ""}</span>
+      <span className="w-9 font-mono text-xs">{driverCode(driver)}</span>
+      {to ? <Link to={to} className="hover:underline">{driver.name}</Link> : driver.name}
+    </span>
+  );
+}
 
-  const { driverStats, driverCumSeries, rounds } = useMemo(() => {
-    const rounds = eventsSorted.map(e => e.round ?? 0);
-    const driverStats = new Map();
-    const driverCumSeries = new Map();
+function PointsCell({ row }) {
+  return (
+    <>
+      {row.tied && <span className="mr-1 text-xs font-normal text-amber-600" title="Level on points — order decided by countback">=</span>}
+      {row.points}
+    </>
+  );
+}
+// Shown on the lower of two rows level on points: which position count put the row above it ahead.
+function TiebreakNote({ row }) {
+  if (!row.tiebreak) return null;
+  const { position, ahead, behind } = row.tiebreak;
+  return (
+    <div className="text-xs text-neutral-500">
+      {position
+        ? `level on points; behind on countback — P${position} count ${behind} vs ${ahead}`
+        : 'level on points with identical results; ordered by name'}
+    </div>
+  );
+}
 
-    for (const d of drivers) {
-      driverStats.set(d.id, { name: d.name, teamId: d.teamId || "", points: 0, finishes: [], dnfs: 0, podiums: 0 });
-      driverCumSeries.set(d.id, []);
-    }
+// Cell colours follow the usual results-table key (gold/silver/bronze podium, green points, …).
+const KIND_STYLES = {
+  winner: "bg-[#ffdf9f]",
+  second: "bg-[#dfdfdf]",
+  third: "bg-[#ffbf9f]",
+  points: "bg-[#dfffdf]",
+  classified: "bg-[#cfcfff]",
+  retired: "bg-[#efcfff]",
+  dsq: "bg-black text-white",
+  dns: "bg-white",
+};
+
+function MatrixPanel({ season, events, results, teamById, seasonId }) {
+  const matrix = useMemo(() => buildResultsMatrix(season, { events, results }), [season, events, results]);
+  const progression = useMemo(() => buildPositionMatrix(season), [season]);
+  if (!matrix.races.length) return <p className="text-neutral-600">Add races to see the results matrix.</p>;
+
+  const raceHeader = (e) => (
+    <th key={e.id} className="sticky top-0 z-10 bg-white px-1 py-2 text-center font-medium border-b" title={`${e.name} (${e.type})`}>
+      <Link to={routePath({ seasonId, tab: "events", eventId: e.id })} className="hover:underline">
+        {e.name.slice(0, 3).toUpperCase()}{e.type === 'Sprint' && <sup>S</sup>}
+      </Link>
+      <div className="text-[10px] text-neutral-400">R{e.round ?? "?"}</div>
+    </th>
+  );
+  const driverCell = (driver) => (
+    <td className="sticky left-0 z-[1] bg-white py-1 pl-2 pr-3 whitespace-nowrap border-r"
+        style={{ boxShadow: `inset 4px 0 0 ${teamById[driver.teamId]?.color || "#e5e7eb"}` }}>
+      <Link to={routePath({ seasonId, tab: "drivers", driverId: driver.id })} className="pl-1 hover:underline">{driver.name}</Link>
+    </td>
+  );
+  const corner = (label) => <th className="sticky top-0 left-0 z-20 bg-white py-2 pl-3 pr-3 text-left border-b border-r">{label}</th>;
 
-    let cumByDriver = Object.fromEntries(drivers.map(d => [d.id, 0]));
-
-    eventsSorted.forEach((e, idx) => {
-      const entries = scoreEventEntries(e, resultsByEvent.get(e.id) || []);
-      for (const row of entries) {
-        const ds = driverStats.get(row.driverId);
-        if (!ds) continue;
-        ds.points += row.pts;
-        if (row.status === 'DNF') ds.dnfs += 1;
-        ds.finishes.push(row.pos);
-        if (row.pos <= 3) ds.podiums += 1;
-        cumByDriver[row.driverId] += row.pts;
-        driverCumSeries.get(row.driverId)[idx] = cumByDriver[row.driverId];
-      }
-      for (const d of drivers) {
-        const arr = driverCumSeries.get(d.id);
-        if (arr[idx] == null) arr[idx] = cumByDriver[d.id] || 0;
-      }
-    });
+  return (
+    <section className="space-y-8">
+      <div className="border rounded-2xl bg-white">
+        <div className="p-4 border-b flex flex-wrap items-center gap-3">
+          <h3 className="font-semibold">Results matrix</h3>
+          <div className="flex flex-wrap gap-2 text-xs">
+            {Object.entries(RESULT_KINDS).map(([kind, label]) => (
+              <span key={kind} className={classNames("px-2 py-0.5 rounded border", KIND_STYLES[kind])}>{label}</span>
+            ))}
+            <span className="px-2 py-0.5"><b>Bold</b> pole · <i>italic</i> fastest lap</span>
+          </div>
+        </div>
+        <div className="overflow-auto max-h-[70vh]">
+          <table className="text-sm border-separate border-spacing-0">
+            <thead>
+              <tr>{corner("Driver")}{matrix.races.map(raceHeader)}<th className="sticky top-0 z-10 bg-white px-3 py-2 text-right border-b">Pts</th></tr>
+            </thead>
+            <tbody>
+              {matrix.rows.map(row => (
+                <tr key={row.driver.id}>
+                  {driverCell(row.driver)}
+                  {row.cells.map((cell, i) => (
+                    <td key={matrix.races[i].id} title={cell ? `${RESULT_KINDS[cell.kind]}${cell.entry.pts ? ` · ${cell.entry.pts} pts` : ""}` : undefined}
+                        className={classNames("px-1 py-1 text-center border-b border-r border-white min-w-[2.5rem]", cell && KIND_STYLES[cell.kind],
+                          cell?.pole && "font-bold", cell?.fastestLap && "italic")}>
+                      {cell?.label ?? ""}
+                    </td>
+                  ))}
+                  <td className="px-3 py-1 text-right font-semibold border-b">{row.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="border rounded-2xl bg-white">
+        <div className="p-4 border-b"><h3 className="font-semibold">Championship position after each round</h3></div>
+        <div className="overflow-auto max-h-[70vh]">
+          <table className="text-sm border-separate border-spacing-0">
+            <thead>
+              <tr>{corner("Driver")}{progression.races.map(raceHeader)}</tr>
+            </thead>
+            <tbody>
+              {progression.rows.map(row => (
+                <tr key={row.driver.id}>
+                  {driverCell(row.driver)}
+                  {row.positions.map((p, i) => {
+                    const prev = i > 0 ? row.positions[i-1] : null;
+                    return (
+                      <td key={progression.races[i].id}
+                          className={classNames("px-1 py-1 text-center border-b border-r border-white min-w-[2.5rem]",
+                            p === 1 ? KIND_STYLES.winner : p === 2 ? KIND_STYLES.second : p === 3 ? KIND_STYLES.third : "bg-neutral-50")}>
+                        {p ?? ""}
+                        {prev != null && p != null && p !== prev && (
+                          <span className={classNames("ml-0.5 text-[10px]", p < prev ? "text-emerald-700" : "text-red-700")}>{p < prev ? "▲" : "▼"}</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+function NotFound({ what, backTo, backLabel }) {
+  return (
+    <section className="space-y-2">
+      <p className="text-neutral-600">{what} not found in this season.</p>
+      <Link to={backTo} className="btn">{backLabel}</Link>
+    </section>
+  );
+}
+
+// /season/:id/events/:eventId — the event's final classification, with links to its drivers.
+function EventPage({ eventId, seasonId, seasonName, events, drivers, results, laps, season, teamById, circuits, replaceLaps }) {
+  const event = events.find(e => e.id === eventId);
+  const driverById = useMemo(() => Object.fromEntries(drivers.map(d => [d.id, d])), [drivers]);
+  const eventLaps = useMemo(() => laps.filter(l => l.eventId === eventId), [laps, eventId]);
+  if (!event) return <NotFound what="Event" backTo={routePath({ seasonId, tab: "events" })} backLabel="All events" />;
+
+  const rows = season.events.find(x => x.event.id === eventId)?.entries
+    || classifyEvent(results.filter(r => r.eventId === eventId)).map(r => ({ ...r, teamId: teamIdAt(driverById[r.driverId], event.round) }));
+  // the rest of the weekend, or just the linked race / qualifying for events without a round
+  const linked = event.round != null
+    ? (weekendsOf(events).find(w => w.round === event.round)?.sessions ?? []).filter(e => e.id !== eventId)
+    : events.filter(e => e.id !== eventId && (e.raceId === eventId || e.id === event.raceId));
+  const circuit = circuits.find(c => c.id === event.circuitId);
+  const race = isRace(event);
+
+  return (
+    <section className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <Link to={routePath({ seasonId, tab: "events" })} className="text-sm text-neutral-500 hover:underline">← Events</Link>
+        <h2 className="text-lg font-semibold">R{event.round ?? "?"} — {event.name}</h2>
+        <span className="text-sm text-neutral-500">{event.type}{event.date ? ` · ${formatSession(event)}` : ""}{event.shortened ? " · shortened" : ""}</span>
+        {circuit && <Link to={routePath({ seasonId, tab: "circuits", circuitId: circuit.id })} className="text-sm hover:underline">{circuit.name}</Link>}
+        {linked.map(e => (
+          <Link key={e.id} to={routePath({ seasonId, tab: "events", eventId: e.id })} className="text-sm hover:underline">{e.type}</Link>
+        ))}
+        {!isPractice(event) && <Link to={routePath({ seasonId, tab: "results", eventId })} className="ml-auto btn">Edit results</Link>}
+      </div>
+      {isPractice(event) ? <p className="text-neutral-600">Practice sessions have no results.</p> : !rows.length ? <p className="text-neutral-600">No results entered yet.</p> : (
+        <div className="border rounded-2xl overflow-x-auto bg-white">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2 pl-3">Pos</th>
+                <th className="py-2">Driver</th>
+                <th className="py-2">Team</th>
+                <th className="py-2">Status</th>
+                {race && <th className="py-2">Grid</th>}
+                {race && <th className="py-2 pr-3 text-right">Pts</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => (
+              <tr key={r.driverId} className="border-b last:border-0">
+                <td className="py-2 pl-3">{r.classified ? r.position : r.status}</td>
+                <td className="py-2">
+                  <Link to={routePath({ seasonId, tab: "drivers", driverId: r.driverId })} className="hover:underline">{driverById[r.driverId]?.name || "Unknown driver"}</Link>
+                  {r.fastestLap && <span className="ml-2 text-xs text-purple-700" title="Fastest lap">FL</span>}
+                </td>
+                <td className="py-2">{teamById[r.teamId]?.name || "—"}</td>
+                <td className="py-2">{RESULT_STATUSES[r.status] || r.status}</td>
+                {race && <td className="py-2">{r.pitLane ? "Pit lane" : r.grid ?? "—"}</td>}
+                {race && <td className="py-2 pr-3 text-right font-semibold">{r.pts || ""}</td>}
+              </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {race && <EventLaps event={event} laps={eventLaps} drivers={drivers} teamById={teamById} seasonName={seasonName} onReplace={(entries) => replaceLaps(eventId, entries)} />}
+    </section>
+  );
+}
+
+// Lap chart, gaps, pit stops and pace of one race, from imported lap times.
+function EventLaps({ event, laps, drivers, teamById, seasonName, onReplace }) {
+  const [importing, setImporting] = useState(false);
+  const driverById = useMemo(() => Object.fromEntries(drivers.map(d => [d.id, d])), [drivers]);
+  const chart = useMemo(() => lapChart(laps), [laps]);
+  const gaps = useMemo(() => gapsToLeader(laps), [laps]);
+  const stats = useMemo(() => lapStats(laps), [laps]);
+  const best = fastestLap(laps);
+  // drivers in running order at the end of the race
+  const order = chart.rows
+    .map(r => ({ ...r, last: r.positions.findLastIndex(p => p != null) }))
+    .sort((a, b) => b.last - a.last || (a.positions[a.last] ?? Infinity) - (b.positions[b.last] ?? Infinity));
+  const styles = seriesStyles(order.map(r => ({ id: r.driverId, teamId: teamIdAt(driverById[r.driverId], event.round) })), teamById);
+  const series = (dataOf) => order.map(r => ({ id: r.driverId, label: driverById[r.driverId] ? driverCode(driverById[r.driverId]) : "???", data: dataOf(r), ...styles.get(r.driverId) }));
+  const gapsOf = new Map(gaps.rows.map(r => [r.driverId, r.gaps]));
+  const xLabels = chart.laps.map(n => `L${n}`);
+  const bestPace = stats[0]?.pace;
+  const remove = () => { if (confirm(`Remove the lap times of ${event.name}?`)) onReplace([]); };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <h3 className="font-semibold">Lap times</h3>
+        {best && <span className="text-sm text-neutral-600">Fastest lap: <span className="text-purple-700 font-medium">{driverById[best.driverId]?.name || "Unknown driver"}</span> {formatLapTime(best.time)} on lap {best.lap}</span>}
+        <button className="ml-auto btn" onClick={() => setImporting(v => !v)}>{importing ? "Close import" : laps.length ? "Replace lap times…" : "Import lap times…"}</button>
+        {laps.length > 0 && <button className="btn btn-danger" onClick={remove}>Remove</button>}
+      </div>
+      {importing && <LapsImport event={event} drivers={drivers} onCommit={(entries) => { onReplace(entries); setImporting(false); }} />}
+      {!laps.length ? !importing && <p className="text-neutral-600">No lap times yet. Import them to see a lap chart, gaps, pit stops and race pace; the fastest lap is then set from them.</p> : (
+        <>
+          <div className="grid lg:grid-cols-2 gap-4">
+            <ChartCard title="Lap Chart" note="Position at the end of every lap" seasonName={seasonName} subtitle={event.name} legend={series(() => [])}>
+              <BumpChart xLabels={xLabels} series={series(r => r.positions)} />
+            </ChartCard>
+            <ChartCard title="Gap to Leader" note="Seconds behind the leader at the end of every lap; higher is further back" seasonName={seasonName} subtitle={event.name} legend={series(() => [])}>
+              <SimpleLineChart xLabels={xLabels} series={series(r => gapsOf.get(r.driverId))} valueFormatter={v => v ? `+${v.toFixed(3)}s` : "Leader"} />
+            </ChartCard>
+          </div>
+          <div className="border rounded-2xl overflow-x-auto bg-white">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2 pl-3">Driver</th>
+                  <th className="py-2">Laps</th>
+                  <th className="py-2">Fastest lap</th>
+                  <th className="py-2">Pit stops</th>
+                  <th className="py-2" title="Average lap time leaving out lap 1, in-laps and out-laps">Race pace</th>
+                  <th className="py-2 pr-3 text-right">Δ pace</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.map(s => (
+                  <tr key={s.driverId} className="border-b last:border-0">
+                    <td className="py-2 pl-3">{driverById[s.driverId]?.name || "Unknown driver"}</td>
+                    <td className="py-2">{s.laps}</td>
+                    <td className={classNames("py-2 tabular-nums", best?.driverId === s.driverId && "text-purple-700 font-medium")}>
+                      {s.fastest ? <>{formatLapTime(s.fastest.time)} <span className="text-neutral-500">(L{s.fastest.lap})</span></> : "—"}
+                    </td>
+                    <td className="py-2">{s.pitStops}</td>
+                    <td className="py-2 tabular-nums">{formatLapTime(s.pace)}</td>
+                    <td className="py-2 pr-3 text-right tabular-nums">{s.pace != null && s.pace !== bestPace ? `+${(s.pace - bestPace).toFixed(3)}s` : ""}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
 
-    for (const [id, ds] of driverStats.entries()) {
-      const fins = ds.finishes.length ? ds.finishes : [];
-      const avg = fins.length ? (fins.reduce((a,b)=>a+b,0) / fins.length) : 0;
-      ds.avgFinish = fins.length ? Number(avg.toFixed(2)) : null;
+// Paste or upload lap timing, match each imported driver once, then replace the race's lap times.
+function LapsImport({ event, drivers, onCommit }) {
+  const [text, setText] = useState("");
+  const { rows, errors } = useMemo(() => parseLapsText(text), [text]);
+  // one match per imported name, however many laps it has
+  const names = useMemo(() => {
+    const byName = new Map();
+    for (const r of rows) {
+      if (!byName.has(r.driver)) byName.set(r.driver, { ...matchRow(r, drivers), key: r.driver, laps: 0 });
+      byName.get(r.driver).laps++;
     }
-    return { driverStats, driverCumSeries, rounds };
-  }, [drivers, eventsSorted, resultsByEvent]);
+    return [...byName.values()];
+  }, [rows, drivers]);
+  const matching = useDriverMatches(names);
+  const changeText = (value) => { setText(value); matching.reset(); };
+
+  const loadFile = async (file) => changeText(await file.text());
+  const commit = () => {
+    if (!matching.ready("to more than one imported name", "imported driver(s) have no match and their laps will be skipped")) return;
+    const driverOf = new Map(names.map(m => [m.key, matching.chosen(m)]));
+    const seen = new Set();
+    const entries = [];
+    for (const r of rows) {
+      const driverId = driverOf.get(r.driver);
+      if (!driverId || seen.has(`${driverId}|${r.lap}`)) continue;
+      seen.add(`${driverId}|${r.lap}`);
+      entries.push({ eventId: event.id, driverId, lap: r.lap, time: r.time, position: r.position, pitIn: r.pitIn, pitOut: r.pitOut });
+    }
+    onCommit(entries);
+  };
+
+  return (
+    <div className="border rounded-2xl p-4 bg-white space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <h3 className="font-medium">Import lap times into {event.name}</h3>
+        <label className="btn cursor-pointer">
+          Upload CSV/TSV
+          <input type="file" accept=".csv,.tsv,.txt,text/csv,text/plain" className="hidden" onChange={e => e.target.files?.[0] && loadFile(e.target.files[0])} />
+        </label>
+        <span className="text-xs text-neutral-500">One line per driver and lap, with a header: driver (name, code or number), lap, lap time, position, pit in, pit out.</span>
+      </div>
+      <textarea className="w-full h-32 border rounded-xl p-2 font-mono text-xs" placeholder={"Driver,Lap,Time,Position,Pit in,Pit out\nVER,1,1:36.512,1,,\nNOR,1,1:37.104,2,,\nNOR,18,1:41.877,3,yes,"}
+                value={text} onChange={e=>changeText(e.target.value)} />
+      {errors.length > 0 && (
+        <ul className="text-sm text-red-700 list-disc pl-5">
+          {errors.slice(0, 5).map(e => <li key={e}>{e}</li>)}
+          {errors.length > 5 && <li>…and {errors.length - 5} more</li>}
+        </ul>
+      )}
+      {names.length > 0 && (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2 pl-2">Imported</th>
+                  <th className="py-2">Driver</th>
+                  <th className="py-2">Laps</th>
+                </tr>
+              </thead>
+              <tbody>
+                {names.map(m => (
+                  <tr key={m.key} className={matching.rowClass(m)}>
+                    <td className="py-1 pl-2">{m.key || "—"}</td>
+                    <DriverMatchCell m={m} drivers={drivers} matching={matching} />
+                    <td className="py-1">{m.laps}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex items-center gap-3">
+            <span className="text-sm text-neutral-600">{rows.length} lap(s) of {names.length} driver(s), {matching.unresolved} unmatched</span>
+            <button className="ml-auto btn btn-primary" onClick={commit}>Replace lap times for {event.name}</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// /season/:id/drivers/:driverId — round-by-round record, championship progression and teammate head-to-heads.
+function DriverPage({ driverId, seasonId, drivers, events, results, season, teamById }) {
+  const profile = useMemo(
+    () => driverProfile(driverId, { drivers, events, results, scored: season }),
+    [driverId, drivers, events, results, season]
+  );
+  if (!profile) return <NotFound what="Driver" backTo={routePath({ seasonId, tab: "drivers" })} backLabel="All drivers" />;
+  const { driver, standing, position, rounds, progression, best, worst, retirements, teammates } = profile;
+  const eventLink = (event) => <Link to={routePath({ seasonId, tab: "events", eventId: event.id })} className="hover:underline">{event.name}</Link>;
+  const resultLabel = (r) => r.classified ? `P${r.position}` : r.status;
+  const percent = (x) => x == null ? "—" : `${Math.round(x * 100)}%`;
+
+  return (
+    <section className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <Link to={routePath({ seasonId, tab: "drivers" })} className="text-sm text-neutral-500 hover:underline">← Drivers</Link>
+        <h2 className="text-lg font-semibold">{driver.name}</h2>
+        <span className="text-sm text-neutral-500">
+          {[
+            countryCode(driver.country) ? `${flagOf(countryCode(driver.country))} ${countryName(countryCode(driver.country))}` : driver.country,
+            driver.number != null && `#${driver.number}`, driverCode(driver), teamById[driver.teamId]?.name,
+          ].filter(Boolean).join(" · ")}
+        </span>
+      </div>
+
+      <div className="grid sm:grid-cols-3 lg:grid-cols-6 gap-3 text-sm">
+        {[
+          ["Championship", position ? `P${position}` : "—"],
+          ["Points", standing?.points ?? 0],
+          ["Wins", standing?.wins ?? 0],
+          ["Podiums", standing?.podiums ?? 0],
+          ["Best result", best ? <>P{best.result.position} <span className="text-sm font-normal text-neutral-500">{best.event.name}</span></> : "—"],
+          ["Worst result", worst ? <>P{worst.result.position} <span className="text-sm font-normal text-neutral-500">{worst.event.name}</span></> : "—"],
+        ].map(([label, value]) => (
+          <div key={label} className="p-3 rounded-xl border bg-white">
+            <div className="text-neutral-500">{label}</div>
+            <div className="text-lg font-semibold">{value}</div>
+          </div>
+        ))}
+      </div>
+
+      {progression.length > 0 && (
+        <div className="grid md:grid-cols-2 gap-6">
+          <div className="border rounded-2xl p-4 bg-white">
+            <h3 className="font-semibold mb-2">Cumulative points</h3>
+            <SimpleLineChart xLabels={progression.map(p => eventAxisLabel(p.event))} xTitles={progression.map(p => eventTitle(p.event))} series={[{ label: driver.name, data: progression.map(p => p.points), color: teamById[driver.teamId]?.color }]} />
+          </div>
+          <div className="border rounded-2xl p-4 bg-white">
+            <h3 className="font-semibold mb-2">Championship position</h3>
+            <SimpleLineChart invert xLabels={progression.map(p => eventAxisLabel(p.event))} xTitles={progression.map(p => eventTitle(p.event))} series={[{ label: "Position", data: progression.map(p => p.position), color: teamById[driver.teamId]?.color }]} />
+          </div>
+        </div>
+      )}
+
+      <div className="border rounded-2xl overflow-x-auto bg-white">
+        <h3 className="font-semibold px-4 pt-3">Results</h3>
+        {!rounds.length ? <p className="px-4 pb-3 text-neutral-600">No results yet.</p> : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2 pl-4">Round</th>
+                <th className="py-2">Event</th>
+                <th className="py-2">Team</th>
+                <th className="py-2">Result</th>
+                <th className="py-2">Status</th>
+                <th className="py-2">FL</th>
+                <th className="py-2 pr-4 text-right">Pts</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rounds.map(({ event, result }) => (
+                <tr key={event.id} className="border-b last:border-0">
+                  <td className="py-2 pl-4">R{event.round ?? "?"}</td>
+                  <td className="py-2">{eventLink(event)} <span className="text-neutral-500">{event.type}</span></td>
+                  <td className="py-2">{teamById[result.teamId]?.name || "—"}</td>
+                  <td className="py-2">{resultLabel(result)}</td>
+                  <td className="py-2">{RESULT_STATUSES[result.status] || result.status}{result.reason ? ` — ${result.reason}` : ""}</td>
+                  <td className="py-2">{result.fastestLap ? <span className="text-purple-700">FL</span> : ""}</td>
+                  <td className="py-2 pr-4 text-right font-semibold">{isRace(event) ? result.pts || "" : ""}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div className="border rounded-2xl p-4 bg-white">
+          <h3 className="font-semibold mb-2">Teammate head-to-head</h3>
+          {!teammates.length ? <p className="text-sm text-neutral-600">No races alongside a teammate yet.</p> : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2">Teammate</th>
+                  <th className="py-2" title="Races: finished ahead – behind">Races</th>
+                  <th className="py-2" title="Qualifying sessions: ahead – behind">Qualifying</th>
+                  <th className="py-2 text-right" title="Share of the points the pair scored in races together">Points share</th>
+                </tr>
+              </thead>
+              <tbody>
+                {teammates.map(h => (
+                  <tr key={h.teammate.id} className="border-b last:border-0">
+                    <td className="py-2"><Link to={routePath({ seasonId, tab: "drivers", driverId: h.teammate.id })} className="hover:underline">{h.teammate.name}</Link></td>
+                    <td className="py-2">{h.races ? `${h.ahead}–${h.behind}` : "—"}</td>
+                    <td className="py-2">{h.qualifying ? `${h.qualiAhead}–${h.qualiBehind}` : "—"}</td>
+                    <td className="py-2 text-right">{percent(h.share)} <span className="text-neutral-500">({h.points}–{h.teammatePoints})</span></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+        <div className="border rounded-2xl p-4 bg-white">
+          <h3 className="font-semibold mb-2">Retirements and exclusions</h3>
+          {!retirements.length ? <p className="text-sm text-neutral-600">None.</p> : (
+            <ul className="text-sm space-y-1">
+              {retirements.map(({ event, status, reason }) => (
+                <li key={event.id}>R{event.round ?? "?"} {eventLink(event)}: {RESULT_STATUSES[status] || status}{reason ? ` — ${reason}` : ""}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+function AnalyticsPanel({ drivers, teams, events, results, season, seasonName }) {
+  const subtitle = afterRoundLabel(season);
+  const xLabels = season.events.map(({ event }) => eventAxisLabel(event));
+  const xTitles = season.events.map(({ event }) => eventTitle(event));
 
   const driverRows = useMemo(() => {
-    return drivers.map(d => {
-      const s = driverStats.get(d.id);
-      return {
-        id: d.id,
-        name: d.name,
-        team: teams.find(t=>t.id===d.teamId)?.name || '—',
-        points: s?.points || 0,
-        avgFinish: s?.avgFinish ?? '—',
-        podiums: s?.podiums || 0,
-        dnfs: s?.dnfs || 0,
-      };
-    }).sort((a,b)=> b.points - a.points || a.name.localeCompare(b.name));
-  }, [drivers, teams, driverStats]);
-
-  const teamTotals = useMemo(() => {
-    const totals = new Map();
-    for (const d of driverRows) {
-      const teamId = drivers.find(x => x.id === d.id)?.teamId;
-      if (!teamId) continue;
-      totals.set(teamId, (totals.get(teamId) || 0) + (d.points || 0));
-    }
-    return teams.map(t => ({ id: t.id, name: t.name, points: totals.get(t.id) || 0 }))
-                .sort((a,b)=> b.points - a.points || a.name.localeCompare(b.name));
-  }, [teams, driverRows, drivers]);
+    const teamName = (id) => teams.find(t=>t.id===id)?.name;
+    return season.drivers.map(s => ({
+      id: s.driver.id,
+      name: s.driver.name,
+      code: driverCode(s.driver),
+      teamId: s.driver.teamId,
+      team: teamName(s.driver.teamId) || '—',
+      byTeam: Object.entries(s.pointsByTeam).map(([teamId, points]) => ({ teamId, name: teamName(teamId) || 'No team', points })),
+      points: s.points,
+      avgFinish: s.avgFinish ?? '—',
+      podiums: s.podiums,
+      dnfs: s.dnfs,
+      cumulative: s.cumulative,
+    })).sort((a,b)=> b.points - a.points || a.name.localeCompare(b.name));
+  }, [season, teams]);
+
+  // team totals follow each driver's stint at the time of the event, not their current team
+  const teamTotals = useMemo(() => season.teams.map(t => ({ id: t.team.id, name: t.team.name, short: teamShortName(t.team), points: t.points })), [season]);
+
+  const gridStats = useMemo(() => buildGridStats({ drivers, teams, events, results }), [drivers, teams, events, results]);
 
-  const topDrivers = driverRows.slice(0,5);
+  const teamById = useMemo(() => Object.fromEntries(teams.map(t => [t.id, t])), [teams]);
+  const driverStyles = useMemo(() => seriesStyles(driverRows.map(d => ({ id: d.id, teamId: d.teamId })), teamById), [driverRows, teamById]);
+  const teamStyles = useMemo(() => seriesStyles(teamTotals.map(t => ({ id: t.id, teamId: t.id })), teamById), [teamTotals, teamById]);
+  // null: the default selection (top five drivers, every team)
+  const [pickedDrivers, setPickedDrivers] = useState(null);
+  const [pickedTeams, setPickedTeams] = useState(null);
+  const driverIds = new Set(pickedDrivers ?? driverRows.slice(0, 5).map(d => d.id));
+  const teamIds = new Set(pickedTeams ?? teamTotals.map(t => t.id));
+  const plotted = driverRows.filter(d => driverIds.has(d.id));
+  const driverSeries = (dataOf) => plotted.map(d => ({ id: d.id, label: d.code, data: dataOf(d), ...driverStyles.get(d.id) }));
+  const positions = useMemo(() => new Map(buildPositionMatrix(season).rows.map(r => [r.driver.id, r.positions])), [season]);
 
   return (
     <section className="space-y-8">
-      <div className="grid lg:grid-cols-3 gap-4">
-        <div className="card p-4">
-          <h3 className="font-semibold mb-2">Top Drivers (Avg Finish)</h3>
-          <div className="text-sm text-neutral-600 mb-3">Lower is better</div>
-          <SimpleBarChart
-            labels={topDrivers.map(x=>x.name)}
-            values={topDrivers.map(x=> (typeof x.avgFinish === 'number' ? x.avgFinish : 0))}
-            valueFormatter={(v)=> (v? v.toFixed(2):'—')}
-            maxBars={5}
-          />
-        </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <SeriesPicker label="Drivers" options={driverRows.map(d => ({ id: d.id, label: d.name, color: driverStyles.get(d.id).color }))}
+          selected={driverRows.filter(d => driverIds.has(d.id)).map(d => d.id)} onChange={setPickedDrivers} />
+        <SeriesPicker label="Teams" options={teamTotals.map(t => ({ id: t.id, label: t.name, color: teamStyles.get(t.id).color }))}
+          selected={teamTotals.filter(t => teamIds.has(t.id)).map(t => t.id)} onChange={setPickedTeams} top={10} />
+        <span className="text-sm text-neutral-500">Hover a chart for exact values; click a legend entry to hide it.</span>
+      </div>
+      <div className="grid lg:grid-cols-2 gap-4">
+        <ChartCard title="Cumulative Points" seasonName={seasonName} subtitle={subtitle} legend={driverSeries(() => [])}>
+          <SimpleLineChart xLabels={xLabels} xTitles={xTitles} series={driverSeries(d => d.cumulative)} />
+        </ChartCard>
 
-        <div className="card p-4">
-          <h3 className="font-semibold mb-2">Team Points (Total)</h3>
+        <ChartCard title="Championship Position by Round" seasonName={seasonName} subtitle={subtitle} legend={driverSeries(() => [])}>
+          <BumpChart xLabels={xLabels} xTitles={xTitles} series={driverSeries(d => positions.get(d.id) || [])} />
+        </ChartCard>
+
+        <ChartCard title="Average Finish" note="Lower is better" seasonName={seasonName} subtitle={subtitle}>
           <SimpleBarChart
-            labels={teamTotals.map(x=>x.name)}
-            values={teamTotals.map(x=>x.points)}
-            valueFormatter={(v)=>`${v}`}
+            bars={plotted.filter(d => typeof d.avgFinish === 'number').map(d => ({ label: d.code, value: d.avgFinish, color: driverStyles.get(d.id).color }))}
+            valueFormatter={(v)=> v.toFixed(2)}
           />
-        </div>
+        </ChartCard>
 
-        <div className="card p-4">
-          <h3 className="font-semibold mb-2">Cumulative Points — Top 5 Drivers</h3>
-          <SimpleLineChart
-            xLabels={rounds.map(r => `R${r}`)}
-            series={topDrivers.map(d => ({
-              label: d.name,
-              data: (/** @type {number[]} */(driverCumSeries.get(d.id))) || []
-            }))}
+        <ChartCard title="Team Points (Total)" seasonName={seasonName} subtitle={subtitle}>
+          <SimpleBarChart
+            bars={teamTotals.filter(t => teamIds.has(t.id)).map(t => ({ label: t.short, value: t.points, color: teamStyles.get(t.id).color }))}
           />
-        </div>
+        </ChartCard>
       </div>
 
       <div className="card p-4">
@@ -674,7 +2232,12 @@ function AnalyticsPanel({ drivers, teams, events, results }) {
                 <tr key={r.id} className="border-b last:border-0">
                   <td className="py-2">{r.name}</td>
                   <td className="py-2">{r.team}</td>
-                  <td className="py-2">{r.points}</td>
+                  <td className="py-2">
+                    {r.points}
+                    {r.byTeam.length > 1 && (
+                      <div className="text-xs text-neutral-500">{r.byTeam.map(t => `${t.name} ${t.points}`).join(" · ")}</div>
+                    )}
+                  </td>
                   <td className="py-2">{typeof r.avgFinish === 'number' ? r.avgFinish.toFixed(2) : '—'}</td>
                   <td className="py-2">{r.podiums}</td>
                   <td className="py-2">{r.dnfs}</td>
@@ -685,6 +2248,15 @@ function AnalyticsPanel({ drivers, teams, events, results }) {
         </div>
       </div>
 
+      <div className="card p-4">
+        <h3 className="font-semibold mb-1">Qualifying & Grid</h3>
+        <div className="text-sm text-neutral-600 mb-3">Grand Prix only. Gained = grid − finish (finishers); Q→R = qualifying − finish.</div>
+        <div className="grid lg:grid-cols-2 gap-6">
+          <GridStatsTable title="Driver" rows={gridStats.drivers} />
+          <GridStatsTable title="Team" rows={gridStats.teams} />
+        </div>
+      </div>
+
       <div className="card p-4">
         <h3 className="font-semibold mb-3">Team Analytics</h3>
         <div className="overflow-x-auto">
@@ -710,133 +2282,1424 @@ function AnalyticsPanel({ drivers, teams, events, results }) {
   );
 }
 
-function DataPeek({ teams, drivers, events, results }) {
+// Circuits are shared by every season; the count is how many of this season's rounds use each one.
+function CircuitsPanel({ circuits, events, seasonId, addCircuit, updateCircuit, deleteCircuit }) {
+  const [name, setName] = useState("");
+  const [country, setCountry] = useState("");
+  const [length, setLength] = useState("");
+  const [laps, setLaps] = useState("");
+  const rounds = (id) => new Set(events.filter(e => e.circuitId === id).map(e => e.round)).size;
+  const submit = () => {
+    if (!name.trim()) return;
+    addCircuit({ name: name.trim(), country: country.trim(), length: numberOrNull(length), laps: numberOrNull(laps) });
+    setName(""); setCountry(""); setLength(""); setLaps("");
+  };
+
   return (
-    <section className="space-y-4">
-      <h2 className="text-lg font-semibold">Raw Data</h2>
-      <pre className="text-xs border rounded-2xl p-4 bg-white overflow-auto">{JSON.stringify({teams,drivers,events,results}, null, 2)}</pre>
+    <section className="space-y-6">
+      <h2 className="text-lg font-semibold">Circuits</h2>
+      <div className="border rounded-2xl p-4 bg-white">
+        <h3 className="font-medium mb-3">Add Circuit</h3>
+        <div className="flex flex-wrap gap-2">
+          <input className="px-3 py-2" placeholder="Circuit name (e.g., Albert Park)" value={name} onChange={e=>setName(e.target.value)} />
+          <input className="px-3 py-2" placeholder="Country" value={country} onChange={e=>setCountry(e.target.value)} />
+          <input type="number" step="0.001" className="px-3 py-2 w-32" placeholder="Length (km)" value={length} onChange={e=>setLength(e.target.value)} />
+          <input type="number" className="px-3 py-2 w-24" placeholder="Laps" value={laps} onChange={e=>setLaps(e.target.value)} />
+          <button onClick={submit} className="btn btn-primary">Add Circuit</button>
+        </div>
+      </div>
+
+      <div className="border rounded-2xl overflow-x-auto bg-white">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2 pl-3">Name</th>
+              <th className="py-2">Country</th>
+              <th className="py-2">Length (km)</th>
+              <th className="py-2">Laps</th>
+              <th className="py-2">Distance</th>
+              <th className="py-2">Lap record</th>
+              <th className="py-2" title="Rounds held here this season">Rounds</th>
+              <th className="py-2 pr-3" />
+            </tr>
+          </thead>
+          <tbody>
+            {!circuits.length && <tr><td colSpan={8} className="py-3 pl-3 text-neutral-600">No circuits yet — they're added with a calendar template, or here.</td></tr>}
+            {circuits.map(c => (
+              <tr key={c.id} className="border-b last:border-0">
+                <td className="py-2 pl-3"><input className="w-full" value={c.name} onChange={e=>updateCircuit(c.id,{name:e.target.value})} /></td>
+                <td className="py-2"><input className="w-32" value={c.country || ""} onChange={e=>updateCircuit(c.id,{country:e.target.value})} /></td>
+                <td className="py-2"><input type="number" step="0.001" className="w-24" value={c.length ?? ""} onChange={e=>updateCircuit(c.id,{length:numberOrNull(e.target.value)})} /></td>
+                <td className="py-2"><input type="number" className="w-20" value={c.laps ?? ""} onChange={e=>updateCircuit(c.id,{laps:numberOrNull(e.target.value)})} /></td>
+                <td className="py-2 tabular-nums">{raceDistance(c) != null ? `${raceDistance(c)} km` : "—"}</td>
+                <td className="py-2">{c.lapRecord ? `${c.lapRecord.time} · ${c.lapRecord.driver} (${c.lapRecord.year})` : "—"}</td>
+                <td className="py-2">{rounds(c.id) || ""}</td>
+                <td className="py-2 pr-3 text-right whitespace-nowrap">
+                  <Link to={routePath({ seasonId, tab: "circuits", circuitId: c.id })} className="btn mr-2">Open</Link>
+                  <button onClick={()=>deleteCircuit(c.id)} className="btn btn-danger">Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
     </section>
   );
 }
 
-// ---------- charts ----------
-function SimpleBarChart({ labels, values, valueFormatter = v=>String(v), maxBars }) {
-  const max = Math.max(1, ...values);
-  const bars = labels.map((label, i) => ({ label, value: values[i] || 0 }));
-  const slice = maxBars ? bars.slice(0, maxBars) : bars;
-  const W = 520, H = 220, P = 28;
-  const cw = (W - P*2) / slice.length;
-
-  return (
-    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-[220px]">
-      <line x1={P} y1={H-P} x2={W-P} y2={H-P} stroke="#e5e7eb" />
-      {slice.map((b, i) => {
-        const h = max ? Math.round((b.value / max) * (H - P*2)) : 0;
-        const x = P + i*cw + 6;
-        const y = H - P - h;
-        return (
-          <g key={i}>
-            <rect x={x} y={y} width={Math.max(6, cw-12)} height={h} rx="6" fill="black" opacity="0.85" />
-            <text x={x + (cw-12)/2} y={y-6} textAnchor="middle" fontSize="11" fill="#374151">{valueFormatter(b.value)}</text>
-            <text x={x + (cw-12)/2} y={H-P+14} textAnchor="middle" fontSize="11" fill="#6b7280">{b.label}</text>
-          </g>
-        );
-      })}
-    </svg>
+// /season/:id/circuits/:circuitId — details, lap record and the winners and pole-sitters of every stored season.
+function CircuitPage({ circuitId, circuits, seasons, activeSeason, activeData, updateCircuit }) {
+  const [stored, setStored] = useState(null);
+
+  useEffect(() => {
+    let live = true;
+    Promise.all(seasons.filter(s => s.id !== activeSeason.id).map(async s => [s.id, await readSeasonData(s.id)]))
+      .then(entries => live && setStored(Object.fromEntries(entries)));
+    return () => { live = false; };
+  }, [seasons, activeSeason.id]);
+
+  const history = useMemo(() => stored && circuitHistory(circuitId,
+    seasons.map(s => ({ season: s, data: s.id === activeSeason.id ? activeData : stored[s.id] }))),
+  [stored, circuitId, seasons, activeSeason.id, activeData]);
+
+  const circuit = circuits.find(c => c.id === circuitId);
+  if (!circuit) return <NotFound what="Circuit" backTo={routePath({ seasonId: activeSeason.id, tab: "circuits" })} backLabel="All circuits" />;
+  const record = circuit.lapRecord || { time: "", driver: "", year: null };
+  const setRecord = (patch) => {
+    const next = { ...record, ...patch };
+    updateCircuit(circuit.id, { lapRecord: next.time || next.driver || next.year ? next : null });
+  };
+  const leaders = history ? mostWins(history) : [];
+
+  return (
+    <section className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <Link to={routePath({ seasonId: activeSeason.id, tab: "circuits" })} className="text-sm text-neutral-500 hover:underline">← Circuits</Link>
+        <h2 className="text-lg font-semibold">{circuit.name}</h2>
+        {circuit.country && <span className="text-sm text-neutral-500">{circuit.country}</span>}
+      </div>
+
+      <div className="grid sm:grid-cols-4 gap-3 text-sm">
+        {[
+          ["Length", circuit.length ? `${circuit.length} km` : "—"],
+          ["Laps", circuit.laps ?? "—"],
+          ["Race distance", raceDistance(circuit) != null ? `${raceDistance(circuit)} km` : "—"],
+          ["Most wins", leaders[0] ? <>{leaders[0].name} <span className="text-sm font-normal text-neutral-500">×{leaders[0].wins}</span></> : "—"],
+        ].map(([label, value]) => (
+          <div key={label} className="p-3 rounded-xl border bg-white">
+            <div className="text-neutral-500">{label}</div>
+            <div className="text-lg font-semibold">{value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="border rounded-2xl p-4 bg-white">
+        <h3 className="font-medium mb-3">Lap record</h3>
+        <div className="flex flex-wrap gap-2 text-sm">
+          <input className="px-3 py-2 w-32" placeholder="1:19.813" value={record.time} onChange={e=>setRecord({ time: e.target.value })} />
+          <input className="px-3 py-2" placeholder="Driver" value={record.driver} onChange={e=>setRecord({ driver: e.target.value })} />
+          <input type="number" className="px-3 py-2 w-24" placeholder="Year" value={record.year ?? ""} onChange={e=>setRecord({ year: numberOrNull(e.target.value) })} />
+        </div>
+      </div>
+
+      <div className="border rounded-2xl overflow-x-auto bg-white">
+        <h3 className="font-semibold px-4 pt-3">Winners and pole-sitters</h3>
+        {!history ? <p className="px-4 py-3 text-neutral-600">Loading seasons…</p> : !history.length ? <p className="px-4 py-3 text-neutral-600">No races at this circuit in any season yet.</p> : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2 pl-4">Season</th>
+                <th className="py-2">Event</th>
+                <th className="py-2">Winner</th>
+                <th className="py-2">Team</th>
+                <th className="py-2 pr-4">Pole</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map(h => (
+                <tr key={`${h.season.id}|${h.event.id}`} className="border-b last:border-0">
+                  <td className="py-2 pl-4">{h.season.name}</td>
+                  <td className="py-2">
+                    <Link to={routePath({ seasonId: h.season.id, tab: "events", eventId: h.event.id })} className="hover:underline">R{h.event.round ?? "?"} {h.event.name}</Link>
+                    {h.event.type !== "GP" && <span className="text-neutral-500"> — {h.event.type}</span>}
+                  </td>
+                  <td className="py-2">{h.winner?.name || "—"}</td>
+                  <td className="py-2">{h.team?.name || "—"}</td>
+                  <td className="py-2 pr-4">{h.pole?.name || "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+      {leaders.length > 1 && (
+        <div className="border rounded-2xl p-4 bg-white">
+          <h3 className="font-medium mb-2">Grand Prix wins here</h3>
+          <ol className="text-sm space-y-1">
+            {leaders.map(l => <li key={l.name} className="flex justify-between max-w-xs"><span>{l.name}</span><span className="tabular-nums">{l.wins}</span></li>)}
+          </ol>
+        </div>
+      )}
+    </section>
   );
 }
-function SimpleLineChart({ xLabels, series }) {
-  const n = xLabels.length;
-  const W = 520, H = 220, P = 28;
-  const xs = (i) => P + (i*(W-2*P))/Math.max(1,(n-1));
-  const max = Math.max(1, ...series.flatMap(s => s.data));
-  const colorFor = (idx) => (["#111111","#ef4444","#3b82f6","#10b981","#f59e0b"][idx % 5]);
 
-  return (
-    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-[220px]">
-      <line x1={P} y1={H-P} x2={W-P} y2={H-P} stroke="#e5e7eb" />
-      {xLabels.map((lab,i)=>(
-        <text key={i} x={xs(i)} y={H-P+14} textAnchor="middle" fontSize="11" fill="#6b7280">{lab}</text>
-      ))}
-      {series.map((s, si) => {
-        const pts = s.data.map((y,i)=>{
-          const vy = max ? (H-P) - (y/max)*(H-2*P) : (H-P);
-          return `${xs(i)},${vy}`;
-        }).join(' ');
-        return (
-          <g key={si}>
-            <polyline fill="none" stroke={colorFor(si)} strokeWidth="2" points={pts}/>
-            {s.data.map((y,i)=>{
-              const vy = max ? (H-P) - (y/max)*(H-2*P) : (H-P);
-              return <circle key={i} cx={xs(i)} cy={vy} r="2.5" fill={colorFor(si)} />;
-            })}
-            <text x={W-P} y={12 + si*14} textAnchor="end" fontSize="11" fill={colorFor(si)}>{s.label}</text>
-          </g>
-        );
-      })}
-    </svg>
-  );
-}
-
-// ---------- standings + io ----------
-function buildStandings({ drivers, teams, events, results, driverById }) {
-  const driverStats = new Map();
-  const teamPoints = new Map();
-  for (const d of drivers) driverStats.set(d.id, { points: 0, wins: 0, podiums: 0, bestFinish: 99, finishes: [] });
-  for (const t of teams) teamPoints.set(t.id, 0);
-
-  const resultsByEvent = results.reduce((acc, r) => { (acc[r.eventId] ||= []).push(r); return acc; }, {});
-  for (const e of events) {
-    const entries = (resultsByEvent[e.id] || []).slice().sort((a,b)=>a.position-b.position);
-    for (const r of entries) {
-      if (!driverStats.has(r.driverId)) continue;
-      const d = driverStats.get(r.driverId);
-      const basePts = r.status === 'FIN' ? computePointsFor(r.position, e.type) : 0;
-      const flBonus = (e.type === 'GP' && r.fastestLap && r.position <= 10) ? 1 : 0;
-      const pts = basePts + flBonus;
-      d.points += pts;
-      if (r.position === 1) d.wins += 1;
-      if (r.position <= 3) d.podiums += 1;
-      d.bestFinish = Math.min(d.bestFinish, r.position);
-      d.finishes.push(r.position);
-      const drv = driverById[r.driverId];
-      if (drv?.teamId) teamPoints.set(drv.teamId, (teamPoints.get(drv.teamId) || 0) + pts);
+// Career tables across every stored season, plus the roster that ties season entries together.
+function AllTimePanel({ seasons, activeSeason, activeData, roster, setRoster, applyLinks }) {
+  const [stored, setStored] = useState(null);
+  const [open, setOpen] = useState(null);
+  const [linkSeasonId, setLinkSeasonId] = useState(activeSeason.id);
+
+  useEffect(() => {
+    let live = true;
+    Promise.all(seasons.map(async s => [s.id, await readSeasonData(s.id)]))
+      .then(entries => live && setStored(Object.fromEntries(entries)));
+    return () => { live = false; };
+  }, [seasons]);
+
+  const dataFor = (id) => id === activeSeason.id ? activeData : stored?.[id];
+  const careers = useMemo(() => {
+    if (!stored) return null;
+    return careerStats(seasons.map(s => ({ season: s, data: s.id === activeSeason.id ? activeData : stored[s.id], rules: rulesFor(s) })), roster);
+  }, [stored, seasons, activeSeason.id, activeData, roster]);
+  if (!careers) return <p className="text-neutral-600">Loading seasons…</p>;
+
+  const link = async (nextRoster, updates) => {
+    await applyLinks(nextRoster, updates);
+    setStored(prev => ({ ...prev, ...Object.fromEntries(updates.filter(u => u.id !== activeSeason.id).map(u => [u.id, { ...prev[u.id], ...u }])) }));
+  };
+  const linkAll = () => {
+    const { roster: next, seasons: updates } = linkByName(roster, seasons.map(s => ({ id: s.id, ...dataFor(s.id) })), uid);
+    if (!updates.length) { alert("Every driver and team is already linked."); return; }
+    link(next, updates);
+  };
+  // rosterId "" unlinks, "new" creates an identity from the entry
+  const linkOne = (kind, item, rosterId) => {
+    let next = roster;
+    if (rosterId === "new") {
+      rosterId = uid();
+      next = { ...roster, [kind]: [...roster[kind], { id: rosterId, name: item.name }] };
     }
-  }
-  const driverRows = drivers.map(d => ({ driver: d, ...driverStats.get(d.id) }))
-    .sort((a,b) => (b.points - a.points) || (b.wins - a.wins) || (b.podiums - a.podiums) || (a.bestFinish - b.bestFinish) || a.driver.name.localeCompare(b.driver.name));
-  const teamRows = teams.map(t => ({ team: t, points: teamPoints.get(t.id) || 0 }))
-    .sort((a,b)=> b.points - a.points || a.team.name.localeCompare(b.team.name));
-  return { drivers: driverRows, teams: teamRows };
-}
-function normalizeResults(list) {
-  return list.map(r => ({
-    ...r,
-    position: Math.max(1, Number(r.position) || 1),
-    status: r.status === 'DNF' ? 'DNF' : (r.status === 'DNS' ? 'DNS' : 'FIN'),
-    fastestLap: !!r.fastestLap,
-  })).sort((a,b)=> a.eventId.localeCompare(b.eventId) || a.position - b.position);
-}
-function exportJSON(season, data) {
-  const name = season?.name?.replace(/[^\w\- ]/g, "_") || "Season";
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url; a.download = `${name}_f1_season.json`;
-  document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
-}
-async function importJSON(file, season, setters) {
-  const text = await file.text();
-  try {
-    const data = JSON.parse(text);
-    if (!data) throw new Error("Invalid JSON");
-    setters.setTeams(Array.isArray(data.teams) ? data.teams : []);
-    setters.setDrivers(Array.isArray(data.drivers) ? data.drivers : []);
-    setters.setEvents(Array.isArray(data.events) ? data.events : []);
-    setters.setResults(Array.isArray(data.results) ? data.results : []);
-    setters.setTab("Standings");
-    alert(`Imported into "${season?.name || "Season"}"`);
-  } catch (e) {
-    alert("Import failed: " + e.message);
-  }
+    const list = dataFor(linkSeasonId)[kind].map(x => x.id === item.id ? { ...x, rosterId: rosterId || undefined } : x);
+    link(next, [{ id: linkSeasonId, [kind]: list }]);
+  };
+  const renameIdentity = (kind, id, name) =>
+    setRoster({ ...roster, [kind]: roster[kind].map(x => x.id === id ? { ...x, name } : x) });
+
+  const careerTable = (title, rows, kind) => (
+    <div className="border rounded-2xl overflow-x-auto bg-white">
+      <h3 className="font-semibold px-4 pt-3">{title}</h3>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left border-b">
+            <th className="py-2 pl-4">Name</th>
+            <th className="py-2 text-right">Seasons</th>
+            <th className="py-2 text-right">Starts</th>
+            <th className="py-2 text-right">Wins</th>
+            <th className="py-2 text-right">Poles</th>
+            <th className="py-2 text-right">Podiums</th>
+            <th className="py-2 text-right">Titles</th>
+            <th className="py-2 pr-4 text-right">Points</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(c => (
+            <React.Fragment key={c.key}>
+              <tr className="border-b last:border-0 cursor-pointer hover:bg-neutral-50" onClick={() => setOpen(open === `${kind}:${c.key}` ? null : `${kind}:${c.key}`)}>
+                <td className="py-2 pl-4">{c.name}{!c.linked && <span className="ml-2 text-xs text-amber-700" title="Not linked to the all-time roster">unlinked</span>}</td>
+                <td className="py-2 text-right">{c.seasons.length}</td>
+                <td className="py-2 text-right">{c.starts}</td>
+                <td className="py-2 text-right">{c.wins}</td>
+                <td className="py-2 text-right">{c.poles}</td>
+                <td className="py-2 text-right">{c.podiums}</td>
+                <td className="py-2 text-right font-semibold">{c.titles || ""}</td>
+                <td className="py-2 pr-4 text-right">{c.points}</td>
+              </tr>
+              {open === `${kind}:${c.key}` && c.seasons.map(line => (
+                <tr key={line.seasonId} className="border-b bg-neutral-50 text-neutral-700">
+                  <td className="py-1 pl-8">
+                    <Link to={routePath({ seasonId: line.seasonId, tab: "standings" })} className="hover:underline">{line.seasonName}</Link>
+                    {line.team && <span className="ml-2 text-neutral-500">{line.team}</span>}
+                  </td>
+                  <td className="py-1 text-right">{line.complete ? `P${line.position}` : `P${line.position}*`}</td>
+                  <td className="py-1 text-right">{line.starts}</td>
+                  <td className="py-1 text-right">{line.wins}</td>
+                  <td className="py-1 text-right">{line.poles}</td>
+                  <td className="py-1 text-right">{line.podiums}</td>
+                  <td className="py-1 text-right">{line.champion ? "🏆" : ""}</td>
+                  <td className="py-1 pr-4 text-right">{line.points}</td>
+                </tr>
+              ))}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const linkData = dataFor(linkSeasonId);
+  return (
+    <section className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <h2 className="text-lg font-semibold">All-Time</h2>
+        <span className="text-sm text-neutral-500">{seasons.length} season(s) · * season still in progress · Grands Prix only for starts, wins and podiums</span>
+        <button className="ml-auto btn" onClick={linkAll} title="Link every unlinked driver and team to the roster identity with the same name">Link all by name</button>
+      </div>
+      <div className="grid xl:grid-cols-2 gap-6">
+        {careerTable("Drivers", careers.drivers, "drivers")}
+        {careerTable("Constructors", careers.teams, "teams")}
+      </div>
+
+      <div className="border rounded-2xl p-4 bg-white space-y-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <h3 className="font-semibold">Roster links</h3>
+          <select className="border rounded-xl px-3 py-1.5" value={linkSeasonId} onChange={e => setLinkSeasonId(e.target.value)}>
+            {seasons.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+          </select>
+        </div>
+        <div className="grid md:grid-cols-2 gap-6">
+          {ROSTER_KINDS.map(kind => (
+            <table key={kind} className="w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2">{kind === "drivers" ? "Driver" : "Team"} in {seasons.find(s => s.id === linkSeasonId)?.name}</th>
+                  <th className="py-2">All-time identity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(linkData?.[kind] || []).map(item => (
+                  <tr key={item.id} className="border-b last:border-0">
+                    <td className="py-1">{item.name}</td>
+                    <td className="py-1">
+                      <select className="w-full px-2 py-1" value={roster[kind].some(x => x.id === item.rosterId) ? item.rosterId : ""} onChange={e => linkOne(kind, item, e.target.value)}>
+                        <option value="">— Not linked —</option>
+                        <option value="new">+ New identity "{item.name}"</option>
+                        {roster[kind].map(x => <option key={x.id} value={x.id}>{x.name}</option>)}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ))}
+        </div>
+        <details>
+          <summary className="cursor-pointer text-sm text-neutral-600">Edit identity names ({roster.drivers.length} drivers, {roster.teams.length} teams)</summary>
+          <div className="grid md:grid-cols-2 gap-3 mt-2">
+            {ROSTER_KINDS.map(kind => (
+              <div key={kind} className="space-y-1">
+                {roster[kind].map(x => (
+                  <input key={x.id} className="w-full px-2 py-1 border rounded-lg text-sm" value={x.name} onChange={e => renameIdentity(kind, x.id, e.target.value)} />
+                ))}
+              </div>
+            ))}
+          </div>
+        </details>
+      </div>
+    </section>
+  );
+}
+
+function RulesPanel({ rules, updateRules }) {
+  return (
+    <section className="space-y-6">
+      <h2 className="text-lg font-semibold">Points Rules</h2>
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="border rounded-2xl p-4 bg-white">
+          <h3 className="font-medium mb-3">Preset</h3>
+          <div className="flex flex-col gap-3">
+            <select className="px-3 py-2" value={POINTS_PRESETS[rules.preset] ? rules.preset : "custom"} onChange={e=>e.target.value !== "custom" && updateRules(presetRules(e.target.value))}>
+              {Object.entries(POINTS_PRESETS).map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+              <option value="custom" disabled>Custom</option>
+            </select>
+            <p className="text-sm text-neutral-600">{describeRules(rules)}</p>
+          </div>
+        </div>
+
+        <div className="border rounded-2xl p-4 bg-white">
+          <h3 className="font-medium mb-3">Scoring</h3>
+          <div className="flex flex-col gap-3 text-sm">
+            <label className="flex flex-col gap-1">
+              <span className="text-neutral-600">GP points (P1, P2, …)</span>
+              <PointsTableInput value={rules.race} onChange={race=>updateRules({ race, preset: "custom" })} />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-neutral-600">Sprint points (P1, P2, …)</span>
+              <PointsTableInput value={rules.sprint} onChange={sprint=>updateRules({ sprint, preset: "custom" })} />
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={rules.fastestLap} onChange={e=>updateRules({ fastestLap: e.target.checked, preset: "custom" })} />
+              Fastest Lap bonus (GP only)
+            </label>
+            {rules.fastestLap && (
+              <div className="flex items-center gap-2 pl-6">
+                <span>+</span>
+                <input type="number" min="0" className="w-20" value={rules.fastestLapPoints} onChange={e=>updateRules({ fastestLapPoints: Number(e.target.value) || 0, preset: "custom" })} />
+                <span>pts if finishing in the top</span>
+                <input type="number" min="1" className="w-20" value={rules.fastestLapCutoff} onChange={e=>updateRules({ fastestLapCutoff: Math.max(1, Number(e.target.value) || 1), preset: "custom" })} />
+              </div>
+            )}
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={rules.halfPoints} onChange={e=>updateRules({ halfPoints: e.target.checked, preset: "custom" })} />
+              Half points for GPs marked as shortened
+            </label>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+// Comma-separated points table; committed on blur so partially typed lists aren't rejected.
+function PointsTableInput({ value, onChange }) {
+  const [text, setText] = useState(value.join(", "));
+  useEffect(()=>{ setText(value.join(", ")); }, [value]);
+  const commit = () => {
+    const parsed = text.split(/[\s,;]+/).filter(Boolean).map(Number);
+    if (parsed.some(n => !Number.isFinite(n) || n < 0)) { setText(value.join(", ")); return; }
+    if (parsed.join() !== value.join()) onChange(parsed);
+  };
+  return <input className="px-3 py-2" value={text} onChange={e=>setText(e.target.value)} onBlur={commit} placeholder="e.g. 25, 18, 15" />;
+}
+
+function GridStatsTable({ title, rows }) {
+  const fmt = (v) => v == null ? '—' : v.toFixed(2);
+  const fmtSigned = (v) => v == null ? '—' : `${v > 0 ? '+' : ''}${v.toFixed(2)}`;
+  return (
+    <div className="overflow-x-auto">
+      <table className="table w-full text-sm">
+        <thead>
+          <tr className="text-left border-b">
+            <th className="py-2">{title}</th>
+            <th className="py-2">Poles</th>
+            <th className="py-2">Front rows</th>
+            <th className="py-2">Avg grid</th>
+            <th className="py-2">Avg gained</th>
+            <th className="py-2">Q→R</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => (
+          <tr key={r.id} className="border-b last:border-0">
+            <td className="py-2">{r.name}</td>
+            <td className="py-2">{r.poles}</td>
+            <td className="py-2">{r.frontRows}</td>
+            <td className="py-2">{fmt(r.avgGrid)}</td>
+            <td className="py-2">{fmtSigned(r.avgGained)}</td>
+            <td className="py-2">{fmtSigned(r.avgQualiDelta)}</td>
+          </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ScenariosPanel({ drivers, teams, events, results, rules }) {
+  // hypothetical finishing orders, kept in memory only: { [eventId]: { order: [driverId…], fastestLap } }
+  const [whatIf, setWhatIf] = useState({});
+  const real = useMemo(() => buildScenario({ drivers, teams, events, results, rules }), [drivers, teams, events, results, rules]);
+
+  const hypotheticalResults = useMemo(() => Object.entries(whatIf).flatMap(([eventId, { order, fastestLap }]) =>
+    order.map((driverId, i) => ({ eventId, driverId, position: i + 1, status: 'FIN', fastestLap: !!driverId && driverId === fastestLap }))
+         .filter(r => r.driverId)
+  ), [whatIf]);
+  const scenario = useMemo(
+    () => hypotheticalResults.length ? buildScenario({ drivers, teams, events, results: [...results, ...hypotheticalResults], rules }) : real,
+    [real, hypotheticalResults, drivers, teams, events, results, rules]
+  );
+
+  const setPosition = (event, i, driverId) => setWhatIf(prev => {
+    const cur = prev[event.id] || { order: [], fastestLap: "" };
+    const order = cur.order.slice();
+    order[i] = driverId;
+    return { ...prev, [event.id]: { ...cur, order } };
+  });
+  const setFastestLap = (event, driverId) => setWhatIf(prev => ({ ...prev, [event.id]: { order: [], ...prev[event.id], fastestLap: driverId } }));
+
+  if (!real.remaining.length && !hypotheticalResults.length) {
+    return <p className="text-neutral-600">No races left without results — the season is complete.</p>;
+  }
+  const { clinch, leader } = scenario;
+
+  return (
+    <section className="space-y-6">
+      <div className="flex items-center gap-3">
+        <h2 className="text-lg font-semibold">Scenarios</h2>
+        <span className="text-sm text-neutral-500">{scenario.remaining.length} race(s) left after hypotheticals</span>
+        {hypotheticalResults.length > 0 && <button className="ml-auto btn" onClick={()=>setWhatIf({})}>Clear hypotheticals</button>}
+      </div>
+
+      <div className="border rounded-2xl p-4 bg-white text-sm">
+        <h3 className="font-semibold mb-1">Title</h3>
+        {!leader ? '—'
+          : clinch?.decided ? <p><b>{leader.driver.name}</b> has clinched the Drivers' Championship.</p>
+          : !clinch ? <p>No races left.</p>
+          : clinch.position == null ? <p><b>{leader.driver.name}</b> cannot clinch the title at {clinch.next.name}.</p>
+          : clinch.anyResult ? <p><b>{leader.driver.name}</b> clinches the title at {clinch.next.name} whatever happens.</p>
+          : <p>{`P${clinch.position}`} or better at {clinch.next.name} clinches the title for <b>{leader.driver.name}</b>.</p>}
+        <p className="text-xs text-neutral-500 mt-1">Worst case assumed: the nearest rival wins and takes any fastest-lap bonus. Ties on points go to countback and are not counted as clinched.</p>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <ScenarioTable title="Drivers" rows={scenario.drivers} nameOf={r => r.driver.name} />
+        <ScenarioTable title="Constructors" rows={scenario.teams} nameOf={r => r.team.name} note="max assumes a 1–2 finish every race" />
+      </div>
+
+      <div className="border rounded-2xl p-4 bg-white space-y-4">
+        <h3 className="font-semibold">What if…</h3>
+        <p className="text-xs text-neutral-500">Hypothetical points finishes for remaining races. Nothing here is saved to the season's results.</p>
+        {real.remaining.map(e => {
+          const table = e.type === "Sprint" ? rules.sprint : rules.race;
+          const cur = whatIf[e.id] || { order: [], fastestLap: "" };
+          return (
+            <div key={e.id} className="space-y-2">
+              <div className="text-sm font-medium">{`R${e.round ?? '?'} — ${e.name} (${e.type})`}</div>
+              <div className="flex flex-wrap gap-2">
+                {table.map((_, i) => (
+                  <label key={i} className="flex items-center gap-1 text-xs">
+                    <span className="w-6 text-right">P{i+1}</span>
+                    <select className="px-2 py-1" value={cur.order[i] || ""} onChange={ev=>setPosition(e, i, ev.target.value)}>
+                      <option value="">—</option>
+                      {drivers.map(d => <option key={d.id} value={d.id} disabled={cur.order.includes(d.id) && cur.order[i] !== d.id}>{d.name}</option>)}
+                    </select>
+                  </label>
+                ))}
+                {rules.fastestLap && e.type === 'GP' && (
+                  <label className="flex items-center gap-1 text-xs">
+                    <span>FL</span>
+                    <select className="px-2 py-1" value={cur.fastestLap || ""} onChange={ev=>setFastestLap(e, ev.target.value)}>
+                      <option value="">—</option>
+                      {drivers.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                    </select>
+                  </label>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+function ScenarioTable({ title, rows, nameOf, note }) {
+  return (
+    <div className="border rounded-2xl overflow-hidden bg-white">
+      <div className="p-4 border-b flex items-center gap-2">
+        <div className="w-2 h-5 rounded bg-black"/>
+        <h3 className="font-semibold">{title}</h3>
+        {note && <span className="ml-auto text-xs text-neutral-500">{note}</span>}
+      </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left border-b">
+            <th className="py-2 pl-3">#</th>
+            <th className="py-2">{title === "Drivers" ? "Driver" : "Team"}</th>
+            <th className="py-2 text-right">Pts</th>
+            <th className="py-2 text-right">Max</th>
+            <th className="py-2 pr-3 text-right">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r, i) => (
+            <tr key={i} className={classNames("border-b last:border-0", !r.inContention && "text-neutral-400")}>
+              <td className="py-2 pl-3">{i+1}</td>
+              <td className="py-2">{nameOf(r)}</td>
+              <td className="py-2 text-right">{r.points}</td>
+              <td className="py-2 text-right">{r.max}</td>
+              <td className="py-2 pr-3 text-right">{r.inContention ? "In contention" : "Eliminated"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const PREDICTION_RULES = [
+  `${PREDICTION_POINTS.podiumExact} per podium driver in the right place`,
+  `${PREDICTION_POINTS.podiumDriver} on the podium elsewhere`,
+  `${PREDICTION_POINTS.pole} pole`,
+  `${PREDICTION_POINTS.fastestLap} fastest lap`,
+  `${PREDICTION_POINTS.dnf} per DNF called`,
+].join(" · ");
+
+function PredictionsPanel({ players, predictions, events, results, drivers, seasonName, addPlayer, renamePlayer, deletePlayer, savePrediction, eventId, selectEvent }) {
+  const [name, setName] = useState("");
+  const now = useNow();
+  const races = useMemo(() => sortEventsByTime(events.filter(isRace)), [events]);
+  const byEvent = useMemo(() => groupResultsByEvent(results), [results]);
+  const league = useMemo(() => predictionLeague({ players, predictions, events, results }), [players, predictions, events, results]);
+  const driverName = (id) => drivers.find(d => d.id === id)?.name || "—";
+
+  // the linked race, else the next one still open, else the last one
+  const race = races.find(e => e.id === eventId) || races.find(e => !isLocked(e, events, now)) || races.at(-1);
+  const lock = race ? predictionLock(race, events) : null;
+  const locked = lock != null && now >= lock;
+  const lockTime = lock != null && new Date(lock).toLocaleString(undefined, { weekday: "short", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+  const outcome = race ? raceOutcome(race, events, byEvent) : null;
+  const racing = race ? drivers.filter(d => !driverStints(d).length || teamIdAt(d, race.round)) : [];
+  const predictionOf = (playerId) => predictions.find(p => p.eventId === race.id && p.playerId === playerId);
+
+  const colorOf = (id) => PALETTE[players.findIndex(p => p.id === id) % PALETTE.length];
+  const history = players.map(p => ({ id: p.id, label: p.name, color: colorOf(p.id), data: league.rounds.map(r => r.players.find(x => x.id === p.id)?.points ?? 0) }));
+
+  const driverSelect = (value, onChange, { exclude = [] } = {}) => (
+    <select className="px-2 py-1 text-xs" value={value || ""} disabled={locked} onChange={e=>onChange(e.target.value)}>
+      <option value="">—</option>
+      {racing.map(d => <option key={d.id} value={d.id} disabled={exclude.includes(d.id) && d.id !== value}>{d.name}</option>)}
+    </select>
+  );
+
+  return (
+    <section className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <h2 className="text-lg font-semibold">Prediction League</h2>
+        <span className="text-sm text-neutral-500">{PREDICTION_RULES}</span>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div className="border rounded-2xl overflow-hidden bg-white">
+          <div className="p-4 border-b flex items-center gap-2">
+            <div className="w-2 h-5 rounded bg-black"/>
+            <h3 className="font-semibold">League Table</h3>
+            <span className="ml-auto text-xs text-neutral-500">{league.rounds.length} race(s) scored</span>
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2 pl-3">#</th>
+                <th className="py-2">Player</th>
+                <th className="py-2 text-right" title="Races with a scored prediction">Races</th>
+                <th className="py-2 text-right" title="Podiums called exactly">Exact</th>
+                <th className="py-2 pr-3 text-right">Pts</th>
+              </tr>
+            </thead>
+            <tbody>
+              {league.rows.map(r => (
+                <tr key={r.player.id} className="border-b last:border-0">
+                  <td className="py-2 pl-3">{r.position}</td>
+                  <td className="py-2">{r.player.name}</td>
+                  <td className="py-2 text-right">{r.scored}</td>
+                  <td className="py-2 text-right">{r.exactPodiums}</td>
+                  <td className="py-2 pr-3 text-right font-semibold">{r.points}</td>
+                </tr>
+              ))}
+              {!players.length && <tr><td colSpan={5} className="py-3 text-center text-neutral-500">Add players to start a league.</td></tr>}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="border rounded-2xl p-4 bg-white">
+          <h3 className="font-medium mb-3">Players</h3>
+          <div className="flex gap-2 mb-3">
+            <input className="flex-1 px-3 py-2" placeholder="Player name" value={name} onChange={e=>setName(e.target.value)}
+              onKeyDown={e=>{ if (e.key === "Enter" && name.trim()) { addPlayer(name.trim()); setName(""); } }} />
+            <button className="btn btn-primary" onClick={()=>{ if (!name.trim()) return; addPlayer(name.trim()); setName(""); }}>Add Player</button>
+          </div>
+          <ul className="space-y-2">
+            {players.map(p => (
+              <li key={p.id} className="flex items-center gap-3 p-2 rounded-xl border">
+                <span className="w-3 h-3 rounded" style={{ background: colorOf(p.id) }} />
+                <input className="flex-1 bg-transparent" value={p.name} onChange={e=>renamePlayer(p.id, e.target.value)} />
+                <button className="btn btn-danger" onClick={()=>{ if (confirm(`Delete ${p.name} and their predictions?`)) deletePlayer(p.id); }}>Delete</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      {league.rounds.length > 0 && players.length > 0 && (
+        <ChartCard title="Prediction League Points" seasonName={seasonName} legend={history}>
+          <SimpleLineChart xLabels={league.rounds.map(r => eventAxisLabel(r.event))} xTitles={league.rounds.map(r => eventTitle(r.event))} series={history} />
+        </ChartCard>
+      )}
+
+      <div className="border rounded-2xl p-4 bg-white space-y-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <h3 className="font-semibold">Predictions</h3>
+          <select className="px-2 py-1" value={race?.id || ""} onChange={e=>selectEvent(e.target.value)} disabled={!races.length}>
+            {races.map(e => <option key={e.id} value={e.id}>{`R${e.round ?? "?"} — ${e.name} (${e.type})`}</option>)}
+          </select>
+          {race && (lock == null
+            ? <span className="text-sm text-neutral-500">No date set — open until one is.</span>
+            : locked
+              ? <span className="text-sm text-neutral-500">Locked since {lockTime}</span>
+              : <span className="text-sm text-neutral-600">Locks in {formatCountdown(lock - now)} · {lockTime}</span>)}
+        </div>
+        {!races.length ? <p className="text-sm text-neutral-500">Add a Grand Prix or Sprint to predict.</p>
+          : !players.length ? <p className="text-sm text-neutral-500">Add players first.</p>
+          : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2 pl-1">Player</th>
+                  <th className="py-2">P1</th>
+                  <th className="py-2">P2</th>
+                  <th className="py-2">P3</th>
+                  <th className="py-2">Pole</th>
+                  {race.type === "GP" && <th className="py-2">FL</th>}
+                  <th className="py-2">DNFs</th>
+                  <th className="py-2 pr-1 text-right">Pts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {players.map(p => {
+                  const prediction = predictionOf(p.id) || { podium: ["", "", ""], pole: "", fastestLap: "", dnfs: [] };
+                  const podium = [0, 1, 2].map(i => prediction.podium?.[i] || "");
+                  const dnfs = prediction.dnfs || [];
+                  const score = league.scores.get(`${race.id}|${p.id}`);
+                  const save = (patch) => savePrediction(race.id, p.id, patch);
+                  return (
+                    <tr key={p.id} className="border-b last:border-0 align-top">
+                      <td className="py-2 pl-1 font-medium">{p.name}</td>
+                      {podium.map((driverId, i) => (
+                        <td key={i} className="py-2">{driverSelect(driverId, v => save({ podium: podium.map((x, j) => j === i ? v : x) }), { exclude: podium })}</td>
+                      ))}
+                      <td className="py-2">{driverSelect(prediction.pole, v => save({ pole: v }))}</td>
+                      {race.type === "GP" && <td className="py-2">{driverSelect(prediction.fastestLap, v => save({ fastestLap: v }))}</td>}
+                      <td className="py-2">
+                        <div className="flex flex-wrap gap-1 items-center">
+                          {dnfs.map(id => (
+                            <span key={id} className="px-2 py-0.5 rounded-full bg-neutral-100 text-xs whitespace-nowrap">
+                              {driverName(id)}
+                              {!locked && <button className="ml-1 text-neutral-500" aria-label={`Remove ${driverName(id)}`} onClick={()=>save({ dnfs: dnfs.filter(x => x !== id) })}>×</button>}
+                            </span>
+                          ))}
+                          {!locked && driverSelect("", v => v && save({ dnfs: [...dnfs, v] }), { exclude: dnfs })}
+                        </div>
+                      </td>
+                      <td className="py-2 pr-1 text-right" title={score ? `Podium ${score.podium} · Pole ${score.pole} · FL ${score.fastestLap} · DNFs ${score.dnfs}` : undefined}>
+                        {score ? <b>{score.total}</b> : "—"}
+                      </td>
+                    </tr>
+                  );
+                })}
+                {outcome && (
+                  <tr className="bg-neutral-50 text-xs">
+                    <td className="py-2 pl-1 font-semibold">Result</td>
+                    {outcome.podium.map((id, i) => <td key={i} className="py-2">{id ? driverName(id) : "—"}</td>)}
+                    <td className="py-2">{outcome.pole ? driverName(outcome.pole) : "—"}</td>
+                    {race.type === "GP" && <td className="py-2">{outcome.fastestLap ? driverName(outcome.fastestLap) : "—"}</td>}
+                    <td className="py-2">{outcome.dnfs.size ? [...outcome.dnfs].map(driverName).join(", ") : "None"}</td>
+                    <td />
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p className="text-xs text-neutral-500">Predictions lock when the race's qualifying starts (the race itself without one). Points are scored once results are entered.</p>
+      </div>
+    </section>
+  );
+}
+
+const countsLabel = (data) => COLLECTIONS.map(k => `${(data[k] || []).length} ${k}`).join(" · ");
+
+function ValidationReport({ report }) {
+  if (!report.errors.length && !report.warnings.length) return <p className="text-sm text-emerald-700">No problems found.</p>;
+  return (
+    <ul className="text-sm space-y-0.5 max-h-48 overflow-auto">
+      {report.errors.map((m, i) => <li key={`e${i}`} className="text-red-700">✕ {m}</li>)}
+      {report.warnings.map((m, i) => <li key={`w${i}`} className="text-amber-700">! {m}</li>)}
+    </ul>
+  );
+}
+
+// A new season: a copy of another (picking what to keep), one from the grid and calendar templates, or an empty one.
+function NewSeasonDialog({ seasons, activeSeason, onCreate, onCancel }) {
+  const [name, setName] = useState(`Season ${seasons.length + 1}`);
+  const [kind, setKind] = useState("clone");
+  const [seasonId, setSeasonId] = useState(activeSeason.id);
+  const [pick, setPick] = useState({ teams: true, drivers: true, events: true });
+  const [shiftDates, setShiftDates] = useState(true);
+  const [clearResults, setClearResults] = useState(true);
+  const [gridId, setGridId] = useState(GRID_TEMPLATES[0].id);
+  const [calendarId, setCalendarId] = useState(CALENDAR_TEMPLATES[0].id);
+  const [qualifying, setQualifying] = useState(true);
+  const [practice, setPractice] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const source = kind === "clone" ? { kind, seasonId, pick, years: shiftDates ? 1 : 0, clearResults }
+    : kind === "template" ? { kind, gridId, calendarId, qualifying, practice }
+    : { kind };
+  const create = async () => {
+    if (!name.trim()) return;
+    setBusy(true);
+    try { await onCreate({ name: name.trim(), source }); }
+    finally { setBusy(false); }
+  };
+  const check = (checked, onChange, label) => (
+    <label className="flex items-center gap-1.5"><input type="checkbox" checked={checked} onChange={e => onChange(e.target.checked)} />{label}</label>
+  );
+
+  return (
+    <section className="mb-6 border rounded-2xl p-4 bg-white space-y-3">
+      <h2 className="text-lg font-semibold">New season</h2>
+      <input className="px-3 py-2 border rounded-xl" value={name} onChange={e => setName(e.target.value)} placeholder="Season name" />
+      <div className="flex flex-wrap gap-4 text-sm">
+        {[["clone", "Copy an existing season"], ["template", "Start from a template"], ["empty", "Empty season"]].map(([value, label]) => (
+          <label key={value} className="flex items-center gap-1.5">
+            <input type="radio" name="new-season-source" checked={kind === value} onChange={() => setKind(value)} />
+            {label}
+          </label>
+        ))}
+      </div>
+      {kind === "clone" && (
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <select className="border rounded-xl px-3 py-1.5" value={seasonId} onChange={e => setSeasonId(e.target.value)}>
+            {seasons.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+          </select>
+          {check(pick.teams, v => setPick({ ...pick, teams: v }), "Teams")}
+          {check(pick.drivers, v => setPick({ ...pick, drivers: v }), "Drivers")}
+          {check(pick.events, v => setPick({ ...pick, events: v }), "Calendar")}
+          {check(shiftDates, setShiftDates, "Move event dates one year later")}
+          {check(clearResults, setClearResults, "Leave results behind")}
+        </div>
+      )}
+      {kind === "template" && (
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <select className="border rounded-xl px-3 py-1.5" value={gridId} onChange={e => setGridId(e.target.value)}>
+            <option value="">No teams or drivers</option>
+            {GRID_TEMPLATES.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+          <select className="border rounded-xl px-3 py-1.5" value={calendarId} onChange={e => setCalendarId(e.target.value)}>
+            <option value="">No calendar</option>
+            {CALENDAR_TEMPLATES.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+          {check(qualifying, setQualifying, "Include qualifying sessions")}
+          {check(practice, setPractice, "Include practice sessions")}
+        </div>
+      )}
+      {kind === "clone" && !clearResults && <p className="text-sm text-neutral-500">Results are copied for the drivers and events you copy.</p>}
+      <div className="flex gap-2">
+        <button className="btn btn-primary" disabled={busy || !name.trim()} onClick={create}>Create season</button>
+        <button className="btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </section>
+  );
+}
+
+// Shown after a file is picked: validation results and how to apply it.
+function ImportReview({ pending, activeSeason, seasons, current, circuits, onSeasonImport, onRestore, onCancel }) {
+  const { file, name } = pending;
+  const [mode, setMode] = useState("replace");
+
+  if (file.kind === "archive") {
+    const reports = file.seasons.map(s => validateSeason(s, { circuits: file.circuits || [] }));
+    const blocked = reports.some(r => r.errors.length);
+    const restore = () => {
+      if (!confirm(`Replace all ${seasons.length} stored season(s) with the ${file.seasons.length} in this backup?`)) return;
+      onRestore(file);
+    };
+    return (
+      <section className="mb-6 border rounded-2xl p-4 bg-white space-y-3">
+        <h2 className="text-lg font-semibold">Restore backup <span className="text-sm font-normal text-neutral-500">{name}{file.exportedAt && ` · ${file.exportedAt.slice(0, 10)}`}</span></h2>
+        {file.seasons.map((s, i) => (
+          <div key={s.season.id} className="border-t pt-2">
+            <div className="font-medium">{s.season.name} <span className="text-sm font-normal text-neutral-500">{countsLabel(s)}</span></div>
+            <ValidationReport report={reports[i]} />
+          </div>
+        ))}
+        <div className="flex gap-2">
+          <button className="btn btn-danger" disabled={blocked} onClick={restore}>Restore all seasons</button>
+          <button className="btn" onClick={onCancel}>Cancel</button>
+        </div>
+      </section>
+    );
+  }
+
+  const report = validateSeason(file, { ...(mode === "merge" ? current : {}), circuits });
+  return (
+    <section className="mb-6 border rounded-2xl p-4 bg-white space-y-3">
+      <h2 className="text-lg font-semibold">Import season <span className="text-sm font-normal text-neutral-500">{name}{file.exportedAt && ` · ${file.exportedAt.slice(0, 10)}`}</span></h2>
+      <p className="text-sm">{file.season?.name ? `"${file.season.name}"` : "Unnamed season"}: {countsLabel(file)}</p>
+      <div className="flex flex-wrap gap-4 text-sm">
+        {[
+          ["replace", `Replace "${activeSeason?.name}"`],
+          ["merge", `Merge into "${activeSeason?.name}" (keeps existing data)`],
+          ["new", "Add as a new season"],
+        ].map(([value, label]) => (
+          <label key={value} className="flex items-center gap-1.5">
+            <input type="radio" name="import-mode" checked={mode === value} onChange={() => setMode(value)} />
+            {label}
+          </label>
+        ))}
+      </div>
+      <ValidationReport report={report} />
+      <div className="flex gap-2">
+        <button className="btn btn-primary" disabled={report.errors.length > 0} onClick={() => onSeasonImport(file, mode)}>Import</button>
+        <button className="btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </section>
+  );
+}
+
+function ChangeLog({ history, restoreChange }) {
+  const restore = (i) => {
+    if (!confirm(`Return the season to how it was before "${history.past[i].label}"? This can be undone.`)) return;
+    restoreChange(i);
+  };
+  return (
+    <div className="border rounded-2xl bg-white">
+      <h3 className="font-medium px-4 pt-3">Change log</h3>
+      {!history.past.length ? <p className="px-4 pb-3 text-sm text-neutral-500">No changes recorded yet.</p> : (
+        <ul className="divide-y max-h-72 overflow-auto text-sm">
+          {history.past.map((entry, i) => (
+            <li key={entry.id} className="px-4 py-2 flex items-center gap-3">
+              <span className="text-neutral-500 tabular-nums w-40">{new Date(entry.at).toLocaleString()}</span>
+              <span>{entry.label}</span>
+              <button className="ml-auto btn" onClick={() => restore(i)}>Restore to before</button>
+            </li>
+          )).reverse()}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function DataPeek({ teams, drivers, events, results, season, seasonName, history, restoreChange, children }) {
+  return (
+    <section className="space-y-4">
+      <div className="flex items-center gap-3">
+        <h2 className="text-lg font-semibold">Raw Data</h2>
+        <button className="ml-auto btn" onClick={()=>exportResultsCSV(`${seasonName || "Season"}_results`, events, { drivers, teams, results, season })}>Export season CSV</button>
+      </div>
+      {children}
+      <ChangeLog history={history} restoreChange={restoreChange} />
+      <pre className="text-xs border rounded-2xl p-4 bg-white overflow-auto">{JSON.stringify({teams,drivers,events,results}, null, 2)}</pre>
+    </section>
+  );
+}
+
+// ---------- sync ----------
+const SYNC_STYLES = {
+  synced: "bg-emerald-100 text-emerald-800",
+  pending: "bg-amber-100 text-amber-800",
+  syncing: "bg-neutral-100 text-neutral-700",
+  offline: "bg-amber-100 text-amber-800",
+  conflict: "bg-red-100 text-red-800",
+  error: "bg-red-100 text-red-800",
+};
+
+function SyncBadge({ status, pending, seasonId }) {
+  const key = status?.status && status.status !== "synced" ? status.status : pending ? "pending" : "synced";
+  return (
+    <Link to={routePath({ seasonId, tab: "data" })} title={status?.error?.message || "Sync settings"}
+      className={classNames("px-2 py-0.5 rounded-full text-xs whitespace-nowrap", SYNC_STYLES[key])}>{SYNC_STATUSES[key]}</Link>
+  );
+}
+
+function SyncPanel({ config, setConfig, seasons, activeSeason, syncState, status, pending, onShare, onStop, onSync, onOpen }) {
+  const [url, setUrl] = useState(config.url);
+  const [token, setToken] = useState(config.token);
+  const [server, setServer] = useState(null); // { seasons } once connected, { error } when that failed
+  const connect = async (next) => {
+    if (!next.url) { setConfig({ url: "", token: "" }); setServer(null); return; }
+    try {
+      const client = syncClient(next);
+      await client.health();
+      setConfig(next);
+      setServer({ seasons: await client.listSeasons() });
+    } catch (e) {
+      setServer({ error: e.message });
+    }
+  };
+  const local = new Set(seasons.map(s => s.id));
+
+  return (
+    <div className="border rounded-2xl p-4 bg-white space-y-3">
+      <h3 className="font-medium">Sync server</h3>
+      <p className="text-xs text-neutral-500">
+        Optional: share seasons through a server started with <code>npm run server</code>. Without one, everything stays in this browser.
+        Edits made offline are sent once the server can be reached; edits that clash with someone else's are shown for review.
+      </p>
+      <div className="flex flex-wrap gap-2">
+        <input className="flex-1 min-w-60 px-3 py-2" placeholder="http://localhost:8787" value={url} onChange={e=>setUrl(e.target.value)} />
+        <input type="password" className="px-3 py-2" placeholder="Token (if the server has one)" value={token} onChange={e=>setToken(e.target.value)} />
+        <button className="btn btn-primary" onClick={()=>connect({ url: url.trim(), token: token.trim() })}>{url.trim() ? "Connect" : "Disconnect"}</button>
+        {config.url && <button className="btn" onClick={()=>connect(config)}>Refresh</button>}
+      </div>
+      {server?.error && <p className="text-sm text-red-700">{server.error}</p>}
+
+      {config.url && (
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <span className="font-medium">{activeSeason.name}</span>
+          {syncState ? (
+            <>
+              <SyncBadge status={status} pending={pending} seasonId={activeSeason.id} />
+              {syncState.version != null && <span className="text-neutral-500">server version {syncState.version}</span>}
+              {status?.at && <span className="text-neutral-500">last sync {new Date(status.at).toLocaleTimeString()}</span>}
+              <button className="btn" onClick={onSync}>Sync now</button>
+              <button className="btn" onClick={onStop}>Stop syncing</button>
+            </>
+          ) : (
+            <>
+              <span className="text-neutral-500">only on this device</span>
+              <button className="btn btn-primary" onClick={onShare}>Share on server</button>
+            </>
+          )}
+        </div>
+      )}
+      {status?.status === "error" && (
+        <div className="text-sm space-y-2">
+          <p className="text-red-700">{status.error.message}</p>
+          {status.error.body?.report && <ValidationReport report={status.error.body.report} />}
+        </div>
+      )}
+
+      {server?.seasons && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2">Season on the server</th>
+              <th className="py-2 text-right">Version</th>
+              <th className="py-2 text-right">Updated</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {server.seasons.map(s => (
+              <tr key={s.id} className="border-b last:border-0">
+                <td className="py-2">{s.name}</td>
+                <td className="py-2 text-right">{s.version}</td>
+                <td className="py-2 text-right">{new Date(s.updatedAt).toLocaleString()}</td>
+                <td className="py-2 text-right">
+                  {local.has(s.id) ? <span className="text-neutral-500">on this device</span> : <button className="btn" onClick={()=>onOpen(s.id)}>Open</button>}
+                </td>
+              </tr>
+            ))}
+            {!server.seasons.length && <tr><td colSpan={4} className="py-3 text-center text-neutral-500">No seasons shared yet.</td></tr>}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Items both this device and the server changed since the last sync, with the fields that differ.
+function SyncConflicts({ status, onResolve }) {
+  const [choices, setChoices] = useState(() => new Map());
+  const keyOf = (c) => `${c.kind}:${c.key}`;
+  const choose = (c, side) => setChoices(prev => new Map(prev).set(keyOf(c), side));
+  const chooseAll = (side) => setChoices(new Map(status.conflicts.map(c => [keyOf(c), side])));
+  const fieldsOf = (c) => !c.local || !c.remote ? []
+    : [...new Set([...Object.keys(c.local), ...Object.keys(c.remote)])].filter(k => JSON.stringify(c.local[k]) !== JSON.stringify(c.remote[k]));
+  const show = (item, fields) => item == null ? "deleted" : fields.map(k => `${k}: ${JSON.stringify(item[k]) ?? "—"}`).join(" · ");
+
+  return (
+    <section className="mb-6 border rounded-2xl p-4 bg-white space-y-3">
+      <h2 className="text-lg font-semibold">Conflicting edits <span className="text-sm font-normal text-neutral-500">{status.conflicts.length} item(s) changed here and on the server</span></h2>
+      <p className="text-sm text-neutral-600">Everything else has been merged. Pick which version to keep; syncing resumes once you apply.</p>
+      <div className="flex gap-2">
+        <button className="btn" onClick={()=>chooseAll("local")}>Keep all mine</button>
+        <button className="btn" onClick={()=>chooseAll("remote")}>Take all theirs</button>
+      </div>
+      <ul className="divide-y border rounded-xl text-sm max-h-96 overflow-auto">
+        {status.conflicts.map(c => {
+          const fields = fieldsOf(c);
+          const side = choices.get(keyOf(c)) || "local";
+          return (
+            <li key={keyOf(c)} className="px-3 py-2 space-y-1">
+              <div className="font-medium">{c.kind === "season" ? "Season settings" : `${c.kind.replace(/s$/, "")}: ${c.label}`}</div>
+              {[["local", "Mine", c.local], ["remote", "Theirs", c.remote]].map(([value, label, item]) => (
+                <label key={value} className="flex items-start gap-2">
+                  <input type="radio" name={keyOf(c)} checked={side === value} onChange={()=>choose(c, value)} />
+                  <span><span className="text-neutral-500">{label}:</span> <span className="break-all">{show(item, fields)}</span></span>
+                </label>
+              ))}
+            </li>
+          );
+        })}
+      </ul>
+      <button className="btn btn-primary" onClick={()=>onResolve(choices)}>Apply</button>
+    </section>
+  );
+}
+
+// ---------- print report ----------
+// Season report laid out for paper: standings, key stats and the results matrix. Opens the print dialog
+// on mount; `onDone` returns to the app once printing finishes or is cancelled.
+function SeasonReport({ seasonName, season, data, teamById, onDone }) {
+  const matrix = useMemo(() => buildResultsMatrix(season, data), [season, data]);
+  const grid = useMemo(() => buildGridStats(data), [data]);
+  useEffect(() => {
+    window.addEventListener("afterprint", onDone);
+    const id = setTimeout(() => window.print(), 100);
+    return () => { clearTimeout(id); window.removeEventListener("afterprint", onDone); };
+  }, [onDone]);
+
+  const completed = season.events.filter(x => x.entries.length).length;
+  const leaders = (rows, valueOf, nameOf) => rows
+    .filter(r => valueOf(r) > 0)
+    .sort((a, b) => valueOf(b) - valueOf(a))
+    .slice(0, 3)
+    .map(r => `${nameOf(r)} (${valueOf(r)})`).join(", ") || "—";
+  const stats = [
+    ["Wins", leaders([...season.drivers], r => r.wins, r => r.driver.name)],
+    ["Podiums", leaders([...season.drivers], r => r.podiums, r => r.driver.name)],
+    ["Poles", leaders([...grid.drivers], r => r.poles, r => r.name)],
+    ["Retirements", leaders([...season.drivers], r => r.dnfs, r => r.driver.name)],
+    ["Constructor wins", leaders([...season.teams], r => r.wins, r => r.team.name)],
+  ];
+  const swatch = (color) => <span className="inline-block w-1.5 h-3.5 rounded-sm mr-2 align-middle" style={{ background: color || "#d4d4d4" }} />;
+
+  return (
+    <div className="report max-w-6xl mx-auto p-8 bg-white text-sm">
+      <div className="no-print flex gap-2 mb-6">
+        <button className="btn" onClick={onDone}>← Back</button>
+        <button className="btn btn-primary" onClick={() => window.print()}>Print / save as PDF</button>
+      </div>
+      <header className="border-b-4 border-black pb-2 mb-6">
+        <h1 className="text-2xl font-bold">{seasonName}</h1>
+        <p className="text-neutral-600">{afterRoundLabel(season) || "No results yet"} · {completed} of {season.events.length} races · {toISODate(new Date())}</p>
+      </header>
+
+      <div className="grid grid-cols-2 gap-8">
+        <table className="w-full">
+          <caption className="text-left font-semibold mb-1">Drivers' Championship</caption>
+          <tbody>
+            {season.drivers.map((row, i) => (
+              <tr key={row.driver.id} className="border-b">
+                <td className="py-1 pr-2 w-8 text-right font-semibold">{i + 1}</td>
+                <td className="py-1">{swatch(teamById[row.driver.teamId]?.color)}{row.driver.name}</td>
+                <td className="py-1 text-neutral-500">{teamById[row.driver.teamId]?.name || ""}</td>
+                <td className="py-1 text-right font-semibold">{row.points}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="space-y-6">
+          <table className="w-full">
+            <caption className="text-left font-semibold mb-1">Constructors' Championship</caption>
+            <tbody>
+              {season.teams.map((row, i) => (
+                <tr key={row.team.id} className="border-b">
+                  <td className="py-1 pr-2 w-8 text-right font-semibold">{i + 1}</td>
+                  <td className="py-1">{swatch(row.team.color)}{row.team.name}</td>
+                  <td className="py-1 text-right font-semibold">{row.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1">
+            <dt className="col-span-2 font-semibold mb-1">Key stats</dt>
+            {stats.map(([label, value]) => (
+              <React.Fragment key={label}>
+                <dt className="text-neutral-500">{label}</dt>
+                <dd>{value}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        </div>
+      </div>
+
+      {matrix.races.length > 0 && (
+        <div className="print-break mt-8">
+          <h2 className="font-semibold mb-2">Results matrix</h2>
+          <table className="w-full text-[10px] border-separate border-spacing-0">
+            <thead>
+              <tr>
+                <th className="text-left pr-2">Driver</th>
+                {matrix.races.map(e => <th key={e.id} className="px-0.5 font-medium">{e.name.slice(0, 3).toUpperCase()}{e.type === 'Sprint' && <sup>S</sup>}</th>)}
+                <th className="text-right pl-2">Pts</th>
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.rows.map(row => (
+                <tr key={row.driver.id}>
+                  <td className="pr-2 whitespace-nowrap">{swatch(teamById[row.driver.teamId]?.color)}{row.driver.name}</td>
+                  {row.cells.map((cell, i) => (
+                    <td key={matrix.races[i].id} className={classNames("text-center border border-white", cell && KIND_STYLES[cell.kind], cell?.pole && "font-bold", cell?.fastestLap && "italic")}>
+                      {cell?.label ?? ""}
+                    </td>
+                  ))}
+                  <td className="text-right pl-2 font-semibold">{row.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-[10px] text-neutral-500"><b>Bold</b> pole · <i>italic</i> fastest lap · S sprint</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- charts ----------
+function ExportButtons({ onExport }) {
+  return (
+    <span className="inline-flex gap-1">
+      <button className="btn text-xs" title="Download as a PNG image" onClick={() => onExport("png")}>PNG</button>
+      <button className="btn text-xs" title="Download as an SVG image" onClick={() => onExport("svg")}>SVG</button>
+    </span>
+  );
+}
+
+// A chart with PNG/SVG export of its first <svg>, framed with the title, season and round. `legend`:
+// [{ label, color, dashed? }] for charts whose legend is HTML.
+function ChartCard({ title, note, seasonName, subtitle, legend, children }) {
+  const body = useRef(null);
+  const onExport = (format) => {
+    const svg = body.current?.querySelector("svg");
+    if (!svg) return;
+    const content = [...svg.childNodes].map(node => new XMLSerializer().serializeToString(node)).join("");
+    const { width, height } = svg.viewBox.baseVal;
+    exportGraphic(`${seasonName}_${title}`, format,
+      framedChart(content, { width, height }, { title, subtitle: [seasonName, subtitle].filter(Boolean).join(" · "), legend }));
+  };
+  return (
+    <div className="card p-4">
+      <div className="flex items-center gap-2 mb-2">
+        <h3 className="font-semibold">{title}</h3>
+        <span className="ml-auto"><ExportButtons onExport={onExport} /></span>
+      </div>
+      {note && <div className="text-sm text-neutral-600 mb-3">{note}</div>}
+      <div ref={body}>{children}</div>
+    </div>
+  );
+}
+
+const CHART = { W: 560, H: 240, L: 40, R: 12, T: 12, B: 40 };
+
+// Hover tooltip over a chart: rows of [colour, label, value].
+function ChartTooltip({ x, y, title, rows }) {
+  return (
+    <div className="pointer-events-none absolute z-10 bg-white border rounded-lg shadow px-2 py-1 text-xs whitespace-nowrap"
+      style={{ left: `${x * 100}%`, top: `${y * 100}%`, transform: `translate(${x > 0.6 ? "-105%" : "5%"}, -50%)` }}>
+      {title && <div className="font-semibold mb-0.5">{title}</div>}
+      {rows.map(([color, label, value], i) => (
+        <div key={i} className="flex items-center gap-1.5">
+          {color && <span className="inline-block w-2 h-2 rounded-full" style={{ background: color }} />}
+          <span>{label}</span><span className="ml-auto pl-3 font-medium tabular-nums">{value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function YAxis({ ticks, y, format = String }) {
+  const { W, L, R } = CHART;
+  return ticks.map(t => (
+    <g key={t}>
+      <line x1={L} x2={W - R} y1={y(t)} y2={y(t)} stroke="#f1f1f1" />
+      <text x={L - 6} y={y(t) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{format(t)}</text>
+    </g>
+  ));
+}
+
+// `bars`: [{ label, value, color? }]. Hover a bar for its exact value.
+function SimpleBarChart({ bars, valueFormatter = v=>String(v) }) {
+  const [hover, setHover] = useState(null);
+  const { W, H, L, R, T, B } = CHART;
+  const ticks = niceTicks(0, Math.max(1, ...bars.map(b => b.value)));
+  const top = ticks.at(-1);
+  const y = (v) => H - B - (v / top) * (H - T - B);
+  const cw = (W - L - R) / Math.max(1, bars.length);
+  const rotate = cw < 56;
+  if (!bars.length) return <p className="text-sm text-neutral-500">Nothing selected.</p>;
+
+  return (
+    <div className="relative">
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" onMouseLeave={() => setHover(null)}>
+        <YAxis ticks={ticks} y={y} />
+        {bars.map((b, i) => {
+          const x = L + i*cw + cw*0.15;
+          const cx = L + i*cw + cw/2;
+          return (
+            <g key={i} onMouseEnter={() => setHover(i)}>
+              <rect x={L + i*cw} y={T} width={cw} height={H - T - B} fill="transparent" />
+              <rect x={x} y={y(b.value)} width={cw*0.7} height={H - B - y(b.value)} rx="4" fill={b.color || "black"} opacity={hover == null || hover === i ? 0.9 : 0.4} />
+              <text x={cx} y={H - B + 12} fontSize="10" fill="#6b7280" textAnchor={rotate ? "end" : "middle"}
+                transform={rotate ? `rotate(-35 ${cx} ${H - B + 12})` : undefined}>{b.label.length > 14 ? `${b.label.slice(0, 13)}…` : b.label}</text>
+            </g>
+          );
+        })}
+      </svg>
+      {hover != null && (
+        <ChartTooltip x={(L + hover*cw + cw/2) / W} y={y(bars[hover].value) / H}
+          rows={[[bars[hover].color, bars[hover].label, valueFormatter(bars[hover].value)]]} />
+      )}
+    </div>
+  );
+}
+
+/**
+ * `series`: [{ id?, label, data, color?, dashed? }] over `xLabels`. `invert` puts low values at the top,
+ * for positions. The legend toggles series; hover shows every visible value at that point, titled with
+ * `xTitles` where given.
+ */
+function SimpleLineChart({ xLabels, xTitles = xLabels, series, invert = false, valueFormatter = v=>String(v) }) {
+  const [hidden, setHidden] = useState(() => new Set());
+  const [hover, setHover] = useState(null);
+  const svgRef = useRef(null);
+  const { W, H, L, R, T, B } = CHART;
+  const n = xLabels.length;
+  const keyOf = (s, i) => s.id ?? i;
+  const shown = series.filter((s, i) => !hidden.has(keyOf(s, i)));
+  const values = shown.flatMap(s => s.data).filter(v => v != null);
+  const max = Math.max(1, ...values);
+  const ticks = invert
+    ? [1, ...niceTicks(1, max, 5, { integer: true }).filter(t => t > 1)]
+    : niceTicks(Math.min(0, ...values), max);
+  const [lo, hi] = invert ? [1, Math.max(2, ticks.at(-1))] : [ticks[0], ticks.at(-1)];
+  const xs = (i) => L + (i*(W-L-R))/Math.max(1, n-1);
+  const ys = (v) => invert ? T + ((v-lo)/(hi-lo))*(H-T-B) : (H-B) - ((v-lo)/(hi-lo))*(H-T-B);
+  const step = labelStep(n, 14);
+  const colorOf = (s, i) => s.color || PALETTE[i % PALETTE.length];
+
+  const onMove = (e) => {
+    const box = svgRef.current.getBoundingClientRect();
+    const x = ((e.clientX - box.left) / box.width) * W;
+    setHover(Math.max(0, Math.min(n - 1, Math.round(((x - L) / (W - L - R)) * Math.max(1, n - 1)))));
+  };
+  const toggle = (key) => setHidden(h => {
+    const next = new Set(h);
+    if (next.has(key)) next.delete(key); else next.add(key);
+    return next;
+  });
+  // a polyline per unbroken run of values (null = no data at that point)
+  const runs = (data) => data.reduce((acc, v, i) => {
+    if (v == null) acc.push([]);
+    else acc.at(-1).push(`${xs(i)},${ys(v)}`);
+    return acc;
+  }, [[]]).filter(r => r.length);
+
+  return (
+    <div className="relative">
+      <svg ref={svgRef} viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" onMouseMove={n ? onMove : undefined} onMouseLeave={() => setHover(null)}>
+        <YAxis ticks={ticks} y={ys} format={invert ? (t => `P${t}`) : String} />
+        {xLabels.map((lab, i) => i % step === 0 && (
+          <text key={i} x={xs(i)} y={H-B+14} textAnchor="middle" fontSize="10" fill="#6b7280">{lab}</text>
+        ))}
+        {hover != null && <line x1={xs(hover)} x2={xs(hover)} y1={T} y2={H-B} stroke="#d4d4d4" />}
+        {series.map((s, si) => !hidden.has(keyOf(s, si)) && (
+          <g key={keyOf(s, si)}>
+            {runs(s.data).map((pts, ri) => (
+              <polyline key={ri} fill="none" stroke={colorOf(s, si)} strokeWidth="2" strokeDasharray={s.dashed ? "5 3" : undefined} points={pts.join(" ")} />
+            ))}
+            {s.data.map((v, i) => v != null && <circle key={i} cx={xs(i)} cy={ys(v)} r={hover === i ? 3.5 : 2.5} fill={colorOf(s, si)} />)}
+          </g>
+        ))}
+      </svg>
+      {hover != null && shown.length > 0 && (
+        <ChartTooltip x={xs(hover) / W} y={0.4} title={xTitles[hover]}
+          rows={series
+            .map((s, si) => ({ s, si, v: s.data[hover] }))
+            .filter(({ s, si, v }) => !hidden.has(keyOf(s, si)) && v != null)
+            .sort((a, b) => invert ? a.v - b.v : b.v - a.v)
+            .map(({ s, si, v }) => [colorOf(s, si), s.label, invert ? `P${v}` : valueFormatter(v)])} />
+      )}
+      {series.length > 1 && (
+        <div className="flex flex-wrap gap-x-3 gap-y-1 mt-1 text-xs">
+          {series.map((s, si) => (
+            <button key={keyOf(s, si)} onClick={() => toggle(keyOf(s, si))} className={classNames("flex items-center gap-1", hidden.has(keyOf(s, si)) && "opacity-40 line-through")}>
+              <svg width="16" height="6"><line x1="0" y1="3" x2="16" y2="3" stroke={colorOf(s, si)} strokeWidth="2" strokeDasharray={s.dashed ? "4 2" : undefined} /></svg>
+              {s.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Championship position after each round, leader at the top.
+function BumpChart({ xLabels, xTitles, series }) {
+  return <SimpleLineChart xLabels={xLabels} xTitles={xTitles} series={series} invert />;
+}
+
+// Which drivers or teams a chart plots. `options`: [{ id, label, color }].
+function SeriesPicker({ label, options, selected, onChange, top = 5 }) {
+  const chosen = new Set(selected);
+  const toggle = (id) => onChange(options.filter(o => o.id === id ? !chosen.has(id) : chosen.has(o.id)).map(o => o.id));
+  return (
+    <details className="relative text-sm">
+      <summary className="btn cursor-pointer list-none">{label}: {selected.length}/{options.length}</summary>
+      <div className="absolute z-20 mt-1 w-64 max-h-80 overflow-auto border rounded-xl bg-white shadow-lg p-2 space-y-1">
+        <div className="flex gap-1 pb-1 border-b">
+          <button className="btn" onClick={() => onChange(options.slice(0, top).map(o => o.id))}>Top {top}</button>
+          <button className="btn" onClick={() => onChange(options.map(o => o.id))}>All</button>
+          <button className="btn" onClick={() => onChange([])}>None</button>
+        </div>
+        {options.map(o => (
+          <label key={o.id} className="flex items-center gap-2">
+            <input type="checkbox" checked={chosen.has(o.id)} onChange={() => toggle(o.id)} />
+            <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ background: o.color }} />
+            {o.label}
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+// ---------- io ----------
+function normalizeResults(list) {
+  return list.map(r => ({
+    ...r,
+    position: Math.max(1, Number(r.position) || 1),
+    status: RESULT_STATUSES[r.status] ? r.status : 'FIN',
+    reason: r.status !== 'FIN' && r.reason ? String(r.reason).trim() : undefined,
+    fastestLap: !!r.fastestLap,
+    grid: r.grid == null || r.grid === "" ? null : Math.max(1, Number(r.grid) || 1),
+    pitLane: !!r.pitLane,
+    gridPenalty: Math.max(0, Number(r.gridPenalty) || 0),
+    laps: r.laps == null || r.laps === "" ? null : Math.max(0, Number(r.laps) || 0),
+    time: r.time == null || r.time === "" || !Number.isFinite(Number(r.time)) ? null : Number(r.time),
+    timePenalty: Math.max(0, Number(r.timePenalty) || 0),
+  })).sort((a,b)=> a.eventId.localeCompare(b.eventId) || a.position - b.position);
+}
+const safeFileName = (name) => name.replace(/[^\w\- ]/g, "_");
+function downloadFile(fileName, text, type) {
+  downloadBlob(fileName, new Blob([text], { type }));
+}
+function downloadBlob(fileName, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = fileName;
+  document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+}
+function exportJSON(season, data, circuits) {
+  const name = season?.name ? safeFileName(season.name) : "Season";
+  downloadFile(`${name}_f1_season.json`, JSON.stringify(seasonFile(season, data, circuits), null, 2), "application/json");
+}
+// `svg` is a standalone SVG document; PNGs are drawn at twice its size for sharp posts.
+function exportGraphic(name, format, svg) {
+  const fileName = safeFileName(name || "graphic");
+  if (format === "svg") { downloadFile(`${fileName}.svg`, svg, "image/svg+xml"); return; }
+  const img = new Image();
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = img.width * 2; canvas.height = img.height * 2;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(2, 2);
+    ctx.drawImage(img, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => blob ? downloadBlob(`${fileName}.png`, blob) : alert("PNG export failed"), "image/png");
+  };
+  img.onerror = () => { URL.revokeObjectURL(url); alert("PNG export failed"); };
+  img.src = url;
+}
+function exportICS(seasonName, events) {
+  downloadFile(`${safeFileName(seasonName || "Season")}_calendar.ics`, toICS(seasonName || "Season", events, Date.now()), "text/calendar");
+}
+// One row per result, in final classification order; races carry the points scored.
+function exportResultsCSV(name, events, { drivers, teams, results, season }) {
+  const driverById = Object.fromEntries(drivers.map(d => [d.id, d]));
+  const teamById = Object.fromEntries(teams.map(t => [t.id, t]));
+  const scored = new Map(season.events.map(({ event, entries }) => [event.id, entries]));
+  const rows = sortEventsByRound(events.filter(Boolean)).flatMap(e =>
+    (scored.get(e.id) || classifyEvent(results.filter(r => r.eventId === e.id))).map(r => [
+      e.round, e.name, e.type, r.position, driverById[r.driverId]?.name || r.driverId,
+      teamById[r.teamId ?? teamIdAt(driverById[r.driverId], e.round)]?.name || "",
+      r.status, r.fastestLap ? "yes" : "", r.pitLane ? "PL" : r.grid ?? "", r.pts ?? "",
+    ])
+  );
+  const header = ["round", "event", "type", "position", "driver", "team", "status", "fastest_lap", "grid", "points"];
+  downloadFile(`${safeFileName(name)}.csv`, toCSV(header, rows), "text/csv");
 }
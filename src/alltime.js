@@ -0,0 +1,108 @@
+/**
+ * All-time statistics — drivers and teams across every stored season.
+ * - The roster holds one identity per real driver / team; season entries point to it with `rosterId`
+ * - linkByName: links unlinked season entries to identities of the same name, creating missing ones
+ * - careerStats: career totals (starts, wins, poles, podiums, titles, points) and season-by-season rows
+ */
+import { scoreSeason, buildGridStats, isRace } from "./scoring.js";
+import { normalizeName } from "./csv.js";
+
+export const emptyRoster = () => ({ drivers: [], teams: [] });
+export const ROSTER_KINDS = ["drivers", "teams"];
+
+// The roster identity with this name, if any.
+export const identityByName = (list, name) => list.find(x => normalizeName(x.name) === normalizeName(name));
+
+/**
+ * `seasons`: [{ id, drivers, teams }]. Returns { roster, seasons: [{ id, drivers?, teams? }] } where
+ * `seasons` only lists the collections that gained links. `newId` makes ids for new identities.
+ */
+export function linkByName(roster, seasons, newId) {
+  const next = { drivers: [...roster.drivers], teams: [...roster.teams] };
+  const changed = [];
+  for (const season of seasons) {
+    const update = { id: season.id };
+    for (const kind of ROSTER_KINDS) {
+      let touched = false;
+      const list = (season[kind] || []).map(item => {
+        if (item.rosterId && next[kind].some(x => x.id === item.rosterId)) return item;
+        let identity = identityByName(next[kind], item.name);
+        if (!identity) {
+          identity = { id: newId(), name: item.name, ...(kind === "drivers" && item.country ? { country: item.country } : {}) };
+          next[kind].push(identity);
+        }
+        touched = true;
+        return { ...item, rosterId: identity.id };
+      });
+      if (touched) update[kind] = list;
+    }
+    if (Object.keys(update).length > 1) changed.push(update);
+  }
+  return { roster: next, seasons: changed };
+}
+
+// A season counts towards titles once every race in it has results.
+const isComplete = (events, results) => {
+  const races = events.filter(isRace);
+  const withResults = new Set(results.map(r => r.eventId));
+  return races.length > 0 && races.every(e => withResults.has(e.id));
+};
+
+/**
+ * `seasons`: [{ season: { id, name }, data: { drivers, teams, events, results }, rules }] in
+ * chronological order. Entries without a rosterId are reported on their own (linked: false).
+ * Wins, podiums and starts count Grands Prix only; points include sprints.
+ * Returns { drivers: [career…], teams: [career…] }, best first.
+ */
+export function careerStats(seasons, roster) {
+  const careers = { drivers: new Map(), teams: new Map() };
+  const careerFor = (kind, seasonId, item) => {
+    const key = item.rosterId || `${seasonId}:${item.id}`;
+    if (!careers[kind].has(key)) {
+      const identity = roster[kind].find(x => x.id === item.rosterId);
+      careers[kind].set(key, {
+        key, name: identity?.name || item.name, linked: !!identity,
+        starts: 0, wins: 0, poles: 0, podiums: 0, titles: 0, points: 0, seasons: [],
+      });
+    }
+    return careers[kind].get(key);
+  };
+
+  for (const { season, data, rules } of seasons) {
+    const scored = scoreSeason({ ...data, rules });
+    const grid = buildGridStats(data);
+    const complete = isComplete(data.events, data.results);
+    const gps = scored.events.filter(x => x.event.type === "GP").flatMap(x => x.entries.filter(r => r.status !== "DNS"));
+    const poles = { drivers: new Map(grid.drivers.map(r => [r.id, r.poles])), teams: new Map(grid.teams.map(r => [r.id, r.poles])) };
+
+    const teamName = new Map(data.teams.map(t => [t.id, t.name]));
+    const add = (kind, rows, entity, entriesOf) => rows.forEach((row, i) => {
+      const item = row[entity];
+      const entries = entriesOf(item.id);
+      const line = {
+        seasonId: season.id, seasonName: season.name, position: i + 1, points: row.points,
+        ...(kind === "drivers" ? { team: [...new Set(entries.map(r => teamName.get(r.teamId)).filter(Boolean))].join(" / ") } : {}),
+        // a team starts a race once, however many cars it runs
+        starts: kind === "drivers" ? entries.length : new Set(entries.map(r => r.eventId)).size,
+        wins: entries.filter(r => r.classified && r.position === 1).length,
+        podiums: entries.filter(r => r.classified && r.position <= 3).length,
+        poles: poles[kind].get(item.id) || 0,
+        champion: complete && i === 0 && row.points > 0,
+        complete,
+      };
+      if (!line.starts && !line.points) return;
+      const career = careerFor(kind, season.id, item);
+      for (const k of ["starts", "wins", "podiums", "poles", "points"]) career[k] += line[k];
+      if (line.champion) career.titles += 1;
+      career.seasons.push(line);
+    });
+    add("drivers", scored.drivers, "driver", id => gps.filter(r => r.driverId === id));
+    add("teams", scored.teams, "team", id => gps.filter(r => r.teamId === id));
+  }
+
+  const order = (a, b) => b.titles - a.titles || b.wins - a.wins || b.points - a.points || a.name.localeCompare(b.name);
+  return {
+    drivers: [...careers.drivers.values()].sort(order),
+    teams: [...careers.teams.values()].sort(order),
+  };
+}
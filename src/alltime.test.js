@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import { emptyRoster, linkByName, careerStats } from "./alltime.js";
+import { presetRules } from "./scoring.js";
+
+const stint = (teamId) => [{ teamId, fromRound: 1, toRound: null }];
+const season = (id, drivers, teams, results) => ({
+  id,
+  drivers,
+  teams,
+  events: [
+    { id: `${id}q`, round: 1, name: "Bahrain", type: "Qualifying", raceId: `${id}r` },
+    { id: `${id}r`, round: 1, name: "Bahrain", type: "GP" },
+  ],
+  results,
+});
+
+const s1 = season("s1",
+  [{ id: "a", name: "Max Verstappen", teamId: "rb", stints: stint("rb") }, { id: "b", name: "Lando Norris", teamId: "mc", stints: stint("mc") }],
+  [{ id: "rb", name: "Red Bull" }, { id: "mc", name: "McLaren" }],
+  [
+    { eventId: "s1q", driverId: "b", position: 1, status: "FIN" },
+    { eventId: "s1q", driverId: "a", position: 2, status: "FIN" },
+    { eventId: "s1r", driverId: "a", position: 1, status: "FIN" },
+    { eventId: "s1r", driverId: "b", position: 2, status: "FIN" },
+  ]);
+const s2 = season("s2",
+  [{ id: "x", name: "Lando NORRIS", teamId: "m2", stints: stint("m2") }, { id: "y", name: "Max Verstappen", teamId: "r2", stints: stint("r2") }],
+  [{ id: "m2", name: "McLaren" }, { id: "r2", name: "Red Bull" }],
+  [
+    { eventId: "s2r", driverId: "x", position: 1, status: "FIN" },
+    { eventId: "s2r", driverId: "y", position: 2, status: "DNF" },
+  ]);
+
+const ids = () => { let n = 0; return () => `id${++n}`; };
+
+describe("linkByName", () => {
+  it("creates one identity per name and links every season to it", () => {
+    const { roster, seasons } = linkByName(emptyRoster(), [s1, s2], ids());
+    expect(roster.drivers.map(d => d.name)).toEqual(["Max Verstappen", "Lando Norris"]);
+    expect(roster.teams.map(t => t.name)).toEqual(["Red Bull", "McLaren"]);
+    const norris = roster.drivers[1].id;
+    expect(seasons.find(s => s.id === "s1").drivers.find(d => d.id === "b").rosterId).toBe(norris);
+    expect(seasons.find(s => s.id === "s2").drivers.find(d => d.id === "x").rosterId).toBe(norris);
+  });
+
+  it("leaves linked entries alone and reports only what changed", () => {
+    const first = linkByName(emptyRoster(), [s1], ids());
+    const linked = { ...s1, ...first.seasons[0] };
+    const again = linkByName(first.roster, [linked], ids());
+    expect(again.seasons).toEqual([]);
+    expect(again.roster).toEqual(first.roster);
+  });
+});
+
+describe("careerStats", () => {
+  const rules = presetRules("2025");
+  const input = (seasons) => seasons.map(data => ({ season: { id: data.id, name: data.id.toUpperCase() }, data, rules }));
+
+  it("adds up linked entries across seasons", () => {
+    const { roster, seasons } = linkByName(emptyRoster(), [s1, s2], ids());
+    const linked = [s1, s2].map(s => ({ ...s, ...seasons.find(u => u.id === s.id) }));
+    const { drivers, teams } = careerStats(input(linked), roster);
+    const norris = drivers.find(d => d.name === "Lando Norris");
+    expect(norris).toMatchObject({ linked: true, starts: 2, wins: 1, podiums: 2, poles: 1, titles: 1, points: 43 });
+    expect(norris.seasons.map(l => [l.seasonId, l.position, l.team])).toEqual([["s1", 2, "McLaren"], ["s2", 1, "McLaren"]]);
+    const max = drivers.find(d => d.name === "Max Verstappen");
+    expect(max).toMatchObject({ starts: 2, wins: 1, podiums: 1, titles: 1, points: 25 });
+    expect(teams.find(t => t.name === "McLaren")).toMatchObject({ starts: 2, wins: 1, titles: 1, points: 43 });
+  });
+
+  it("keeps unlinked entries apart and withholds titles from unfinished seasons", () => {
+    const unfinished = { ...s2, events: [...s2.events, { id: "s2r2", round: 2, name: "Jeddah", type: "GP" }] };
+    const { drivers } = careerStats(input([s1, unfinished]), emptyRoster());
+    expect(drivers.filter(d => d.name.toLowerCase() === "lando norris")).toHaveLength(2);
+    expect(drivers.every(d => !d.linked)).toBe(true);
+    const norris2 = drivers.find(d => d.key === "s2:x");
+    expect(norris2).toMatchObject({ titles: 0, wins: 1 });
+    expect(norris2.seasons[0]).toMatchObject({ champion: false, complete: false });
+  });
+});
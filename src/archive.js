@@ -0,0 +1,214 @@
+/**
+ * Export file format — versioned season files and full backups.
+ * - seasonFile / archiveFile: what Export and Backup write
+ * - readFile: parses any export, migrating older schema versions
+ * - Circuits are shared by all seasons: backups carry the whole list, season files the circuits their events use
+ * - validateSeason: duplicate ids, dangling driverId / teamId / eventId / playerId / circuitId references, unreadable start times,
+ *   clashing car numbers and driver codes, unknown country codes
+ * - mergeSeason: adds incoming records (teams, drivers, events, results, laps, players, predictions) without touching existing ones
+ */
+import { EVENT_TYPES, driverStints, currentTeamId } from "./scoring.js";
+import { isValidTimeZone } from "./calendar.js";
+import { countryCode, driverIssues, teamIssues } from "./entrants.js";
+
+export const FILE_FORMAT = "f1-season-tracker";
+export const SCHEMA_VERSION = 3;
+export const COLLECTIONS = ["teams", "drivers", "events", "results", "laps", "players", "predictions"];
+
+const pickData = (data) => Object.fromEntries(COLLECTIONS.map(k => [k, data?.[k] || []]));
+export const seasonInfo = (season) => season ? { id: season.id, name: season.name, ...(season.rules ? { rules: season.rules } : {}) } : null;
+
+const usedCircuits = (circuits, events) => (circuits || []).filter(c => (events || []).some(e => e.circuitId === c.id));
+
+// `circuits`: the shared circuit list; the ones the season's events use are included.
+export const seasonFile = (season, data, circuits) => {
+  const used = usedCircuits(circuits, data?.events);
+  return {
+    format: FILE_FORMAT, version: SCHEMA_VERSION, kind: "season", exportedAt: new Date().toISOString(),
+    season: seasonInfo(season), ...pickData(data),
+    ...(used.length ? { circuits: used } : {}),
+  };
+};
+
+// `dataFor(seasonId)` returns the collections of a stored season; `roster` is the all-time roster.
+export const archiveFile = (meta, dataFor, roster, circuits) => ({
+  format: FILE_FORMAT, version: SCHEMA_VERSION, kind: "archive", exportedAt: new Date().toISOString(),
+  activeId: meta.activeId,
+  ...(roster ? { roster } : {}),
+  ...(circuits ? { circuits } : {}),
+  seasons: meta.seasons.map(s => ({ season: seasonInfo(s), ...pickData(dataFor(s.id)) })),
+});
+
+// ---------- migrations ----------
+// Each step upgrades a file from version n to n + 1.
+const MIGRATIONS = {
+  // v1: the unversioned { teams, drivers, events, results } written before season metadata was exported.
+  // Drivers only had a teamId and events could miss their type.
+  1: (file) => ({
+    format: FILE_FORMAT, version: 2, kind: "season", exportedAt: null, season: null,
+    ...pickData(file),
+    drivers: (file.drivers || []).map(d => {
+      const stints = driverStints(d);
+      return { ...d, stints, teamId: currentTeamId(stints) };
+    }),
+    events: (file.events || []).map(e => ({ ...e, type: EVENT_TYPES.includes(e.type) ? e.type : "GP" })),
+  }),
+  // v2: driver countries were free text; names that can be read become ISO codes.
+  2: (file) => ({
+    ...file, version: 3,
+    drivers: (file.drivers || []).map(d => d.country && countryCode(d.country) ? { ...d, country: countryCode(d.country) } : d),
+  }),
+};
+
+// Brings a parsed file up to SCHEMA_VERSION. Throws on anything that isn't an export of this app.
+export function migrate(file) {
+  if (!file || typeof file !== "object" || Array.isArray(file)) throw new Error("Not a season export");
+  let version = file.format === FILE_FORMAT ? Number(file.version) : 1;
+  if (version === 1 && !COLLECTIONS.some(k => Array.isArray(file[k]))) throw new Error("Not a season export");
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown file version "${file.version}"`);
+  if (version > SCHEMA_VERSION) throw new Error(`File was written by a newer version of the app (v${version}); this one reads up to v${SCHEMA_VERSION}`);
+  let out = file;
+  while (version < SCHEMA_VERSION) {
+    out = file.kind === "archive"
+      ? { ...out, version: version + 1, seasons: out.seasons.map(s => ({ ...MIGRATIONS[version](s), season: s.season })) }
+      : MIGRATIONS[version](out);
+    version++;
+  }
+  return out;
+}
+
+export const readFile = (text) => {
+  let parsed;
+  try { parsed = JSON.parse(text); }
+  catch (e) { throw new Error(`Invalid JSON: ${e.message}`); }
+  return migrate(parsed);
+};
+
+// ---------- validation ----------
+/**
+ * Checks one season's collections. `context` holds data the season will be merged into, so references
+ * to existing teams, drivers and events resolve. Circuit links are checked when the season or `context`
+ * lists circuits. Errors block an import; warnings are worth a look.
+ * Returns { errors: [message…], warnings: [message…] }.
+ */
+export function validateSeason(data, context = {}) {
+  const errors = [], warnings = [];
+  for (const k of [...COLLECTIONS, "circuits"]) {
+    if (data[k] != null && !Array.isArray(data[k])) errors.push(`"${k}" must be a list`);
+  }
+  if (errors.length) return { errors, warnings };
+
+  const { teams, drivers, events, results, laps, players, predictions } = pickData(data);
+  const idsOf = (kind, list) => {
+    const seen = new Set();
+    list.forEach((x, i) => {
+      if (!x || typeof x !== "object") errors.push(`${kind} #${i + 1} is not an object`);
+      else if (!x.id) errors.push(`${kind} #${i + 1}${x.name ? ` (${x.name})` : ""} has no id`);
+      else if (seen.has(x.id)) errors.push(`Duplicate ${kind} id "${x.id}"`);
+      else seen.add(x.id);
+    });
+    (context[`${kind}s`] || []).forEach(x => seen.add(x.id));
+    return seen;
+  };
+  const teamIds = idsOf("team", teams);
+  const driverIds = idsOf("driver", drivers);
+  const eventIds = idsOf("event", events);
+  const playerIds = idsOf("player", players);
+  const circuits = data.circuits || context.circuits;
+  const circuitIds = new Set([...(data.circuits || []), ...(context.circuits || [])].map(c => c?.id));
+
+  for (const d of drivers) {
+    if (!d?.id) continue;
+    for (const s of driverStints(d)) {
+      if (s.teamId && !teamIds.has(s.teamId)) warnings.push(`Driver ${d.name || d.id} refers to unknown team "${s.teamId}"`);
+    }
+    // each clash once, on the later driver
+    const { number, code, country } = driverIssues(d, drivers.slice(0, drivers.indexOf(d)));
+    for (const issue of [number, code]) if (issue) errors.push(`Driver ${d.name || d.id}: ${issue}`);
+    if (country) warnings.push(`Driver ${d.name || d.id}: ${country}`);
+  }
+  for (const t of teams) {
+    if (!t?.id) continue;
+    const { name, shortName } = teamIssues(t, teams.slice(0, teams.indexOf(t)));
+    for (const issue of [name, shortName]) if (issue) warnings.push(`Team ${t.name || t.id}: ${issue}`);
+  }
+  for (const e of events) {
+    if (e?.raceId && !eventIds.has(e.raceId)) warnings.push(`${e.name || e.id} is linked to unknown race "${e.raceId}"`);
+    if (e?.circuitId && circuits && !circuitIds.has(e.circuitId)) warnings.push(`${e.name || e.id} is at unknown circuit "${e.circuitId}"`);
+    if (e?.time && !/^\d{2}:\d{2}$/.test(e.time)) warnings.push(`${e.name || e.id} has an unreadable start time "${e.time}"`);
+    if (e?.timeZone && !isValidTimeZone(e.timeZone)) warnings.push(`${e.name || e.id} has an unknown time zone "${e.timeZone}"; its start time is read as UTC`);
+  }
+  const entered = new Set();
+  results.forEach((r, i) => {
+    const label = `Result #${i + 1}`;
+    if (!r || typeof r !== "object") { errors.push(`${label} is not an object`); return; }
+    if (!eventIds.has(r.eventId)) errors.push(`${label} refers to unknown event "${r.eventId}"`);
+    if (!driverIds.has(r.driverId)) errors.push(`${label} refers to unknown driver "${r.driverId}"`);
+    const key = `${r.eventId}|${r.driverId}`;
+    if (entered.has(key)) warnings.push(`${label}: driver "${r.driverId}" appears twice in event "${r.eventId}"`);
+    entered.add(key);
+  });
+  // laps come by the thousand: one message per unknown reference, not per lap
+  const timed = new Set(), unknownRefs = new Map();
+  laps.forEach((l, i) => {
+    if (!l || typeof l !== "object" || !Number.isInteger(l.lap)) { errors.push(`Lap #${i + 1} is not a lap`); return; }
+    for (const [kind, id, known] of [["event", l.eventId, eventIds], ["driver", l.driverId, driverIds]]) {
+      if (!known.has(id)) unknownRefs.set(`${kind} "${id}"`, (unknownRefs.get(`${kind} "${id}"`) || 0) + 1);
+    }
+    const key = `${l.eventId}|${l.driverId}|${l.lap}`;
+    if (timed.has(key)) warnings.push(`Lap ${l.lap} of driver "${l.driverId}" appears twice in event "${l.eventId}"`);
+    timed.add(key);
+  });
+  for (const [ref, n] of unknownRefs) errors.push(`${n} lap(s) refer to unknown ${ref}`);
+  const predicted = new Set();
+  predictions.forEach((p, i) => {
+    const label = `Prediction #${i + 1}`;
+    if (!p || typeof p !== "object") { errors.push(`${label} is not an object`); return; }
+    if (!eventIds.has(p.eventId)) errors.push(`${label} refers to unknown event "${p.eventId}"`);
+    if (!playerIds.has(p.playerId)) errors.push(`${label} refers to unknown player "${p.playerId}"`);
+    const picks = [...(p.podium || []), p.pole, p.fastestLap, ...(p.dnfs || [])].filter(Boolean);
+    const unknown = picks.filter(id => !driverIds.has(id));
+    if (unknown.length) warnings.push(`${label} picks unknown driver(s) ${unknown.map(id => `"${id}"`).join(", ")}`);
+    const key = `${p.eventId}|${p.playerId}`;
+    if (predicted.has(key)) warnings.push(`${label}: player "${p.playerId}" predicted event "${p.eventId}" twice`);
+    predicted.add(key);
+  });
+  return { errors, warnings };
+}
+
+// ---------- merge ----------
+/**
+ * Adds incoming records whose ids aren't present yet; existing records are never changed. Results and
+ * lap times are added for events that have none yet (a classification is never mixed with another),
+ * predictions for player/event pairs. Returns { data, added: { teams: n, … }, warnings }; warnings name
+ * events whose results were kept although the file's differ.
+ */
+export function mergeSeason(current, incoming) {
+  const data = {}, added = {}, warnings = [];
+  for (const k of ["teams", "drivers", "events", "players"]) {
+    const have = new Set((current[k] || []).map(x => x.id));
+    const fresh = (incoming[k] || []).filter(x => !have.has(x.id));
+    data[k] = [...(current[k] || []), ...fresh];
+    added[k] = fresh.length;
+  }
+  const entered = new Set((current.results || []).map(r => `${r.eventId}|${r.driverId}|${r.position}|${r.status}`));
+  const scored = new Set((current.results || []).map(r => r.eventId));
+  const fresh = (incoming.results || []).filter(r => !scored.has(r.eventId));
+  data.results = [...(current.results || []), ...fresh];
+  added.results = fresh.length;
+  const differing = new Set((incoming.results || [])
+    .filter(r => scored.has(r.eventId) && !entered.has(`${r.eventId}|${r.driverId}|${r.position}|${r.status}`)).map(r => r.eventId));
+  for (const id of differing) {
+    const event = data.events.find(e => e.id === id);
+    warnings.push(`Results of ${event ? event.name : `event "${id}"`} kept as they were: the file's differ`);
+  }
+  const timed = new Set((current.laps || []).map(l => l.eventId));
+  const freshLaps = (incoming.laps || []).filter(l => !timed.has(l.eventId));
+  data.laps = [...(current.laps || []), ...freshLaps];
+  added.laps = freshLaps.length;
+  const predicted = new Set((current.predictions || []).map(p => `${p.eventId}|${p.playerId}`));
+  const freshPredictions = (incoming.predictions || []).filter(p => !predicted.has(`${p.eventId}|${p.playerId}`));
+  data.predictions = [...(current.predictions || []), ...freshPredictions];
+  added.predictions = freshPredictions.length;
+  return { data, added, warnings };
+}
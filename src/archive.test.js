@@ -0,0 +1,151 @@
+import { describe, it, expect } from "vitest";
+import { SCHEMA_VERSION, seasonFile, archiveFile, readFile, migrate, validateSeason, mergeSeason } from "./archive.js";
+
+const data = {
+  teams: [{ id: "t1", name: "McLaren" }],
+  drivers: [{ id: "d1", name: "Lando Norris", teamId: "t1", stints: [{ teamId: "t1", fromRound: 1, toRound: null }] }],
+  events: [{ id: "e1", round: 1, name: "Australia", type: "GP" }],
+  results: [{ eventId: "e1", driverId: "d1", position: 1, status: "FIN" }],
+};
+
+describe("file format", () => {
+  it("round-trips a season export with its metadata", () => {
+    const file = readFile(JSON.stringify(seasonFile({ id: "s1", name: "2025", rules: { preset: "2025" } }, data)));
+    expect(file).toMatchObject({ version: SCHEMA_VERSION, kind: "season", season: { id: "s1", name: "2025", rules: { preset: "2025" } }, ...data });
+  });
+
+  it("carries the circuits a season's events use", () => {
+    const circuits = [{ id: "c1", name: "Albert Park" }, { id: "c2", name: "Suzuka" }];
+    const file = seasonFile({ id: "s1", name: "2025" }, { ...data, events: [{ ...data.events[0], circuitId: "c1" }] }, circuits);
+    expect(file.circuits).toEqual([circuits[0]]);
+    expect(seasonFile({ id: "s1", name: "2025" }, data, circuits).circuits).toBeUndefined();
+  });
+
+  it("upgrades unversioned files: stints from teamId, missing event types", () => {
+    const file = migrate({
+      teams: [{ id: "t1", name: "McLaren" }],
+      drivers: [{ id: "d1", name: "Lando Norris", teamId: "t1" }],
+      events: [{ id: "e1", round: 1, name: "Australia" }],
+      results: [],
+    });
+    expect(file.version).toBe(SCHEMA_VERSION);
+    expect(file.season).toBeNull();
+    expect(file.drivers[0].stints).toEqual([{ teamId: "t1", fromRound: 1, toRound: null }]);
+    expect(file.events[0].type).toBe("GP");
+  });
+
+  it("turns readable driver countries into ISO codes", () => {
+    const file = migrate({ format: "f1-season-tracker", version: 2, ...data, drivers: [
+      { ...data.drivers[0], country: "Great Britain" }, { id: "d2", name: "Oscar Piastri", country: "Oz" },
+    ] });
+    expect(file.drivers.map(d => d.country)).toEqual(["GB", "Oz"]);
+  });
+
+  it("rejects files it can't read", () => {
+    expect(() => readFile("{")).toThrow(/Invalid JSON/);
+    expect(() => migrate({ hello: "world" })).toThrow(/Not a season export/);
+    expect(() => migrate({ format: "f1-season-tracker", version: SCHEMA_VERSION + 1 })).toThrow(/newer version/);
+  });
+
+  it("bundles every season and the all-time roster into one backup", () => {
+    const meta = { seasons: [{ id: "s1", name: "2024" }, { id: "s2", name: "2025" }], activeId: "s2" };
+    const roster = { drivers: [{ id: "r1", name: "Lando Norris" }], teams: [] };
+    const file = readFile(JSON.stringify(archiveFile(meta, id => (id === "s2" ? data : {}), roster)));
+    expect(file.kind).toBe("archive");
+    expect(file.activeId).toBe("s2");
+    expect(file.roster).toEqual(roster);
+    expect(file.seasons.map(s => [s.season.name, s.results.length])).toEqual([["2024", 0], ["2025", 1]]);
+  });
+});
+
+describe("validateSeason", () => {
+  it("accepts consistent data", () => {
+    expect(validateSeason(data)).toEqual({ errors: [], warnings: [] });
+  });
+
+  it("reports dangling references and duplicate ids", () => {
+    const { errors, warnings } = validateSeason({
+      ...data,
+      drivers: [...data.drivers, { id: "d1", name: "Copy" }, { id: "d2", name: "Oscar Piastri", teamId: "t9" }],
+      results: [...data.results, { eventId: "e9", driverId: "d3", position: 2 }],
+    });
+    expect(errors).toEqual([
+      'Duplicate driver id "d1"',
+      'Result #2 refers to unknown event "e9"',
+      'Result #2 refers to unknown driver "d3"',
+    ]);
+    expect(warnings).toEqual(['Driver Oscar Piastri refers to unknown team "t9"']);
+  });
+
+  it("warns about start times it can't place", () => {
+    const { warnings } = validateSeason({ ...data, events: [{ ...data.events[0], time: "3pm", timeZone: "Mars/Olympus" }] });
+    expect(warnings).toEqual([
+      'Australia has an unreadable start time "3pm"',
+      'Australia has an unknown time zone "Mars/Olympus"; its start time is read as UTC',
+    ]);
+  });
+
+  it("warns about events at circuits it doesn't know, once circuits are given", () => {
+    const events = [{ ...data.events[0], circuitId: "c9" }];
+    expect(validateSeason({ ...data, events }).warnings).toEqual([]);
+    expect(validateSeason({ ...data, events }, { circuits: [{ id: "c1", name: "Albert Park" }] }).warnings)
+      .toEqual(['Australia is at unknown circuit "c9"']);
+  });
+
+  it("reports lap times of unknown drivers once per driver", () => {
+    const laps = [1, 2, 3].map(n => ({ eventId: "e1", driverId: "d9", lap: n, time: 90 }));
+    const { errors, warnings } = validateSeason({ ...data, laps: [...laps, { ...laps[0], driverId: "d1" }, { ...laps[0], driverId: "d1" }] });
+    expect(errors).toEqual(['3 lap(s) refer to unknown driver "d9"']);
+    expect(warnings).toEqual(['Lap 1 of driver "d1" appears twice in event "e1"']);
+  });
+
+  it("rejects clashing car numbers and codes, and warns about unknown countries and team names", () => {
+    const { errors, warnings } = validateSeason({
+      ...data,
+      teams: [...data.teams, { id: "t2", name: "mclaren" }],
+      drivers: [{ ...data.drivers[0], number: 4, code: "NOR", country: "GB" }, { id: "d2", name: "Oscar Piastri", teamId: "t1", number: 4, code: "NOR", country: "Oz" }],
+    });
+    expect(errors).toEqual([
+      "Driver Oscar Piastri: Number 4 is already Lando Norris's",
+      "Driver Oscar Piastri: Code NOR is already Lando Norris's",
+    ]);
+    expect(warnings).toEqual(['Driver Oscar Piastri: "Oz" is not an ISO country code', "Team mclaren: Another team is already called mclaren"]);
+  });
+
+  it("resolves references against the data being merged into", () => {
+    const incoming = { results: [{ eventId: "e1", driverId: "d1", position: 1 }] };
+    expect(validateSeason(incoming).errors).toHaveLength(2);
+    expect(validateSeason(incoming, data).errors).toEqual([]);
+  });
+});
+
+describe("mergeSeason", () => {
+  it("adds new records and keeps existing ones untouched", () => {
+    const incoming = {
+      teams: [{ id: "t1", name: "Renamed" }],
+      drivers: [{ id: "d2", name: "Oscar Piastri", teamId: "t1" }],
+      events: [{ id: "e2", round: 2, name: "China", type: "GP" }],
+      results: [
+        { eventId: "e1", driverId: "d1", position: 5 },
+        { eventId: "e2", driverId: "d2", position: 1 },
+      ],
+      laps: [{ eventId: "e1", driverId: "d1", lap: 1, time: 90 }, { eventId: "e2", driverId: "d2", lap: 1, time: 95 }],
+    };
+    const current = { ...data, laps: [{ eventId: "e1", driverId: "d1", lap: 1, time: 88 }] };
+    const { data: merged, added } = mergeSeason(current, incoming);
+    expect(added).toEqual({ teams: 0, drivers: 1, events: 1, results: 1, laps: 1, players: 0, predictions: 0 });
+    expect(merged.laps.map(l => l.time)).toEqual([88, 95]);
+    expect(merged.teams).toEqual(data.teams);
+    expect(merged.results.map(r => [r.eventId, r.driverId, r.position])).toEqual([["e1", "d1", 1], ["e2", "d2", 1]]);
+  });
+
+  it("never mixes an event's results with the file's", () => {
+    const current = { ...data, drivers: [...data.drivers, { id: "d2", name: "Oscar Piastri" }] };
+    const partial = { results: [{ eventId: "e1", driverId: "d2", position: 1, status: "FIN" }] };
+    const { data: merged, added, warnings } = mergeSeason(current, partial);
+    expect(added.results).toBe(0);
+    expect(merged.results).toEqual(data.results);
+    expect(warnings).toEqual(["Results of Australia kept as they were: the file's differ"]);
+    expect(mergeSeason(current, { results: data.results }).warnings).toEqual([]);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Season calendar — when sessions start, where the season stands, and iCalendar export.
+ * - Events may carry a start `time` ("HH:MM", local to the circuit) and an IANA `timeZone`;
+ *   without a time an event is all-day, without a zone its time is UTC
+ * - eventStatuses: completed (has results, or practice that is over), due (over, no results yet), next, upcoming
+ * - monthWeeks: Monday-first weeks for a month view
+ * - toICS: a standard .ics file (RFC 5545) calendar apps can import or subscribe to
+ */
+import { sortEventsByRound, isPractice } from "./scoring.js";
+
+// Typical session lengths in minutes, for end times.
+export const SESSION_MINUTES = { "GP": 120, "Sprint": 60, "Qualifying": 60, "Sprint Qualifying": 45, "FP1": 60, "FP2": 60, "FP3": 60 };
+export const EVENT_STATUSES = { completed: "Completed", due: "Awaiting results", next: "Next", upcoming: "Upcoming" };
+
+const DAY = 86400000;
+const isoDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Milliseconds the zone is ahead of UTC at an instant. Throws RangeError for an unknown zone.
+function zoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(new Date(instant)).map(p => [p.type, Number(p.value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+}
+
+export const isValidTimeZone = (timeZone) => {
+  try { zoneOffset(0, timeZone); return true; }
+  catch { return false; }
+};
+
+// UTC milliseconds for a wall-clock date and time in a zone (the later reading across a DST change).
+export function zonedTime(date, time, timeZone) {
+  const [h, m] = time.split(":").map(Number);
+  const wall = Date.parse(`${isoDate(date)}T00:00:00Z`) + (h * 60 + m) * 60000;
+  if (!timeZone || !isValidTimeZone(timeZone)) return wall;
+  const first = wall - zoneOffset(wall, timeZone);
+  return wall - zoneOffset(first, timeZone);
+}
+
+/**
+ * { start, end } in UTC milliseconds, and whether the event is all-day (no start time).
+ * Null when the event has no date.
+ */
+export function sessionSpan(event) {
+  if (!event.date || Number.isNaN(Date.parse(event.date))) return null;
+  if (!event.time) {
+    const start = Date.parse(`${isoDate(event.date)}T00:00:00Z`);
+    return { start, end: start + DAY, allDay: true };
+  }
+  const start = zonedTime(event.date, event.time, event.timeZone);
+  return { start, end: start + (SESSION_MINUTES[event.type] || 60) * 60000, allDay: false };
+}
+
+// Events in the order they take place: by start, then round for undated ones.
+export function sortEventsByTime(events) {
+  const startOf = (e) => sessionSpan(e)?.start ?? Infinity;
+  return sortEventsByRound(events).sort((a, b) => startOf(a) - startOf(b));
+}
+
+/**
+ * Map of event id → one of EVENT_STATUSES. `now` in milliseconds. "next" is the first session, in
+ * time order, that hasn't finished and has no results.
+ */
+export function eventStatuses(events, results, now) {
+  const withResults = new Set(results.map(r => r.eventId));
+  const statuses = new Map();
+  let next = null;
+  for (const e of sortEventsByTime(events)) {
+    const span = sessionSpan(e);
+    if (withResults.has(e.id) || (isPractice(e) && span && span.end <= now)) statuses.set(e.id, "completed");
+    else if (span && span.end <= now) statuses.set(e.id, "due");
+    else if (!next && span) { next = e; statuses.set(e.id, "next"); }
+    else statuses.set(e.id, "upcoming");
+  }
+  return statuses;
+}
+
+// The first session starting after `now`, for a countdown.
+export const nextSession = (events, now) =>
+  sortEventsByTime(events).find(e => (sessionSpan(e)?.start ?? -Infinity) > now) || null;
+
+// "3d 4h 12m" until a moment `ms` away.
+export function formatCountdown(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  const d = Math.floor(minutes / 1440), h = Math.floor(minutes % 1440 / 60), m = minutes % 60;
+  return [d && `${d}d`, (d || h) && `${h}h`, `${m}m`].filter(Boolean).join(" ");
+}
+
+/**
+ * Weeks (Monday first) covering a month; `month` is 0-based. Each day is { date: "YYYY-MM-DD", inMonth }.
+ */
+export function monthWeeks(year, month) {
+  const first = Date.UTC(year, month, 1);
+  const start = first - ((new Date(first).getUTCDay() + 6) % 7) * DAY;
+  const weeks = [];
+  for (let day = start; weeks.length === 0 || new Date(day).getUTCMonth() === month; ) {
+    const week = [];
+    for (let i = 0; i < 7; i++, day += DAY) week.push({ date: isoDate(day), inMonth: new Date(day).getUTCMonth() === month });
+    weeks.push(week);
+  }
+  return weeks;
+}
+
+// ---------- iCalendar ----------
+const icsText = (s) => String(s).replace(/[\\;,]/g, c => `\\${c}`).replace(/\r?\n/g, "\\n");
+const icsStamp = (ms) => new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const icsDate = (ms) => isoDate(ms).replace(/-/g, "");
+
+// Lines longer than 75 octets continue on the next line after a space.
+function fold(line) {
+  const encoder = new TextEncoder();
+  const out = [];
+  let current = "", size = 0;
+  for (const ch of line) {
+    const bytes = encoder.encode(ch).length;
+    if (size + bytes > 75) { out.push(current); current = " "; size = 1; }
+    current += ch;
+    size += bytes;
+  }
+  return [...out, current].join("\r\n");
+}
+
+/**
+ * The season's dated events as an iCalendar file. Timed sessions are written in UTC, others as all-day
+ * events. `now` stamps the file; UIDs are stable so re-imports update rather than duplicate.
+ */
+export function toICS(seasonName, events, now) {
+  const lines = [
+    "BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//F1 Season Tracker//EN", "CALSCALE:GREGORIAN", "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(seasonName)}`,
+  ];
+  for (const e of sortEventsByTime(events)) {
+    const span = sessionSpan(e);
+    if (!span) continue;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${e.id}@f1-season-tracker`,
+      `DTSTAMP:${icsStamp(now)}`,
+      ...(span.allDay
+        ? [`DTSTART;VALUE=DATE:${icsDate(span.start)}`, `DTEND;VALUE=DATE:${icsDate(span.end)}`]
+        : [`DTSTART:${icsStamp(span.start)}`, `DTEND:${icsStamp(span.end)}`]),
+      `SUMMARY:${icsText(`${e.name} — ${e.type}`)}`,
+      `DESCRIPTION:${icsText(`${seasonName}, round ${e.round ?? "?"}`)}`,
+      "END:VEVENT",
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
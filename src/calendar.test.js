@@ -0,0 +1,74 @@
+import { describe, it, expect } from "vitest";
+import { zonedTime, sessionSpan, eventStatuses, nextSession, formatCountdown, monthWeeks, toICS } from "./calendar.js";
+
+const events = [
+  { id: "q1", round: 1, name: "Australia", type: "Qualifying", date: "2025-03-15", time: "16:00", timeZone: "Australia/Melbourne", raceId: "r1" },
+  { id: "r1", round: 1, name: "Australia", type: "GP", date: "2025-03-16", time: "15:00", timeZone: "Australia/Melbourne" },
+  { id: "r2", round: 2, name: "China", type: "GP", date: "2025-03-23" },
+  { id: "r3", round: 3, name: "Japan", type: "GP", date: "" },
+];
+
+describe("session times", () => {
+  it("converts circuit-local times to UTC across time zones and DST", () => {
+    // Melbourne is UTC+11 in March (daylight time), UTC+10 in June
+    expect(new Date(zonedTime("2025-03-16", "15:00", "Australia/Melbourne")).toISOString()).toBe("2025-03-16T04:00:00.000Z");
+    expect(new Date(zonedTime("2025-06-15", "15:00", "Australia/Melbourne")).toISOString()).toBe("2025-06-15T05:00:00.000Z");
+    expect(new Date(zonedTime("2025-03-30", "14:00", "Europe/London")).toISOString()).toBe("2025-03-30T13:00:00.000Z");
+    // no zone, or an unknown one: UTC
+    expect(new Date(zonedTime("2025-03-16", "15:00", "Nowhere/Else")).toISOString()).toBe("2025-03-16T15:00:00.000Z");
+  });
+
+  it("spans two hours for a Grand Prix and a whole day for untimed events", () => {
+    const gp = sessionSpan(events[1]);
+    expect(gp.allDay).toBe(false);
+    expect(gp.end - gp.start).toBe(2 * 3600000);
+    expect(sessionSpan(events[2])).toMatchObject({ allDay: true, start: Date.parse("2025-03-23T00:00:00Z"), end: Date.parse("2025-03-24T00:00:00Z") });
+    expect(sessionSpan(events[3])).toBeNull();
+  });
+});
+
+describe("eventStatuses", () => {
+  it("marks completed, due, next and upcoming sessions", () => {
+    const now = Date.parse("2025-03-16T12:00:00Z");
+    const statuses = eventStatuses(events, [{ eventId: "q1", driverId: "d1" }], now);
+    expect(Object.fromEntries(statuses)).toEqual({ q1: "completed", r1: "due", r2: "next", r3: "upcoming" });
+    expect(nextSession(events, now).id).toBe("r2");
+    expect(nextSession(events, Date.parse("2025-03-15T00:00:00Z")).id).toBe("q1");
+  });
+
+  it("completes practice once it's over, without results", () => {
+    const fp1 = { id: "fp1", round: 1, name: "Australia", type: "FP1", date: "2025-03-14", time: "12:30", timeZone: "Australia/Melbourne" };
+    expect(eventStatuses([fp1], [], Date.parse("2025-03-14T03:00:00Z")).get("fp1")).toBe("completed");
+    expect(eventStatuses([fp1], [], Date.parse("2025-03-14T02:00:00Z")).get("fp1")).toBe("next");
+  });
+
+  it("formats countdowns", () => {
+    expect(formatCountdown(((2 * 24 + 3) * 60 + 5) * 60000)).toBe("2d 3h 5m");
+    expect(formatCountdown(59 * 60000)).toBe("59m");
+    expect(formatCountdown(-1)).toBe("0m");
+  });
+});
+
+describe("monthWeeks", () => {
+  it("lays a month out in Monday-first weeks", () => {
+    const weeks = monthWeeks(2025, 2); // March 2025 starts on a Saturday
+    expect(weeks[0][0]).toEqual({ date: "2025-02-24", inMonth: false });
+    expect(weeks[0][5]).toEqual({ date: "2025-03-01", inMonth: true });
+    expect(weeks.at(-1).some(d => d.date === "2025-03-31")).toBe(true);
+    expect(weeks.every(w => w.length === 7)).toBe(true);
+  });
+});
+
+describe("toICS", () => {
+  it("writes timed sessions in UTC and untimed ones as all-day events", () => {
+    const ics = toICS("2025, with commas", events, Date.parse("2025-01-01T00:00:00Z"));
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+    expect(ics).toContain("DTSTART:20250316T040000Z\r\nDTEND:20250316T060000Z");
+    expect(ics).toContain("DTSTART;VALUE=DATE:20250323\r\nDTEND;VALUE=DATE:20250324");
+    expect(ics).toContain("UID:r1@f1-season-tracker");
+    expect(ics).toContain("X-WR-CALNAME:2025\\, with commas");
+    expect(ics.split("\r\n").every(line => new TextEncoder().encode(line).length <= 75)).toBe(true);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Chart helpers — the maths behind the inline SVG charts.
+ * - niceTicks: round axis values covering a range
+ * - seriesStyles: team colours per series, dashed lines for a team's second entry
+ * - labelStep: how many x labels to skip so they don't overlap
+ * - eventAxisLabel / eventTitle: x labels and tooltip titles for charts with a point per scored event
+ */
+
+// Used for teams without a colour of their own.
+export const PALETTE = ["#111111", "#ef4444", "#3b82f6", "#10b981", "#f59e0b", "#8b5cf6", "#ec4899", "#14b8a6", "#f97316", "#64748b"];
+
+const niceStep = (raw) => {
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const f = raw / magnitude;
+  return (f <= 1 ? 1 : f <= 2 ? 2 : f <= 2.5 ? 2.5 : f <= 5 ? 5 : 10) * magnitude;
+};
+
+/**
+ * About `count` evenly spaced round values from at or below `min` to at or above `max`. With `integer`
+ * the step is at least 1 (positions, counts).
+ */
+export function niceTicks(min, max, count = 5, { integer = false } = {}) {
+  if (!(max > min)) max = min + 1;
+  let step = niceStep((max - min) / Math.max(1, count - 1));
+  if (integer) step = Math.max(1, Math.round(step));
+  const ticks = [];
+  for (let v = Math.floor(min / step) * step; v < max + step / 2; v += step) ticks.push(Number(v.toFixed(10)));
+  if (ticks.at(-1) < max) ticks.push(ticks.at(-1) + step);
+  return ticks;
+}
+
+/**
+ * `items`: [{ id, teamId }] in plotting order. Returns Map(id → { color, dashed }): the team's colour
+ * (or a palette colour per team), dashed for every entry of a team after its first.
+ */
+export function seriesStyles(items, teamById) {
+  const styles = new Map();
+  const seen = new Map();
+  const fallback = new Map();
+  for (const { id, teamId } of items) {
+    const key = teamId || `solo:${id}`;
+    if (!fallback.has(key)) fallback.set(key, PALETTE[fallback.size % PALETTE.length]);
+    const color = teamById[teamId]?.color || fallback.get(key);
+    styles.set(id, { color, dashed: seen.has(key) });
+    seen.set(key, true);
+  }
+  return styles;
+}
+
+// Show every n-th of `count` labels so that no more than `fit` are drawn.
+export const labelStep = (count, fit) => Math.max(1, Math.ceil(count / Math.max(1, fit)));
+
+// "R5", or "R5 S" for the round's Sprint, so a sprint weekend's two scores don't share a label.
+export const eventAxisLabel = (event) => `R${event.round ?? "?"}${event.type === "Sprint" ? " S" : ""}`;
+export const eventTitle = (event) => `${eventAxisLabel(event)} · ${event.name}${event.type === "Sprint" ? " Sprint" : ""}`;
@@ -0,0 +1,43 @@
+import { describe, it, expect } from "vitest";
+import { PALETTE, niceTicks, seriesStyles, labelStep, eventAxisLabel, eventTitle } from "./charts.js";
+
+describe("niceTicks", () => {
+  it("covers the range with round steps", () => {
+    expect(niceTicks(0, 43)).toEqual([0, 20, 40, 60]);
+    expect(niceTicks(0, 100)).toEqual([0, 25, 50, 75, 100]);
+    expect(niceTicks(0, 0.9)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(niceTicks(0, 0)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(niceTicks(1, 3, 5, { integer: true })).toEqual([1, 2, 3]);
+  });
+});
+
+describe("seriesStyles", () => {
+  it("uses team colours and dashes a team's second entry", () => {
+    const teamById = { mcl: { color: "#ff8000" }, fer: { color: "" } };
+    const styles = seriesStyles([
+      { id: "nor", teamId: "mcl" }, { id: "pia", teamId: "mcl" }, { id: "lec", teamId: "fer" }, { id: "x", teamId: "" },
+    ], teamById);
+    expect(styles.get("nor")).toEqual({ color: "#ff8000", dashed: false });
+    expect(styles.get("pia")).toEqual({ color: "#ff8000", dashed: true });
+    // no team colour: a palette colour per team
+    expect(styles.get("lec")).toEqual({ color: PALETTE[1], dashed: false });
+    expect(styles.get("x")).toEqual({ color: PALETTE[2], dashed: false });
+  });
+});
+
+describe("labelStep", () => {
+  it("skips labels that would not fit", () => {
+    expect(labelStep(10, 14)).toBe(1);
+    expect(labelStep(24, 14)).toBe(2);
+    expect(labelStep(0, 14)).toBe(1);
+  });
+});
+
+describe("event labels", () => {
+  it("tells a sprint weekend's Sprint and Grand Prix apart", () => {
+    const sprint = { round: 5, name: "Miami", type: "Sprint" }, gp = { round: 5, name: "Miami", type: "GP" };
+    expect([sprint, gp].map(eventAxisLabel)).toEqual(["R5 S", "R5"]);
+    expect(eventTitle(sprint)).toBe("R5 S · Miami Sprint");
+    expect(eventAxisLabel({ name: "Test", type: "GP" })).toBe("R?");
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Race weekends and circuits.
+ * - A weekend is the sessions sharing a round, in running order (practice → Sprint → Qualifying → GP).
+ *   Weekends aren't stored: the round already ties sessions together, so they're grouped when shown
+ * - Circuits are kept once for every season (f1_circuits); events point to theirs with `circuitId`
+ * - A circuit is { id, name, country, length (km), laps, lapRecord: { time, driver, year } | null }
+ * - circuitHistory: winners and pole-sitters at one circuit across every stored season
+ */
+import { QUALI_FOR, isRace, classifyEvent, groupResultsByEvent, teamIdAt } from "./scoring.js";
+import { sessionSpan } from "./calendar.js";
+import { normalizeName } from "./csv.js";
+
+export const SESSION_ORDER = ["FP1", "FP2", "FP3", "Sprint Qualifying", "Sprint", "Qualifying", "GP"];
+
+export const circuitByName = (circuits, name) => circuits.find(c => normalizeName(c.name) === normalizeName(name));
+
+// Race distance in km, e.g. 5.278 km × 58 laps → 306.1; null without both.
+export const raceDistance = (circuit) => circuit?.length && circuit?.laps ? Math.round(circuit.length * circuit.laps * 10) / 10 : null;
+
+/**
+ * Returns [{ round, name, circuitId, sessions: [event…], start, end, sprint }] by round. `name` is the
+ * Grand Prix's (else the first session's), `circuitId` the first one a session names, `start`/`end`
+ * the first session's start and the last one's end in UTC milliseconds (null when undated).
+ */
+export function weekendsOf(events) {
+  const byRound = new Map();
+  for (const e of events) {
+    const round = e.round ?? null;
+    if (!byRound.has(round)) byRound.set(round, []);
+    byRound.get(round).push(e);
+  }
+  const rank = (e) => SESSION_ORDER.indexOf(e.type);
+  return [...byRound.entries()]
+    .sort(([a], [b]) => (a ?? Infinity) - (b ?? Infinity))
+    .map(([round, list]) => {
+      const sessions = list.sort((a, b) => (sessionSpan(a)?.start ?? Infinity) - (sessionSpan(b)?.start ?? Infinity) || rank(a) - rank(b));
+      const spans = sessions.map(sessionSpan).filter(Boolean);
+      return {
+        round,
+        name: (sessions.find(e => e.type === "GP") || sessions[0]).name,
+        circuitId: sessions.find(e => e.circuitId)?.circuitId || "",
+        sessions,
+        start: spans.length ? Math.min(...spans.map(s => s.start)) : null,
+        end: spans.length ? Math.max(...spans.map(s => s.end)) : null,
+        sprint: sessions.some(e => e.type === "Sprint"),
+      };
+    });
+}
+
+/**
+ * `seasons`: [{ season, data }] in the order to list them. Returns [{ season, event, winner, team, pole }]
+ * for every Grand Prix and Sprint held at the circuit; winner and pole are drivers (null before results),
+ * pole from the linked qualifying or else the race's grid.
+ */
+export function circuitHistory(circuitId, seasons) {
+  const rows = [];
+  for (const { season, data } of seasons) {
+    const byEvent = groupResultsByEvent(data.results || []);
+    const driverById = new Map((data.drivers || []).map(d => [d.id, d]));
+    const teamById = new Map((data.teams || []).map(t => [t.id, t]));
+    for (const event of (data.events || []).filter(e => e.circuitId === circuitId && isRace(e))) {
+      const entries = classifyEvent(byEvent.get(event.id) || []);
+      const quali = (data.events || []).find(e => QUALI_FOR[e.type] === event.type && e.raceId === event.id);
+      const poleEntry = quali
+        ? classifyEvent(byEvent.get(quali.id) || []).find(r => r.classified && r.position === 1)
+        : entries.find(r => r.grid === 1);
+      const winner = driverById.get(entries.find(r => r.classified && r.position === 1)?.driverId) || null;
+      rows.push({
+        season, event, winner,
+        team: winner ? teamById.get(teamIdAt(winner, event.round)) || null : null,
+        pole: driverById.get(poleEntry?.driverId) || null,
+      });
+    }
+  }
+  return rows;
+}
+
+// Drivers with the most Grand Prix wins in `history`: [{ name, wins }], linked drivers counted as one.
+export function mostWins(history) {
+  const wins = new Map();
+  for (const { event, winner } of history) {
+    if (event.type !== "GP" || !winner) continue;
+    const key = winner.rosterId || normalizeName(winner.name);
+    wins.set(key, { name: winner.name, wins: (wins.get(key)?.wins || 0) + 1 });
+  }
+  return [...wins.values()].sort((a, b) => b.wins - a.wins || a.name.localeCompare(b.name));
+}
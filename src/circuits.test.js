@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { weekendsOf, circuitHistory, mostWins, raceDistance } from "./circuits.js";
+
+const season = (id, name) => ({ id, name });
+const drivers = [
+  { id: "d1", name: "Max Verstappen", teamId: "t1", rosterId: "r1" },
+  { id: "d2", name: "Lando Norris", teamId: "t2" },
+];
+const teams = [{ id: "t1", name: "Red Bull" }, { id: "t2", name: "McLaren" }];
+const fin = (eventId, driverId, position, extra) => ({ eventId, driverId, position, status: "FIN", ...extra });
+
+describe("weekendsOf", () => {
+  it("groups sessions by round in running order", () => {
+    const weekends = weekendsOf([
+      { id: "gp", round: 1, name: "China", type: "GP", date: "2025-03-23", circuitId: "c1" },
+      { id: "sq", round: 1, name: "China", type: "Sprint Qualifying", date: "2025-03-21", time: "15:30", timeZone: "UTC" },
+      { id: "fp1", round: 1, name: "China", type: "FP1", date: "2025-03-21", time: "03:30", timeZone: "UTC" },
+      { id: "sp", round: 1, name: "China", type: "Sprint", date: "2025-03-22" },
+      { id: "q", round: 1, name: "China", type: "Qualifying", date: "2025-03-22" },
+      { id: "gp2", round: 2, name: "Japan", type: "GP" },
+    ]);
+    expect(weekends.map(w => w.round)).toEqual([1, 2]);
+    expect(weekends[0].sessions.map(e => e.id)).toEqual(["fp1", "sq", "sp", "q", "gp"]);
+    expect(weekends[0]).toMatchObject({ name: "China", circuitId: "c1", sprint: true, start: Date.UTC(2025, 2, 21, 3, 30) });
+    expect(weekends[1]).toMatchObject({ circuitId: "", sprint: false, start: null, end: null });
+  });
+});
+
+describe("circuitHistory", () => {
+  it("lists winners and pole-sitters at a circuit across seasons", () => {
+    const seasons = [
+      { season: season("s1", "2024"), data: {
+        drivers, teams,
+        events: [
+          { id: "q1", round: 1, name: "Bahrain", type: "Qualifying", raceId: "e1", circuitId: "bah" },
+          { id: "e1", round: 1, name: "Bahrain", type: "GP", circuitId: "bah" },
+          { id: "e2", round: 2, name: "Jeddah", type: "GP", circuitId: "jed" },
+        ],
+        results: [fin("q1", "d2", 1), fin("q1", "d1", 2), fin("e1", "d1", 1), fin("e1", "d2", 2), fin("e2", "d2", 1)],
+      } },
+      { season: season("s2", "2025"), data: {
+        drivers: [{ ...drivers[0], id: "x1" }], teams,
+        events: [{ id: "e1", round: 4, name: "Bahrain", type: "GP", circuitId: "bah" }],
+        results: [fin("e1", "x1", 1, { grid: 1 })],
+      } },
+    ];
+    const history = circuitHistory("bah", seasons);
+    expect(history.map(h => [h.season.name, h.winner?.name, h.team?.name, h.pole?.name])).toEqual([
+      ["2024", "Max Verstappen", "Red Bull", "Lando Norris"],
+      ["2025", "Max Verstappen", "Red Bull", "Max Verstappen"],
+    ]);
+    // linked entries in different seasons count as one driver
+    expect(mostWins(history)).toEqual([{ name: "Max Verstappen", wins: 2 }]);
+  });
+
+  it("keeps races without results, and works out race distance", () => {
+    const history = circuitHistory("bah", [{ season: season("s1", "2026"), data: { events: [{ id: "e1", round: 1, name: "Bahrain", type: "GP", circuitId: "bah" }] } }]);
+    expect(history).toMatchObject([{ winner: null, team: null, pole: null }]);
+    expect(mostWins(history)).toEqual([]);
+    expect(raceDistance({ length: 5.412, laps: 57 })).toBe(308.5);
+    expect(raceDistance({ length: 5.412 })).toBeNull();
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Results import/export — pure helpers for CSV/TSV and pasted finishing orders.
+ * - parseResultsText: CSV/TSV with or without a header, or a plain finishing order
+ * - matchDriver: name / abbreviation / car number matching with a fuzzy fallback
+ * - toCSV: spreadsheet export
+ */
+
+// ---------- parsing ----------
+// Splits delimited text into rows of cells. The delimiter (tab, semicolon or comma) is picked from
+// the first line; double-quoted cells may contain delimiters and "" escapes.
+export function parseDelimited(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n").filter(l => l.trim());
+  if (!lines.length) return [];
+  const first = lines[0];
+  const delimiter = first.includes("\t") ? "\t" : first.includes(";") ? ";" : first.includes(",") ? "," : null;
+  if (!delimiter) return lines.map(l => [l.trim()]);
+  return lines.map(line => {
+    const cells = [];
+    let cell = "", quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i+1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === delimiter) { cells.push(cell.trim()); cell = ""; }
+      else cell += ch;
+    }
+    cells.push(cell.trim());
+    return cells;
+  });
+}
+
+const HEADER_ALIASES = {
+  position: ["pos", "position", "p", "place", "fin", "finish"],
+  driver: ["driver", "name", "driver name"],
+  number: ["no", "no.", "number", "#"],
+  status: ["status", "result", "time/retired", "time", "reason"],
+  fastestLap: ["fastest lap", "fastestlap", "fl", "fastest"],
+  grid: ["grid", "start", "starting position", "grid position"],
+};
+const columnFor = (header) => {
+  const h = header.toLowerCase().trim();
+  return Object.keys(HEADER_ALIASES).find(k => HEADER_ALIASES[k].includes(h)) || null;
+};
+const DEFAULT_COLUMNS = ["position", "driver", "status", "fastestLap", "grid"];
+
+// Maps free-text status cells onto RESULT_STATUSES keys. Times, gaps and "+1 lap" mean the car finished.
+export function parseStatus(raw) {
+  const s = (raw || "").trim().toLowerCase();
+  if (!s) return "FIN";
+  if (/^(dsq|dq|disq|disqualified|exc|excluded)/.test(s)) return "DSQ";
+  if (/^(dns|did not start|wd|withdrawn)/.test(s)) return "DNS";
+  if (/^(nc|not classified)/.test(s)) return "NC";
+  if (/^(ret|retired|dnf|accident|collision|engine|gearbox|hydraulics|brakes|spun off|power unit)/.test(s)) return "DNF";
+  return "FIN";
+}
+// The free text behind a non-finish ("Engine", "Collision"), unless it is only the status code.
+const reasonFor = (raw, status) => {
+  const s = (raw || "").trim();
+  return status !== "FIN" && s && !/^(dnf|ret|retired|nc|dsq|dq|dns|wd)$/i.test(s) ? s : "";
+};
+const parseFlag = (raw) => /^(1|y|yes|true|x|fl|\*)$/i.test((raw || "").trim());
+const parseIntOrNull = (raw) => {
+  const n = parseInt(String(raw ?? "").replace(/[^\d]/g, ""), 10);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Parses pasted or uploaded results into rows { line, position, driver, status, reason, fastestLap, grid, pitLane }.
+ * Accepts CSV/TSV (header optional; without one the columns are position, driver, status, fastest lap, grid)
+ * or a plain finishing order, one driver per line, optionally prefixed by "1." / "P1".
+ */
+export function parseResultsText(text) {
+  const table = parseDelimited(text);
+  if (!table.length) return [];
+  const headerCols = table[0].map(columnFor);
+  const hasHeader = headerCols.includes("driver") || headerCols.includes("number");
+  const body = hasHeader ? table.slice(1) : table;
+  const lineOffset = hasHeader ? 2 : 1;
+
+  return body.map((cells, i) => {
+    if (cells.length === 1 && !hasHeader) {
+      // plain finishing order: "1. Max Verstappen", "P2 NOR", "Hamilton"
+      const m = cells[0].match(/^(?:p)?(\d+)[.):\s-]+(.+)$/i);
+      return { line: i + lineOffset, position: m ? Number(m[1]) : i + 1, driver: (m ? m[2] : cells[0]).trim(), status: "FIN", reason: "", fastestLap: false, grid: null, pitLane: false };
+    }
+    const cols = hasHeader ? headerCols : DEFAULT_COLUMNS;
+    const get = (key) => { const idx = cols.indexOf(key); return idx >= 0 ? cells[idx] : ""; };
+    const gridRaw = get("grid");
+    const posRaw = get("position");
+    // results pages put NC / DQ / DNS in the position column
+    const position = parseIntOrNull(posRaw);
+    const statusRaw = position == null && posRaw ? posRaw : get("status");
+    const status = parseStatus(statusRaw);
+    return {
+      line: i + lineOffset,
+      position: position ?? i + 1,
+      driver: get("driver") || get("number"),
+      number: get("number"),
+      status,
+      reason: reasonFor(statusRaw, status),
+      fastestLap: parseFlag(get("fastestLap")),
+      grid: parseIntOrNull(gridRaw),
+      pitLane: /^(pl|pit|pit ?lane)$/i.test((gridRaw || "").trim()),
+    };
+  });
+}
+
+// ---------- driver matching ----------
+// Lower-case, accent- and punctuation-free form of a name, for comparisons.
+export const normalizeName = (s) => String(s ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9 ]/g, " ").replace(/\s+/g, " ").trim();
+const surname = (name) => normalizeName(name).split(" ").at(-1) || "";
+// The driver's three-letter code if set, else the first three letters of the surname.
+export const driverCode = (d) => (d.code || surname(d.name).slice(0, 3)).toUpperCase();
+
+function editDistance(a, b) {
+  const dp = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = dp[0];
+    dp[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = dp[j];
+      dp[j] = Math.min(dp[j] + 1, dp[j-1] + 1, prev + (a[i-1] === b[j-1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return dp[b.length];
+}
+const similarity = (a, b) => (a && b) ? 1 - editDistance(a, b) / Math.max(a.length, b.length) : 0;
+
+/**
+ * Matches one imported name against the season's drivers. Exact matches on car number, full name,
+ * code, surname or first name win; otherwise the closest names by edit distance are offered.
+ * Returns { driverId, match: "exact" | "fuzzy" | "ambiguous" | "none", candidates: [driverId…] }.
+ */
+export function matchDriver(query, drivers) {
+  const q = normalizeName(query);
+  if (!q) return { driverId: "", match: "none", candidates: [] };
+  const exact = (pred) => drivers.filter(pred).map(d => d.id);
+  const tiers = [
+    /^\d+$/.test(q) ? exact(d => d.number != null && String(d.number) === q) : [],
+    exact(d => normalizeName(d.name) === q),
+    q.length === 3 ? exact(d => driverCode(d).toLowerCase() === q) : [],
+    exact(d => surname(d.name) === q || surname(d.name) === surname(q)),
+    exact(d => normalizeName(d.name).split(" ")[0] === q),
+  ];
+  for (const ids of tiers) {
+    if (ids.length === 1) return { driverId: ids[0], match: "exact", candidates: ids };
+    if (ids.length > 1) return { driverId: "", match: "ambiguous", candidates: ids };
+  }
+  const scored = drivers
+    .map(d => ({ id: d.id, score: Math.max(similarity(q, normalizeName(d.name)), similarity(surname(q), surname(d.name))) }))
+    .filter(x => x.score >= 0.6)
+    .sort((a, b) => b.score - a.score);
+  if (!scored.length) return { driverId: "", match: "none", candidates: [] };
+  if (scored.length > 1 && scored[0].score - scored[1].score < 0.1) {
+    return { driverId: "", match: "ambiguous", candidates: scored.slice(0, 3).map(x => x.id) };
+  }
+  return { driverId: scored[0].id, match: "fuzzy", candidates: [scored[0].id] };
+}
+
+// Matches a parsed row, preferring an exact car-number hit when the row has a number column.
+export function matchRow(row, drivers) {
+  if (row.number) {
+    const byNumber = matchDriver(row.number, drivers);
+    if (byNumber.match === "exact") return byNumber;
+  }
+  return matchDriver(row.driver, drivers);
+}
+
+// ---------- export ----------
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+export const toCSV = (header, rows) => [header, ...rows].map(r => r.map(csvCell).join(",")).join("\n") + "\n";
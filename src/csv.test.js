@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import { parseDelimited, parseResultsText, parseStatus, matchDriver, matchRow, toCSV } from "./csv.js";
+
+const drivers = [
+  { id: "ver", name: "Max Verstappen", number: 1 },
+  { id: "nor", name: "Lando Norris", number: 4 },
+  { id: "lec", name: "Charles Leclerc", number: 16 },
+  { id: "hul", name: "Nico Hülkenberg", number: 27 },
+  { id: "ros", name: "Nico Rosberg" },
+  { id: "kmag", name: "Kevin Magnussen", code: "MAG" },
+];
+
+describe("parseDelimited", () => {
+  it("detects the delimiter and honours quotes", () => {
+    expect(parseDelimited('1,"Verstappen, Max",FIN\n2,Norris,FIN')).toEqual([["1", "Verstappen, Max", "FIN"], ["2", "Norris", "FIN"]]);
+    expect(parseDelimited("1\tNorris\n\n2\tLeclerc\r\n")).toEqual([["1", "Norris"], ["2", "Leclerc"]]);
+  });
+});
+
+describe("parseResultsText", () => {
+  it("reads a CSV with a header in any column order", () => {
+    const rows = parseResultsText("Driver,Pos,Grid,Status,FL\nNorris,1,3,,yes\nLeclerc,2,PL,+5.2s,\nVerstappen,3,1,Ret,");
+    expect(rows.map(r => [r.driver, r.position, r.grid, r.pitLane, r.status, r.fastestLap])).toEqual([
+      ["Norris", 1, 3, false, "FIN", true],
+      ["Leclerc", 2, null, true, "FIN", false],
+      ["Verstappen", 3, 1, false, "DNF", false],
+    ]);
+    expect(rows[0].line).toBe(2);
+  });
+
+  it("reads headerless rows as position, driver, status, fastest lap, grid", () => {
+    const [row] = parseResultsText("4\tHülkenberg\tDSQ\t\t12");
+    expect(row).toMatchObject({ position: 4, driver: "Hülkenberg", status: "DSQ", grid: 12 });
+  });
+
+  it("reads a plain finishing order copied from a results page", () => {
+    const rows = parseResultsText("1. Max Verstappen\nP2 NOR\nLeclerc");
+    expect(rows.map(r => [r.position, r.driver])).toEqual([[1, "Max Verstappen"], [2, "NOR"], [3, "Leclerc"]]);
+  });
+
+  it("takes NC / DQ from the position column", () => {
+    const rows = parseResultsText("Pos,No,Driver\n1,4,Lando Norris\nNC,27,Nico Hulkenberg");
+    expect(rows[1]).toMatchObject({ position: 2, status: "NC", number: "27" });
+  });
+
+  it("keeps the retirement reason", () => {
+    const rows = parseResultsText("Pos,Driver,Status\n1,Norris,\n2,Sainz,Gearbox\n3,Albon,DNF");
+    expect(rows.map(r => [r.status, r.reason])).toEqual([["FIN", ""], ["DNF", "Gearbox"], ["DNF", ""]]);
+  });
+});
+
+describe("parseStatus", () => {
+  it("maps result-page wording onto statuses", () => {
+    expect(["", "+1 lap", "1:32:10.123", "DNF", "Engine", "DQ", "DNS", "NC"].map(parseStatus))
+      .toEqual(["FIN", "FIN", "FIN", "DNF", "DNF", "DSQ", "DNS", "NC"]);
+  });
+});
+
+describe("matchDriver", () => {
+  it("matches exactly by number, full name, code and surname", () => {
+    expect(matchDriver("16", drivers)).toMatchObject({ driverId: "lec", match: "exact" });
+    expect(matchDriver("max verstappen", drivers)).toMatchObject({ driverId: "ver", match: "exact" });
+    expect(matchDriver("MAG", drivers)).toMatchObject({ driverId: "kmag", match: "exact" });
+    expect(matchDriver("Norris", drivers)).toMatchObject({ driverId: "nor", match: "exact" });
+    expect(matchDriver("N. Hulkenberg", drivers)).toMatchObject({ driverId: "hul", match: "exact" });
+  });
+
+  it("falls back to fuzzy matching and flags ambiguity", () => {
+    expect(matchDriver("Leclerk", drivers)).toMatchObject({ driverId: "lec", match: "fuzzy" });
+    expect(matchDriver("Nico", drivers)).toMatchObject({ driverId: "", match: "ambiguous" });
+    expect(matchDriver("Schumacher", drivers)).toMatchObject({ driverId: "", match: "none" });
+  });
+
+  it("prefers the car number when the row has one", () => {
+    expect(matchRow({ number: "4", driver: "Lando" }, drivers)).toMatchObject({ driverId: "nor", match: "exact" });
+  });
+});
+
+describe("toCSV", () => {
+  it("quotes cells that need it", () => {
+    expect(toCSV(["a", "b"], [[1, 'say "hi", ok'], [null, "x"]])).toBe('a,b\n1,"say ""hi"", ok"\n,x\n');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Drivers' car numbers, codes and countries, and team metadata.
+ * - Countries are ISO 3166-1 alpha-2 codes ("NL"), shown with their flag; countryCode also reads names
+ * - suggestCode: a three-letter code from the surname (VER, HAM) that no other driver has
+ * - driverIssues / teamIssues: problems with one driver or team among the season's others, by field
+ * - driverEditIssues: what keeps an edit of a driver from being saved
+ * - Teams may carry fullName, shortName, engine and base; teamShortName is what tight tables show
+ */
+import { normalizeName } from "./csv.js";
+
+// ---------- countries ----------
+export const COUNTRY_CODES = (
+  "AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ " +
+  "CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR " +
+  "GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO " +
+  "JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR " +
+  "MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO " +
+  "RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV " +
+  "TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW"
+).split(" ");
+const KNOWN = new Set(COUNTRY_CODES);
+
+const regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+export const countryName = (code) => KNOWN.has(code) ? regionNames.of(code) : code || "";
+
+// Names and nicknames free-text countries were entered with before codes.
+const ALIASES = {
+  "uk": "GB", "great britain": "GB", "britain": "GB", "england": "GB", "scotland": "GB", "wales": "GB", "northern ireland": "GB",
+  "usa": "US", "us": "US", "united states of america": "US", "america": "US",
+  "holland": "NL", "the netherlands": "NL", "uae": "AE", "czech republic": "CZ", "russian federation": "RU",
+  "korea": "KR", "south korea": "KR", "macau": "MO", "hong kong": "HK",
+};
+let byName = null;
+const countryByName = () => byName ||= new Map(COUNTRY_CODES.map(c => [normalizeName(regionNames.of(c)), c]));
+
+// An ISO code for a code or country name ("nl", "Netherlands", "Great Britain"), or "" when unknown.
+export function countryCode(value) {
+  const s = String(value ?? "").trim();
+  if (KNOWN.has(s.toUpperCase()) && s.length === 2) return s.toUpperCase();
+  const name = normalizeName(s);
+  return ALIASES[name] || countryByName().get(name) || "";
+}
+
+// "NL" → 🇳🇱 (regional indicator letters); "" for anything that isn't a known code.
+export const flagOf = (code) => KNOWN.has(code) ? String.fromCodePoint(...[...code].map(ch => 0x1f1e6 + ch.charCodeAt(0) - 65)) : "";
+
+// ---------- codes ----------
+const letters = (s) => normalizeName(s).replace(/[^a-z]/g, "").toUpperCase();
+
+/**
+ * Three-letter code for `name`: the surname's first three letters (Hülkenberg → HUL), else the first
+ * name's initial with the surname's first two, else the surname's first letter with two later ones.
+ * `drivers` are the season's others; their codes are avoided where possible.
+ */
+export function suggestCode(name, drivers = []) {
+  const parts = normalizeName(name).split(" ").filter(Boolean);
+  if (!parts.length) return "";
+  const surname = letters(parts.at(-1)), first = parts.length > 1 ? letters(parts[0]) : "";
+  const taken = new Set(drivers.map(d => d.code).filter(Boolean));
+  const pad = (s) => (s + first + "XXX").slice(0, 3);
+  const options = [pad(surname.slice(0, 3)), ...(first && surname.length >= 2 ? [first[0] + surname.slice(0, 2)] : [])];
+  for (let i = 1; i < surname.length; i++) for (let j = i + 1; j < surname.length; j++) options.push(surname[0] + surname[i] + surname[j]);
+  return options.find(c => !taken.has(c)) || options[0];
+}
+
+// ---------- validation ----------
+/**
+ * `driver` as it would be saved, `drivers` the season's drivers (the driver itself is skipped by id).
+ * Returns { number?, code?, country? } messages; empty fields are fine. Numbers run 0–99: 0 is rare
+ * but real (Damon Hill's Williams in 1993–94), so historic seasons can be entered as raced.
+ */
+export function driverIssues(driver, drivers) {
+  const issues = {};
+  const others = drivers.filter(d => d.id !== driver.id);
+  if (driver.number != null && driver.number !== "") {
+    const n = Number(driver.number);
+    const holder = others.find(d => d.number != null && Number(d.number) === n);
+    if (!Number.isInteger(n) || n < 0 || n > 99) issues.number = "Car number must be a whole number from 0 to 99";
+    else if (holder) issues.number = `Number ${n} is already ${holder.name}'s`;
+  }
+  if (driver.code) {
+    const holder = others.find(d => d.code === driver.code);
+    if (!/^[A-Z]{3}$/.test(driver.code)) issues.code = "Code must be three capital letters";
+    else if (holder) issues.code = `Code ${driver.code} is already ${holder.name}'s`;
+  }
+  if (driver.country && !KNOWN.has(driver.country)) issues.country = `"${driver.country}" is not an ISO country code`;
+  return issues;
+}
+
+// Messages for the fields `patch` changes on `driver` that can't be saved; problems it doesn't touch don't block it.
+export function driverEditIssues(driver, patch, drivers) {
+  const issues = driverIssues({ ...driver, ...patch }, drivers);
+  return Object.fromEntries(Object.keys(patch).filter(k => issues[k]).map(k => [k, issues[k]]));
+}
+
+// Returns { name?, shortName? } messages for `team` among the season's `teams`.
+export function teamIssues(team, teams) {
+  const issues = {};
+  const others = teams.filter(t => t.id !== team.id);
+  if (!String(team.name || "").trim()) issues.name = "Team name is required";
+  else if (others.some(t => normalizeName(t.name) === normalizeName(team.name))) issues.name = `Another team is already called ${team.name}`;
+  if (team.shortName && team.shortName.length > 12) issues.shortName = "Short name is for tight tables: 12 characters at most";
+  else if (team.shortName && others.some(t => t.shortName && normalizeName(t.shortName) === normalizeName(team.shortName))) issues.shortName = `Another team is already short-named ${team.shortName}`;
+  return issues;
+}
+
+export const teamShortName = (team) => team?.shortName || team?.name || "";
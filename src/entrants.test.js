@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { countryCode, countryName, flagOf, suggestCode, driverIssues, driverEditIssues, teamIssues, teamShortName } from "./entrants.js";
+
+describe("countries", () => {
+  it("reads codes, names and common nicknames", () => {
+    expect(["nl", "Netherlands", "Holland", "Great Britain", "USA", "Mexico"].map(countryCode)).toEqual(["NL", "NL", "NL", "GB", "US", "MX"]);
+    expect(countryCode("Atlantis")).toBe("");
+    expect(countryName("MC")).toBe("Monaco");
+    expect(flagOf("NL")).toBe("🇳🇱");
+    expect(flagOf("XX")).toBe("");
+  });
+});
+
+describe("suggestCode", () => {
+  it("takes the surname's first letters and steps around codes already taken", () => {
+    expect(suggestCode("Max Verstappen")).toBe("VER");
+    expect(suggestCode("Nico Hülkenberg")).toBe("HUL");
+    expect(suggestCode("Kimi Antonelli", [{ code: "ANT" }])).toBe("KAN");
+    expect(suggestCode("Zhou")).toBe("ZHO");
+    expect(suggestCode("  ")).toBe("");
+  });
+});
+
+describe("validation", () => {
+  const drivers = [{ id: "d1", name: "Max Verstappen", number: 1, code: "VER", country: "NL" }];
+
+  it("checks a driver's number, code and country against the others", () => {
+    expect(driverIssues(drivers[0], drivers)).toEqual({});
+    expect(driverIssues({ id: "d2", name: "Yuki Tsunoda", number: 1, code: "VER", country: "JP" }, drivers))
+      .toEqual({ number: "Number 1 is already Max Verstappen's", code: "Code VER is already Max Verstappen's" });
+    expect(driverIssues({ id: "d2", number: 100, code: "Ts", country: "Japan" }, drivers)).toEqual({
+      number: "Car number must be a whole number from 0 to 99",
+      code: "Code must be three capital letters",
+      country: '"Japan" is not an ISO country code',
+    });
+  });
+
+  it("refuses edits that would clash, but not edits to other fields", () => {
+    const tsunoda = { id: "d2", name: "Yuki Tsunoda", number: 22, code: "TSU", country: "Japan" };
+    const season = [...drivers, tsunoda];
+    expect(driverEditIssues(tsunoda, { number: 1 }, season)).toEqual({ number: "Number 1 is already Max Verstappen's" });
+    expect(driverEditIssues(tsunoda, { code: "VE" }, season)).toEqual({ code: "Code must be three capital letters" });
+    expect(driverEditIssues(tsunoda, { number: 0, code: "YUK", name: "Yuki" }, season)).toEqual({});
+  });
+
+  it("requires distinct team names and short names that fit", () => {
+    const teams = [{ id: "t1", name: "Red Bull Racing", shortName: "Red Bull" }];
+    expect(teamIssues({ id: "t2", name: "red bull racing", shortName: "Red Bull" }, teams)).toEqual({
+      name: "Another team is already called red bull racing",
+      shortName: "Another team is already short-named Red Bull",
+    });
+    expect(teamIssues({ id: "t2", name: "", shortName: "Visa Cash App RB" }, teams)).toEqual({
+      name: "Team name is required",
+      shortName: "Short name is for tight tables: 12 characters at most",
+    });
+    expect(teamShortName(teams[0])).toBe("Red Bull");
+    expect(teamShortName({ name: "Ferrari" })).toBe("Ferrari");
+  });
+});
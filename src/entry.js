@@ -0,0 +1,65 @@
+/**
+ * Results entry grid — pure helpers behind the Enter Results table.
+ * - moveRow: drag-and-drop / keyboard reordering, positions follow the new order
+ * - searchDrivers: type-ahead by car number, three-letter code or name
+ * - gridIssues: duplicate drivers per row and drivers of the round without a result
+ * - sameEntries: whether the grid still matches the saved results (unsaved-changes guard)
+ */
+import { normalizeName, driverCode } from "./csv.js";
+import { driverStints, teamIdAt } from "./scoring.js";
+
+export function moveRow(grid, from, to) {
+  if (from === to || from < 0 || to < 0 || from >= grid.length || to >= grid.length) return grid;
+  const next = [...grid];
+  const [row] = next.splice(from, 1);
+  next.splice(to, 0, row);
+  return next.map((r, i) => ({ ...r, position: i + 1 }));
+}
+
+/**
+ * Drivers matching what was typed, best first: car number, then code, then surname or any name word,
+ * then anywhere in the name. An empty query lists everyone.
+ */
+export function searchDrivers(query, drivers) {
+  const q = normalizeName(query);
+  if (!q) return drivers;
+  const rank = (d) => {
+    const name = normalizeName(d.name);
+    const code = driverCode(d).toLowerCase();
+    if (d.number != null && String(d.number) === q) return 0;
+    if (code === q) return 1;
+    if (code.startsWith(q) || (d.number != null && String(d.number).startsWith(q))) return 2;
+    if (name.split(" ").some(w => w.startsWith(q)) || name.startsWith(q)) return 3;
+    if (name.includes(q)) return 4;
+    return null;
+  };
+  return drivers
+    .map(d => ({ d, r: rank(d) }))
+    .filter(x => x.r != null)
+    .sort((a, b) => a.r - b.r || a.d.name.localeCompare(b.d.name))
+    .map(x => x.d);
+}
+
+/**
+ * `grid`: entry rows ({ driverId, … }). Returns { duplicates: Map(row index → other row indexes with the
+ * same driver), missing: [driver…] } where missing lists drivers racing at `round` (a team at that
+ * round, or no stints at all) who have no row.
+ */
+export function gridIssues(grid, drivers, round) {
+  const rowsByDriver = new Map();
+  grid.forEach((r, i) => { if (r.driverId) rowsByDriver.set(r.driverId, [...(rowsByDriver.get(r.driverId) || []), i]); });
+  const duplicates = new Map();
+  for (const rows of rowsByDriver.values()) {
+    if (rows.length > 1) rows.forEach(i => duplicates.set(i, rows.filter(j => j !== i)));
+  }
+  const racing = drivers.filter(d => !driverStints(d).length || teamIdAt(d, round));
+  return { duplicates, missing: racing.filter(d => !rowsByDriver.has(d.id)) };
+}
+
+// Compares filled rows with saved results field by field; `fields` are the ones the grid edits.
+export function sameEntries(rows, saved, fields) {
+  const filled = rows.filter(r => r.driverId);
+  if (filled.length !== saved.length) return false;
+  const norm = (v) => (v === "" || v === undefined ? null : v);
+  return filled.every((r, i) => fields.every(k => norm(r[k]) === norm(saved[i][k])));
+}
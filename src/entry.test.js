@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { moveRow, searchDrivers, gridIssues, sameEntries } from "./entry.js";
+
+const drivers = [
+  { id: "ham", name: "Lewis Hamilton", number: 44, stints: [{ teamId: "fer", fromRound: 1, toRound: null }] },
+  { id: "lec", name: "Charles Leclerc", number: 16, stints: [{ teamId: "fer", fromRound: 1, toRound: null }] },
+  { id: "hul", name: "Nico Hülkenberg", code: "HUL", number: 27, stints: [{ teamId: "sau", fromRound: 1, toRound: null }] },
+  { id: "bea", name: "Oliver Bearman", number: 87, stints: [{ teamId: "has", fromRound: 3, toRound: 3 }] },
+];
+
+describe("moveRow", () => {
+  it("moves a row and renumbers positions", () => {
+    const grid = ["a", "b", "c"].map((driverId, i) => ({ driverId, position: i + 1 }));
+    expect(moveRow(grid, 2, 0)).toEqual([{ driverId: "c", position: 1 }, { driverId: "a", position: 2 }, { driverId: "b", position: 3 }]);
+    expect(moveRow(grid, 0, -1)).toBe(grid);
+    expect(moveRow(grid, 2, 3)).toBe(grid);
+  });
+});
+
+describe("searchDrivers", () => {
+  it("finds drivers by number, code and name, best match first", () => {
+    expect(searchDrivers("44", drivers).map(d => d.id)).toEqual(["ham"]);
+    expect(searchDrivers("lec", drivers)[0].id).toBe("lec");
+    expect(searchDrivers("hul", drivers).map(d => d.id)).toEqual(["hul"]);
+    expect(searchDrivers("hulk", drivers).map(d => d.id)).toEqual(["hul"]);
+    expect(searchDrivers("oli", drivers).map(d => d.id)).toEqual(["bea"]);
+    expect(searchDrivers("", drivers)).toBe(drivers);
+    expect(searchDrivers("zzz", drivers)).toEqual([]);
+  });
+});
+
+describe("gridIssues", () => {
+  it("flags duplicate rows and drivers of the round without a result", () => {
+    const grid = [{ driverId: "ham" }, { driverId: "" }, { driverId: "ham" }, { driverId: "lec" }];
+    const { duplicates, missing } = gridIssues(grid, drivers, 1);
+    expect([...duplicates]).toEqual([[0, [2]], [2, [0]]]);
+    // Bearman only races at round 3
+    expect(missing.map(d => d.id)).toEqual(["hul"]);
+    expect(gridIssues(grid, drivers, 3).missing.map(d => d.id)).toEqual(["hul", "bea"]);
+  });
+});
+
+describe("sameEntries", () => {
+  it("ignores empty rows and treats blank values alike", () => {
+    const saved = [{ driverId: "ham", position: 1, reason: "" }];
+    expect(sameEntries([{ driverId: "ham", position: 1, reason: undefined }, { driverId: "", position: 2 }], saved, ["driverId", "position", "reason"])).toBe(true);
+    expect(sameEntries([{ driverId: "lec", position: 1 }], saved, ["driverId", "position"])).toBe(false);
+    expect(sameEntries([], saved, ["driverId"])).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Shareable graphics — standalone SVG documents for standings and charts.
+ * - standingsGraphic: a championship table with team colour bars, titled with season and round
+ * - framedChart: a chart's SVG content with a title, subtitle and legend around it
+ * - afterRoundLabel: "After round 5 — Miami" for the latest race with results
+ * The SVGs use inline attributes only, so they render the same as files, in images and on a canvas.
+ */
+
+const FONT = "ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif";
+const PAD = 24;
+const HEADER = 72;
+
+export const escapeXML = (s) => String(s ?? "").replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+// The latest race that has results, e.g. "After round 5 — Miami"; "" before the first one.
+export function afterRoundLabel(scored) {
+  const done = scored.events.filter(x => x.entries.length).at(-1);
+  return done ? `After round ${done.event.round ?? "?"} — ${done.event.name}${done.event.type === "Sprint" ? " Sprint" : ""}` : "";
+}
+
+const header = (width, title, subtitle) => [
+  `<rect width="${width}" height="${HEADER}" fill="#111111"/>`,
+  `<rect y="${HEADER - 4}" width="${width}" height="4" fill="#ef4444"/>`,
+  `<text x="${PAD}" y="34" font-size="22" font-weight="700" fill="#ffffff">${escapeXML(title)}</text>`,
+  subtitle ? `<text x="${PAD}" y="56" font-size="13" fill="#d4d4d4">${escapeXML(subtitle)}</text>` : "",
+].join("");
+
+const documentOf = (width, height, body) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`
+  + `<rect width="${width}" height="${height}" fill="#ffffff"/>${body}</svg>`;
+
+/**
+ * `rows`: [{ position, name, detail?, color?, points }]. Returns an SVG document string.
+ */
+export function standingsGraphic({ title, subtitle, rows }) {
+  const width = 640, rowH = 34;
+  const height = HEADER + 16 + rows.length * rowH + PAD;
+  const body = rows.map((r, i) => {
+    const y = HEADER + 16 + i * rowH;
+    return [
+      i % 2 ? "" : `<rect x="${PAD / 2}" y="${y}" width="${width - PAD}" height="${rowH}" fill="#f6f7f9"/>`,
+      `<text x="${PAD + 24}" y="${y + 22}" font-size="15" font-weight="700" text-anchor="end" fill="#111111">${r.position}</text>`,
+      `<rect x="${PAD + 36}" y="${y + 7}" width="5" height="${rowH - 14}" rx="2" fill="${escapeXML(r.color || "#d4d4d4")}"/>`,
+      `<text x="${PAD + 52}" y="${y + 22}" font-size="15" font-weight="600" fill="#111111">${escapeXML(r.name)}</text>`,
+      r.detail ? `<text x="${width - PAD - 90}" y="${y + 22}" font-size="12" text-anchor="end" fill="#64748b">${escapeXML(r.detail)}</text>` : "",
+      `<text x="${width - PAD}" y="${y + 22}" font-size="15" font-weight="700" text-anchor="end" fill="#111111">${escapeXML(r.points)}</text>`,
+    ].join("");
+  }).join("");
+  return documentOf(width, height, header(width, title, subtitle) + body);
+}
+
+/**
+ * `content`: the inner markup of a chart drawn in a `viewBox` of { width, height }. `legend`:
+ * [{ label, color, dashed? }]. Returns an SVG document string.
+ */
+export function framedChart(content, { width: w, height: h }, { title, subtitle, legend = [] }) {
+  const width = w + PAD * 2;
+  const perRow = Math.max(1, Math.floor(w / 150));
+  const legendH = Math.ceil(legend.length / perRow) * 18;
+  const height = HEADER + 16 + h + (legendH ? legendH + 12 : 0) + PAD;
+  const items = legend.map((l, i) => {
+    const x = PAD + (i % perRow) * 150, y = HEADER + 16 + h + 12 + Math.floor(i / perRow) * 18;
+    return `<line x1="${x}" x2="${x + 16}" y1="${y + 5}" y2="${y + 5}" stroke="${escapeXML(l.color)}" stroke-width="2"${l.dashed ? ' stroke-dasharray="4 2"' : ""}/>`
+      + `<text x="${x + 22}" y="${y + 9}" font-size="11" fill="#374151">${escapeXML(l.label)}</text>`;
+  }).join("");
+  const chart = `<svg x="${PAD}" y="${HEADER + 16}" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">${content}</svg>`;
+  return documentOf(width, height, header(width, title, subtitle) + chart + items);
+}
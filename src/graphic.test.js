@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { escapeXML, afterRoundLabel, standingsGraphic, framedChart } from "./graphic.js";
+
+describe("afterRoundLabel", () => {
+  it("names the latest race with results", () => {
+    const scored = { events: [
+      { event: { round: 1, name: "Australia", type: "GP" }, entries: [{}] },
+      { event: { round: 2, name: "China", type: "Sprint" }, entries: [{}] },
+      { event: { round: 2, name: "China", type: "GP" }, entries: [] },
+    ] };
+    expect(afterRoundLabel(scored)).toBe("After round 2 — China Sprint");
+    expect(afterRoundLabel({ events: [] })).toBe("");
+  });
+});
+
+describe("standingsGraphic", () => {
+  it("draws one escaped row per entry with its team colour", () => {
+    const svg = standingsGraphic({
+      title: "Drivers' Championship", subtitle: "2025 · After round 1 — Australia",
+      rows: [
+        { position: 1, name: "Lando Norris", detail: "McLaren", color: "#ff8000", points: 25 },
+        { position: 2, name: "Max <Verstappen>", detail: "Red Bull & co", points: 18 },
+      ],
+    });
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(svg).toContain('fill="#ff8000"');
+    expect(svg).toContain("Max &lt;Verstappen&gt;");
+    expect(svg).toContain("Red Bull &amp; co");
+    expect(svg).toContain("Drivers&apos; Championship");
+    expect(svg.match(/<svg/g)).toHaveLength(1);
+  });
+});
+
+describe("framedChart", () => {
+  it("nests the chart under a header and adds the legend", () => {
+    const svg = framedChart('<line x1="0" y1="0" x2="10" y2="10"/>', { width: 560, height: 240 }, {
+      title: "Cumulative Points", subtitle: "2025",
+      legend: [{ label: "Norris", color: "#ff8000" }, { label: "Piastri", color: "#ff8000", dashed: true }],
+    });
+    expect(svg).toContain('viewBox="0 0 560 240"');
+    expect(svg).toContain('<line x1="0" y1="0" x2="10" y2="10"/>');
+    expect(svg).toContain("Piastri");
+    expect(svg).toContain('stroke-dasharray="4 2"');
+    expect(escapeXML(`"a" & 'b'`)).toBe("&quot;a&quot; &amp; &apos;b&apos;");
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Season edit history — undo/redo and a restorable change log.
+ * - Each entry stores a label, a timestamp and the collections it changed as they were before; the
+ *   season's own settings (name, rules) and the shared circuits are kept the same way
+ * - record: appends an entry, merging rapid edits of the same field (typing) into one
+ * - undo / redo / restoreTo: return the season data to show and the updated history
+ */
+
+export const HISTORY_LIMIT = 50;
+// Edits with the same coalesce key within this window count as one change.
+const COALESCE_MS = 2000;
+export const emptyHistory = () => ({ past: [], future: [] });
+
+const uid = () => Math.random().toString(36).slice(2, 9) + Date.now().toString(36).slice(-3);
+const pick = (data, keys) => Object.fromEntries(keys.map(k => [k, data[k]]));
+
+/**
+ * Appends the change from `before` to `after` (season collections). Only collections that changed
+ * are kept. Recording clears the redo stack.
+ */
+export function record(history, { label, coalesce }, before, after, now = Date.now()) {
+  const changed = Object.keys(after).filter(k => after[k] !== before[k]);
+  if (!changed.length) return history;
+  const last = history.past.at(-1);
+  if (coalesce && last?.coalesce === coalesce && now - last.at < COALESCE_MS) {
+    // keep the original "before" of the collections the first edit touched
+    const merged = { ...last, at: now, label, before: { ...pick(before, changed), ...last.before } };
+    return { past: [...history.past.slice(0, -1), merged], future: [] };
+  }
+  const entry = { id: uid(), at: now, label, ...(coalesce ? { coalesce } : {}), before: pick(before, changed) };
+  return { past: [...history.past, entry].slice(-HISTORY_LIMIT), future: [] };
+}
+
+// Steps back one entry. The entry moves to `future` holding the current values, so redo can re-apply it.
+export function undo(history, current) {
+  const entry = history.past.at(-1);
+  if (!entry) return null;
+  const keys = Object.keys(entry.before);
+  return {
+    data: { ...current, ...entry.before },
+    history: { past: history.past.slice(0, -1), future: [...history.future, { ...entry, before: pick(current, keys) }] },
+  };
+}
+
+export function redo(history, current) {
+  const entry = history.future.at(-1);
+  if (!entry) return null;
+  const keys = Object.keys(entry.before);
+  return {
+    data: { ...current, ...entry.before },
+    history: { past: [...history.past, { ...entry, before: pick(current, keys) }], future: history.future.slice(0, -1) },
+  };
+}
+
+/**
+ * Returns the season to how it was before `past[index]`. Later entries stay in the log and the restore
+ * itself is recorded, so it can be undone like any other change.
+ */
+export function restoreTo(history, index, current, now = Date.now()) {
+  const target = history.past[index];
+  if (!target) return null;
+  let data = current;
+  for (let i = history.past.length - 1; i >= index; i--) data = { ...data, ...history.past[i].before };
+  return { data, history: record(history, { label: `Restored to before "${target.label}"` }, current, data, now) };
+}
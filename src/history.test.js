@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { HISTORY_LIMIT, emptyHistory, record, undo, redo, restoreTo } from "./history.js";
+
+const v0 = { teams: [], drivers: [], events: [], results: [] };
+const v1 = { ...v0, teams: [{ id: "t1", name: "McLaren" }] };
+const v2 = { ...v1, drivers: [{ id: "d1", name: "Lando Norris" }] };
+const v3 = { ...v2, teams: [{ id: "t1", name: "McLaren F1" }] };
+
+const build = () => {
+  let h = emptyHistory();
+  h = record(h, { label: "Team added" }, v0, v1, 1000);
+  h = record(h, { label: "Driver added" }, v1, v2, 20000);
+  h = record(h, { label: "Team renamed" }, v2, v3, 40000);
+  return h;
+};
+
+describe("history", () => {
+  it("stores only the collections a change touched", () => {
+    const h = build();
+    expect(h.past.map(e => Object.keys(e.before))).toEqual([["teams"], ["drivers"], ["teams"]]);
+    expect(record(h, { label: "No-op" }, v3, { ...v3 })).toBe(h);
+  });
+
+  it("undoes and redoes in order", () => {
+    const a = undo(build(), v3);
+    expect(a.data).toEqual(v2);
+    const b = undo(a.history, a.data);
+    expect(b.data).toEqual(v1);
+    const c = redo(b.history, b.data);
+    expect(c.data).toEqual(v2);
+    expect(redo(c.history, c.data).data).toEqual(v3);
+    expect(undo(emptyHistory(), v0)).toBeNull();
+  });
+
+  it("undoes a season rename and circuit edits like the collections", () => {
+    const before = { ...v0, season: { id: "s1", name: "2025" }, circuits: [] };
+    const after = { ...before, season: { id: "s1", name: "2025 season" }, circuits: [{ id: "c1", name: "Suzuka" }] };
+    const h = record(emptyHistory(), { label: "Season renamed" }, before, after);
+    expect(Object.keys(h.past[0].before)).toEqual(["season", "circuits"]);
+    expect(undo(h, after).data).toEqual(before);
+  });
+
+  it("drops the redo stack on a new change", () => {
+    const { history, data } = undo(build(), v3);
+    expect(record(history, { label: "Other" }, data, v0).future).toEqual([]);
+  });
+
+  it("merges rapid edits with the same coalesce key", () => {
+    let h = emptyHistory();
+    const typed = ["M", "Mc", "McL"].map(name => ({ ...v0, teams: [{ id: "t1", name }] }));
+    h = record(h, { label: "Team edited", coalesce: "team:t1:name" }, v0, typed[0], 1000);
+    h = record(h, { label: "Team edited", coalesce: "team:t1:name" }, typed[0], typed[1], 1500);
+    h = record(h, { label: "Team edited", coalesce: "team:t1:name" }, typed[1], typed[2], 2000);
+    expect(h.past).toHaveLength(1);
+    expect(undo(h, typed[2]).data).toEqual(v0);
+    h = record(h, { label: "Team edited", coalesce: "team:t1:name" }, typed[2], v1, 9000);
+    expect(h.past).toHaveLength(2);
+  });
+
+  it("restores to before any entry, as an undoable change", () => {
+    const { data, history } = restoreTo(build(), 1, v3, 50000);
+    expect(data).toEqual(v1);
+    expect(history.past.at(-1).label).toBe('Restored to before "Driver added"');
+    expect(undo(history, data).data).toEqual(v3);
+  });
+
+  it("keeps at most HISTORY_LIMIT entries", () => {
+    let h = emptyHistory(), prev = v0;
+    for (let i = 0; i < HISTORY_LIMIT + 5; i++) {
+      const next = { ...prev, teams: [{ id: "t1", name: `T${i}` }] };
+      h = record(h, { label: `Edit ${i}` }, prev, next, i * 10000);
+      prev = next;
+    }
+    expect(h.past).toHaveLength(HISTORY_LIMIT);
+    expect(h.past[0].label).toBe("Edit 5");
+  });
+});
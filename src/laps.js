@@ -0,0 +1,192 @@
+/**
+ * Lap-by-lap timing of a race, imported from CSV and kept in the season's `laps` collection.
+ * - A lap is { eventId, driverId, lap, time (seconds) | null, position | null, pitIn, pitOut }
+ * - parseLapsText: CSV/TSV with a header — driver (or number), lap, lap time, position, pit in, pit out
+ * - lapChart / gapsToLeader: each driver's position and gap to the leader at the end of every lap
+ * - fastestLap / lapStats: fastest lap, pit stops and average race pace per driver
+ */
+import { parseDelimited } from "./csv.js";
+
+const HEADER_ALIASES = {
+  driver: ["driver", "name", "driver name", "code", "abbreviation"],
+  number: ["no", "no.", "number", "#", "car"],
+  lap: ["lap", "lap number", "lap no"],
+  time: ["time", "lap time", "laptime", "lap_time", "duration"],
+  position: ["pos", "position", "p", "place"],
+  pit: ["pit", "pits", "pit stop", "pitstop"],
+  pitIn: ["pit in", "pitin", "pit_in", "in"],
+  pitOut: ["pit out", "pitout", "pit_out", "out"],
+};
+const columnFor = (header) => {
+  const h = header.toLowerCase().trim();
+  return Object.keys(HEADER_ALIASES).find(k => HEADER_ALIASES[k].includes(h)) || null;
+};
+const parseFlag = (raw) => /^(1|y|yes|true|x|pit|\*)$/i.test((raw || "").trim());
+const parseIntOrNull = (raw) => {
+  const n = parseInt(String(raw ?? "").replace(/[^\d]/g, ""), 10);
+  return Number.isFinite(n) ? n : null;
+};
+
+// "1:32.456", "92.456" or "0:01:32.456" → seconds; "" → null; anything else → NaN.
+export function parseLapTime(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
+  const m = s.match(/^(?:(\d+):)?(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+  if (!m) return NaN;
+  const [h, min] = m[2] != null ? [m[1], m[2]] : [0, m[1]];
+  return Math.round((Number(h || 0) * 3600 + Number(min || 0) * 60 + Number(m[3])) * 1000) / 1000;
+}
+
+// 92.456 → "1:32.456"
+export function formatLapTime(seconds) {
+  if (seconds == null) return "—";
+  const ms = Math.round(seconds * 1000);
+  const min = Math.floor(ms / 60000);
+  const sec = ((ms - min * 60000) / 1000).toFixed(3).padStart(6, "0");
+  return min ? `${min}:${sec}` : sec.replace(/^0(?=\d)/, "");
+}
+
+/**
+ * Parses pasted or uploaded lap timing into { rows: [{ line, driver, number, lap, time, position, pitIn,
+ * pitOut }], errors: [string] }. A header row is required; a single "pit" column may say "in" or "out".
+ */
+export function parseLapsText(text) {
+  const table = parseDelimited(text);
+  if (!table.length) return { rows: [], errors: [] };
+  const cols = table[0].map(columnFor);
+  if (!(cols.includes("driver") || cols.includes("number")) || !cols.includes("lap")) {
+    return { rows: [], errors: ["The first line must be a header with at least driver (or number) and lap columns"] };
+  }
+  const rows = [], errors = [];
+  table.slice(1).forEach((cells, i) => {
+    const line = i + 2;
+    const get = (key) => { const idx = cols.indexOf(key); return idx >= 0 ? cells[idx] ?? "" : ""; };
+    const lap = parseIntOrNull(get("lap"));
+    const time = parseLapTime(get("time"));
+    if (lap == null) { errors.push(`Line ${line}: no lap number`); return; }
+    if (Number.isNaN(time)) { errors.push(`Line ${line}: unreadable lap time "${get("time")}"`); return; }
+    const pit = get("pit").toLowerCase();
+    rows.push({
+      line, lap, time,
+      driver: get("driver") || get("number"),
+      number: get("number"),
+      position: parseIntOrNull(get("position")),
+      pitIn: parseFlag(get("pitIn")) || /\bin\b/.test(pit),
+      pitOut: parseFlag(get("pitOut")) || /\bout\b/.test(pit),
+    });
+  });
+  return { rows, errors };
+}
+
+// ---------- analysis ----------
+// `laps` below are one event's laps.
+const byDriver = (laps) => {
+  const map = new Map();
+  for (const l of laps) {
+    if (!map.has(l.driverId)) map.set(l.driverId, []);
+    map.get(l.driverId).push(l);
+  }
+  for (const list of map.values()) list.sort((a, b) => a.lap - b.lap);
+  return map;
+};
+
+// Race time at the end of each lap, per driver: Map(driverId → [seconds | null]) indexed by lap - 1.
+// A lap without a time breaks the sum from there on.
+function elapsedTimes(laps, count) {
+  const elapsed = new Map();
+  for (const [driverId, list] of byDriver(laps)) {
+    const times = new Map(list.map(l => [l.lap, l.time]));
+    const row = [];
+    let total = 0;
+    for (let n = 1; n <= count; n++) {
+      const t = times.get(n);
+      total = total == null || t == null ? null : total + t;
+      row.push(total);
+    }
+    elapsed.set(driverId, row);
+  }
+  return elapsed;
+}
+
+const lapCount = (laps) => Math.max(0, ...laps.map(l => l.lap));
+
+/**
+ * Returns { laps: [1…n], rows: [{ driverId, positions: [position | null] }] }. Positions come from the
+ * import where given, else from the order of race time at the end of each lap.
+ */
+export function lapChart(laps) {
+  const count = lapCount(laps);
+  const elapsed = elapsedTimes(laps, count);
+  const given = new Map(laps.filter(l => l.position != null).map(l => [`${l.driverId}|${l.lap}`, l.position]));
+  const derived = new Map();
+  for (let n = 1; n <= count; n++) {
+    const order = [...elapsed.entries()].filter(([, row]) => row[n - 1] != null).sort(([, a], [, b]) => a[n - 1] - b[n - 1]);
+    order.forEach(([driverId], i) => derived.set(`${driverId}|${n}`, i + 1));
+  }
+  const completed = new Set(laps.map(l => `${l.driverId}|${l.lap}`));
+  return {
+    laps: Array.from({ length: count }, (_, i) => i + 1),
+    rows: [...elapsed.keys()].map(driverId => ({
+      driverId,
+      positions: Array.from({ length: count }, (_, i) => {
+        const key = `${driverId}|${i + 1}`;
+        return completed.has(key) ? given.get(key) ?? derived.get(key) ?? null : null;
+      }),
+    })),
+  };
+}
+
+// Returns { laps: [1…n], rows: [{ driverId, gaps: [seconds | null] }] }: behind the fastest race time at each lap.
+export function gapsToLeader(laps) {
+  const count = lapCount(laps);
+  const elapsed = elapsedTimes(laps, count);
+  const leader = Array.from({ length: count }, (_, i) => {
+    const times = [...elapsed.values()].map(row => row[i]).filter(t => t != null);
+    return times.length ? Math.min(...times) : null;
+  });
+  return {
+    laps: Array.from({ length: count }, (_, i) => i + 1),
+    rows: [...elapsed.entries()].map(([driverId, row]) => ({
+      driverId,
+      gaps: row.map((t, i) => t == null ? null : Math.round((t - leader[i]) * 1000) / 1000),
+    })),
+  };
+}
+
+// The quickest timed lap, { driverId, lap, time } or null; on a tie whoever set it first.
+export function fastestLap(laps) {
+  let best = null;
+  for (const l of laps) {
+    if (l.time == null) continue;
+    if (!best || l.time < best.time || (l.time === best.time && l.lap < best.lap)) best = { driverId: l.driverId, lap: l.lap, time: l.time };
+  }
+  return best;
+}
+
+/**
+ * Per driver, quickest pace first: [{ driverId, laps, fastest: { lap, time } | null, pitStops, pace }].
+ * Pit stops count in-laps (out-laps when only those are marked); pace is the average lap time leaving
+ * out the opening lap and in- and out-laps.
+ */
+export function lapStats(laps) {
+  return [...byDriver(laps)].map(([driverId, list]) => {
+    const timed = list.filter(l => l.time != null);
+    const best = fastestLap(timed);
+    const ins = list.filter(l => l.pitIn).length;
+    const racing = timed.filter(l => l.lap > 1 && !l.pitIn && !l.pitOut);
+    return {
+      driverId,
+      laps: list.length,
+      fastest: best && { lap: best.lap, time: best.time },
+      pitStops: ins || list.filter(l => l.pitOut && l.lap > 1).length,
+      pace: racing.length ? Math.round(racing.reduce((s, l) => s + l.time, 0) / racing.length * 1000) / 1000 : null,
+    };
+  }).sort((a, b) => (a.pace ?? Infinity) - (b.pace ?? Infinity));
+}
+
+// `results` with the fastest-lap flag of `eventId` moved to whoever set the fastest lap in `laps`.
+export function applyFastestLap(results, eventId, laps) {
+  const best = fastestLap(laps);
+  if (!best) return results;
+  return results.map(r => r.eventId !== eventId ? r : { ...r, fastestLap: r.driverId === best.driverId });
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from "vitest";
+import { parseLapTime, formatLapTime, parseLapsText, lapChart, gapsToLeader, fastestLap, lapStats, applyFastestLap } from "./laps.js";
+
+const lap = (driverId, n, time, extra) => ({ eventId: "e1", driverId, lap: n, time, position: null, pitIn: false, pitOut: false, ...extra });
+// VER leads until his stop on lap 3; NOR stops a lap later; LEC retires after lap 2
+const laps = [
+  lap("ver", 1, 95.0), lap("ver", 2, 90.0), lap("ver", 3, 100.0, { pitIn: true }), lap("ver", 4, 110.0, { pitOut: true }), lap("ver", 5, 89.5),
+  lap("nor", 1, 96.0), lap("nor", 2, 89.8), lap("nor", 3, 90.1), lap("nor", 4, 105.0, { pitIn: true }), lap("nor", 5, 106.0, { pitOut: true }),
+  lap("lec", 1, 97.0), lap("lec", 2, 91.0),
+];
+
+describe("lap time text", () => {
+  it("reads and writes lap times", () => {
+    expect(parseLapTime("1:32.456")).toBe(92.456);
+    expect(parseLapTime("92.456")).toBe(92.456);
+    expect(parseLapTime("1:01:32.5")).toBe(3692.5);
+    expect(parseLapTime("")).toBeNull();
+    expect(parseLapTime("DNF")).toBeNaN();
+    expect(formatLapTime(92.456)).toBe("1:32.456");
+    expect(formatLapTime(119.9996)).toBe("2:00.000");
+    expect(formatLapTime(9.5)).toBe("9.500");
+    expect(formatLapTime(null)).toBe("—");
+  });
+
+  it("parses CSV with pit flags and reports unreadable lines", () => {
+    const { rows, errors } = parseLapsText("No;Driver;Lap;Lap time;Pos;Pit\n1;VER;1;1:36.512;1;\n4;NOR;18;1:41.877;3;in\n4;NOR;;1:20.000;3;\n4;NOR;19;fast;3;out");
+    expect(rows).toEqual([
+      { line: 2, lap: 1, time: 96.512, driver: "VER", number: "1", position: 1, pitIn: false, pitOut: false },
+      { line: 3, lap: 18, time: 101.877, driver: "NOR", number: "4", position: 3, pitIn: true, pitOut: false },
+    ]);
+    expect(errors).toEqual(["Line 4: no lap number", 'Line 5: unreadable lap time "fast"']);
+    expect(parseLapsText("VER,1,1:36.512").errors).toHaveLength(1);
+  });
+});
+
+describe("lap analysis", () => {
+  it("charts positions and gaps from cumulative race time", () => {
+    const chart = lapChart(laps);
+    expect(chart.laps).toEqual([1, 2, 3, 4, 5]);
+    expect(Object.fromEntries(chart.rows.map(r => [r.driverId, r.positions]))).toEqual({
+      ver: [1, 1, 2, 2, 1],
+      nor: [2, 2, 1, 1, 2],
+      lec: [3, 3, null, null, null],
+    });
+    const gaps = Object.fromEntries(gapsToLeader(laps).rows.map(r => [r.driverId, r.gaps]));
+    expect(gaps.ver).toEqual([0, 0, 9.1, 14.1, 0]);
+    expect(gaps.lec).toEqual([2, 3, null, null, null]);
+  });
+
+  it("prefers imported positions", () => {
+    const chart = lapChart([lap("ver", 1, 95, { position: 2 }), lap("nor", 1, 96, { position: 1 })]);
+    expect(chart.rows.map(r => r.positions[0])).toEqual([2, 1]);
+  });
+
+  it("finds the fastest lap, pit stops and race pace", () => {
+    expect(fastestLap(laps)).toEqual({ driverId: "ver", lap: 5, time: 89.5 });
+    expect(fastestLap([lap("nor", 7, 89.5), lap("ver", 5, 89.5)]).driverId).toBe("ver");
+    expect(lapStats(laps)).toEqual([
+      { driverId: "ver", laps: 5, fastest: { lap: 5, time: 89.5 }, pitStops: 1, pace: 89.75 },
+      { driverId: "nor", laps: 5, fastest: { lap: 2, time: 89.8 }, pitStops: 1, pace: 89.95 },
+      { driverId: "lec", laps: 2, fastest: { lap: 2, time: 91 }, pitStops: 0, pace: 91 },
+    ]);
+  });
+
+  it("moves the fastest-lap flag to whoever set it", () => {
+    const results = [
+      { eventId: "e1", driverId: "nor", position: 1, fastestLap: true },
+      { eventId: "e1", driverId: "ver", position: 2, fastestLap: false },
+      { eventId: "e2", driverId: "nor", position: 1, fastestLap: true },
+    ];
+    expect(applyFastestLap(results, "e1", laps).map(r => r.fastestLap)).toEqual([false, true, true]);
+    expect(applyFastestLap(results, "e1", [])).toBe(results);
+  });
+});
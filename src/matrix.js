@@ -0,0 +1,70 @@
+/**
+ * Season matrices — every driver against every race, built on scoreSeason output.
+ * - resultKind: colour category of one result (winner, podium, points, retired, …)
+ * - buildResultsMatrix: drivers × races with kind, pole and fastest-lap flags per cell
+ * - buildPositionMatrix: drivers × rounds with the championship position after each race
+ */
+import { QUALI_FOR, classifyEvent, groupResultsByEvent } from "./scoring.js";
+
+export const RESULT_KINDS = {
+  winner: "Winner",
+  second: "Second place",
+  third: "Third place",
+  points: "Points finish",
+  classified: "Classified, no points",
+  retired: "Not classified / retired",
+  dsq: "Disqualified",
+  dns: "Did not start",
+};
+
+export function resultKind(entry) {
+  if (entry.status === "DSQ") return "dsq";
+  if (entry.status === "DNS") return "dns";
+  if (!entry.classified) return "retired";
+  if (entry.position === 1) return "winner";
+  if (entry.position === 2) return "second";
+  if (entry.position === 3) return "third";
+  return entry.base > 0 ? "points" : "classified";
+}
+
+// Short cell text: the position when classified, else the status.
+export const resultLabel = (entry) => entry.classified ? String(entry.position) : entry.status === "DNF" ? "Ret" : entry.status;
+
+/**
+ * Returns { races: [event…], rows: [{ driver, points, cells: [cell | null…] }] } with rows in
+ * championship order. A cell is { entry, kind, label, pole, fastestLap }.
+ */
+export function buildResultsMatrix(scored, { events, results }) {
+  // pole: P1 of the qualifying session linked to each race
+  const byEvent = groupResultsByEvent(results);
+  const poleByRace = new Map();
+  for (const q of events.filter(e => QUALI_FOR[e.type] && e.raceId)) {
+    const top = classifyEvent(byEvent.get(q.id) || []).find(r => r.classified && r.position === 1);
+    if (top) poleByRace.set(q.raceId, top.driverId);
+  }
+  const races = scored.events.map(x => x.event);
+  const rows = scored.drivers.map(row => ({
+    driver: row.driver,
+    points: row.points,
+    cells: scored.events.map(({ event, entries }) => {
+      const entry = entries.find(r => r.driverId === row.driver.id);
+      if (!entry) return null;
+      return { entry, kind: resultKind(entry), label: resultLabel(entry), pole: poleByRace.get(event.id) === row.driver.id, fastestLap: !!entry.fastestLap };
+    }),
+  }));
+  return { races, rows };
+}
+
+/**
+ * Returns { races: [event…], rows: [{ driver, positions: [n…] }] }: the championship position after
+ * each race, rows in final championship order.
+ */
+export function buildPositionMatrix(scored) {
+  const races = scored.rounds.map(r => r.event);
+  const positionsAfter = scored.rounds.map(r => new Map(r.drivers.map(d => [d.id, d.position])));
+  const rows = scored.drivers.map(row => ({
+    driver: row.driver,
+    positions: positionsAfter.map(m => m.get(row.driver.id) ?? null),
+  }));
+  return { races, rows };
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { presetRules, scoreSeason } from "./scoring.js";
+import { resultKind, buildResultsMatrix, buildPositionMatrix } from "./matrix.js";
+
+const drivers = ["A", "B", "C", "D", "E"].map(id => ({ id, name: id }));
+const events = [
+  { id: "q1", round: 1, name: "Bahrain", type: "Qualifying", raceId: "r1" },
+  { id: "r1", round: 1, name: "Bahrain", type: "GP" },
+  { id: "r2", round: 2, name: "Jeddah", type: "GP" },
+];
+const result = (eventId, driverId, position, status = "FIN", extra = {}) => ({ eventId, driverId, position, status, ...extra });
+const results = [
+  result("q1", "B", 1), result("q1", "A", 2),
+  result("r1", "A", 1), result("r1", "B", 2), result("r1", "C", 3), result("r1", "D", 4, "FIN", { fastestLap: true }), result("r1", "E", 5, "DNF"),
+  result("r2", "B", 1), result("r2", "A", 2), result("r2", "E", 3, "DSQ"),
+];
+const data = { drivers, teams: [], events, results, rules: presetRules("2019-2024") };
+const scored = scoreSeason(data);
+
+describe("resultKind", () => {
+  it("colours by position and status", () => {
+    expect([
+      { position: 1, classified: true }, { position: 3, classified: true }, { position: 8, classified: true, base: 4 },
+      { position: 14, classified: true, base: 0 }, { position: 15, classified: false, status: "DNF" },
+      { position: 16, status: "DSQ" }, { position: 17, status: "DNS" },
+    ].map(resultKind)).toEqual(["winner", "third", "points", "classified", "retired", "dsq", "dns"]);
+  });
+});
+
+describe("buildResultsMatrix", () => {
+  const { races, rows } = buildResultsMatrix(scored, data);
+
+  it("has one column per race and rows in championship order", () => {
+    expect(races.map(e => e.id)).toEqual(["r1", "r2"]);
+    expect(rows.map(r => r.driver.id)).toEqual(["A", "B", "C", "D", "E"]);
+  });
+
+  it("fills cells with labels and pole / fastest-lap flags", () => {
+    const cells = Object.fromEntries(rows.map(r => [r.driver.id, r.cells.map(c => c && [c.label, c.kind, c.pole, c.fastestLap])]));
+    expect(cells.B[0]).toEqual(["2", "second", true, false]);
+    expect(cells.D[0]).toEqual(["4", "points", false, true]);
+    expect(cells.E).toEqual([["Ret", "retired", false, false], ["DSQ", "dsq", false, false]]);
+    expect(cells.C[1]).toBeNull();
+  });
+});
+
+describe("buildPositionMatrix", () => {
+  it("gives the championship position after each race", () => {
+    const { rows } = buildPositionMatrix(scored);
+    expect(Object.fromEntries(rows.map(r => [r.driver.id, r.positions]))).toEqual({
+      A: [1, 1], B: [2, 2], C: [3, 3], D: [4, 4], E: [5, 5],
+    });
+  });
+});
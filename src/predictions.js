@@ -0,0 +1,88 @@
+/**
+ * Prediction league — players predict each race and are scored against the real results.
+ * - A prediction is { id, eventId, playerId, podium: [driverId ×3], pole, fastestLap, dnfs: [driverId…], submittedAt }
+ * - predictionLock: predictions close when the race's qualifying starts (or the race, without one)
+ * - raceOutcome / scorePrediction: what happened and the points a prediction earned
+ * - predictionLeague: league table and the standings after every scored race
+ */
+import { QUALI_FOR, isRace, isRetirement, classifyEvent, groupResultsByEvent } from "./scoring.js";
+import { sessionSpan, sortEventsByTime } from "./calendar.js";
+
+export const PREDICTION_POINTS = {
+  podiumExact: 5,  // per driver in the predicted podium position
+  podiumDriver: 2, // per driver on the podium, in another position
+  pole: 3,
+  fastestLap: 2,
+  dnf: 2,          // per predicted driver who didn't finish
+};
+
+const qualifyingFor = (race, events) => events.find(e => QUALI_FOR[e.type] === race.type && e.raceId === race.id);
+
+// UTC milliseconds after which predictions for `race` can't change; null when the race has no date.
+export function predictionLock(race, events) {
+  const spans = [qualifyingFor(race, events), race].filter(Boolean).map(sessionSpan).filter(Boolean);
+  return spans.length ? Math.min(...spans.map(s => s.start)) : null;
+}
+export const isLocked = (race, events, now) => {
+  const lock = predictionLock(race, events);
+  return lock != null && now >= lock;
+};
+
+/**
+ * What happened in a race: { podium: [driverId ×3], pole, fastestLap, dnfs: Set }. Pole is null until the
+ * linked qualifying has results. Null when the race itself has no results.
+ */
+export function raceOutcome(race, events, byEvent) {
+  const entries = classifyEvent(byEvent.get(race.id) || []);
+  if (!entries.length) return null;
+  const quali = qualifyingFor(race, events);
+  const pole = quali ? classifyEvent(byEvent.get(quali.id) || []).find(r => r.classified && r.position === 1) : null;
+  return {
+    podium: [1, 2, 3].map(p => entries.find(r => r.classified && r.position === p)?.driverId || ""),
+    pole: pole?.driverId || null,
+    fastestLap: entries.find(r => r.fastestLap)?.driverId || null,
+    dnfs: new Set(entries.filter(r => isRetirement(r) || r.status === "NC").map(r => r.driverId)),
+  };
+}
+
+// { podium, pole, fastestLap, dnfs, total } points for one prediction.
+export function scorePrediction(prediction, outcome, points = PREDICTION_POINTS) {
+  const podium = (prediction.podium || []).reduce((sum, driverId, i) => {
+    if (!driverId) return sum;
+    if (outcome.podium[i] === driverId) return sum + points.podiumExact;
+    return outcome.podium.includes(driverId) ? sum + points.podiumDriver : sum;
+  }, 0);
+  const pole = prediction.pole && prediction.pole === outcome.pole ? points.pole : 0;
+  const fastestLap = prediction.fastestLap && prediction.fastestLap === outcome.fastestLap ? points.fastestLap : 0;
+  const dnfs = (prediction.dnfs || []).filter(id => outcome.dnfs.has(id)).length * points.dnf;
+  return { podium, pole, fastestLap, dnfs, total: podium + pole + fastestLap + dnfs };
+}
+
+/**
+ * Returns { rows: [{ player, points, scored, exactPodiums, position }], rounds: [{ event, players: [{ id,
+ * points, position }] }], scores: Map("eventId|playerId" → score) }. Rows are ordered by points, then
+ * exact podium calls; rounds follow race order and hold running totals.
+ */
+export function predictionLeague({ players, predictions, events, results }) {
+  const byEvent = groupResultsByEvent(results);
+  const totals = new Map(players.map(p => [p.id, { player: p, points: 0, scored: 0, exactPodiums: 0 }]));
+  const scores = new Map();
+  const rounds = [];
+  const rank = (rows) => [...rows].sort((a, b) => b.points - a.points || b.exactPodiums - a.exactPodiums || a.player.name.localeCompare(b.player.name));
+
+  for (const race of sortEventsByTime(events.filter(isRace))) {
+    const outcome = raceOutcome(race, events, byEvent);
+    if (!outcome) continue;
+    for (const p of predictions.filter(x => x.eventId === race.id)) {
+      const row = totals.get(p.playerId);
+      if (!row) continue;
+      const score = scorePrediction(p, outcome);
+      scores.set(`${race.id}|${p.playerId}`, score);
+      row.points += score.total;
+      row.scored += 1;
+      if (p.podium?.length === 3 && p.podium.every((id, i) => id && outcome.podium[i] === id)) row.exactPodiums += 1;
+    }
+    rounds.push({ event: race, players: rank(totals.values()).map((r, i) => ({ id: r.player.id, points: r.points, position: i + 1 })) });
+  }
+  return { rows: rank(totals.values()).map((r, i) => ({ ...r, position: i + 1 })), rounds, scores };
+}
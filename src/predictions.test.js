@@ -0,0 +1,91 @@
+import { describe, it, expect } from "vitest";
+import { PREDICTION_POINTS, predictionLock, isLocked, raceOutcome, scorePrediction, predictionLeague } from "./predictions.js";
+import { groupResultsByEvent } from "./scoring.js";
+
+const events = [
+  { id: "q1", round: 1, name: "Australia", type: "Qualifying", date: "2025-03-15", time: "16:00", timeZone: "Australia/Melbourne", raceId: "r1" },
+  { id: "r1", round: 1, name: "Australia", type: "GP", date: "2025-03-16", time: "15:00", timeZone: "Australia/Melbourne" },
+  { id: "r2", round: 2, name: "China", type: "GP", date: "2025-03-23" },
+  { id: "r3", round: 3, name: "Japan", type: "GP", date: "" },
+];
+
+const finish = (eventId, order, extra = {}) => order.map((driverId, i) => ({ eventId, driverId, position: i + 1, status: "FIN", fastestLap: false, ...extra[driverId] }));
+const results = [
+  ...finish("q1", ["a", "b", "c", "d"]),
+  ...finish("r1", ["b", "a", "c", "d"], { c: { fastestLap: true }, d: { status: "DNF" } }),
+  ...finish("r2", ["a", "b", "c", "d"]),
+];
+
+describe("predictionLock", () => {
+  it("locks when qualifying starts, or the race without one", () => {
+    expect(new Date(predictionLock(events[1], events)).toISOString()).toBe("2025-03-15T05:00:00.000Z");
+    expect(new Date(predictionLock(events[2], events)).toISOString()).toBe("2025-03-23T00:00:00.000Z");
+    expect(predictionLock(events[3], events)).toBeNull();
+    expect(isLocked(events[1], events, Date.parse("2025-03-15T04:59:00Z"))).toBe(false);
+    expect(isLocked(events[1], events, Date.parse("2025-03-15T05:00:00Z"))).toBe(true);
+    expect(isLocked(events[3], events, Date.now())).toBe(false);
+  });
+});
+
+describe("scoring", () => {
+  const byEvent = groupResultsByEvent(results);
+
+  it("reads podium, pole, fastest lap and non-finishers from the results", () => {
+    const outcome = raceOutcome(events[1], events, byEvent);
+    expect(outcome).toMatchObject({ podium: ["b", "a", "c"], pole: "a", fastestLap: "c" });
+    expect([...outcome.dnfs]).toEqual(["d"]);
+    expect(raceOutcome(events[2], events, byEvent).pole).toBeNull();
+    expect(raceOutcome(events[3], events, byEvent)).toBeNull();
+  });
+
+  it("scores exact and out-of-place podium calls, pole, fastest lap and DNFs", () => {
+    const outcome = raceOutcome(events[1], events, byEvent);
+    const score = scorePrediction({ podium: ["a", "b", "c"], pole: "a", fastestLap: "b", dnfs: ["d", "a"] }, outcome);
+    const P = PREDICTION_POINTS;
+    expect(score).toEqual({
+      podium: 2 * P.podiumDriver + P.podiumExact, pole: P.pole, fastestLap: 0, dnfs: P.dnf,
+      total: 2 * P.podiumDriver + P.podiumExact + P.pole + P.dnf,
+    });
+    expect(scorePrediction({ podium: ["", "", ""], dnfs: [] }, outcome).total).toBe(0);
+  });
+});
+
+describe("predictionLeague", () => {
+  const players = [{ id: "p1", name: "Alex" }, { id: "p2", name: "Sam" }, { id: "p3", name: "Jo" }];
+  const predictions = [
+    { id: "x1", eventId: "r1", playerId: "p1", podium: ["b", "a", "c"], pole: "", fastestLap: "", dnfs: [] },
+    { id: "x2", eventId: "r1", playerId: "p2", podium: ["a", "b", "c"], pole: "a", fastestLap: "c", dnfs: ["d"] },
+    { id: "x3", eventId: "r2", playerId: "p1", podium: ["a", "b", "c"], pole: "", fastestLap: "", dnfs: [] },
+    { id: "x4", eventId: "r3", playerId: "p2", podium: ["a", "b", "c"], pole: "", fastestLap: "", dnfs: [] },
+    { id: "x5", eventId: "r1", playerId: "gone", podium: ["b", "a", "c"], pole: "", fastestLap: "", dnfs: [] },
+  ];
+
+  it("totals points, orders by points then exact podiums and keeps per-race history", () => {
+    const league = predictionLeague({ players, predictions, events, results });
+    expect(league.rows.map(r => [r.player.id, r.points, r.scored, r.exactPodiums, r.position])).toEqual([
+      ["p1", 30, 2, 2, 1],
+      ["p2", 16, 1, 0, 2],
+      ["p3", 0, 0, 0, 3],
+    ]);
+    expect(league.rounds.map(r => r.event.id)).toEqual(["r1", "r2"]);
+    expect(league.rounds[0].players).toEqual([
+      { id: "p2", points: 16, position: 1 },
+      { id: "p1", points: 15, position: 2 },
+      { id: "p3", points: 0, position: 3 },
+    ]);
+    expect(league.scores.get("r1|p2")).toEqual({ podium: 9, pole: 3, fastestLap: 2, dnfs: 2, total: 16 });
+    expect(league.scores.has("r3|p2")).toBe(false);
+  });
+
+  it("breaks a tie on points with exact podiums", () => {
+    const tied = predictionLeague({
+      players: players.slice(0, 2),
+      predictions: [
+        { eventId: "r1", playerId: "p1", podium: ["b", "a", ""], pole: "a", fastestLap: "c", dnfs: [] },
+        { eventId: "r1", playerId: "p2", podium: ["b", "a", "c"], pole: "", fastestLap: "", dnfs: [] },
+      ],
+      events, results,
+    });
+    expect(tied.rows.map(r => [r.player.id, r.points])).toEqual([["p2", 15], ["p1", 15]]);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Driver profile — one driver's season, built on scoreSeason output.
+ * - rounds: every session the driver took part in, with points for races
+ * - progression: points and championship position after each race
+ * - best / worst classified race results, retirements with their reasons
+ * - teammates: head-to-head in races and qualifying, and the share of points scored together
+ */
+import { isRace, sortEventsByRound, groupResultsByEvent, classifyEvent, teamIdAt, isRetirement } from "./scoring.js";
+
+const ahead = (a, b) => a.position < b.position;
+
+/**
+ * `scored` is scoreSeason's result for the same season data. Returns null for an unknown driver.
+ */
+export function driverProfile(driverId, { drivers, events, results, scored }) {
+  const driver = drivers.find(d => d.id === driverId);
+  if (!driver) return null;
+  const driverById = Object.fromEntries(drivers.map(d => [d.id, d]));
+  const byEvent = groupResultsByEvent(results);
+  const raceEntries = new Map(scored.events.map(({ event, entries }) => [event.id, entries]));
+  // every session's classification, with the team each driver drove for at that round
+  const sessions = sortEventsByRound(events).map(event => ({
+    event,
+    entries: raceEntries.get(event.id)
+      || classifyEvent(byEvent.get(event.id) || []).map(r => ({ ...r, teamId: teamIdAt(driverById[r.driverId], event.round) })),
+  }));
+
+  const rounds = sessions
+    .map(({ event, entries }) => ({ event, result: entries.find(r => r.driverId === driverId) }))
+    .filter(x => x.result);
+
+  const progression = scored.rounds.map(({ event, drivers: standings }) => {
+    const row = standings.find(r => r.id === driverId);
+    return { event, points: row?.points ?? 0, position: row?.position ?? null };
+  });
+
+  const classifiedRaces = rounds.filter(x => isRace(x.event) && x.result.classified);
+  const pickBy = (better) => classifiedRaces.reduce((a, x) => (!a || better(x.result.position, a.result.position) ? x : a), null);
+  const retirements = rounds
+    .filter(x => isRace(x.event) && (isRetirement(x.result) || ["NC", "DSQ", "DNS"].includes(x.result.status)))
+    .map(({ event, result }) => ({ event, status: result.status, reason: result.reason || "" }));
+
+  // head-to-head with every driver who shared a team with this one at some session
+  const h2h = new Map();
+  const against = (id) => {
+    if (!h2h.has(id)) h2h.set(id, { teammate: driverById[id], races: 0, ahead: 0, behind: 0, qualifying: 0, qualiAhead: 0, qualiBehind: 0, points: 0, teammatePoints: 0 });
+    return h2h.get(id);
+  };
+  for (const { event, entries } of sessions) {
+    const mine = entries.find(r => r.driverId === driverId);
+    if (!mine?.teamId) continue;
+    for (const other of entries) {
+      if (other.driverId === driverId || other.teamId !== mine.teamId || !driverById[other.driverId]) continue;
+      const h = against(other.driverId);
+      if (isRace(event)) {
+        h.races += 1;
+        if (ahead(mine, other)) h.ahead += 1; else h.behind += 1;
+        h.points += mine.pts || 0;
+        h.teammatePoints += other.pts || 0;
+      } else {
+        h.qualifying += 1;
+        if (ahead(mine, other)) h.qualiAhead += 1; else h.qualiBehind += 1;
+      }
+    }
+  }
+  const teammates = [...h2h.values()].map(h => {
+    const total = h.points + h.teammatePoints;
+    return { ...h, share: total ? h.points / total : null };
+  });
+
+  return {
+    driver,
+    standing: scored.drivers.find(r => r.driver.id === driverId),
+    position: scored.drivers.findIndex(r => r.driver.id === driverId) + 1,
+    rounds,
+    progression,
+    best: pickBy((a, b) => a < b),
+    worst: pickBy((a, b) => a > b),
+    retirements,
+    teammates,
+  };
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { presetRules, scoreSeason } from "./scoring.js";
+import { driverProfile } from "./profile.js";
+
+// McLaren 2024-style pairing over two weekends, with qualifying and a substitute at round 2.
+const drivers = [
+  { id: "NOR", name: "Lando Norris", stints: [{ teamId: "MCL", fromRound: 1, toRound: null }] },
+  { id: "PIA", name: "Oscar Piastri", stints: [{ teamId: "MCL", fromRound: 1, toRound: 1 }] },
+  { id: "SUB", name: "Substitute", reserve: true, stints: [{ teamId: "MCL", fromRound: 2, toRound: 2 }] },
+  { id: "LEC", name: "Charles Leclerc", stints: [{ teamId: "FER", fromRound: 1, toRound: null }] },
+];
+const events = [
+  { id: "q1", round: 1, name: "Bahrain", type: "Qualifying", raceId: "r1" },
+  { id: "r1", round: 1, name: "Bahrain", type: "GP" },
+  { id: "q2", round: 2, name: "Jeddah", type: "Qualifying", raceId: "r2" },
+  { id: "r2", round: 2, name: "Jeddah", type: "GP" },
+];
+const results = [
+  { eventId: "q1", driverId: "PIA", position: 1, status: "FIN" },
+  { eventId: "q1", driverId: "NOR", position: 2, status: "FIN" },
+  { eventId: "q1", driverId: "LEC", position: 3, status: "FIN" },
+  { eventId: "r1", driverId: "NOR", position: 1, status: "FIN", fastestLap: true },
+  { eventId: "r1", driverId: "LEC", position: 2, status: "FIN" },
+  { eventId: "r1", driverId: "PIA", position: 3, status: "FIN" },
+  { eventId: "q2", driverId: "NOR", position: 1, status: "FIN" },
+  { eventId: "q2", driverId: "SUB", position: 2, status: "FIN" },
+  { eventId: "r2", driverId: "LEC", position: 1, status: "FIN" },
+  { eventId: "r2", driverId: "SUB", position: 2, status: "FIN" },
+  { eventId: "r2", driverId: "NOR", position: 3, status: "DNF", reason: "Hydraulics" },
+];
+const data = { drivers, teams: [{ id: "MCL", name: "McLaren" }, { id: "FER", name: "Ferrari" }], events, results, rules: presetRules("2019-2024") };
+const profile = (id) => driverProfile(id, { ...data, scored: scoreSeason(data) });
+
+describe("driverProfile", () => {
+  it("lists every session by round with race points", () => {
+    const { rounds } = profile("NOR");
+    expect(rounds.map(({ event, result }) => [event.id, result.position, result.status, result.pts ?? null])).toEqual([
+      ["q1", 2, "FIN", null], ["r1", 1, "FIN", 26], ["q2", 1, "FIN", null], ["r2", 3, "DNF", 0],
+    ]);
+  });
+
+  it("tracks points and championship position after each race", () => {
+    expect(profile("NOR").progression.map(p => [p.points, p.position])).toEqual([[26, 1], [26, 2]]);
+  });
+
+  it("finds best and worst classified results and retirement reasons", () => {
+    const { best, worst, retirements } = profile("NOR");
+    expect(best.event.id).toBe("r1");
+    expect(worst.event.id).toBe("r1");
+    expect(retirements).toEqual([{ event: events[3], status: "DNF", reason: "Hydraulics" }]);
+  });
+
+  it("compares against each teammate only where they shared the team", () => {
+    const byId = Object.fromEntries(profile("NOR").teammates.map(h => [h.teammate.id, h]));
+    expect(Object.keys(byId).sort()).toEqual(["PIA", "SUB"]);
+    expect(byId.PIA).toMatchObject({ races: 1, ahead: 1, behind: 0, qualifying: 1, qualiAhead: 0, qualiBehind: 1, points: 26, teammatePoints: 15 });
+    expect(byId.SUB).toMatchObject({ races: 1, ahead: 0, behind: 1, qualifying: 1, qualiAhead: 1, points: 0, teammatePoints: 18, share: 0 });
+  });
+
+  it("returns null for an unknown driver", () => {
+    expect(profile("XXX")).toBeNull();
+  });
+});
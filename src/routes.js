@@ -0,0 +1,94 @@
+/**
+ * URL routes — tabs, events and drivers are addressable and shareable.
+ * - /season/:seasonId/:tab                   one of TABS
+ * - /season/:seasonId/events/:eventId        event page
+ * - /season/:seasonId/results/:eventId       results entry for an event
+ * - /season/:seasonId/predictions/:eventId   prediction form for a race
+ * - /season/:seasonId/drivers/:driverId      driver page
+ * - /season/:seasonId/circuits/:circuitId    circuit page
+ * - usePath / navigate: a minimal History API router
+ * - blockNavigation: asks before leaving the current path (unsaved edits), on links and back/forward alike
+ */
+import { useEffect, useState } from "react";
+
+export const TABS = [
+  { slug: "standings", label: "Standings" },
+  { slug: "matrix", label: "Results Matrix" },
+  { slug: "events", label: "Events" },
+  { slug: "results", label: "Enter Results" },
+  { slug: "drivers", label: "Drivers" },
+  { slug: "teams", label: "Teams" },
+  { slug: "analytics", label: "Analytics" },
+  { slug: "scenarios", label: "Scenarios" },
+  { slug: "predictions", label: "Predictions" },
+  { slug: "circuits", label: "Circuits" },
+  { slug: "alltime", label: "All-Time" },
+  { slug: "rules", label: "Rules" },
+  { slug: "data", label: "Data" },
+];
+export const DEFAULT_TAB = "standings";
+const isTab = (slug) => TABS.some(t => t.slug === slug);
+// Tabs whose routes can carry an item id
+const ITEM_TABS = { events: "eventId", results: "eventId", predictions: "eventId", drivers: "driverId", circuits: "circuitId" };
+
+/**
+ * Parses a path (without the app's base URL) into { seasonId, tab, eventId?, driverId?, circuitId? }.
+ * Unknown paths give { seasonId: "", tab: DEFAULT_TAB }.
+ */
+export function parseRoute(path) {
+  const parts = path.split("/").filter(Boolean).map(decodeURIComponent);
+  if (parts[0] !== "season" || !parts[1]) return { seasonId: "", tab: DEFAULT_TAB };
+  const [, seasonId, tab = DEFAULT_TAB, itemId] = parts;
+  if (!isTab(tab)) return { seasonId, tab: DEFAULT_TAB };
+  return { seasonId, tab, ...(itemId && ITEM_TABS[tab] ? { [ITEM_TABS[tab]]: itemId } : {}) };
+}
+
+export function routePath({ seasonId, tab = DEFAULT_TAB, ...items }) {
+  const itemId = ITEM_TABS[tab] ? items[ITEM_TABS[tab]] : null;
+  return ["", "season", seasonId, tab, ...(itemId ? [itemId] : [])].map(encodeURIComponent).join("/");
+}
+
+// ---------- browser history ----------
+const BASE = (import.meta.env?.BASE_URL || "/").replace(/\/$/, "");
+const NAVIGATE_EVENT = "f1:navigate";
+const currentPath = () => window.location.pathname.slice(BASE.length) || "/";
+
+export const hrefFor = (path) => BASE + path;
+
+// Guards return false to keep the current path; the first to refuse stops the others being asked.
+const guards = new Set();
+const mayLeave = () => [...guards].every(guard => guard());
+
+// Registers `guard` (e.g. a confirm() about unsaved edits); returns the function that removes it.
+export function blockNavigation(guard) {
+  guards.add(guard);
+  return () => guards.delete(guard);
+}
+
+// Pushes (or replaces) a history entry unless a guard refuses; components using usePath re-render.
+export function navigate(path, { replace = false } = {}) {
+  if (path === currentPath() || !mayLeave()) return;
+  window.history[replace ? "replaceState" : "pushState"](null, "", hrefFor(path));
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+// The current path, updated on navigate() and browser back/forward.
+export function usePath() {
+  const [path, setPath] = useState(currentPath);
+  useEffect(() => {
+    let shown = currentPath();
+    const update = () => { shown = currentPath(); setPath(shown); };
+    // Back/forward has already happened by now, so a refusal puts the path that was shown back.
+    const onPopState = () => {
+      if (currentPath() !== shown && !mayLeave()) window.history.pushState(null, "", hrefFor(shown));
+      else update();
+    };
+    window.addEventListener("popstate", onPopState);
+    window.addEventListener(NAVIGATE_EVENT, update);
+    return () => {
+      window.removeEventListener("popstate", onPopState);
+      window.removeEventListener(NAVIGATE_EVENT, update);
+    };
+  }, []);
+  return path;
+}
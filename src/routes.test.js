@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { parseRoute, routePath, DEFAULT_TAB, navigate, blockNavigation } from "./routes.js";
+
+describe("routes", () => {
+  it("parses tab, event and driver routes", () => {
+    expect(parseRoute("/season/s1/standings")).toEqual({ seasonId: "s1", tab: "standings" });
+    expect(parseRoute("/season/s1")).toEqual({ seasonId: "s1", tab: DEFAULT_TAB });
+    expect(parseRoute("/season/s1/events/e9")).toEqual({ seasonId: "s1", tab: "events", eventId: "e9" });
+    expect(parseRoute("/season/s1/results/e9/")).toEqual({ seasonId: "s1", tab: "results", eventId: "e9" });
+    expect(parseRoute("/season/s1/predictions/e9")).toEqual({ seasonId: "s1", tab: "predictions", eventId: "e9" });
+    expect(parseRoute("/season/s1/drivers/d3")).toEqual({ seasonId: "s1", tab: "drivers", driverId: "d3" });
+    expect(parseRoute("/season/s1/circuits/c2")).toEqual({ seasonId: "s1", tab: "circuits", circuitId: "c2" });
+  });
+
+  it("falls back to the default tab for unknown paths", () => {
+    expect(parseRoute("/")).toEqual({ seasonId: "", tab: DEFAULT_TAB });
+    expect(parseRoute("/nope/x")).toEqual({ seasonId: "", tab: DEFAULT_TAB });
+    expect(parseRoute("/season/s1/nope")).toEqual({ seasonId: "s1", tab: DEFAULT_TAB });
+    // only events, results, predictions, drivers and circuits take an item id
+    expect(parseRoute("/season/s1/teams/t1")).toEqual({ seasonId: "s1", tab: "teams" });
+  });
+
+  it("builds paths that parse back to the same route", () => {
+    const routes = [
+      { seasonId: "s1", tab: "analytics" },
+      { seasonId: "s 1/2", tab: "events", eventId: "e/1" },
+      { seasonId: "s1", tab: "drivers", driverId: "d1" },
+      { seasonId: "s1", tab: "circuits", circuitId: "c1" },
+    ];
+    for (const route of routes) expect(parseRoute(routePath(route))).toEqual(route);
+    expect(routePath({ seasonId: "s1", tab: "rules", driverId: "d1" })).toBe("/season/s1/rules");
+  });
+});
+
+describe("navigate", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("stays put while a guard refuses to leave", () => {
+    const visited = [];
+    vi.stubGlobal("window", {
+      location: { pathname: "/season/s1/results/e1" },
+      history: { pushState: (_, __, href) => visited.push(href), replaceState: () => {} },
+      dispatchEvent: () => {},
+    });
+    let leave = false;
+    const unblock = blockNavigation(() => leave);
+    navigate("/season/s1/standings");
+    expect(visited).toEqual([]);
+    leave = true;
+    navigate("/season/s1/standings");
+    expect(visited).toEqual(["/season/s1/standings"]);
+    unblock();
+  });
+});
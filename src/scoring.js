@@ -0,0 +1,322 @@
+/**
+ * Season scoring engine — pure, UI-independent.
+ * Every tab (Standings, Analytics, Scenarios) reads its numbers from here so they always agree.
+ * - Points rules: presets + per-season overrides
+ * - Classification: statuses, time penalties, DSQ, 90% distance
+ * - Driver stints: which team a driver raced for at each round
+ * - scoreSeason: per-event scores, standings after each round, driver/team aggregates
+ */
+
+// ---------- points rules ----------
+// Each season stores its own rule set in f1_seasons_meta; seasons without one use DEFAULT_PRESET.
+export const POINTS_PRESETS = {
+  "1991-2002": { label: "1991–2002", race: [10, 6, 4, 3, 2, 1], sprint: [], fastestLap: false, fastestLapPoints: 1, fastestLapCutoff: 10, halfPoints: true },
+  "2003-2009": { label: "2003–2009", race: [10, 8, 6, 5, 4, 3, 2, 1], sprint: [], fastestLap: false, fastestLapPoints: 1, fastestLapCutoff: 10, halfPoints: true },
+  "2010-2018": { label: "2010–2018", race: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1], sprint: [], fastestLap: false, fastestLapPoints: 1, fastestLapCutoff: 10, halfPoints: true },
+  "2019-2024": { label: "2019–2024 (with Fastest Lap)", race: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1], sprint: [8, 7, 6, 5, 4, 3, 2, 1], fastestLap: true, fastestLapPoints: 1, fastestLapCutoff: 10, halfPoints: true },
+  "2025": { label: "2025+ (no Fastest Lap)", race: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1], sprint: [8, 7, 6, 5, 4, 3, 2, 1], fastestLap: false, fastestLapPoints: 1, fastestLapCutoff: 10, halfPoints: true },
+};
+export const DEFAULT_PRESET = "2019-2024";
+
+export const presetRules = (presetId) => {
+  const { label: _label, ...rules } = POINTS_PRESETS[presetId] || POINTS_PRESETS[DEFAULT_PRESET];
+  return { preset: POINTS_PRESETS[presetId] ? presetId : DEFAULT_PRESET, ...rules };
+};
+export const rulesFor = (season) => ({ ...presetRules(DEFAULT_PRESET), ...(season?.rules || {}) });
+
+export const describeRules = (rules) => [
+  `GP [${rules.race.join(",")}]`,
+  rules.sprint.length ? `Sprint [${rules.sprint.join(",")}]` : "no Sprint points",
+  rules.fastestLap ? `Fastest Lap +${rules.fastestLapPoints} (GP, top-${rules.fastestLapCutoff} only)` : "no Fastest Lap bonus",
+  rules.halfPoints ? "half points for shortened GPs" : null,
+].filter(Boolean).join(". ") + ".";
+
+// ---------- event types ----------
+// Qualifying sessions carry no points; they link to the race they set the grid for via `raceId`.
+// Practice sessions only place the weekend in time; they take no results.
+export const EVENT_TYPES = ["GP", "Sprint", "Qualifying", "Sprint Qualifying", "FP1", "FP2", "FP3"];
+export const QUALI_FOR = { "Qualifying": "GP", "Sprint Qualifying": "Sprint" };
+export const isRace = (e) => e.type === "GP" || e.type === "Sprint";
+export const isPractice = (e) => /^FP\d$/.test(e.type);
+
+export function sortEventsByRound(events) {
+  return [...events].sort((a,b) => (a.round ?? 0) - (b.round ?? 0));
+}
+export function groupResultsByEvent(results) {
+  const m = new Map();
+  for (const r of results) {
+    if (!m.has(r.eventId)) m.set(r.eventId, []);
+    m.get(r.eventId).push(r);
+  }
+  return m;
+}
+
+// ---------- classification ----------
+// RET = retired but classified; a DNF that covered 90% of the winner's laps is classified as well.
+export const RESULT_STATUSES = { FIN: "Finished", RET: "Retired (classified)", DNF: "DNF", NC: "Not classified", DSQ: "Disqualified", DNS: "DNS" };
+const CLASSIFIED_DISTANCE = 0.9;
+
+const adjustedTime = (r) => r.time == null ? null : r.time + (r.timePenalty || 0);
+// Post-race time penalties: a penalised driver drops behind everyone on the same lap whose
+// time (plus their own penalty) is now quicker. Rows without a recorded time never move.
+function applyTimePenalties(rows) {
+  const order = rows.slice();
+  for (const p of rows.filter(r => r.timePenalty && r.time != null)) {
+    const from = order.indexOf(p);
+    order.splice(from, 1);
+    let to = from;
+    while (to < order.length) {
+      const q = order[to];
+      if (adjustedTime(q) == null || (q.laps ?? null) !== (p.laps ?? null) || adjustedTime(q) >= adjustedTime(p)) break;
+      to++;
+    }
+    order.splice(to, 0, p);
+  }
+  return order;
+}
+// Final classification of one event's results. Positions as entered are the order across the line;
+// this applies time penalties, moves unclassified runners below the classified ones and DSQ/DNS to
+// the bottom, and closes up so everyone below a disqualified driver moves up (other gaps in the
+// entered positions are kept). Each row gains `entered` (position as entered) and `classified`.
+export function classifyEvent(entries) {
+  const byEntered = entries.slice().sort((a,b)=>a.position-b.position);
+  const leadLaps = Math.max(0, ...byEntered.filter(r => r.status === 'FIN').map(r => r.laps || 0));
+  const isClassified = (r) => r.status === 'FIN' || r.status === 'RET'
+    || (r.status === 'DNF' && leadLaps > 0 && r.laps != null && r.laps >= CLASSIFIED_DISTANCE * leadLaps);
+  const out = (r) => r.status === 'DSQ' || r.status === 'DNS';
+  const removed = byEntered.filter(out);
+  const classified = applyTimePenalties(byEntered.filter(isClassified));
+  const runners = [...classified, ...byEntered.filter(r => !isClassified(r) && !out(r))];
+  const slots = byEntered.filter(r => !out(r)).map(r => r.position - removed.filter(x => x.position < r.position).length);
+  const last = slots.length ? slots[slots.length - 1] : 0;
+  return [
+    ...runners.map((r, i) => ({ ...r, classified: i < classified.length, entered: r.position, position: slots[i] })),
+    ...removed.map((r, i) => ({ ...r, classified: false, entered: r.position, position: last + i + 1 })),
+  ];
+}
+// Retirements, classified or not, for DNF counts.
+export const isRetirement = (r) => r.status === 'DNF' || r.status === 'RET';
+// Took the start and wasn't excluded: the results that count towards average finish.
+const isRunner = (r) => r.status !== 'DSQ' && r.status !== 'DNS';
+
+// ---------- points ----------
+export const computePointsFor = (position, type, rules) => {
+  const table = type === "Sprint" ? rules.sprint : type === "GP" ? rules.race : [];
+  return position >= 1 && position <= table.length ? table[position - 1] : 0;
+};
+// Points for a single row of classifyEvent() output: base points (halved for shortened GPs if enabled) + fastest-lap bonus.
+export const scoreResult = (r, event, rules) => {
+  const half = event.type === 'GP' && event.shortened && rules.halfPoints;
+  const base = r.classified ? computePointsFor(r.position, event.type, rules) * (half ? 0.5 : 1) : 0;
+  const fl = (rules.fastestLap && event.type === 'GP' && !half && r.classified && r.fastestLap && r.position <= rules.fastestLapCutoff) ? rules.fastestLapPoints : 0;
+  return { base, fl, pts: base + fl };
+};
+
+// ---------- driver stints ----------
+// A driver's team history: [{ teamId, fromRound, toRound }] with toRound null while the stint is open.
+// Drivers saved before stints existed only have `teamId`; treat that as one stint covering the season.
+export const driverStints = (driver) =>
+  driver?.stints || (driver?.teamId ? [{ teamId: driver.teamId, fromRound: 1, toRound: null }] : []);
+const stintCovers = (s, round) => round >= (s.fromRound ?? 1) && (s.toRound == null || round <= s.toRound);
+// Team the driver raced for at a given round; later stints win if ranges overlap.
+export const teamIdAt = (driver, round) => {
+  const stints = driverStints(driver);
+  for (let i = stints.length - 1; i >= 0; i--) if (stintCovers(stints[i], round ?? 0)) return stints[i].teamId || "";
+  return "";
+};
+// The team shown as the driver's current one: the open stint, else the one that started last.
+export const currentTeamId = (stints) => {
+  const open = stints.filter(s => s.toRound == null);
+  const pick = (open.length ? open : stints).reduce((a, b) => (a && (a.fromRound ?? 1) > (b.fromRound ?? 1) ? a : b), null);
+  return pick?.teamId || "";
+};
+
+// ---------- countback ----------
+// FIA countback: compare the number of P1s, then P2s, then P3s… Returns the first position
+// whose counts differ (null if the two records are identical all the way down).
+export function countbackDecider(a, b) {
+  const n = Math.max(a.length, b.length);
+  for (let p = 1; p < n; p++) if ((a[p] || 0) !== (b[p] || 0)) return p;
+  return null;
+}
+function compareCountback(a, b) {
+  const p = countbackDecider(a, b);
+  return p == null ? 0 : (b[p] || 0) - (a[p] || 0);
+}
+// Sorts rows by points then countback, and annotates rows level on points with the position that split them.
+function rankWithCountback(rows, nameOf) {
+  const sorted = rows.sort((a,b) => (b.points - a.points) || compareCountback(a.positionCounts, b.positionCounts) || nameOf(a).localeCompare(nameOf(b)));
+  sorted.forEach((row, i) => {
+    const prev = sorted[i-1];
+    if (!prev || prev.points !== row.points) return;
+    const position = countbackDecider(prev.positionCounts, row.positionCounts);
+    prev.tied = row.tied = true;
+    row.tiebreak = { position, ahead: position ? prev.positionCounts[position] || 0 : 0, behind: position ? row.positionCounts[position] || 0 : 0 };
+  });
+  return sorted;
+}
+
+// ---------- season ----------
+/**
+ * Scores a whole season. Only races (GP/Sprint) score; qualifying sessions are ignored here.
+ * Returns
+ * - events:  race events in round order, each with its classified entries ({ ...result, teamId, base, fl, pts })
+ * - rounds:  championship after each of those events ({ event, drivers: [{ id, points, position }], teams: […] })
+ * - drivers: final standings rows ({ driver, points, wins, podiums, bestFinish, finishes, avgFinish, dnfs,
+ *            positionCounts, pointsByTeam, cumulative, tied?, tiebreak? })
+ * - teams:   final standings rows ({ team, points, wins, podiums, positionCounts, cumulative, tied?, tiebreak? })
+ */
+export function scoreSeason({ drivers, teams, events, results, rules }) {
+  const driverById = Object.fromEntries(drivers.map(d => [d.id, d]));
+  const byEvent = groupResultsByEvent(results);
+  const dStats = new Map(drivers.map(d => [d.id, { points: 0, wins: 0, podiums: 0, bestFinish: null, finishes: [], dnfs: 0, positionCounts: [], pointsByTeam: {}, cumulative: [] }]));
+  const tStats = new Map(teams.map(t => [t.id, { points: 0, wins: 0, podiums: 0, positionCounts: [], cumulative: [] }]));
+  const tally = (counts, position) => { counts[position] = (counts[position] || 0) + 1; };
+
+  const scoredEvents = [];
+  const rounds = [];
+  for (const event of sortEventsByRound(events.filter(isRace))) {
+    const entries = classifyEvent(byEvent.get(event.id) || []).map(r => ({
+      ...r, teamId: teamIdAt(driverById[r.driverId], event.round), ...scoreResult(r, event, rules),
+    }));
+    for (const r of entries) {
+      const d = dStats.get(r.driverId);
+      if (!d) continue;
+      const t = tStats.get(r.teamId);
+      // countback is decided on classified Grand Prix results only, as in the FIA sporting regulations
+      const counts = event.type === 'GP' && r.classified;
+      d.points += r.pts;
+      d.pointsByTeam[r.teamId] = (d.pointsByTeam[r.teamId] || 0) + r.pts;
+      if (isRetirement(r)) d.dnfs += 1;
+      if (isRunner(r)) d.finishes.push(r.position);
+      if (r.classified) {
+        if (r.position === 1) d.wins += 1;
+        if (r.position <= 3) d.podiums += 1;
+        d.bestFinish = d.bestFinish == null ? r.position : Math.min(d.bestFinish, r.position);
+      }
+      if (counts) tally(d.positionCounts, r.position);
+      if (t) {
+        t.points += r.pts;
+        if (r.classified && r.position === 1) t.wins += 1;
+        if (r.classified && r.position <= 3) t.podiums += 1;
+        if (counts) tally(t.positionCounts, r.position);
+      }
+    }
+    for (const s of [...dStats.values(), ...tStats.values()]) s.cumulative.push(s.points);
+    scoredEvents.push({ event, entries });
+    rounds.push({
+      event,
+      drivers: snapshot(drivers, dStats, d => d.name),
+      teams: snapshot(teams, tStats, t => t.name),
+    });
+  }
+
+  const mean = (xs) => xs.length ? Number((xs.reduce((a,b)=>a+b,0) / xs.length).toFixed(2)) : null;
+  const driverRows = rankWithCountback(drivers.map(d => {
+    const s = dStats.get(d.id);
+    return { driver: d, ...s, avgFinish: mean(s.finishes) };
+  }), row => row.driver.name);
+  const teamRows = rankWithCountback(teams.map(t => ({ team: t, ...tStats.get(t.id) })), row => row.team.name);
+  return { events: scoredEvents, rounds, drivers: driverRows, teams: teamRows };
+}
+// Championship order at this moment, from running totals (countback uses results so far).
+function snapshot(entities, stats, nameOf) {
+  const rows = entities.map(x => {
+    const s = stats.get(x.id);
+    return { id: x.id, name: nameOf(x), points: s.points, positionCounts: s.positionCounts.slice() };
+  });
+  return rankWithCountback(rows, row => row.name).map((r, i) => ({ id: r.id, points: r.points, position: i + 1 }));
+}
+
+export function buildStandings(season) {
+  const { drivers, teams } = scoreSeason(season);
+  return { drivers, teams };
+}
+
+// ---------- qualifying & grid ----------
+// Qualifying & grid analytics (Grand Prix only). Poles are P1 in a Qualifying session; grid positions come
+// from the race results, with pit-lane starters counted as starting behind the whole field.
+export function buildGridStats({ drivers, teams, events, results }) {
+  const byEvent = groupResultsByEvent(results);
+  const driverById = Object.fromEntries(drivers.map(d => [d.id, d]));
+  const blank = () => ({ poles: 0, frontRows: 0, grids: [], gained: [], qualiDelta: [] });
+  const perDriver = new Map(drivers.map(d => [d.id, blank()]));
+  const perTeam = new Map(teams.map(t => [t.id, blank()]));
+  const targetsFor = (driverId, round) =>
+    [perDriver.get(driverId), perTeam.get(teamIdAt(driverById[driverId], round))].filter(Boolean);
+
+  for (const q of events.filter(e => e.type === 'Qualifying')) {
+    const pole = (byEvent.get(q.id) || []).find(r => r.position === 1);
+    if (pole) targetsFor(pole.driverId, q.round).forEach(t => { t.poles += 1; });
+  }
+  for (const race of events.filter(e => e.type === 'GP')) {
+    const entries = classifyEvent(byEvent.get(race.id) || []);
+    const quali = events.find(e => e.type === 'Qualifying' && e.raceId === race.id);
+    const qualiPos = new Map((quali ? byEvent.get(quali.id) || [] : []).map(r => [r.driverId, r.position]));
+    for (const r of entries) {
+      if (r.status === 'DNS') continue;
+      const start = r.pitLane ? entries.length : r.grid;
+      const q = qualiPos.get(r.driverId);
+      for (const t of targetsFor(r.driverId, race.round)) {
+        if (!r.pitLane && start != null && start <= 2) t.frontRows += 1;
+        if (start != null) t.grids.push(start);
+        if (start != null && r.classified) t.gained.push(start - r.position);
+        if (q != null && r.classified) t.qualiDelta.push(q - r.position);
+      }
+    }
+  }
+
+  const mean = (xs) => xs.length ? xs.reduce((a,b)=>a+b,0) / xs.length : null;
+  const summarize = (id, name, st) => ({ id, name, poles: st.poles, frontRows: st.frontRows, avgGrid: mean(st.grids), avgGained: mean(st.gained), avgQualiDelta: mean(st.qualiDelta) });
+  const order = (a,b) => b.poles - a.poles || b.frontRows - a.frontRows || (a.avgGrid ?? 99) - (b.avgGrid ?? 99) || a.name.localeCompare(b.name);
+  return {
+    drivers: drivers.map(d => summarize(d.id, d.name, perDriver.get(d.id))).sort(order),
+    teams: teams.map(t => summarize(t.id, t.name, perTeam.get(t.id))).sort(order),
+  };
+}
+
+// ---------- championship scenarios ----------
+// Most points one car (or a team's `cars` cars) can take from a not-yet-run event.
+export function maxEventPoints(event, rules, cars = 1) {
+  const table = event.type === "Sprint" ? rules.sprint : rules.race;
+  const base = table.slice(0, cars).reduce((a,b)=>a+b, 0);
+  return base + (rules.fastestLap && event.type === 'GP' ? rules.fastestLapPoints : 0);
+}
+// Best (largest) finishing position at the next event that guarantees the leader the title, assuming
+// the worst case: each rival wins (or is P2 behind the leader) and takes the fastest-lap bonus.
+// Returns table.length + 1 when any result clinches, null when the title can't be decided there.
+function clinchPosition(leader, rivals, next, afterNext, rules) {
+  const table = next.type === "Sprint" ? rules.sprint : rules.race;
+  const fl = rules.fastestLap && next.type === 'GP' ? rules.fastestLapPoints : 0;
+  for (let p = table.length + 1; p >= 1; p--) {
+    const leaderTotal = leader.points + computePointsFor(p, next.type, rules);
+    const rivalGain = computePointsFor(p === 1 ? 2 : 1, next.type, rules) + fl;
+    if (rivals.every(r => r.points + rivalGain + afterNext < leaderTotal)) return p;
+  }
+  return null;
+}
+export function buildScenario({ drivers, teams, events, results, rules }) {
+  const standings = buildStandings({ drivers, teams, events, results, rules });
+  const scored = new Set(results.map(r => r.eventId));
+  const remaining = sortEventsByRound(events.filter(e => isRace(e) && !scored.has(e.id)));
+  const driverLeft = remaining.reduce((a, e) => a + maxEventPoints(e, rules, 1), 0);
+  const teamLeft = remaining.reduce((a, e) => a + maxEventPoints(e, rules, 2), 0);
+
+  const withMax = (rows, left) => {
+    const leaderPts = rows[0]?.points ?? 0;
+    return rows.map(r => ({ ...r, max: r.points + left, inContention: r.points + left >= leaderPts }));
+  };
+  const driverRows = withMax(standings.drivers, driverLeft);
+  const teamRows = withMax(standings.teams, teamLeft);
+
+  const [leader, ...rivals] = driverRows;
+  const next = remaining[0];
+  let clinch = null;
+  if (leader && !rivals.some(r => r.max >= leader.points)) clinch = { decided: true };
+  else if (leader && next) {
+    const afterNext = remaining.slice(1).reduce((a, e) => a + maxEventPoints(e, rules, 1), 0);
+    clinch = { position: clinchPosition(leader, rivals, next, afterNext, rules), next, anyResult: false };
+    if (clinch.position != null) clinch.anyResult = clinch.position > (next.type === "Sprint" ? rules.sprint : rules.race).length;
+  }
+  return { remaining, drivers: driverRows, teams: teamRows, leader, clinch };
+}
@@ -0,0 +1,179 @@
+import { describe, it, expect } from "vitest";
+import { presetRules, classifyEvent, scoreSeason, buildStandings, buildScenario } from "./scoring.js";
+
+// Builds season data from compact per-race finishing orders: { ABC: position | "DNF" | "DSQ" … }.
+// Drivers missing from a race didn't take part; non-finishers are placed after the listed finishers.
+function season({ drivers, teams = [], races, rules }) {
+  const events = races.map((race, i) => ({ id: `e${i+1}`, round: i + 1, name: race.name, type: race.type || "GP", shortened: !!race.shortened }));
+  const results = races.flatMap((race, i) => Object.entries(race.result).map(([driverId, pos]) => ({
+    eventId: `e${i+1}`,
+    driverId,
+    position: typeof pos === "number" ? pos : 30,
+    status: typeof pos === "number" ? "FIN" : pos,
+    fastestLap: race.fastestLap === driverId,
+    ...(race.extra?.[driverId] || {}),
+  })));
+  return { drivers, teams, events, results, rules: presetRules(rules) };
+}
+const points = (rows) => Object.fromEntries(rows.map(r => [r.driver?.id ?? r.team.id, r.points]));
+
+describe("2007 Drivers' Championship (2003–2009 points)", () => {
+  // Räikkönen, Hamilton and Alonso only; the rest of the field doesn't affect their points.
+  const finishes = {
+    RAI: [1, 3, 3, "DNF", 8, 5, 4, 1, 1, "DNF", 2, 2, 3, 1, 3, 1, 1],
+    HAM: [3, 2, 2, 2, 2, 1, 1, 3, 3, 9, 1, 5, 2, 4, 1, "DNF", 7],
+    ALO: [2, 1, 5, 3, 1, 7, 2, 7, 2, 1, 4, 3, 1, 3, "DNF", 2, 3],
+  };
+  const names = ["Australia", "Malaysia", "Bahrain", "Spain", "Monaco", "Canada", "USA", "France", "Britain",
+    "Europe", "Hungary", "Turkey", "Italy", "Belgium", "Japan", "China", "Brazil"];
+  const data = season({
+    drivers: [{ id: "RAI", name: "Kimi Räikkönen", teamId: "FER" }, { id: "HAM", name: "Lewis Hamilton", teamId: "MCL" }, { id: "ALO", name: "Fernando Alonso", teamId: "MCL" }],
+    teams: [{ id: "FER", name: "Ferrari" }, { id: "MCL", name: "McLaren" }],
+    races: names.map((name, i) => ({ name, result: Object.fromEntries(Object.entries(finishes).map(([id, f]) => [id, f[i]])) })),
+    rules: "2003-2009",
+  });
+
+  it("scores the final totals", () => {
+    const { drivers, teams } = scoreSeason(data);
+    expect(points(drivers)).toEqual({ RAI: 110, HAM: 109, ALO: 109 });
+    expect(points(teams)).toEqual({ MCL: 218, FER: 110 });
+  });
+
+  it("puts Hamilton ahead of Alonso on countback (five P2s to four)", () => {
+    const { drivers } = buildStandings(data);
+    expect(drivers.map(r => r.driver.id)).toEqual(["RAI", "HAM", "ALO"]);
+    expect(drivers[2].tiebreak).toEqual({ position: 2, ahead: 5, behind: 4 });
+    expect(drivers[0].tied).toBeUndefined();
+  });
+
+  it("tracks the championship after every round", () => {
+    const { rounds } = scoreSeason(data);
+    expect(rounds).toHaveLength(17);
+    expect(rounds[0].drivers).toEqual([
+      { id: "RAI", points: 10, position: 1 },
+      { id: "ALO", points: 8, position: 2 },
+      { id: "HAM", points: 6, position: 3 },
+    ]);
+    // Hamilton led by 17 points with two rounds to go
+    expect(rounds[14].drivers.map(r => [r.id, r.points])).toEqual([["HAM", 107], ["ALO", 95], ["RAI", 90]]);
+  });
+
+  it("keeps per-event, cumulative and final numbers consistent", () => {
+    const { events, drivers } = scoreSeason(data);
+    for (const row of drivers) {
+      const fromEvents = events.flatMap(e => e.entries).filter(r => r.driverId === row.driver.id).reduce((a, r) => a + r.pts, 0);
+      expect(fromEvents).toBe(row.points);
+      expect(row.cumulative.at(-1)).toBe(row.points);
+    }
+  });
+});
+
+describe("single races", () => {
+  it("awards half points at the 2021 Belgian GP, with no fastest-lap bonus", () => {
+    const order = ["VER", "RUS", "HAM", "RIC", "VET", "GAS", "OCO", "LEC", "LAT", "SAI"];
+    const data = season({
+      drivers: order.map(id => ({ id, name: id })),
+      races: [{ name: "Belgium", shortened: true, fastestLap: "VER", result: Object.fromEntries(order.map((id, i) => [id, i + 1])) }],
+      rules: "2019-2024",
+    });
+    expect(points(scoreSeason(data).drivers)).toEqual({ VER: 12.5, RUS: 9, HAM: 7.5, RIC: 6, VET: 5, GAS: 4, OCO: 3, LEC: 2, LAT: 1, SAI: 0.5 });
+  });
+
+  it("only pays the fastest-lap point inside the top 10 (Zhou, 2023 Bahrain GP)", () => {
+    const data = season({
+      drivers: [{ id: "VER", name: "VER" }, { id: "ZHO", name: "ZHO" }],
+      races: [{ name: "Bahrain", fastestLap: "ZHO", result: { VER: 1, ZHO: 16 } }],
+      rules: "2019-2024",
+    });
+    expect(points(scoreSeason(data).drivers)).toEqual({ VER: 25, ZHO: 0 });
+  });
+
+  it("reorders for a post-race time penalty (Verstappen, 2019 Monaco GP)", () => {
+    const data = season({
+      drivers: ["HAM", "VER", "VET", "BOT", "GAS"].map(id => ({ id, name: id })),
+      races: [{
+        name: "Monaco", fastestLap: "GAS",
+        result: { HAM: 1, VER: 2, VET: 3, BOT: 4, GAS: 5 },
+        // gaps to the winner in seconds
+        extra: { HAM: { time: 0 }, VER: { time: 0.539, timePenalty: 5 }, VET: { time: 2.602 }, BOT: { time: 3.162 }, GAS: { time: 9.946 } },
+      }],
+      rules: "2019-2024",
+    });
+    const { events, drivers } = scoreSeason(data);
+    expect(events[0].entries.map(r => r.driverId)).toEqual(["HAM", "VET", "BOT", "VER", "GAS"]);
+    expect(points(drivers)).toEqual({ HAM: 25, VET: 18, BOT: 15, VER: 12, GAS: 11 });
+  });
+
+  it("moves everyone up behind disqualified drivers (Hamilton and Leclerc, 2023 US GP)", () => {
+    const crossed = ["VER", "HAM", "NOR", "SAI", "PER", "LEC", "RUS", "GAS", "STR", "TSU", "ALB", "SAR"];
+    const data = season({
+      drivers: crossed.map(id => ({ id, name: id })),
+      races: [{ name: "USA", result: Object.fromEntries(crossed.map((id, i) => [id, ["HAM", "LEC"].includes(id) ? "DSQ" : i + 1])) }],
+      rules: "2019-2024",
+    });
+    // DSQ rows come from the helper at position 30; give them their real crossing positions
+    data.results.forEach(r => { r.position = crossed.indexOf(r.driverId) + 1; });
+    const pts = points(scoreSeason(data).drivers);
+    expect(pts).toMatchObject({ VER: 25, NOR: 18, SAI: 15, PER: 12, RUS: 10, SAR: 1, HAM: 0, LEC: 0 });
+  });
+});
+
+describe("classifyEvent", () => {
+  it("classifies a retirement after 90% distance and scores it", () => {
+    const rows = classifyEvent([
+      { driverId: "A", position: 1, status: "FIN", laps: 50 },
+      { driverId: "B", position: 2, status: "DNF", laps: 47 },
+      { driverId: "C", position: 3, status: "DNF", laps: 20 },
+      { driverId: "D", position: 4, status: "RET" },
+    ]);
+    expect(rows.map(r => [r.driverId, r.position, r.classified])).toEqual([
+      ["A", 1, true], ["B", 2, true], ["D", 3, true], ["C", 4, false],
+    ]);
+  });
+
+  it("keeps gaps in entered positions that aren't caused by exclusions", () => {
+    const rows = classifyEvent([
+      { driverId: "A", position: 1, status: "FIN" },
+      { driverId: "B", position: 4, status: "FIN" },
+      { driverId: "C", position: 2, status: "DNS" },
+    ]);
+    expect(rows.map(r => [r.driverId, r.position])).toEqual([["A", 1], ["B", 3], ["C", 4]]);
+  });
+});
+
+describe("team attribution", () => {
+  it("credits points to the team the driver raced for at that round", () => {
+    const data = season({
+      drivers: [
+        { id: "GAS", name: "Gasly", stints: [{ teamId: "RBR", fromRound: 1, toRound: 1 }, { teamId: "STR", fromRound: 2, toRound: null }] },
+        { id: "SUB", name: "Substitute", reserve: true, stints: [{ teamId: "RBR", fromRound: 2, toRound: 2 }] },
+      ],
+      teams: [{ id: "RBR", name: "Red Bull" }, { id: "STR", name: "Toro Rosso" }],
+      races: [{ name: "R1", result: { GAS: 2 } }, { name: "R2", result: { GAS: 3, SUB: 4 } }],
+      rules: "2025",
+    });
+    const { drivers, teams } = scoreSeason(data);
+    expect(points(teams)).toEqual({ RBR: 18 + 12, STR: 15 });
+    expect(drivers.find(r => r.driver.id === "GAS").pointsByTeam).toEqual({ RBR: 18, STR: 15 });
+  });
+});
+
+describe("buildScenario", () => {
+  const data = season({
+    drivers: [{ id: "A", name: "A" }, { id: "B", name: "B" }, { id: "C", name: "C" }],
+    races: [{ name: "R1", result: { A: 1, B: 2, C: 10 } }, { name: "R2", result: { A: 1, B: 2, C: 9 } }, { name: "R3", result: {} }],
+    rules: "2025",
+  });
+
+  it("computes maximum points and eliminations", () => {
+    const { drivers } = buildScenario(data);
+    expect(drivers.map(r => [r.driver.id, r.points, r.max, r.inContention])).toEqual([
+      ["A", 50, 75, true], ["B", 36, 61, true], ["C", 3, 28, false],
+    ]);
+  });
+
+  it("finds the clinch position for the leader at the next race", () => {
+    // B can at most reach 61 if A doesn't score more than 11: P4 (12 pts) or better clinches
+    expect(buildScenario(data).clinch).toMatchObject({ position: 4, anyResult: false });
+  });
+});
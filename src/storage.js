@@ -0,0 +1,121 @@
+/**
+ * Persistent key/value storage — IndexedDB with a localStorage fallback.
+ * - Keys keep their localStorage names (f1_seasons_meta, f1_<kind>_<seasonId>, …)
+ * - On first open, existing f1_* localStorage entries are moved into IndexedDB
+ * - Every write is broadcast to other tabs; subscribe() delivers them
+ * - Failed reads/writes (e.g. quota exceeded) are reported to onStorageError() listeners
+ */
+
+const DB_NAME = "f1-season-tracker";
+const DB_VERSION = 1;
+const STORE = "kv";
+const KEY_PREFIX = "f1_";
+
+// ---------- errors ----------
+const errorListeners = new Set();
+export function onStorageError(fn) {
+  errorListeners.add(fn);
+  return () => errorListeners.delete(fn);
+}
+const describeError = (e) =>
+  e?.name === "QuotaExceededError" ? "Browser storage is full" : e?.message || String(e);
+function reportError(action, key, e) {
+  const error = { action, key, message: describeError(e), at: Date.now() };
+  errorListeners.forEach(fn => fn(error));
+}
+
+// ---------- backends ----------
+const legacyKeys = () => Object.keys(localStorage).filter(k => k.startsWith(KEY_PREFIX));
+
+const localBackend = {
+  get: async (key) => { const raw = localStorage.getItem(key); return raw == null ? undefined : JSON.parse(raw); },
+  set: async (key, value) => localStorage.setItem(key, JSON.stringify(value)),
+  remove: async (key) => localStorage.removeItem(key),
+};
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    let migrated = [];
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE);
+      // first open: bring over everything the localStorage version of the app saved
+      // (unreadable entries stay in localStorage and are reported)
+      for (const key of legacyKeys()) {
+        try { store.put(JSON.parse(localStorage.getItem(key)), key); migrated.push(key); }
+        catch (e) { reportError("migrate", key, e); }
+      }
+    };
+    req.onsuccess = () => {
+      migrated.forEach(key => localStorage.removeItem(key));
+      resolve(req.result);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("Storage upgrade blocked by another open tab"));
+  });
+}
+
+function idbBackend(db) {
+  const run = (mode, fn) => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onabort = tx.onerror = () => reject(tx.error);
+  });
+  return {
+    get: (key) => run("readonly", store => store.get(key)),
+    set: (key, value) => run("readwrite", store => store.put(value, key)),
+    remove: (key) => run("readwrite", store => store.delete(key)),
+  };
+}
+
+let backendPromise;
+const backend = () => backendPromise ??= (async () => {
+  if (typeof indexedDB === "undefined") return localBackend;
+  try { return idbBackend(await openDB()); }
+  catch (e) {
+    reportError("open", DB_NAME, e);
+    return localBackend;
+  }
+})();
+
+// ---------- cross-tab sync ----------
+const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(DB_NAME) : null;
+const subscribers = new Map();
+if (channel) {
+  channel.onmessage = ({ data: { key, value } }) => subscribers.get(key)?.forEach(fn => fn(value));
+}
+// Calls fn(value) when another tab writes or removes (value undefined) the key.
+export function subscribe(key, fn) {
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(fn);
+  return () => subscribers.get(key)?.delete(fn);
+}
+
+// ---------- API ----------
+// Resolves to undefined when the key is missing or can't be read.
+export async function getItem(key) {
+  try { return await (await backend()).get(key); }
+  catch (e) { reportError("read", key, e); return undefined; }
+}
+// Resolves to true once written; failures are reported and resolve to false.
+export async function setItem(key, value) {
+  try {
+    await (await backend()).set(key, value);
+    channel?.postMessage({ key, value });
+    return true;
+  } catch (e) {
+    reportError("write", key, e);
+    return false;
+  }
+}
+export async function removeItem(key) {
+  try {
+    await (await backend()).remove(key);
+    channel?.postMessage({ key, value: undefined });
+    return true;
+  } catch (e) {
+    reportError("delete", key, e);
+    return false;
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Sync with a self-hosted server (see server/) — optional; without a server URL everything stays local.
+ * - syncClient: the server's REST API; network failures become SyncError with status 0 (offline)
+ * - mergeChanges: three-way merge of local and server edits since the last sync, item by item
+ * - resolveConflicts: applies "mine" / "theirs" choices to a merge's conflicts
+ * - syncSeason: one round of push/pull for a season, given what was synced last time
+ * A season's sync state is { version, base: { season, data } | null }: the server version and copy the
+ * local season last agreed with. Local edits made offline are whatever differs from `base`.
+ */
+import { COLLECTIONS, seasonInfo } from "./archive.js";
+
+export const SYNC_STATUSES = {
+  synced: "Synced",
+  pending: "Changes not synced yet",
+  syncing: "Syncing…",
+  offline: "Offline — changes are kept here",
+  conflict: "Conflicting edits",
+  error: "Sync failed",
+};
+
+export class SyncError extends Error {
+  constructor(status, message, body) {
+    super(message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// ---------- client ----------
+export function syncClient({ url, token }, fetchImpl = globalThis.fetch) {
+  const base = url.replace(/\/+$/, "");
+  async function request(method, path, { body, version } = {}) {
+    const headers = { ...(body ? { "Content-Type": "application/json" } : {}), ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+    if (version === null) headers["If-None-Match"] = "*";
+    else if (version !== undefined) headers["If-Match"] = `"${version}"`;
+    let res;
+    try { res = await fetchImpl(`${base}/api${path}`, { method, headers, body: body && JSON.stringify(body) }); }
+    catch (e) { throw new SyncError(0, `Server unreachable: ${e.message}`); }
+    const json = res.status === 204 ? null : await res.json().catch(() => null);
+    if (!res.ok) throw new SyncError(res.status, json?.error || `Server answered ${res.status}`, json);
+    return json;
+  }
+  const season = (id) => `/seasons/${encodeURIComponent(id)}`;
+  return {
+    health: () => request("GET", "/health"),
+    listSeasons: () => request("GET", "/seasons"),
+    // Resolves to null when the server doesn't have the season.
+    getSeason: (id) => request("GET", season(id)).catch(e => { if (e.status === 404) return null; throw e; }),
+    // `version`: the server version the edit started from, null to create. Resolves to { version, updatedAt }.
+    putSeason: (id, body, version) => request("PUT", season(id), { body, version }),
+    deleteSeason: (id, version) => request("DELETE", season(id), { version }),
+  };
+}
+
+// ---------- merge ----------
+// Results and laps have no id of their own: one per driver and event, and per lap.
+const keyOf = (kind, item) => kind === "results" ? `${item.eventId}|${item.driverId}`
+  : kind === "laps" ? `${item.eventId}|${item.driverId}|${item.lap}`
+  : item.id;
+
+// JSON with sorted object keys, so equal records compare equal whatever order their fields were set in.
+const canonical = (v) => JSON.stringify(v, (_, x) =>
+  x && typeof x === "object" && !Array.isArray(x) ? Object.fromEntries(Object.entries(x).sort(([a], [b]) => a.localeCompare(b))) : x);
+const same = (a, b) => canonical(a) === canonical(b);
+
+export const sameSnapshot = (a, b) => same(
+  { season: seasonInfo(a?.season), data: COLLECTIONS.map(k => a?.data?.[k] || []) },
+  { season: seasonInfo(b?.season), data: COLLECTIONS.map(k => b?.data?.[k] || []) },
+);
+
+// One item: whichever side changed it since `base` wins; null means deleted; both changed is a conflict.
+const mergeItem = (base, local, remote) => {
+  if (same(local, remote)) return { value: local };
+  if (same(local, base)) return { value: remote };
+  if (same(remote, base)) return { value: local };
+  return { value: local, conflict: true };
+};
+
+/**
+ * `base`, `local`, `remote`: { season, data }. Returns { merged: { season, data }, conflicts: [{ kind, key,
+ * label, base, local, remote }] } where kind is "season" or a collection; conflicting items keep the local
+ * version until resolved. Items keep the server's order, with local additions at the end.
+ */
+export function mergeChanges(base, local, remote) {
+  const conflicts = [];
+  const labelOf = (kind, item) => item?.name || (kind === "results" ? `result ${item.eventId}|${item.driverId}`
+    : kind === "laps" ? `lap ${item.lap} ${item.eventId}|${item.driverId}` : item?.id);
+
+  const season = mergeItem(seasonInfo(base?.season), seasonInfo(local.season), seasonInfo(remote.season));
+  if (season.conflict) conflicts.push({ kind: "season", key: "season", label: local.season.name, base: seasonInfo(base?.season), local: seasonInfo(local.season), remote: seasonInfo(remote.season) });
+
+  const data = {};
+  for (const kind of COLLECTIONS) {
+    const index = (list) => new Map((list || []).map(x => [keyOf(kind, x), x]));
+    const b = index(base?.data?.[kind]), l = index(local.data[kind]), r = index(remote.data[kind]);
+    const keys = [...new Set([...r.keys(), ...l.keys(), ...b.keys()])];
+    data[kind] = [];
+    for (const key of keys) {
+      const { value, conflict } = mergeItem(b.get(key) ?? null, l.get(key) ?? null, r.get(key) ?? null);
+      if (conflict) conflicts.push({ kind, key, label: labelOf(kind, l.get(key) || r.get(key)), base: b.get(key) ?? null, local: l.get(key) ?? null, remote: r.get(key) ?? null });
+      if (value) data[kind].push(value);
+    }
+  }
+  return { merged: { season: season.value, data }, conflicts };
+}
+
+// `choices`: Map(`${kind}:${key}` → "local" | "remote"); unresolved conflicts keep the local version.
+export function resolveConflicts(merged, conflicts, choices) {
+  const pick = (c) => choices.get(`${c.kind}:${c.key}`) === "remote" ? c.remote : c.local;
+  const season = conflicts.find(c => c.kind === "season");
+  const data = { ...merged.data };
+  for (const kind of COLLECTIONS) {
+    const mine = conflicts.filter(c => c.kind === kind);
+    if (!mine.length) continue;
+    const chosen = new Map(mine.map(c => [c.key, pick(c)]));
+    const kept = data[kind].filter(x => !chosen.has(keyOf(kind, x)) || chosen.get(keyOf(kind, x)));
+    data[kind] = kept.map(x => chosen.get(keyOf(kind, x)) || x);
+    // items only one side still has, chosen back in
+    for (const [key, value] of chosen) if (value && !kept.some(x => keyOf(kind, x) === key)) data[kind].push(value);
+  }
+  return { season: season ? pick(season) : merged.season, data };
+}
+
+// ---------- sync ----------
+/**
+ * One sync round for season `id`. `local`: { season, data } as stored here; `state`: the season's sync
+ * state. Returns { status, local?, state, conflicts?, merged?, remote? }:
+ * - "synced": `local` (when set) is the server's newer copy to apply; `state` is the new sync state
+ * - "conflict": both sides changed the same items; resolve `conflicts` against `merged`, then adopt
+ *   { version: remote.version, base: remote } so the next round pushes the resolution
+ * - "offline" / "error": nothing changed; `error` holds the SyncError
+ */
+export async function syncSeason(client, id, local, state) {
+  const snapshot = { season: seasonInfo(local.season), data: Object.fromEntries(COLLECTIONS.map(k => [k, local.data[k] || []])) };
+  const push = async (body, version) => {
+    const saved = await client.putSeason(id, body, version);
+    return { status: "synced", state: { version: saved.version, base: body } };
+  };
+  try {
+    const changed = !state.base || !sameSnapshot(snapshot, state.base);
+    if (!changed) {
+      const remote = await client.getSeason(id);
+      if (!remote) return await push(snapshot, null);
+      if (remote.version === state.version) return { status: "synced", state };
+      const theirs = { season: seasonInfo(remote.season), data: remote.data };
+      return { status: "synced", local: theirs, state: { version: remote.version, base: theirs } };
+    }
+    try {
+      return await push(snapshot, state.version ?? null);
+    } catch (e) {
+      if (e.status !== 412) throw e;
+    }
+    // someone else wrote since our last sync
+    const current = await client.getSeason(id);
+    if (!current) return await push(snapshot, null);
+    const remote = { season: seasonInfo(current.season), data: current.data };
+    const { merged, conflicts } = mergeChanges(state.base, snapshot, remote);
+    if (conflicts.length) return { status: "conflict", state, conflicts, merged, remote: { ...remote, version: current.version } };
+    const pushed = await push(merged, current.version);
+    return { ...pushed, local: merged };
+  } catch (e) {
+    if (!(e instanceof SyncError)) throw e;
+    return { status: e.status === 0 ? "offline" : "error", state, error: e };
+  }
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect } from "vitest";
+import { SyncError, mergeChanges, resolveConflicts, syncSeason } from "./sync.js";
+
+const season = { id: "s1", name: "2025" };
+const snapshot = (data, s = season) => ({ season: s, data: { teams: [], drivers: [], events: [], results: [], players: [], predictions: [], ...data } });
+const base = snapshot({
+  teams: [{ id: "t1", name: "Ferrari", color: "#ff0000" }],
+  drivers: [{ id: "d1", name: "Leclerc" }, { id: "d2", name: "Hamilton" }],
+  results: [{ eventId: "e1", driverId: "d1", position: 1 }],
+});
+
+// In-memory server with the same version checks as server/store.js.
+function fakeServer(initial) {
+  let current = initial ? { ...initial, version: 1 } : null;
+  return {
+    get current() { return current; },
+    async getSeason() { return current; },
+    async putSeason(id, body, version) {
+      if (version !== undefined && (current?.version ?? null) !== version) throw new SyncError(412, "Conflict");
+      current = { ...body, version: (current?.version ?? 0) + 1 };
+      return { version: current.version };
+    },
+    // an edit from another device
+    edit(fn) { current = { ...fn(current), version: current.version + 1 }; },
+  };
+}
+
+describe("mergeChanges", () => {
+  it("keeps non-overlapping edits from both sides", () => {
+    const local = snapshot({ ...base.data, drivers: [{ id: "d1", name: "Charles Leclerc" }, base.data.drivers[1]] });
+    const remote = snapshot({ ...base.data, drivers: [base.data.drivers[0]], teams: [...base.data.teams, { id: "t2", name: "McLaren" }] }, { ...season, name: "2025 season" });
+    const { merged, conflicts } = mergeChanges(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(merged.season.name).toBe("2025 season");
+    expect(merged.data.teams.map(t => t.id)).toEqual(["t1", "t2"]);
+    // d2 deleted remotely, d1 renamed locally
+    expect(merged.data.drivers).toEqual([{ id: "d1", name: "Charles Leclerc" }]);
+  });
+
+  it("merges lap times lap by lap", () => {
+    const lap = (n, time) => ({ eventId: "e1", driverId: "d1", lap: n, time });
+    const local = snapshot({ ...base.data, laps: [lap(1, 95), lap(2, 91)] });
+    const remote = snapshot({ ...base.data, laps: [lap(1, 95.5)] });
+    const { merged, conflicts } = mergeChanges(base, local, remote);
+    expect(conflicts.map(c => [c.key, c.label])).toEqual([["e1|d1|1", "lap 1 e1|d1"]]);
+    expect(merged.data.laps).toEqual([lap(1, 95), lap(2, 91)]);
+  });
+
+  it("reports items changed on both sides, keyed by driver and event for results", () => {
+    const local = snapshot({ ...base.data, results: [{ eventId: "e1", driverId: "d1", position: 2 }], teams: [{ color: "#ff0000", name: "Ferrari", id: "t1" }] });
+    const remote = snapshot({ ...base.data, results: [], drivers: [{ id: "d1", name: "Leclerc" }, { id: "d2", name: "Lewis Hamilton" }] });
+    const { merged, conflicts } = mergeChanges(base, local, remote);
+    // field order alone isn't a change
+    expect(conflicts.map(c => [c.kind, c.key, c.remote])).toEqual([["results", "e1|d1", null]]);
+    expect(merged.data.results).toEqual(local.data.results);
+    expect(merged.data.drivers[1].name).toBe("Lewis Hamilton");
+
+    const theirs = resolveConflicts(merged, conflicts, new Map([["results:e1|d1", "remote"]]));
+    expect(theirs.data.results).toEqual([]);
+    expect(resolveConflicts(merged, conflicts, new Map()).data.results).toEqual(local.data.results);
+  });
+
+  it("brings back an item deleted here when the server's version is chosen", () => {
+    const local = snapshot({ ...base.data, teams: [] });
+    const remote = snapshot({ ...base.data, teams: [{ id: "t1", name: "Scuderia Ferrari", color: "#ff0000" }] });
+    const { merged, conflicts } = mergeChanges(base, local, remote);
+    expect(conflicts).toHaveLength(1);
+    expect(merged.data.teams).toEqual([]);
+    expect(resolveConflicts(merged, conflicts, new Map([["teams:t1", "remote"]])).data.teams).toEqual(remote.data.teams);
+  });
+});
+
+describe("syncSeason", () => {
+  it("creates the season on the server, then pulls changes made elsewhere", async () => {
+    const server = fakeServer(null);
+    let result = await syncSeason(server, "s1", base, { version: null, base: null });
+    expect(result).toMatchObject({ status: "synced", state: { version: 1 } });
+    expect(server.current.data.drivers).toHaveLength(2);
+
+    server.edit(s => ({ ...s, data: { ...s.data, players: [{ id: "p1", name: "Alex" }] } }));
+    result = await syncSeason(server, "s1", base, result.state);
+    expect(result.local.data.players).toEqual([{ id: "p1", name: "Alex" }]);
+    expect(result.state.version).toBe(2);
+  });
+
+  it("merges offline edits with the server's, or stops at a conflict", async () => {
+    const server = fakeServer(base);
+    const state = { version: 1, base };
+    server.edit(s => ({ ...s, data: { ...s.data, teams: [...s.data.teams, { id: "t2", name: "McLaren" }] } }));
+
+    const mine = snapshot({ ...base.data, drivers: [...base.data.drivers, { id: "d3", name: "Bearman" }] });
+    const merged = await syncSeason(server, "s1", mine, state);
+    expect(merged.status).toBe("synced");
+    expect(merged.local.data.teams.map(t => t.id)).toEqual(["t1", "t2"]);
+    expect(server.current.data.drivers.map(d => d.id)).toEqual(["d1", "d2", "d3"]);
+    expect(merged.state.version).toBe(server.current.version);
+
+    server.edit(s => ({ ...s, data: { ...s.data, teams: [{ id: "t1", name: "Ferrari", color: "#dc0000" }, s.data.teams[1]] } }));
+    const clash = snapshot({ ...merged.local.data, teams: [{ id: "t1", name: "Ferrari", color: "#e80020" }, merged.local.data.teams[1]] });
+    const conflict = await syncSeason(server, "s1", clash, merged.state);
+    expect(conflict.status).toBe("conflict");
+    expect(conflict.conflicts.map(c => c.key)).toEqual(["t1"]);
+    expect(conflict.remote.version).toBe(server.current.version);
+    expect(conflict.state).toBe(merged.state);
+  });
+
+  it("reports an unreachable server as offline and keeps the sync state", async () => {
+    const down = { getSeason: async () => { throw new SyncError(0, "Server unreachable"); }, putSeason: async () => { throw new SyncError(0, "Server unreachable"); } };
+    const state = { version: 3, base };
+    const result = await syncSeason(down, "s1", snapshot({ ...base.data, teams: [] }), state);
+    expect(result.status).toBe("offline");
+    expect(result.state).toBe(state);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * New seasons — bundled templates and cloning an existing season.
+ * - CALENDAR_TEMPLATES / GRID_TEMPLATES: calendars (with their circuits) and line-ups (with team details, car numbers and codes) shipped with the app
+ * - calendarEvents / gridEntries: a template turned into season collections with fresh ids
+ * - templateCircuits: adds a calendar's circuits to the shared circuit list, reusing ones of the same name
+ * - cloneSeason: teams, drivers and/or calendar of a season, re-keyed, optionally a year later
+ */
+import { currentTeamId, driverStints } from "./scoring.js";
+import { circuitByName } from "./circuits.js";
+
+// [name, Grand Prix date, Sprint date?]
+const CALENDAR_2025 = [
+  ["Australia", "2025-03-16"],
+  ["China", "2025-03-23", "2025-03-22"],
+  ["Japan", "2025-04-06"],
+  ["Bahrain", "2025-04-13"],
+  ["Saudi Arabia", "2025-04-20"],
+  ["Miami", "2025-05-04", "2025-05-03"],
+  ["Emilia-Romagna", "2025-05-18"],
+  ["Monaco", "2025-05-25"],
+  ["Spain", "2025-06-01"],
+  ["Canada", "2025-06-15"],
+  ["Austria", "2025-06-29"],
+  ["Great Britain", "2025-07-06"],
+  ["Belgium", "2025-07-27", "2025-07-26"],
+  ["Hungary", "2025-08-03"],
+  ["Netherlands", "2025-08-31"],
+  ["Italy", "2025-09-07"],
+  ["Azerbaijan", "2025-09-21"],
+  ["Singapore", "2025-10-05"],
+  ["United States", "2025-10-19", "2025-10-18"],
+  ["Mexico City", "2025-10-26"],
+  ["São Paulo", "2025-11-09", "2025-11-08"],
+  ["Las Vegas", "2025-11-22"],
+  ["Qatar", "2025-11-30", "2025-11-29"],
+  ["Abu Dhabi", "2025-12-07"],
+];
+
+// round name → [circuit, country, length in km, laps, lap record [time, driver, year]]
+const CIRCUITS_2025 = {
+  "Australia": ["Albert Park Circuit", "Australia", 5.278, 58, ["1:19.813", "Charles Leclerc", 2024]],
+  "China": ["Shanghai International Circuit", "China", 5.451, 56, ["1:32.238", "Michael Schumacher", 2004]],
+  "Japan": ["Suzuka Circuit", "Japan", 5.807, 53, ["1:30.983", "Lewis Hamilton", 2019]],
+  "Bahrain": ["Bahrain International Circuit", "Bahrain", 5.412, 57, ["1:31.447", "Pedro de la Rosa", 2005]],
+  "Saudi Arabia": ["Jeddah Corniche Circuit", "Saudi Arabia", 6.174, 50, ["1:30.734", "Lewis Hamilton", 2021]],
+  "Miami": ["Miami International Autodrome", "United States", 5.412, 57, ["1:29.708", "Max Verstappen", 2023]],
+  "Emilia-Romagna": ["Autodromo Enzo e Dino Ferrari", "Italy", 4.909, 63, ["1:15.484", "Lewis Hamilton", 2020]],
+  "Monaco": ["Circuit de Monaco", "Monaco", 3.337, 78, ["1:12.909", "Lewis Hamilton", 2021]],
+  "Spain": ["Circuit de Barcelona-Catalunya", "Spain", 4.657, 66, ["1:16.330", "Max Verstappen", 2023]],
+  "Canada": ["Circuit Gilles Villeneuve", "Canada", 4.361, 70, ["1:13.078", "Valtteri Bottas", 2019]],
+  "Austria": ["Red Bull Ring", "Austria", 4.318, 71, ["1:05.619", "Carlos Sainz", 2020]],
+  "Great Britain": ["Silverstone Circuit", "United Kingdom", 5.891, 52, ["1:27.097", "Max Verstappen", 2020]],
+  "Belgium": ["Circuit de Spa-Francorchamps", "Belgium", 7.004, 44, ["1:46.286", "Valtteri Bottas", 2018]],
+  "Hungary": ["Hungaroring", "Hungary", 4.381, 70, ["1:16.627", "Lewis Hamilton", 2020]],
+  "Netherlands": ["Circuit Zandvoort", "Netherlands", 4.259, 72, ["1:11.097", "Lewis Hamilton", 2021]],
+  "Italy": ["Autodromo Nazionale Monza", "Italy", 5.793, 53, ["1:21.046", "Rubens Barrichello", 2004]],
+  "Azerbaijan": ["Baku City Circuit", "Azerbaijan", 6.003, 51, ["1:43.009", "Charles Leclerc", 2019]],
+  "Singapore": ["Marina Bay Street Circuit", "Singapore", 4.940, 62, ["1:34.486", "Daniel Ricciardo", 2024]],
+  "United States": ["Circuit of the Americas", "United States", 5.513, 56, ["1:36.169", "Charles Leclerc", 2019]],
+  "Mexico City": ["Autódromo Hermanos Rodríguez", "Mexico", 4.304, 71, ["1:17.774", "Valtteri Bottas", 2021]],
+  "São Paulo": ["Autódromo José Carlos Pace", "Brazil", 4.309, 71, ["1:10.540", "Valtteri Bottas", 2018]],
+  "Las Vegas": ["Las Vegas Strip Circuit", "United States", 6.201, 50, ["1:34.876", "Lando Norris", 2024]],
+  "Qatar": ["Lusail International Circuit", "Qatar", 5.419, 57, ["1:22.384", "Lando Norris", 2024]],
+  "Abu Dhabi": ["Yas Marina Circuit", "United Arab Emirates", 5.281, 58, ["1:25.637", "Kevin Magnussen", 2024]],
+};
+
+// [team, colour, [full name, short name, engine, base], [driver, country, number, code]…], as entered for the first round
+const GRID_2025 = [
+  ["McLaren", "#ff8000", ["McLaren Formula 1 Team", "McLaren", "Mercedes", "Woking, United Kingdom"], ["Lando Norris", "GB", 4, "NOR"], ["Oscar Piastri", "AU", 81, "PIA"]],
+  ["Ferrari", "#e8002d", ["Scuderia Ferrari HP", "Ferrari", "Ferrari", "Maranello, Italy"], ["Charles Leclerc", "MC", 16, "LEC"], ["Lewis Hamilton", "GB", 44, "HAM"]],
+  ["Red Bull Racing", "#3671c6", ["Oracle Red Bull Racing", "Red Bull", "Honda RBPT", "Milton Keynes, United Kingdom"], ["Max Verstappen", "NL", 1, "VER"], ["Liam Lawson", "NZ", 30, "LAW"]],
+  ["Mercedes", "#27f4d2", ["Mercedes-AMG Petronas F1 Team", "Mercedes", "Mercedes", "Brackley, United Kingdom"], ["George Russell", "GB", 63, "RUS"], ["Kimi Antonelli", "IT", 12, "ANT"]],
+  ["Aston Martin", "#229971", ["Aston Martin Aramco F1 Team", "Aston Martin", "Mercedes", "Silverstone, United Kingdom"], ["Fernando Alonso", "ES", 14, "ALO"], ["Lance Stroll", "CA", 18, "STR"]],
+  ["Alpine", "#0093cc", ["BWT Alpine F1 Team", "Alpine", "Renault", "Enstone, United Kingdom"], ["Pierre Gasly", "FR", 10, "GAS"], ["Jack Doohan", "AU", 7, "DOO"]],
+  ["Haas", "#b6babd", ["MoneyGram Haas F1 Team", "Haas", "Ferrari", "Kannapolis, United States"], ["Esteban Ocon", "FR", 31, "OCO"], ["Oliver Bearman", "GB", 87, "BEA"]],
+  ["Racing Bulls", "#6692ff", ["Visa Cash App Racing Bulls F1 Team", "Racing Bulls", "Honda RBPT", "Faenza, Italy"], ["Yuki Tsunoda", "JP", 22, "TSU"], ["Isack Hadjar", "FR", 6, "HAD"]],
+  ["Williams", "#64c4ff", ["Atlassian Williams Racing", "Williams", "Mercedes", "Grove, United Kingdom"], ["Alexander Albon", "TH", 23, "ALB"], ["Carlos Sainz", "ES", 55, "SAI"]],
+  ["Kick Sauber", "#52e252", ["Stake F1 Team Kick Sauber", "Sauber", "Ferrari", "Hinwil, Switzerland"], ["Nico Hülkenberg", "DE", 27, "HUL"], ["Gabriel Bortoleto", "BR", 5, "BOR"]],
+];
+
+export const CALENDAR_TEMPLATES = [{ id: "2025", name: "2025 calendar (24 rounds, 6 sprints)", rounds: CALENDAR_2025, circuits: CIRCUITS_2025 }];
+export const GRID_TEMPLATES = [{ id: "2025", name: "2025 grid (10 teams, 20 drivers)", teams: GRID_2025 }];
+
+const daysBefore = (date, days) => new Date(Date.parse(date) - days * 86400000).toISOString().slice(0, 10);
+const dayBefore = (date) => daysBefore(date, 1);
+
+/**
+ * `circuits`: the shared circuit list. Returns { circuits, ids: Map(round name → circuit id) } where
+ * `circuits` gains the template's circuits that weren't in the list yet (matched by name).
+ */
+export function templateCircuits(template, circuits, newId) {
+  const next = [...circuits];
+  const ids = new Map();
+  for (const [round, [name, country, length, laps, [time, driver, year]]] of Object.entries(template.circuits || {})) {
+    let circuit = circuitByName(next, name);
+    if (!circuit) {
+      circuit = { id: newId(), name, country, length, laps, lapRecord: { time, driver, year } };
+      next.push(circuit);
+    }
+    ids.set(round, circuit.id);
+  }
+  return { circuits: next, ids };
+}
+
+/**
+ * One GP (and Sprint) per round; with `qualifying`, each race also gets its qualifying session the day
+ * before, linked through raceId. With `practice`, rounds get FP1–FP3 (FP1 only on sprint weekends) on
+ * the Friday and Saturday. `circuitIds` (see templateCircuits) links each round to its circuit.
+ */
+export function calendarEvents(template, { qualifying = false, practice = false, circuitIds = new Map() } = {}, newId) {
+  const events = [];
+  template.rounds.forEach(([name, date, sprintDate], i) => {
+    const round = i + 1;
+    const circuit = circuitIds.has(name) ? { circuitId: circuitIds.get(name) } : {};
+    const session = (type, sessionDate) => ({ id: newId(), round, name, type, date: sessionDate, ...circuit });
+    if (practice) {
+      const sessions = sprintDate ? [["FP1", 2]] : [["FP1", 2], ["FP2", 2], ["FP3", 1]];
+      for (const [type, days] of sessions) events.push(session(type, daysBefore(date, days)));
+    }
+    const races = [["GP", date], ...(sprintDate ? [["Sprint", sprintDate]] : [])];
+    for (const [type, raceDate] of races) {
+      const race = session(type, raceDate);
+      events.push(race);
+      if (qualifying) {
+        const quali = type === "GP" ? "Qualifying" : "Sprint Qualifying";
+        events.push({ ...session(quali, dayBefore(raceDate)), raceId: race.id });
+      }
+    }
+  });
+  return events;
+}
+
+export function gridEntries(template, newId) {
+  const teams = [], drivers = [];
+  for (const [name, color, [fullName, shortName, engine, base], ...lineUp] of template.teams) {
+    const team = { id: newId(), name, color, fullName, shortName, engine, base };
+    teams.push(team);
+    for (const [driver, country, number, code] of lineUp) {
+      const stints = [{ teamId: team.id, fromRound: 1, toRound: null }];
+      drivers.push({ id: newId(), name: driver, country, number, code, stints, teamId: team.id });
+    }
+  }
+  return { teams, drivers };
+}
+
+// Same day and month, `years` later (29 February becomes 1 March in a common year).
+export const shiftYears = (date, years) => {
+  if (!date) return date;
+  const d = new Date(date);
+  d.setUTCFullYear(d.getUTCFullYear() + years);
+  return d.toISOString().slice(0, 10);
+};
+
+/**
+ * `pick`: which of teams, drivers and events to copy. With `clearResults` drivers start the new season
+ * in the seat they ended the old one; otherwise results (of copied drivers and events) come along with
+ * their full stint history (and shortened races their flag). `years` shifts every event date. Ids are all new; rosterId links are kept.
+ * Returns { teams, drivers, events, results }.
+ */
+export function cloneSeason(data, { pick = { teams: true, drivers: true, events: true }, years = 0, clearResults = true }, newId) {
+  const rekey = (list) => new Map(list.map(x => [x.id, newId()]));
+  const teamIds = rekey(pick.teams ? data.teams : []);
+  const driverIds = rekey(pick.drivers ? data.drivers : []);
+  const eventIds = rekey(pick.events ? data.events : []);
+
+  const teams = (pick.teams ? data.teams : []).map(t => ({ ...t, id: teamIds.get(t.id) }));
+  const drivers = (pick.drivers ? data.drivers : []).map(d => {
+    const stints = driverStints(d);
+    const kept = clearResults
+      ? [{ teamId: currentTeamId(stints), fromRound: 1, toRound: null }]
+      : stints;
+    // stints with a team that wasn't copied stay, without a team
+    const remapped = kept.map(s => ({ ...s, teamId: teamIds.get(s.teamId) || "" }));
+    return { ...d, id: driverIds.get(d.id), stints: remapped, teamId: currentTeamId(remapped) };
+  });
+  const events = (pick.events ? data.events : []).map(e => ({
+    ...e,
+    id: eventIds.get(e.id),
+    date: shiftYears(e.date, years),
+    ...(clearResults ? { shortened: false } : {}),
+    ...(e.raceId ? { raceId: eventIds.get(e.raceId) || "" } : {}),
+  }));
+  const results = clearResults ? [] : data.results
+    .filter(r => driverIds.has(r.driverId) && eventIds.has(r.eventId))
+    .map(r => ({ ...r, driverId: driverIds.get(r.driverId), eventId: eventIds.get(r.eventId) }));
+  return { teams, drivers, events, results };
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import { CALENDAR_TEMPLATES, GRID_TEMPLATES, calendarEvents, gridEntries, shiftYears, cloneSeason, templateCircuits } from "./templates.js";
+import { validateSeason } from "./archive.js";
+
+const ids = () => { let n = 0; return () => `n${++n}`; };
+
+const data = {
+  teams: [{ id: "t1", name: "McLaren", rosterId: "r1" }, { id: "t2", name: "Ferrari" }],
+  drivers: [{ id: "d1", name: "Lando Norris", teamId: "t2", stints: [{ teamId: "t1", fromRound: 1, toRound: 1 }, { teamId: "t2", fromRound: 2, toRound: null }] }],
+  events: [
+    { id: "q1", round: 1, name: "Australia", type: "Qualifying", date: "2024-02-29", raceId: "e1" },
+    { id: "e1", round: 1, name: "Australia", type: "GP", date: "2024-03-01", shortened: true },
+  ],
+  results: [{ eventId: "e1", driverId: "d1", position: 1, status: "FIN" }],
+};
+
+describe("templates", () => {
+  it("builds a linked calendar and a grid that validate", () => {
+    const events = calendarEvents(CALENDAR_TEMPLATES[0], { qualifying: true }, ids());
+    expect(events.filter(e => e.type === "GP")).toHaveLength(24);
+    expect(events.filter(e => e.type === "Sprint")).toHaveLength(6);
+    const quali = events.find(e => e.type === "Qualifying");
+    expect(quali).toMatchObject({ round: 1, date: "2025-03-15", raceId: events.find(e => e.type === "GP").id });
+    const { teams, drivers } = gridEntries(GRID_TEMPLATES[0], ids());
+    expect([teams.length, drivers.length]).toEqual([10, 20]);
+    expect(validateSeason({ teams, drivers, events: [], results: [] })).toEqual({ errors: [], warnings: [] });
+    expect(drivers.find(d => d.name === "Max Verstappen")).toMatchObject({ number: 1, code: "VER", country: "NL" });
+    expect(teams.find(t => t.name === "McLaren")).toMatchObject({ shortName: "McLaren", engine: "Mercedes", base: "Woking, United Kingdom" });
+    expect(calendarEvents(CALENDAR_TEMPLATES[0], {}, ids()).some(e => e.raceId)).toBe(false);
+  });
+
+  it("adds practice and links every session of a weekend to its circuit", () => {
+    const existing = [{ id: "mine", name: "Albert Park Circuit", country: "Australia" }];
+    const { circuits, ids: circuitIds } = templateCircuits(CALENDAR_TEMPLATES[0], existing, ids());
+    expect(circuits).toHaveLength(24);
+    expect(circuits[0]).toBe(existing[0]);
+    expect(circuits.find(c => c.name === "Suzuka Circuit")).toMatchObject({ length: 5.807, laps: 53, lapRecord: { driver: "Lewis Hamilton", year: 2019 } });
+
+    const events = calendarEvents(CALENDAR_TEMPLATES[0], { qualifying: true, practice: true, circuitIds }, ids());
+    const round = (n) => events.filter(e => e.round === n).map(e => [e.type, e.date]);
+    expect(round(1)).toEqual([["FP1", "2025-03-14"], ["FP2", "2025-03-14"], ["FP3", "2025-03-15"], ["GP", "2025-03-16"], ["Qualifying", "2025-03-15"]]);
+    expect(round(2).map(([type]) => type)).toEqual(["FP1", "GP", "Qualifying", "Sprint", "Sprint Qualifying"]);
+    expect(events.filter(e => e.round === 1).every(e => e.circuitId === "mine")).toBe(true);
+    expect(validateSeason({ teams: [], drivers: [], events, results: [], circuits }).warnings).toEqual([]);
+  });
+
+  it("shifts dates by whole years", () => {
+    expect(shiftYears("2025-03-16", 1)).toBe("2026-03-16");
+    expect(shiftYears("2024-02-29", 1)).toBe("2025-03-01");
+    expect(shiftYears("", 1)).toBe("");
+  });
+});
+
+describe("cloneSeason", () => {
+  it("copies a season a year later with new ids and without results", () => {
+    const copy = cloneSeason(data, { years: 1 }, ids());
+    expect(copy.results).toEqual([]);
+    expect(copy.teams.map(t => t.id)).not.toContain("t1");
+    expect(copy.teams[0].rosterId).toBe("r1");
+    const ferrari = copy.teams.find(t => t.name === "Ferrari").id;
+    // the driver starts where they finished the old season
+    expect(copy.drivers[0]).toMatchObject({ teamId: ferrari, stints: [{ teamId: ferrari, fromRound: 1, toRound: null }] });
+    const race = copy.events.find(e => e.type === "GP");
+    expect(race).toMatchObject({ date: "2025-03-01", shortened: false });
+    expect(copy.events.find(e => e.type === "Qualifying").raceId).toBe(race.id);
+    expect(validateSeason(copy).errors).toEqual([]);
+  });
+
+  it("keeps results and stint history on request, and copies only what was picked", () => {
+    const copy = cloneSeason(data, { clearResults: false }, ids());
+    expect(copy.drivers[0].stints).toHaveLength(2);
+    expect(copy.results).toEqual([{ ...data.results[0], eventId: copy.events[1].id, driverId: copy.drivers[0].id }]);
+    expect(validateSeason(copy).errors).toEqual([]);
+
+    const calendarOnly = cloneSeason(data, { pick: { events: true }, clearResults: false }, ids());
+    expect(calendarOnly).toMatchObject({ teams: [], drivers: [], results: [] });
+    expect(calendarOnly.events).toHaveLength(2);
+    const driversOnly = cloneSeason(data, { pick: { drivers: true } }, ids());
+    expect(driversOnly.drivers[0]).toMatchObject({ teamId: "", stints: [{ teamId: "" }] });
+  });
+});